@@ -24,6 +24,10 @@ import searchRoutes from "./routes/searchRoutes.js";
 import contactRoutes from "./routes/contactRoutes.js";
 import dashboardRoutes from "./routes/dashboardRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
+import geoRoutes from "./routes/geoRoutes.js";
+import contactRequestRoutes from "./routes/contactRequestRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import shiftRoutes from "./routes/shiftRoutes.js";
 import indexRoutes from "./routes/index.js";
 
 // Import database connection
@@ -97,6 +101,10 @@ app.use("/api/search", searchRoutes);
 app.use("/api/contact", contactRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/geo", geoRoutes);
+app.use("/api/contact-requests", contactRequestRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/shifts", shiftRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
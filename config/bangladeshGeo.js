@@ -0,0 +1,1038 @@
+// Divisions, districts and upazilas of Bangladesh with English and Bangla
+// names. English names follow the spellings adopted in 2018 (Chattogram,
+// Cumilla, Jashore, ...); older spellings are mapped in config/districts.js.
+
+export const DIVISIONS = [
+    { name: 'Barishal', bnName: 'বরিশাল' },
+    { name: 'Chattogram', bnName: 'চট্টগ্রাম' },
+    { name: 'Dhaka', bnName: 'ঢাকা' },
+    { name: 'Khulna', bnName: 'খুলনা' },
+    { name: 'Mymensingh', bnName: 'ময়মনসিংহ' },
+    { name: 'Rajshahi', bnName: 'রাজশাহী' },
+    { name: 'Rangpur', bnName: 'রংপুর' },
+    { name: 'Sylhet', bnName: 'সিলেট' },
+];
+
+// Metropolitan police stations (thanas). City residents usually give one of
+// these instead of an upazila, so they are accepted as areas of the district.
+const DHAKA_METRO_THANAS = [
+    ['Adabor', 'আদাবর'],
+    ['Badda', 'বাড্ডা'],
+    ['Banani', 'বনানী'],
+    ['Bangshal', 'বংশাল'],
+    ['Bhashantek', 'ভাসানটেক'],
+    ['Biman Bandar', 'বিমানবন্দর'],
+    ['Cantonment', 'ক্যান্টনমেন্ট'],
+    ['Chawkbazar', 'চকবাজার'],
+    ['Dakshinkhan', 'দক্ষিণখান'],
+    ['Darus Salam', 'দারুস সালাম'],
+    ['Demra', 'ডেমরা'],
+    ['Dhanmondi', 'ধানমন্ডি'],
+    ['Gendaria', 'গেন্ডারিয়া'],
+    ['Gulshan', 'গুলশান'],
+    ['Hatirjheel', 'হাতিরঝিল'],
+    ['Hazaribagh', 'হাজারীবাগ'],
+    ['Jatrabari', 'যাত্রাবাড়ী'],
+    ['Kadamtali', 'কদমতলী'],
+    ['Kafrul', 'কাফরুল'],
+    ['Kalabagan', 'কলাবাগান'],
+    ['Kamrangirchar', 'কামরাঙ্গীরচর'],
+    ['Khilgaon', 'খিলগাঁও'],
+    ['Khilkhet', 'খিলক্ষেত'],
+    ['Kotwali', 'কোতোয়ালী'],
+    ['Lalbagh', 'লালবাগ'],
+    ['Mirpur', 'মিরপুর'],
+    ['Mohammadpur', 'মোহাম্মদপুর'],
+    ['Motijheel', 'মতিঝিল'],
+    ['Mugda', 'মুগদা'],
+    ['New Market', 'নিউ মার্কেট'],
+    ['Pallabi', 'পল্লবী'],
+    ['Paltan', 'পল্টন'],
+    ['Ramna', 'রমনা'],
+    ['Rampura', 'রামপুরা'],
+    ['Rupnagar', 'রূপনগর'],
+    ['Sabujbagh', 'সবুজবাগ'],
+    ['Shah Ali', 'শাহ আলী'],
+    ['Shahbagh', 'শাহবাগ'],
+    ['Shahjahanpur', 'শাহজাহানপুর'],
+    ['Sher-e-Bangla Nagar', 'শেরেবাংলা নগর'],
+    ['Shyampur', 'শ্যামপুর'],
+    ['Sutrapur', 'সূত্রাপুর'],
+    ['Tejgaon', 'তেজগাঁও'],
+    ['Tejgaon Industrial Area', 'তেজগাঁও শিল্পাঞ্চল'],
+    ['Turag', 'তুরাগ'],
+    ['Uttara East', 'উত্তরা পূর্ব'],
+    ['Uttara West', 'উত্তরা পশ্চিম'],
+    ['Uttarkhan', 'উত্তরখান'],
+    ['Vatara', 'ভাটারা'],
+    ['Wari', 'ওয়ারী'],
+];
+
+const CHATTOGRAM_METRO_THANAS = [
+    ['Akbar Shah', 'আকবর শাহ'],
+    ['Bakalia', 'বাকলিয়া'],
+    ['Bandar', 'বন্দর'],
+    ['Bayazid Bostami', 'বায়েজিদ বোস্তামী'],
+    ['Chandgaon', 'চান্দগাঁও'],
+    ['Chawkbazar', 'চকবাজার'],
+    ['Double Mooring', 'ডবলমুরিং'],
+    ['EPZ', 'ইপিজেড'],
+    ['Halishahar', 'হালিশহর'],
+    ['Khulshi', 'খুলশী'],
+    ['Kotwali', 'কোতোয়ালী'],
+    ['Pahartali', 'পাহাড়তলী'],
+    ['Panchlaish', 'পাঁচলাইশ'],
+    ['Patenga', 'পতেঙ্গা'],
+    ['Sadarghat', 'সদরঘাট'],
+];
+
+// upazilas and thanas are [englishName, banglaName] pairs
+export const DISTRICTS = [
+    {
+        name: 'Barguna',
+        bnName: 'বরগুনা',
+        division: 'Barishal',
+        upazilas: [
+            ['Amtali', 'আমতলী'],
+            ['Bamna', 'বামনা'],
+            ['Barguna Sadar', 'বরগুনা সদর'],
+            ['Betagi', 'বেতাগী'],
+            ['Patharghata', 'পাথরঘাটা'],
+            ['Taltali', 'তালতলী'],
+        ],
+    },
+    {
+        name: 'Barishal',
+        bnName: 'বরিশাল',
+        division: 'Barishal',
+        upazilas: [
+            ['Agailjhara', 'আগৈলঝাড়া'],
+            ['Babuganj', 'বাবুগঞ্জ'],
+            ['Bakerganj', 'বাকেরগঞ্জ'],
+            ['Banaripara', 'বানারীপাড়া'],
+            ['Barishal Sadar', 'বরিশাল সদর'],
+            ['Gournadi', 'গৌরনদী'],
+            ['Hizla', 'হিজলা'],
+            ['Mehendiganj', 'মেহেন্দিগঞ্জ'],
+            ['Muladi', 'মুলাদী'],
+            ['Wazirpur', 'উজিরপুর'],
+        ],
+    },
+    {
+        name: 'Bhola',
+        bnName: 'ভোলা',
+        division: 'Barishal',
+        upazilas: [
+            ['Bhola Sadar', 'ভোলা সদর'],
+            ['Borhanuddin', 'বোরহানউদ্দিন'],
+            ['Char Fasson', 'চরফ্যাশন'],
+            ['Daulatkhan', 'দৌলতখান'],
+            ['Lalmohan', 'লালমোহন'],
+            ['Manpura', 'মনপুরা'],
+            ['Tazumuddin', 'তজুমদ্দিন'],
+        ],
+    },
+    {
+        name: 'Jhalokati',
+        bnName: 'ঝালকাঠি',
+        division: 'Barishal',
+        upazilas: [
+            ['Jhalokati Sadar', 'ঝালকাঠি সদর'],
+            ['Kathalia', 'কাঠালিয়া'],
+            ['Nalchity', 'নলছিটি'],
+            ['Rajapur', 'রাজাপুর'],
+        ],
+    },
+    {
+        name: 'Patuakhali',
+        bnName: 'পটুয়াখালী',
+        division: 'Barishal',
+        upazilas: [
+            ['Bauphal', 'বাউফল'],
+            ['Dashmina', 'দশমিনা'],
+            ['Dumki', 'দুমকি'],
+            ['Galachipa', 'গলাচিপা'],
+            ['Kalapara', 'কলাপাড়া'],
+            ['Mirzaganj', 'মির্জাগঞ্জ'],
+            ['Patuakhali Sadar', 'পটুয়াখালী সদর'],
+            ['Rangabali', 'রাঙ্গাবালী'],
+        ],
+    },
+    {
+        name: 'Pirojpur',
+        bnName: 'পিরোজপুর',
+        division: 'Barishal',
+        upazilas: [
+            ['Bhandaria', 'ভান্ডারিয়া'],
+            ['Indurkani', 'ইন্দুরকানী'],
+            ['Kawkhali', 'কাউখালী'],
+            ['Mathbaria', 'মঠবাড়িয়া'],
+            ['Nazirpur', 'নাজিরপুর'],
+            ['Nesarabad', 'নেছারাবাদ'],
+            ['Pirojpur Sadar', 'পিরোজপুর সদর'],
+        ],
+    },
+    {
+        name: 'Bandarban',
+        bnName: 'বান্দরবান',
+        division: 'Chattogram',
+        upazilas: [
+            ['Alikadam', 'আলীকদম'],
+            ['Bandarban Sadar', 'বান্দরবান সদর'],
+            ['Lama', 'লামা'],
+            ['Naikhongchhari', 'নাইক্ষ্যংছড়ি'],
+            ['Rowangchhari', 'রোয়াংছড়ি'],
+            ['Ruma', 'রুমা'],
+            ['Thanchi', 'থানচি'],
+        ],
+    },
+    {
+        name: 'Brahmanbaria',
+        bnName: 'ব্রাহ্মণবাড়িয়া',
+        division: 'Chattogram',
+        upazilas: [
+            ['Akhaura', 'আখাউড়া'],
+            ['Ashuganj', 'আশুগঞ্জ'],
+            ['Bancharampur', 'বাঞ্ছারামপুর'],
+            ['Bijoynagar', 'বিজয়নগর'],
+            ['Brahmanbaria Sadar', 'ব্রাহ্মণবাড়িয়া সদর'],
+            ['Kasba', 'কসবা'],
+            ['Nabinagar', 'নবীনগর'],
+            ['Nasirnagar', 'নাসিরনগর'],
+            ['Sarail', 'সরাইল'],
+        ],
+    },
+    {
+        name: 'Chandpur',
+        bnName: 'চাঁদপুর',
+        division: 'Chattogram',
+        upazilas: [
+            ['Chandpur Sadar', 'চাঁদপুর সদর'],
+            ['Faridganj', 'ফরিদগঞ্জ'],
+            ['Haimchar', 'হাইমচর'],
+            ['Hajiganj', 'হাজীগঞ্জ'],
+            ['Kachua', 'কচুয়া'],
+            ['Matlab Dakshin', 'মতলব দক্ষিণ'],
+            ['Matlab Uttar', 'মতলব উত্তর'],
+            ['Shahrasti', 'শাহরাস্তি'],
+        ],
+    },
+    {
+        name: 'Chattogram',
+        bnName: 'চট্টগ্রাম',
+        division: 'Chattogram',
+        upazilas: [
+            ['Anwara', 'আনোয়ারা'],
+            ['Banshkhali', 'বাঁশখালী'],
+            ['Boalkhali', 'বোয়ালখালী'],
+            ['Chandanaish', 'চন্দনাইশ'],
+            ['Fatikchhari', 'ফটিকছড়ি'],
+            ['Hathazari', 'হাটহাজারী'],
+            ['Karnaphuli', 'কর্ণফুলী'],
+            ['Lohagara', 'লোহাগাড়া'],
+            ['Mirsharai', 'মীরসরাই'],
+            ['Patiya', 'পটিয়া'],
+            ['Rangunia', 'রাঙ্গুনিয়া'],
+            ['Raozan', 'রাউজান'],
+            ['Sandwip', 'সন্দ্বীপ'],
+            ['Satkania', 'সাতকানিয়া'],
+            ['Sitakunda', 'সীতাকুণ্ড'],
+        ],
+        thanas: CHATTOGRAM_METRO_THANAS,
+    },
+    {
+        name: 'Cumilla',
+        bnName: 'কুমিল্লা',
+        division: 'Chattogram',
+        upazilas: [
+            ['Barura', 'বরুড়া'],
+            ['Brahmanpara', 'ব্রাহ্মণপাড়া'],
+            ['Burichang', 'বুড়িচং'],
+            ['Chandina', 'চান্দিনা'],
+            ['Chauddagram', 'চৌদ্দগ্রাম'],
+            ['Cumilla Sadar', 'কুমিল্লা সদর'],
+            ['Cumilla Sadar Dakshin', 'কুমিল্লা সদর দক্ষিণ'],
+            ['Daudkandi', 'দাউদকান্দি'],
+            ['Debidwar', 'দেবিদ্বার'],
+            ['Homna', 'হোমনা'],
+            ['Laksam', 'লাকসাম'],
+            ['Lalmai', 'লালমাই'],
+            ['Manoharganj', 'মনোহরগঞ্জ'],
+            ['Meghna', 'মেঘনা'],
+            ['Muradnagar', 'মুরাদনগর'],
+            ['Nangalkot', 'নাঙ্গলকোট'],
+            ['Titas', 'তিতাস'],
+        ],
+    },
+    {
+        name: "Cox's Bazar",
+        bnName: 'কক্সবাজার',
+        division: 'Chattogram',
+        upazilas: [
+            ['Chakaria', 'চকরিয়া'],
+            ["Cox's Bazar Sadar", 'কক্সবাজার সদর'],
+            ['Eidgaon', 'ঈদগাঁও'],
+            ['Kutubdia', 'কুতুবদিয়া'],
+            ['Maheshkhali', 'মহেশখালী'],
+            ['Pekua', 'পেকুয়া'],
+            ['Ramu', 'রামু'],
+            ['Teknaf', 'টেকনাফ'],
+            ['Ukhia', 'উখিয়া'],
+        ],
+    },
+    {
+        name: 'Feni',
+        bnName: 'ফেনী',
+        division: 'Chattogram',
+        upazilas: [
+            ['Chhagalnaiya', 'ছাগলনাইয়া'],
+            ['Daganbhuiyan', 'দাগনভূঞা'],
+            ['Feni Sadar', 'ফেনী সদর'],
+            ['Fulgazi', 'ফুলগাজী'],
+            ['Parshuram', 'পরশুরাম'],
+            ['Sonagazi', 'সোনাগাজী'],
+        ],
+    },
+    {
+        name: 'Khagrachhari',
+        bnName: 'খাগড়াছড়ি',
+        division: 'Chattogram',
+        upazilas: [
+            ['Dighinala', 'দীঘিনালা'],
+            ['Guimara', 'গুইমারা'],
+            ['Khagrachhari Sadar', 'খাগড়াছড়ি সদর'],
+            ['Lakshmichhari', 'লক্ষীছড়ি'],
+            ['Mahalchhari', 'মহালছড়ি'],
+            ['Manikchhari', 'মানিকছড়ি'],
+            ['Matiranga', 'মাটিরাঙ্গা'],
+            ['Panchhari', 'পানছড়ি'],
+            ['Ramgarh', 'রামগড়'],
+        ],
+    },
+    {
+        name: 'Lakshmipur',
+        bnName: 'লক্ষ্মীপুর',
+        division: 'Chattogram',
+        upazilas: [
+            ['Kamalnagar', 'কমলনগর'],
+            ['Lakshmipur Sadar', 'লক্ষ্মীপুর সদর'],
+            ['Raipur', 'রায়পুর'],
+            ['Ramganj', 'রামগঞ্জ'],
+            ['Ramgati', 'রামগতি'],
+        ],
+    },
+    {
+        name: 'Noakhali',
+        bnName: 'নোয়াখালী',
+        division: 'Chattogram',
+        upazilas: [
+            ['Begumganj', 'বেগমগঞ্জ'],
+            ['Chatkhil', 'চাটখিল'],
+            ['Companiganj', 'কোম্পানীগঞ্জ'],
+            ['Hatiya', 'হাতিয়া'],
+            ['Kabirhat', 'কবিরহাট'],
+            ['Noakhali Sadar', 'নোয়াখালী সদর'],
+            ['Senbagh', 'সেনবাগ'],
+            ['Sonaimuri', 'সোনাইমুড়ী'],
+            ['Subarnachar', 'সুবর্ণচর'],
+        ],
+    },
+    {
+        name: 'Rangamati',
+        bnName: 'রাঙ্গামাটি',
+        division: 'Chattogram',
+        upazilas: [
+            ['Baghaichhari', 'বাঘাইছড়ি'],
+            ['Barkal', 'বরকল'],
+            ['Belaichhari', 'বিলাইছড়ি'],
+            ['Juraichhari', 'জুরাছড়ি'],
+            ['Kaptai', 'কাপ্তাই'],
+            ['Kawkhali', 'কাউখালী'],
+            ['Langadu', 'লংগদু'],
+            ['Naniarchar', 'নানিয়ারচর'],
+            ['Rajasthali', 'রাজস্থলী'],
+            ['Rangamati Sadar', 'রাঙ্গামাটি সদর'],
+        ],
+    },
+    {
+        name: 'Dhaka',
+        bnName: 'ঢাকা',
+        division: 'Dhaka',
+        upazilas: [
+            ['Dhamrai', 'ধামরাই'],
+            ['Dohar', 'দোহার'],
+            ['Keraniganj', 'কেরাণীগঞ্জ'],
+            ['Nawabganj', 'নবাবগঞ্জ'],
+            ['Savar', 'সাভার'],
+        ],
+        thanas: DHAKA_METRO_THANAS,
+    },
+    {
+        name: 'Faridpur',
+        bnName: 'ফরিদপুর',
+        division: 'Dhaka',
+        upazilas: [
+            ['Alfadanga', 'আলফাডাঙ্গা'],
+            ['Bhanga', 'ভাঙ্গা'],
+            ['Boalmari', 'বোয়ালমারী'],
+            ['Charbhadrasan', 'চরভদ্রাসন'],
+            ['Faridpur Sadar', 'ফরিদপুর সদর'],
+            ['Madhukhali', 'মধুখালী'],
+            ['Nagarkanda', 'নগরকান্দা'],
+            ['Sadarpur', 'সদরপুর'],
+            ['Saltha', 'সালথা'],
+        ],
+    },
+    {
+        name: 'Gazipur',
+        bnName: 'গাজীপুর',
+        division: 'Dhaka',
+        upazilas: [
+            ['Gazipur Sadar', 'গাজীপুর সদর'],
+            ['Kaliakair', 'কালিয়াকৈর'],
+            ['Kaliganj', 'কালীগঞ্জ'],
+            ['Kapasia', 'কাপাসিয়া'],
+            ['Sreepur', 'শ্রীপুর'],
+        ],
+    },
+    {
+        name: 'Gopalganj',
+        bnName: 'গোপালগঞ্জ',
+        division: 'Dhaka',
+        upazilas: [
+            ['Gopalganj Sadar', 'গোপালগঞ্জ সদর'],
+            ['Kashiani', 'কাশিয়ানী'],
+            ['Kotalipara', 'কোটালীপাড়া'],
+            ['Muksudpur', 'মুকসুদপুর'],
+            ['Tungipara', 'টুংগীপাড়া'],
+        ],
+    },
+    {
+        name: 'Kishoreganj',
+        bnName: 'কিশোরগঞ্জ',
+        division: 'Dhaka',
+        upazilas: [
+            ['Austagram', 'অষ্টগ্রাম'],
+            ['Bajitpur', 'বাজিতপুর'],
+            ['Bhairab', 'ভৈরব'],
+            ['Hossainpur', 'হোসেনপুর'],
+            ['Itna', 'ইটনা'],
+            ['Karimganj', 'করিমগঞ্জ'],
+            ['Katiadi', 'কটিয়াদী'],
+            ['Kishoreganj Sadar', 'কিশোরগঞ্জ সদর'],
+            ['Kuliarchar', 'কুলিয়ারচর'],
+            ['Mithamain', 'মিঠামইন'],
+            ['Nikli', 'নিকলী'],
+            ['Pakundia', 'পাকুন্দিয়া'],
+            ['Tarail', 'তাড়াইল'],
+        ],
+    },
+    {
+        name: 'Madaripur',
+        bnName: 'মাদারীপুর',
+        division: 'Dhaka',
+        upazilas: [
+            ['Dasar', 'ডাসার'],
+            ['Kalkini', 'কালকিনি'],
+            ['Madaripur Sadar', 'মাদারীপুর সদর'],
+            ['Rajoir', 'রাজৈর'],
+            ['Shibchar', 'শিবচর'],
+        ],
+    },
+    {
+        name: 'Manikganj',
+        bnName: 'মানিকগঞ্জ',
+        division: 'Dhaka',
+        upazilas: [
+            ['Daulatpur', 'দৌলতপুর'],
+            ['Ghior', 'ঘিওর'],
+            ['Harirampur', 'হরিরামপুর'],
+            ['Manikganj Sadar', 'মানিকগঞ্জ সদর'],
+            ['Saturia', 'সাটুরিয়া'],
+            ['Shivalaya', 'শিবালয়'],
+            ['Singair', 'সিংগাইর'],
+        ],
+    },
+    {
+        name: 'Munshiganj',
+        bnName: 'মুন্সিগঞ্জ',
+        division: 'Dhaka',
+        upazilas: [
+            ['Gazaria', 'গজারিয়া'],
+            ['Lohajang', 'লৌহজং'],
+            ['Munshiganj Sadar', 'মুন্সিগঞ্জ সদর'],
+            ['Sirajdikhan', 'সিরাজদিখান'],
+            ['Sreenagar', 'শ্রীনগর'],
+            ['Tongibari', 'টংগিবাড়ী'],
+        ],
+    },
+    {
+        name: 'Narayanganj',
+        bnName: 'নারায়ণগঞ্জ',
+        division: 'Dhaka',
+        upazilas: [
+            ['Araihazar', 'আড়াইহাজার'],
+            ['Bandar', 'বন্দর'],
+            ['Narayanganj Sadar', 'নারায়ণগঞ্জ সদর'],
+            ['Rupganj', 'রূপগঞ্জ'],
+            ['Sonargaon', 'সোনারগাঁ'],
+        ],
+    },
+    {
+        name: 'Narsingdi',
+        bnName: 'নরসিংদী',
+        division: 'Dhaka',
+        upazilas: [
+            ['Belabo', 'বেলাবো'],
+            ['Monohardi', 'মনোহরদী'],
+            ['Narsingdi Sadar', 'নরসিংদী সদর'],
+            ['Palash', 'পলাশ'],
+            ['Raipura', 'রায়পুরা'],
+            ['Shibpur', 'শিবপুর'],
+        ],
+    },
+    {
+        name: 'Rajbari',
+        bnName: 'রাজবাড়ী',
+        division: 'Dhaka',
+        upazilas: [
+            ['Baliakandi', 'বালিয়াকান্দি'],
+            ['Goalanda', 'গোয়ালন্দ'],
+            ['Kalukhali', 'কালুখালী'],
+            ['Pangsha', 'পাংশা'],
+            ['Rajbari Sadar', 'রাজবাড়ী সদর'],
+        ],
+    },
+    {
+        name: 'Shariatpur',
+        bnName: 'শরীয়তপুর',
+        division: 'Dhaka',
+        upazilas: [
+            ['Bhedarganj', 'ভেদরগঞ্জ'],
+            ['Damudya', 'ডামুড্যা'],
+            ['Gosairhat', 'গোসাইরহাট'],
+            ['Naria', 'নড়িয়া'],
+            ['Shariatpur Sadar', 'শরীয়তপুর সদর'],
+            ['Zajira', 'জাজিরা'],
+        ],
+    },
+    {
+        name: 'Tangail',
+        bnName: 'টাঙ্গাইল',
+        division: 'Dhaka',
+        upazilas: [
+            ['Basail', 'বাসাইল'],
+            ['Bhuapur', 'ভূঞাপুর'],
+            ['Delduar', 'দেলদুয়ার'],
+            ['Dhanbari', 'ধনবাড়ী'],
+            ['Ghatail', 'ঘাটাইল'],
+            ['Gopalpur', 'গোপালপুর'],
+            ['Kalihati', 'কালিহাতী'],
+            ['Madhupur', 'মধুপুর'],
+            ['Mirzapur', 'মির্জাপুর'],
+            ['Nagarpur', 'নাগরপুর'],
+            ['Sakhipur', 'সখিপুর'],
+            ['Tangail Sadar', 'টাঙ্গাইল সদর'],
+        ],
+    },
+    {
+        name: 'Bagerhat',
+        bnName: 'বাগেরহাট',
+        division: 'Khulna',
+        upazilas: [
+            ['Bagerhat Sadar', 'বাগেরহাট সদর'],
+            ['Chitalmari', 'চিতলমারী'],
+            ['Fakirhat', 'ফকিরহাট'],
+            ['Kachua', 'কচুয়া'],
+            ['Mollahat', 'মোল্লাহাট'],
+            ['Mongla', 'মোংলা'],
+            ['Morrelganj', 'মোরেলগঞ্জ'],
+            ['Rampal', 'রামপাল'],
+            ['Sarankhola', 'শরণখোলা'],
+        ],
+    },
+    {
+        name: 'Chuadanga',
+        bnName: 'চুয়াডাঙ্গা',
+        division: 'Khulna',
+        upazilas: [
+            ['Alamdanga', 'আলমডাঙ্গা'],
+            ['Chuadanga Sadar', 'চুয়াডাঙ্গা সদর'],
+            ['Damurhuda', 'দামুড়হুদা'],
+            ['Jibannagar', 'জীবননগর'],
+        ],
+    },
+    {
+        name: 'Jashore',
+        bnName: 'যশোর',
+        division: 'Khulna',
+        upazilas: [
+            ['Abhaynagar', 'অভয়নগর'],
+            ['Bagherpara', 'বাঘারপাড়া'],
+            ['Chaugachha', 'চৌগাছা'],
+            ['Jashore Sadar', 'যশোর সদর'],
+            ['Jhikargachha', 'ঝিকরগাছা'],
+            ['Keshabpur', 'কেশবপুর'],
+            ['Manirampur', 'মনিরামপুর'],
+            ['Sharsha', 'শার্শা'],
+        ],
+    },
+    {
+        name: 'Jhenaidah',
+        bnName: 'ঝিনাইদহ',
+        division: 'Khulna',
+        upazilas: [
+            ['Harinakunda', 'হরিণাকুন্ডু'],
+            ['Jhenaidah Sadar', 'ঝিনাইদহ সদর'],
+            ['Kaliganj', 'কালীগঞ্জ'],
+            ['Kotchandpur', 'কোটচাঁদপুর'],
+            ['Maheshpur', 'মহেশপুর'],
+            ['Shailkupa', 'শৈলকুপা'],
+        ],
+    },
+    {
+        name: 'Khulna',
+        bnName: 'খুলনা',
+        division: 'Khulna',
+        upazilas: [
+            ['Batiaghata', 'বটিয়াঘাটা'],
+            ['Dacope', 'দাকোপ'],
+            ['Dighalia', 'দিঘলিয়া'],
+            ['Dumuria', 'ডুমুরিয়া'],
+            ['Koyra', 'কয়রা'],
+            ['Paikgachha', 'পাইকগাছা'],
+            ['Phultala', 'ফুলতলা'],
+            ['Rupsha', 'রূপসা'],
+            ['Terokhada', 'তেরখাদা'],
+        ],
+    },
+    {
+        name: 'Kushtia',
+        bnName: 'কুষ্টিয়া',
+        division: 'Khulna',
+        upazilas: [
+            ['Bheramara', 'ভেড়ামারা'],
+            ['Daulatpur', 'দৌলতপুর'],
+            ['Khoksa', 'খোকসা'],
+            ['Kumarkhali', 'কুমারখালী'],
+            ['Kushtia Sadar', 'কুষ্টিয়া সদর'],
+            ['Mirpur', 'মিরপুর'],
+        ],
+    },
+    {
+        name: 'Magura',
+        bnName: 'মাগুরা',
+        division: 'Khulna',
+        upazilas: [
+            ['Magura Sadar', 'মাগুরা সদর'],
+            ['Mohammadpur', 'মহম্মদপুর'],
+            ['Shalikha', 'শালিখা'],
+            ['Sreepur', 'শ্রীপুর'],
+        ],
+    },
+    {
+        name: 'Meherpur',
+        bnName: 'মেহেরপুর',
+        division: 'Khulna',
+        upazilas: [
+            ['Gangni', 'গাংনী'],
+            ['Meherpur Sadar', 'মেহেরপুর সদর'],
+            ['Mujibnagar', 'মুজিবনগর'],
+        ],
+    },
+    {
+        name: 'Narail',
+        bnName: 'নড়াইল',
+        division: 'Khulna',
+        upazilas: [
+            ['Kalia', 'কালিয়া'],
+            ['Lohagara', 'লোহাগড়া'],
+            ['Narail Sadar', 'নড়াইল সদর'],
+        ],
+    },
+    {
+        name: 'Satkhira',
+        bnName: 'সাতক্ষীরা',
+        division: 'Khulna',
+        upazilas: [
+            ['Assasuni', 'আশাশুনি'],
+            ['Debhata', 'দেবহাটা'],
+            ['Kalaroa', 'কলারোয়া'],
+            ['Kaliganj', 'কালিগঞ্জ'],
+            ['Satkhira Sadar', 'সাতক্ষীরা সদর'],
+            ['Shyamnagar', 'শ্যামনগর'],
+            ['Tala', 'তালা'],
+        ],
+    },
+    {
+        name: 'Jamalpur',
+        bnName: 'জামালপুর',
+        division: 'Mymensingh',
+        upazilas: [
+            ['Bakshiganj', 'বকশীগঞ্জ'],
+            ['Dewanganj', 'দেওয়ানগঞ্জ'],
+            ['Islampur', 'ইসলামপুর'],
+            ['Jamalpur Sadar', 'জামালপুর সদর'],
+            ['Madarganj', 'মাদারগঞ্জ'],
+            ['Melandaha', 'মেলান্দহ'],
+            ['Sarishabari', 'সরিষাবাড়ী'],
+        ],
+    },
+    {
+        name: 'Mymensingh',
+        bnName: 'ময়মনসিংহ',
+        division: 'Mymensingh',
+        upazilas: [
+            ['Bhaluka', 'ভালুকা'],
+            ['Dhobaura', 'ধোবাউড়া'],
+            ['Fulbaria', 'ফুলবাড়ীয়া'],
+            ['Gaffargaon', 'গফরগাঁও'],
+            ['Gauripur', 'গৌরীপুর'],
+            ['Haluaghat', 'হালুয়াঘাট'],
+            ['Ishwarganj', 'ঈশ্বরগঞ্জ'],
+            ['Muktagachha', 'মুক্তাগাছা'],
+            ['Mymensingh Sadar', 'ময়মনসিংহ সদর'],
+            ['Nandail', 'নান্দাইল'],
+            ['Phulpur', 'ফুলপুর'],
+            ['Tarakanda', 'তারাকান্দা'],
+            ['Trishal', 'ত্রিশাল'],
+        ],
+    },
+    {
+        name: 'Netrokona',
+        bnName: 'নেত্রকোণা',
+        division: 'Mymensingh',
+        upazilas: [
+            ['Atpara', 'আটপাড়া'],
+            ['Barhatta', 'বারহাট্টা'],
+            ['Durgapur', 'দুর্গাপুর'],
+            ['Kalmakanda', 'কলমাকান্দা'],
+            ['Kendua', 'কেন্দুয়া'],
+            ['Khaliajuri', 'খালিয়াজুরী'],
+            ['Madan', 'মদন'],
+            ['Mohanganj', 'মোহনগঞ্জ'],
+            ['Netrokona Sadar', 'নেত্রকোণা সদর'],
+            ['Purbadhala', 'পূর্বধলা'],
+        ],
+    },
+    {
+        name: 'Sherpur',
+        bnName: 'শেরপুর',
+        division: 'Mymensingh',
+        upazilas: [
+            ['Jhenaigati', 'ঝিনাইগাতী'],
+            ['Nakla', 'নকলা'],
+            ['Nalitabari', 'নালিতাবাড়ী'],
+            ['Sherpur Sadar', 'শেরপুর সদর'],
+            ['Sreebardi', 'শ্রীবরদী'],
+        ],
+    },
+    {
+        name: 'Bogura',
+        bnName: 'বগুড়া',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Adamdighi', 'আদমদিঘি'],
+            ['Bogura Sadar', 'বগুড়া সদর'],
+            ['Dhunat', 'ধুনট'],
+            ['Dhupchanchia', 'দুপচাঁচিয়া'],
+            ['Gabtali', 'গাবতলী'],
+            ['Kahaloo', 'কাহালু'],
+            ['Nandigram', 'নন্দীগ্রাম'],
+            ['Sariakandi', 'সারিয়াকান্দি'],
+            ['Shajahanpur', 'শাজাহানপুর'],
+            ['Sherpur', 'শেরপুর'],
+            ['Shibganj', 'শিবগঞ্জ'],
+            ['Sonatala', 'সোনাতলা'],
+        ],
+    },
+    {
+        name: 'Chapainawabganj',
+        bnName: 'চাঁপাইনবাবগঞ্জ',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Bholahat', 'ভোলাহাট'],
+            ['Chapainawabganj Sadar', 'চাঁপাইনবাবগঞ্জ সদর'],
+            ['Gomastapur', 'গোমস্তাপুর'],
+            ['Nachole', 'নাচোল'],
+            ['Shibganj', 'শিবগঞ্জ'],
+        ],
+    },
+    {
+        name: 'Joypurhat',
+        bnName: 'জয়পুরহাট',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Akkelpur', 'আক্কেলপুর'],
+            ['Joypurhat Sadar', 'জয়পুরহাট সদর'],
+            ['Kalai', 'কালাই'],
+            ['Khetlal', 'ক্ষেতলাল'],
+            ['Panchbibi', 'পাঁচবিবি'],
+        ],
+    },
+    {
+        name: 'Naogaon',
+        bnName: 'নওগাঁ',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Atrai', 'আত্রাই'],
+            ['Badalgachhi', 'বদলগাছী'],
+            ['Dhamoirhat', 'ধামইরহাট'],
+            ['Manda', 'মান্দা'],
+            ['Mohadevpur', 'মহাদেবপুর'],
+            ['Naogaon Sadar', 'নওগাঁ সদর'],
+            ['Niamatpur', 'নিয়ামতপুর'],
+            ['Patnitala', 'পত্নীতলা'],
+            ['Porsha', 'পোরশা'],
+            ['Raninagar', 'রাণীনগর'],
+            ['Sapahar', 'সাপাহার'],
+        ],
+    },
+    {
+        name: 'Natore',
+        bnName: 'নাটোর',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Bagatipara', 'বাগাতিপাড়া'],
+            ['Baraigram', 'বড়াইগ্রাম'],
+            ['Gurudaspur', 'গুরুদাসপুর'],
+            ['Lalpur', 'লালপুর'],
+            ['Naldanga', 'নলডাঙ্গা'],
+            ['Natore Sadar', 'নাটোর সদর'],
+            ['Singra', 'সিংড়া'],
+        ],
+    },
+    {
+        name: 'Pabna',
+        bnName: 'পাবনা',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Atgharia', 'আটঘরিয়া'],
+            ['Bera', 'বেড়া'],
+            ['Bhangura', 'ভাঙ্গুড়া'],
+            ['Chatmohar', 'চাটমোহর'],
+            ['Faridpur', 'ফরিদপুর'],
+            ['Ishwardi', 'ঈশ্বরদী'],
+            ['Pabna Sadar', 'পাবনা সদর'],
+            ['Santhia', 'সাঁথিয়া'],
+            ['Sujanagar', 'সুজানগর'],
+        ],
+    },
+    {
+        name: 'Rajshahi',
+        bnName: 'রাজশাহী',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Bagha', 'বাঘা'],
+            ['Bagmara', 'বাগমারা'],
+            ['Charghat', 'চারঘাট'],
+            ['Durgapur', 'দুর্গাপুর'],
+            ['Godagari', 'গোদাগাড়ী'],
+            ['Mohanpur', 'মোহনপুর'],
+            ['Paba', 'পবা'],
+            ['Puthia', 'পুঠিয়া'],
+            ['Tanore', 'তানোর'],
+        ],
+    },
+    {
+        name: 'Sirajganj',
+        bnName: 'সিরাজগঞ্জ',
+        division: 'Rajshahi',
+        upazilas: [
+            ['Belkuchi', 'বেলকুচি'],
+            ['Chauhali', 'চৌহালি'],
+            ['Kamarkhanda', 'কামারখন্দ'],
+            ['Kazipur', 'কাজীপুর'],
+            ['Raiganj', 'রায়গঞ্জ'],
+            ['Shahjadpur', 'শাহজাদপুর'],
+            ['Sirajganj Sadar', 'সিরাজগঞ্জ সদর'],
+            ['Tarash', 'তাড়াশ'],
+            ['Ullahpara', 'উল্লাপাড়া'],
+        ],
+    },
+    {
+        name: 'Dinajpur',
+        bnName: 'দিনাজপুর',
+        division: 'Rangpur',
+        upazilas: [
+            ['Birampur', 'বিরামপুর'],
+            ['Birganj', 'বীরগঞ্জ'],
+            ['Biral', 'বিরল'],
+            ['Bochaganj', 'বোচাগঞ্জ'],
+            ['Chirirbandar', 'চিরিরবন্দর'],
+            ['Dinajpur Sadar', 'দিনাজপুর সদর'],
+            ['Fulbari', 'ফুলবাড়ী'],
+            ['Ghoraghat', 'ঘোড়াঘাট'],
+            ['Hakimpur', 'হাকিমপুর'],
+            ['Kaharole', 'কাহারোল'],
+            ['Khansama', 'খানসামা'],
+            ['Nawabganj', 'নবাবগঞ্জ'],
+            ['Parbatipur', 'পার্বতীপুর'],
+        ],
+    },
+    {
+        name: 'Gaibandha',
+        bnName: 'গাইবান্ধা',
+        division: 'Rangpur',
+        upazilas: [
+            ['Fulchhari', 'ফুলছড়ি'],
+            ['Gaibandha Sadar', 'গাইবান্ধা সদর'],
+            ['Gobindaganj', 'গোবিন্দগঞ্জ'],
+            ['Palashbari', 'পলাশবাড়ী'],
+            ['Sadullapur', 'সাদুল্লাপুর'],
+            ['Saghata', 'সাঘাটা'],
+            ['Sundarganj', 'সুন্দরগঞ্জ'],
+        ],
+    },
+    {
+        name: 'Kurigram',
+        bnName: 'কুড়িগ্রাম',
+        division: 'Rangpur',
+        upazilas: [
+            ['Bhurungamari', 'ভুরুঙ্গামারী'],
+            ['Char Rajibpur', 'চর রাজিবপুর'],
+            ['Chilmari', 'চিলমারী'],
+            ['Kurigram Sadar', 'কুড়িগ্রাম সদর'],
+            ['Nageshwari', 'নাগেশ্বরী'],
+            ['Phulbari', 'ফুলবাড়ী'],
+            ['Rajarhat', 'রাজারহাট'],
+            ['Raumari', 'রৌমারী'],
+            ['Ulipur', 'উলিপুর'],
+        ],
+    },
+    {
+        name: 'Lalmonirhat',
+        bnName: 'লালমনিরহাট',
+        division: 'Rangpur',
+        upazilas: [
+            ['Aditmari', 'আদিতমারী'],
+            ['Hatibandha', 'হাতীবান্ধা'],
+            ['Kaliganj', 'কালীগঞ্জ'],
+            ['Lalmonirhat Sadar', 'লালমনিরহাট সদর'],
+            ['Patgram', 'পাটগ্রাম'],
+        ],
+    },
+    {
+        name: 'Nilphamari',
+        bnName: 'নীলফামারী',
+        division: 'Rangpur',
+        upazilas: [
+            ['Dimla', 'ডিমলা'],
+            ['Domar', 'ডোমার'],
+            ['Jaldhaka', 'জলঢাকা'],
+            ['Kishoreganj', 'কিশোরগঞ্জ'],
+            ['Nilphamari Sadar', 'নীলফামারী সদর'],
+            ['Saidpur', 'সৈয়দপুর'],
+        ],
+    },
+    {
+        name: 'Panchagarh',
+        bnName: 'পঞ্চগড়',
+        division: 'Rangpur',
+        upazilas: [
+            ['Atwari', 'আটোয়ারী'],
+            ['Boda', 'বোদা'],
+            ['Debiganj', 'দেবীগঞ্জ'],
+            ['Panchagarh Sadar', 'পঞ্চগড় সদর'],
+            ['Tetulia', 'তেতুলিয়া'],
+        ],
+    },
+    {
+        name: 'Rangpur',
+        bnName: 'রংপুর',
+        division: 'Rangpur',
+        upazilas: [
+            ['Badarganj', 'বদরগঞ্জ'],
+            ['Gangachhara', 'গংগাচড়া'],
+            ['Kaunia', 'কাউনিয়া'],
+            ['Mithapukur', 'মিঠাপুকুর'],
+            ['Pirgachha', 'পীরগাছা'],
+            ['Pirganj', 'পীরগঞ্জ'],
+            ['Rangpur Sadar', 'রংপুর সদর'],
+            ['Taraganj', 'তারাগঞ্জ'],
+        ],
+    },
+    {
+        name: 'Thakurgaon',
+        bnName: 'ঠাকুরগাঁও',
+        division: 'Rangpur',
+        upazilas: [
+            ['Baliadangi', 'বালিয়াডাঙ্গী'],
+            ['Haripur', 'হরিপুর'],
+            ['Pirganj', 'পীরগঞ্জ'],
+            ['Ranisankail', 'রাণীশংকৈল'],
+            ['Thakurgaon Sadar', 'ঠাকুরগাঁও সদর'],
+        ],
+    },
+    {
+        name: 'Habiganj',
+        bnName: 'হবিগঞ্জ',
+        division: 'Sylhet',
+        upazilas: [
+            ['Ajmiriganj', 'আজমিরীগঞ্জ'],
+            ['Bahubal', 'বাহুবল'],
+            ['Baniachong', 'বানিয়াচং'],
+            ['Chunarughat', 'চুনারুঘাট'],
+            ['Habiganj Sadar', 'হবিগঞ্জ সদর'],
+            ['Lakhai', 'লাখাই'],
+            ['Madhabpur', 'মাধবপুর'],
+            ['Nabiganj', 'নবীগঞ্জ'],
+            ['Shayestaganj', 'শায়েস্তাগঞ্জ'],
+        ],
+    },
+    {
+        name: 'Moulvibazar',
+        bnName: 'মৌলভীবাজার',
+        division: 'Sylhet',
+        upazilas: [
+            ['Barlekha', 'বড়লেখা'],
+            ['Juri', 'জুড়ী'],
+            ['Kamalganj', 'কমলগঞ্জ'],
+            ['Kulaura', 'কুলাউড়া'],
+            ['Moulvibazar Sadar', 'মৌলভীবাজার সদর'],
+            ['Rajnagar', 'রাজনগর'],
+            ['Sreemangal', 'শ্রীমঙ্গল'],
+        ],
+    },
+    {
+        name: 'Sunamganj',
+        bnName: 'সুনামগঞ্জ',
+        division: 'Sylhet',
+        upazilas: [
+            ['Bishwamvarpur', 'বিশ্বম্ভরপুর'],
+            ['Chhatak', 'ছাতক'],
+            ['Derai', 'দিরাই'],
+            ['Dharmapasha', 'ধর্মপাশা'],
+            ['Dowarabazar', 'দোয়ারাবাজার'],
+            ['Jagannathpur', 'জগন্নাথপুর'],
+            ['Jamalganj', 'জামালগঞ্জ'],
+            ['Madhyanagar', 'মধ্যনগর'],
+            ['Shalla', 'শাল্লা'],
+            ['Shantiganj', 'শান্তিগঞ্জ'],
+            ['Sunamganj Sadar', 'সুনামগঞ্জ সদর'],
+            ['Tahirpur', 'তাহিরপুর'],
+        ],
+    },
+    {
+        name: 'Sylhet',
+        bnName: 'সিলেট',
+        division: 'Sylhet',
+        upazilas: [
+            ['Balaganj', 'বালাগঞ্জ'],
+            ['Beanibazar', 'বিয়ানীবাজার'],
+            ['Bishwanath', 'বিশ্বনাথ'],
+            ['Companiganj', 'কোম্পানীগঞ্জ'],
+            ['Dakshin Surma', 'দক্ষিণ সুরমা'],
+            ['Fenchuganj', 'ফেঞ্চুগঞ্জ'],
+            ['Golapganj', 'গোলাপগঞ্জ'],
+            ['Gowainghat', 'গোয়াইনঘাট'],
+            ['Jaintiapur', 'জৈন্তাপুর'],
+            ['Kanaighat', 'কানাইঘাট'],
+            ['Osmani Nagar', 'ওসমানী নগর'],
+            ['Sylhet Sadar', 'সিলেট সদর'],
+            ['Zakiganj', 'জকিগঞ্জ'],
+        ],
+    },
+];
+
+export default { DIVISIONS, DISTRICTS };
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Volunteer auto-dispatch settings
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// DISPATCH_URGENCIES: donation requests of these urgencies get a volunteer
+// assigned on arrival (emergency contacts always do).
+// DISPATCH_ACK_MINUTES: time a volunteer has to acknowledge the task before
+// it moves to the next volunteer; after DISPATCH_MAX_ATTEMPTS volunteers it
+// is escalated to the admins.
+// VOLUNTEER_MAX_OPEN_TASKS: open tasks a volunteer can hold unless they set
+// their own limit.
+// DISPATCH_TIMEZONE: time zone volunteers' weekly hours are written in.
+export const getDispatchConfig = () => ({
+    urgencies: (process.env.DISPATCH_URGENCIES || 'high,critical')
+        .split(',')
+        .map((urgency) => urgency.trim())
+        .filter(Boolean),
+    ackMinutes: readNumber('DISPATCH_ACK_MINUTES', 15),
+    maxAttempts: readNumber('DISPATCH_MAX_ATTEMPTS', 3),
+    defaultMaxOpenTasks: readNumber('VOLUNTEER_MAX_OPEN_TASKS', 5),
+    workerIntervalSeconds: readNumber('DISPATCH_CHECK_SECONDS', 60),
+    timeZone: process.env.DISPATCH_TIMEZONE || 'Asia/Dhaka',
+});
+
+export default {
+    getDispatchConfig,
+};
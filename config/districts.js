@@ -0,0 +1,338 @@
+// Districts of Bangladesh grouped by division, plus lookups for checking and
+// normalising the district/upazila pairs users type in.
+// The names themselves live in config/bangladeshGeo.js.
+import { DIVISIONS, DISTRICTS } from './bangladeshGeo.js';
+
+export const DIVISION_DISTRICTS = DIVISIONS.reduce((groups, division) => {
+    groups[division.name] = DISTRICTS
+        .filter((district) => district.division === division.name)
+        .map((district) => district.name);
+    return groups;
+}, {});
+
+// Approximate centre of each district (its headquarters town) as [lng, lat].
+// Used when a user or request has no precise location.
+export const DISTRICT_CENTROIDS = {
+    Barguna: [90.12, 22.15],
+    Barishal: [90.37, 22.70],
+    Bhola: [90.65, 22.69],
+    Jhalokati: [90.20, 22.64],
+    Patuakhali: [90.33, 22.36],
+    Pirojpur: [89.97, 22.58],
+    Bandarban: [92.22, 22.20],
+    Brahmanbaria: [91.11, 23.96],
+    Chandpur: [90.67, 23.23],
+    Chattogram: [91.78, 22.36],
+    Cumilla: [91.18, 23.46],
+    "Cox's Bazar": [92.01, 21.43],
+    Feni: [91.40, 23.02],
+    Khagrachhari: [91.98, 23.12],
+    Lakshmipur: [90.83, 22.94],
+    Noakhali: [91.10, 22.87],
+    Rangamati: [92.18, 22.65],
+    Dhaka: [90.41, 23.81],
+    Faridpur: [89.84, 23.61],
+    Gazipur: [90.42, 24.00],
+    Gopalganj: [89.83, 23.01],
+    Kishoreganj: [90.78, 24.44],
+    Madaripur: [90.21, 23.17],
+    Manikganj: [90.00, 23.86],
+    Munshiganj: [90.53, 23.54],
+    Narayanganj: [90.50, 23.62],
+    Narsingdi: [90.72, 23.93],
+    Rajbari: [89.64, 23.76],
+    Shariatpur: [90.35, 23.24],
+    Tangail: [89.92, 24.25],
+    Bagerhat: [89.79, 22.66],
+    Chuadanga: [88.84, 23.64],
+    Jashore: [89.21, 23.17],
+    Jhenaidah: [89.17, 23.54],
+    Khulna: [89.54, 22.85],
+    Kushtia: [89.12, 23.90],
+    Magura: [89.42, 23.49],
+    Meherpur: [88.63, 23.76],
+    Narail: [89.50, 23.17],
+    Satkhira: [89.07, 22.72],
+    Jamalpur: [89.95, 24.92],
+    Mymensingh: [90.41, 24.75],
+    Netrokona: [90.73, 24.87],
+    Sherpur: [90.02, 25.02],
+    Bogura: [89.37, 24.85],
+    Chapainawabganj: [88.27, 24.60],
+    Joypurhat: [89.02, 25.10],
+    Naogaon: [88.94, 24.81],
+    Natore: [88.98, 24.41],
+    Pabna: [89.24, 24.01],
+    Rajshahi: [88.60, 24.37],
+    Sirajganj: [89.70, 24.45],
+    Dinajpur: [88.64, 25.63],
+    Gaibandha: [89.53, 25.33],
+    Kurigram: [89.64, 25.81],
+    Lalmonirhat: [89.45, 25.92],
+    Nilphamari: [88.86, 25.93],
+    Panchagarh: [88.55, 26.34],
+    Rangpur: [89.25, 25.74],
+    Thakurgaon: [88.46, 26.03],
+    Habiganj: [91.42, 24.38],
+    Moulvibazar: [91.78, 24.48],
+    Sunamganj: [91.40, 25.07],
+    Sylhet: [91.87, 24.89],
+};
+
+// Districts sharing a border (land or river) with each district. Used for
+// the last donor outreach wave, so donors are never sent across the country.
+export const DISTRICT_NEIGHBOURS = {
+    Bagerhat: ['Khulna', 'Gopalganj', 'Pirojpur', 'Barguna'],
+    Bandarban: ['Rangamati', 'Chattogram', "Cox's Bazar"],
+    Barguna: ['Patuakhali', 'Jhalokati', 'Pirojpur', 'Bagerhat'],
+    Barishal: ['Madaripur', 'Shariatpur', 'Chandpur', 'Lakshmipur', 'Bhola', 'Patuakhali', 'Jhalokati', 'Pirojpur', 'Gopalganj'],
+    Bhola: ['Barishal', 'Lakshmipur', 'Noakhali', 'Patuakhali'],
+    Bogura: ['Joypurhat', 'Gaibandha', 'Jamalpur', 'Sirajganj', 'Natore', 'Naogaon'],
+    Brahmanbaria: ['Habiganj', 'Kishoreganj', 'Narsingdi', 'Narayanganj', 'Cumilla'],
+    Chandpur: ['Cumilla', 'Munshiganj', 'Shariatpur', 'Barishal', 'Lakshmipur'],
+    Chapainawabganj: ['Naogaon', 'Rajshahi'],
+    Chattogram: ['Feni', 'Noakhali', 'Khagrachhari', 'Rangamati', 'Bandarban', "Cox's Bazar"],
+    Chuadanga: ['Meherpur', 'Kushtia', 'Jhenaidah'],
+    "Cox's Bazar": ['Chattogram', 'Bandarban'],
+    Cumilla: ['Brahmanbaria', 'Narayanganj', 'Munshiganj', 'Chandpur', 'Lakshmipur', 'Noakhali', 'Feni'],
+    Dhaka: ['Gazipur', 'Narayanganj', 'Munshiganj', 'Manikganj', 'Faridpur'],
+    Dinajpur: ['Thakurgaon', 'Panchagarh', 'Nilphamari', 'Rangpur', 'Gaibandha', 'Joypurhat'],
+    Faridpur: ['Rajbari', 'Manikganj', 'Dhaka', 'Shariatpur', 'Madaripur', 'Gopalganj', 'Narail', 'Magura'],
+    Feni: ['Cumilla', 'Noakhali', 'Chattogram'],
+    Gaibandha: ['Rangpur', 'Kurigram', 'Dinajpur', 'Joypurhat', 'Bogura', 'Jamalpur'],
+    Gazipur: ['Dhaka', 'Tangail', 'Mymensingh', 'Kishoreganj', 'Narsingdi', 'Narayanganj'],
+    Gopalganj: ['Faridpur', 'Madaripur', 'Barishal', 'Pirojpur', 'Bagerhat', 'Khulna', 'Narail'],
+    Habiganj: ['Sunamganj', 'Sylhet', 'Moulvibazar', 'Kishoreganj', 'Brahmanbaria'],
+    Jamalpur: ['Sherpur', 'Mymensingh', 'Tangail', 'Sirajganj', 'Bogura', 'Gaibandha', 'Kurigram'],
+    Jashore: ['Jhenaidah', 'Magura', 'Narail', 'Khulna', 'Satkhira'],
+    Jhalokati: ['Barishal', 'Pirojpur', 'Barguna', 'Patuakhali'],
+    Jhenaidah: ['Chuadanga', 'Kushtia', 'Rajbari', 'Magura', 'Jashore'],
+    Joypurhat: ['Dinajpur', 'Gaibandha', 'Bogura', 'Naogaon'],
+    Khagrachhari: ['Chattogram', 'Rangamati'],
+    Khulna: ['Satkhira', 'Jashore', 'Narail', 'Gopalganj', 'Bagerhat'],
+    Kishoreganj: ['Mymensingh', 'Netrokona', 'Sunamganj', 'Habiganj', 'Brahmanbaria', 'Narsingdi', 'Gazipur'],
+    Kurigram: ['Lalmonirhat', 'Rangpur', 'Gaibandha', 'Jamalpur'],
+    Kushtia: ['Rajshahi', 'Natore', 'Pabna', 'Rajbari', 'Jhenaidah', 'Chuadanga', 'Meherpur'],
+    Lakshmipur: ['Chandpur', 'Cumilla', 'Noakhali', 'Bhola', 'Barishal'],
+    Lalmonirhat: ['Nilphamari', 'Rangpur', 'Kurigram'],
+    Madaripur: ['Faridpur', 'Shariatpur', 'Barishal', 'Gopalganj', 'Munshiganj'],
+    Magura: ['Jhenaidah', 'Rajbari', 'Faridpur', 'Narail', 'Jashore'],
+    Manikganj: ['Dhaka', 'Tangail', 'Sirajganj', 'Pabna', 'Rajbari', 'Faridpur'],
+    Meherpur: ['Kushtia', 'Chuadanga'],
+    Moulvibazar: ['Sylhet', 'Habiganj'],
+    Munshiganj: ['Dhaka', 'Narayanganj', 'Cumilla', 'Chandpur', 'Shariatpur', 'Madaripur'],
+    Mymensingh: ['Sherpur', 'Jamalpur', 'Tangail', 'Gazipur', 'Kishoreganj', 'Netrokona'],
+    Naogaon: ['Joypurhat', 'Bogura', 'Natore', 'Rajshahi', 'Chapainawabganj'],
+    Narail: ['Magura', 'Faridpur', 'Gopalganj', 'Khulna', 'Jashore'],
+    Narayanganj: ['Dhaka', 'Gazipur', 'Narsingdi', 'Brahmanbaria', 'Cumilla', 'Munshiganj'],
+    Narsingdi: ['Gazipur', 'Kishoreganj', 'Brahmanbaria', 'Narayanganj'],
+    Natore: ['Rajshahi', 'Naogaon', 'Bogura', 'Sirajganj', 'Pabna', 'Kushtia'],
+    Netrokona: ['Mymensingh', 'Kishoreganj', 'Sunamganj'],
+    Nilphamari: ['Panchagarh', 'Dinajpur', 'Rangpur', 'Lalmonirhat'],
+    Noakhali: ['Lakshmipur', 'Cumilla', 'Feni', 'Chattogram', 'Bhola'],
+    Pabna: ['Sirajganj', 'Natore', 'Kushtia', 'Rajbari', 'Manikganj'],
+    Panchagarh: ['Thakurgaon', 'Dinajpur', 'Nilphamari'],
+    Patuakhali: ['Barishal', 'Bhola', 'Jhalokati', 'Barguna'],
+    Pirojpur: ['Gopalganj', 'Barishal', 'Jhalokati', 'Barguna', 'Bagerhat'],
+    Rajbari: ['Pabna', 'Kushtia', 'Jhenaidah', 'Magura', 'Faridpur', 'Manikganj'],
+    Rajshahi: ['Chapainawabganj', 'Naogaon', 'Natore', 'Kushtia'],
+    Rangamati: ['Khagrachhari', 'Chattogram', 'Bandarban'],
+    Rangpur: ['Nilphamari', 'Lalmonirhat', 'Kurigram', 'Gaibandha', 'Dinajpur'],
+    Satkhira: ['Jashore', 'Khulna'],
+    Shariatpur: ['Madaripur', 'Munshiganj', 'Chandpur', 'Barishal', 'Faridpur'],
+    Sherpur: ['Jamalpur', 'Mymensingh'],
+    Sirajganj: ['Bogura', 'Jamalpur', 'Tangail', 'Manikganj', 'Pabna', 'Natore'],
+    Sunamganj: ['Netrokona', 'Kishoreganj', 'Habiganj', 'Sylhet'],
+    Sylhet: ['Sunamganj', 'Habiganj', 'Moulvibazar'],
+    Tangail: ['Jamalpur', 'Mymensingh', 'Gazipur', 'Manikganj', 'Sirajganj'],
+    Thakurgaon: ['Panchagarh', 'Dinajpur'],
+};
+
+// Older English spellings still common in user-entered data
+export const DISTRICT_ALIASES = {
+    barisal: 'Barishal',
+    chittagong: 'Chattogram',
+    comilla: 'Cumilla',
+    jessore: 'Jashore',
+    bogra: 'Bogura',
+    'chapai nawabganj': 'Chapainawabganj',
+    'nawabganj': 'Chapainawabganj',
+    netrakona: 'Netrokona',
+    maulvibazar: 'Moulvibazar',
+    jhalakathi: 'Jhalokati',
+    'coxs bazar': "Cox's Bazar",
+    coxsbazar: "Cox's Bazar",
+    jhalakati: 'Jhalokati',
+    chapainababganj: 'Chapainawabganj',
+};
+
+// Older or alternative upazila spellings, per district
+export const UPAZILA_ALIASES = {
+    Bhola: { charfasson: 'Char Fasson' },
+    Chattogram: { mirersarai: 'Mirsharai', sitakundu: 'Sitakunda' },
+    Cumilla: { monohargonj: 'Manoharganj', sadarsouth: 'Cumilla Sadar Dakshin' },
+    Dhaka: { nawabgonj: 'Nawabganj' },
+    Khulna: { rupsa: 'Rupsha' },
+    Pirojpur: { swarupkathi: 'Nesarabad', nesarabadswarupkathi: 'Nesarabad' },
+    Sunamganj: { dharampasha: 'Dharmapasha', dakshinsunamganj: 'Shantiganj' },
+};
+
+// Compare names without case, spaces or punctuation, and treat the common
+// "-gonj" spelling as "-ganj"
+const areaKey = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\u0980-\u09ff]/g, '')
+    .replace(/gonj/g, 'ganj');
+
+const districtIndex = DISTRICTS.reduce((index, district) => {
+    [district.name, district.bnName].forEach((name) => {
+        index[areaKey(name)] = { district: district.name, division: district.division };
+    });
+    return index;
+}, {});
+
+// District name -> { areaKey: canonical upazila or thana name }
+const upazilaIndex = DISTRICTS.reduce((index, district) => {
+    const areas = {};
+    const add = (key, name) => {
+        if (key && !areas[key]) areas[key] = name;
+    };
+
+    district.upazilas.forEach(([name, bnName]) => {
+        add(areaKey(name), name);
+        add(areaKey(bnName), name);
+    });
+
+    // "Sadar" on its own, or with an older district spelling ("Comilla Sadar")
+    const sadar = `${district.name} Sadar`;
+    add('sadar', sadar);
+    Object.keys(DISTRICT_ALIASES)
+        .filter((alias) => DISTRICT_ALIASES[alias] === district.name)
+        .forEach((alias) => add(areaKey(`${alias} sadar`), sadar));
+
+    Object.entries(UPAZILA_ALIASES[district.name] || {}).forEach(([alias, name]) => add(areaKey(alias), name));
+
+    (district.thanas || []).forEach(([name, bnName]) => {
+        add(areaKey(name), name);
+        add(areaKey(bnName), name);
+    });
+
+    index[district.name] = areas;
+    return index;
+}, {});
+
+// Resolve a user-entered district name to its canonical spelling (or null)
+export const normalizeDistrict = (name) => {
+    const key = String(name || '').trim().toLowerCase();
+    const canonical = DISTRICT_ALIASES[key] || DISTRICT_ALIASES[areaKey(key)] || districtIndex[areaKey(key)]?.district;
+    return canonical || null;
+};
+
+export const getDivisionOfDistrict = (name) => {
+    const district = normalizeDistrict(name);
+    return district ? districtIndex[areaKey(district)].division : null;
+};
+
+// [lng, lat] centre of a district, or null when the name is not recognised
+export const getDistrictCentroid = (name) => {
+    const district = normalizeDistrict(name);
+    return district ? DISTRICT_CENTROIDS[district] : null;
+};
+
+// Districts close enough to send donors to: the ones bordering it, which may
+// be in another division
+export const getNeighbouringDistricts = (name) => {
+    const district = normalizeDistrict(name);
+    return district ? DISTRICT_NEIGHBOURS[district] || [] : [];
+};
+
+// Resolve a user-entered upazila (or city thana) of a district to its
+// canonical spelling, or null when it is not an area of that district
+export const normalizeUpazila = (districtName, upazilaName) => {
+    const district = normalizeDistrict(districtName);
+    return district ? upazilaIndex[district][areaKey(upazilaName)] || null : null;
+};
+
+// Check a district/upazila pair. Returns an error message, or null when the
+// pair is valid. Either value may be left out to check only the other.
+export const checkDistrictUpazila = (districtName, upazilaName) => {
+    const hasDistrict = districtName !== undefined && districtName !== null && districtName !== '';
+    const hasUpazila = upazilaName !== undefined && upazilaName !== null && upazilaName !== '';
+    const district = hasDistrict ? normalizeDistrict(districtName) : null;
+
+    if (hasDistrict && !district) {
+        return `Unknown district: ${districtName}`;
+    }
+
+    if (!hasUpazila) {
+        return null;
+    }
+
+    if (district) {
+        return normalizeUpazila(district, upazilaName)
+            ? null
+            : `${upazilaName} is not an upazila of ${district}`;
+    }
+
+    const known = DISTRICTS.some((item) => upazilaIndex[item.name][areaKey(upazilaName)]);
+    return known ? null : `Unknown upazila: ${upazilaName}`;
+};
+
+// Reference lists served by /api/geo
+export const getDivisions = () => DIVISIONS.map((division) => ({
+    ...division,
+    districtCount: DIVISION_DISTRICTS[division.name].length,
+}));
+
+export const getDistricts = (divisionName = null) => {
+    const division = divisionName
+        ? DIVISIONS.find((item) => areaKey(item.name) === areaKey(divisionName) || item.bnName === divisionName)
+        : null;
+
+    if (divisionName && !division) {
+        return null;
+    }
+
+    return DISTRICTS
+        .filter((district) => !division || district.division === division.name)
+        .map((district) => ({
+            name: district.name,
+            bnName: district.bnName,
+            division: district.division,
+            upazilaCount: district.upazilas.length,
+        }));
+};
+
+// Upazilas of a district (null when the district is unknown). City thanas
+// are included with type "thana" when `includeThanas` is set.
+export const getUpazilas = (districtName, { includeThanas = false } = {}) => {
+    const name = normalizeDistrict(districtName);
+    if (!name) {
+        return null;
+    }
+
+    const district = DISTRICTS.find((item) => item.name === name);
+    const toArea = (type) => ([areaName, bnName]) => ({ name: areaName, bnName, district: name, type });
+
+    return [
+        ...district.upazilas.map(toArea('upazila')),
+        ...(includeThanas ? (district.thanas || []).map(toArea('thana')) : []),
+    ];
+};
+
+export default {
+    DIVISION_DISTRICTS,
+    DISTRICT_CENTROIDS,
+    DISTRICT_NEIGHBOURS,
+    DISTRICT_ALIASES,
+    UPAZILA_ALIASES,
+    normalizeDistrict,
+    normalizeUpazila,
+    checkDistrictUpazila,
+    getDivisionOfDistrict,
+    getDistrictCentroid,
+    getNeighbouringDistricts,
+    getDivisions,
+    getDistricts,
+    getUpazilas,
+};
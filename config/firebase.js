@@ -43,8 +43,7 @@ const firebaseConfig = {
     
     // Firebase initialization state
     initialized: false,
-    apps: {},
-    services: {}
+    apps: {}
 };
 
 // Initialize Firebase Admin SDK
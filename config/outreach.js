@@ -0,0 +1,20 @@
+// Donor outreach settings
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// DONOR_OUTREACH_WAVE_MINUTES: how long a wave waits for someone to accept
+// before the next, wider wave is sent.
+// DONOR_OUTREACH_WAVE_SIZE: most donors notified in a single wave.
+export const getOutreachConfig = () => ({
+    waveWindowMinutes: readNumber('DONOR_OUTREACH_WAVE_MINUTES', 30),
+    maxRecipientsPerWave: readNumber('DONOR_OUTREACH_WAVE_SIZE', 50),
+    workerIntervalSeconds: readNumber('DONOR_OUTREACH_CHECK_SECONDS', 60),
+});
+
+export default {
+    getOutreachConfig,
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+// Real-time (Socket.IO) settings
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// SOCKET_REDIS_ADAPTER=true shares socket events between API instances
+// through Redis (SOCKET_REDIS_URL, falling back to REDIS_URL). Without it an
+// event only reaches the clients connected to the instance that sent it.
+// REALTIME_COUNTER_DEBOUNCE_MS: admin counters are recounted at most this
+// often, however many changes arrive meanwhile.
+export const getRealtimeConfig = () => ({
+    redisAdapter: process.env.SOCKET_REDIS_ADAPTER === 'true',
+    redisUrl: process.env.SOCKET_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379',
+    counterDebounceMs: readNumber('REALTIME_COUNTER_DEBOUNCE_MS', 2000),
+});
+
+export default {
+    getRealtimeConfig,
+};
@@ -0,0 +1,23 @@
+// Donor reliability settings
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// DONOR_LATE_CANCEL_HOURS: withdrawing a pledge this close to the donation
+// time counts as a late cancellation.
+// DONOR_NO_SHOW_LIMIT no-shows within DONOR_NO_SHOW_WINDOW_DAYS keep the donor
+// away from critical requests for DONOR_COOLDOWN_DAYS.
+export const getReliabilityConfig = () => ({
+    lateCancelHours: readNumber('DONOR_LATE_CANCEL_HOURS', 24),
+    noShowLimit: readNumber('DONOR_NO_SHOW_LIMIT', 2),
+    noShowWindowDays: readNumber('DONOR_NO_SHOW_WINDOW_DAYS', 180),
+    cooldownDays: readNumber('DONOR_COOLDOWN_DAYS', 30),
+    maxEvents: 50,
+});
+
+export default {
+    getReliabilityConfig,
+};
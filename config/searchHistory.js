@@ -0,0 +1,19 @@
+// Search history settings
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// SEARCH_HISTORY_RETENTION_DAYS: searches older than this are deleted, for
+// every user and for the statistics.
+// SEARCH_HISTORY_MAX_PER_USER: only a user's newest searches are kept.
+export const getSearchHistoryConfig = () => ({
+    retentionDays: readNumber('SEARCH_HISTORY_RETENTION_DAYS', 90),
+    maxPerUser: readNumber('SEARCH_HISTORY_MAX_PER_USER', 50),
+});
+
+export default {
+    getSearchHistoryConfig,
+};
@@ -0,0 +1,44 @@
+// Account security settings
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+// Roles that must complete a second factor on every session.
+// TWO_FACTOR_REQUIRED_ROLES=admin            -> admins only
+// TWO_FACTOR_REQUIRED_ROLES=admin,volunteer  -> admins and volunteers
+export const getTwoFactorRequiredRoles = () => {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+        .split(',')
+        .map((role) => role.trim())
+        .filter(Boolean);
+};
+
+export const isTwoFactorRequiredForRole = (role) => {
+    return getTwoFactorRequiredRoles().includes(role);
+};
+
+export const twoFactorConfig = {
+    issuer: () => process.env.TWO_FACTOR_ISSUER || 'Blood Donation App',
+    challengeExpiry: '5m',
+    recoveryCodeCount: 10,
+};
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Per-account lockout. Each lockout in a row doubles the lock time:
+// 15m, 30m, 1h, ... up to LOGIN_LOCK_MAX_MINUTES.
+export const getLoginLockoutConfig = () => ({
+    maxAttempts: readNumber('LOGIN_MAX_ATTEMPTS', 5),
+    attemptWindowMinutes: readNumber('LOGIN_ATTEMPT_WINDOW_MINUTES', 60),
+    baseLockMinutes: readNumber('LOGIN_LOCK_MINUTES', 15),
+    maxLockMinutes: readNumber('LOGIN_LOCK_MAX_MINUTES', 24 * 60),
+    maxKnownDevices: 20,
+});
+
+export default {
+    getTwoFactorRequiredRoles,
+    isTwoFactorRequiredForRole,
+    twoFactorConfig,
+    getLoginLockoutConfig,
+};
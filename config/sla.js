@@ -0,0 +1,56 @@
+// Donation request SLA targets
+// Read lazily so values loaded by dotenv after module evaluation are honoured
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Clocks every request is measured against, started when it is created:
+// firstContact  a donor is reached (outreach, a volunteer suggestion or a pledge)
+// acceptance    every unit is pledged (status inprogress)
+// completion    every unit is donated (status done)
+export const SLA_METRICS = ['firstContact', 'acceptance', 'completion'];
+
+const ENV_NAMES = {
+    firstContact: 'FIRST_CONTACT',
+    acceptance: 'ACCEPTANCE',
+    completion: 'COMPLETION',
+};
+
+// Minutes per urgency, overridden by SLA_<URGENCY>_<METRIC>_MINUTES,
+// e.g. SLA_CRITICAL_FIRST_CONTACT_MINUTES. 0 turns a clock off.
+const DEFAULT_TARGETS = {
+    critical: { firstContact: 15, acceptance: 60, completion: 6 * 60 },
+    high: { firstContact: 60, acceptance: 4 * 60, completion: 24 * 60 },
+    medium: { firstContact: 4 * 60, acceptance: 24 * 60, completion: 3 * 24 * 60 },
+    low: { firstContact: 24 * 60, acceptance: 3 * 24 * 60, completion: 7 * 24 * 60 },
+};
+
+const readTargets = () => Object.fromEntries(
+    Object.entries(DEFAULT_TARGETS).map(([urgency, defaults]) => [
+        urgency,
+        Object.fromEntries(SLA_METRICS.map((metric) => [
+            metric,
+            readNumber(`SLA_${urgency.toUpperCase()}_${ENV_NAMES[metric]}_MINUTES`, defaults[metric]),
+        ])),
+    ])
+);
+
+// SLA_CHECK_SECONDS: how often open requests are checked for breaches.
+export const getSlaConfig = () => ({
+    targets: readTargets(),
+    workerIntervalSeconds: readNumber('SLA_CHECK_SECONDS', 60),
+});
+
+// Targets of one urgency in minutes; unknown urgencies use medium's
+export const getSlaTargets = (urgency) => {
+    const { targets } = getSlaConfig();
+    return targets[urgency] || targets.medium;
+};
+
+export default {
+    SLA_METRICS,
+    getSlaConfig,
+    getSlaTargets,
+};
@@ -983,35 +983,35 @@ const webhookUtils = {
             // Route event to appropriate handler
             switch (eventType) {
                 case 'payment_intent.succeeded':
-                    await handlePaymentIntentSucceeded(data);
+                    await webhookUtils.handlePaymentIntentSucceeded(data);
                     break;
                     
                 case 'payment_intent.payment_failed':
-                    await handlePaymentIntentFailed(data);
+                    await webhookUtils.handlePaymentIntentFailed(data);
                     break;
                     
                 case 'customer.subscription.created':
-                    await handleSubscriptionCreated(data);
+                    await webhookUtils.handleSubscriptionCreated(data);
                     break;
                     
                 case 'customer.subscription.updated':
-                    await handleSubscriptionUpdated(data);
+                    await webhookUtils.handleSubscriptionUpdated(data);
                     break;
                     
                 case 'customer.subscription.deleted':
-                    await handleSubscriptionDeleted(data);
+                    await webhookUtils.handleSubscriptionDeleted(data);
                     break;
                     
                 case 'invoice.paid':
-                    await handleInvoicePaid(data);
+                    await webhookUtils.handleInvoicePaid(data);
                     break;
                     
                 case 'invoice.payment_failed':
-                    await handleInvoicePaymentFailed(data);
+                    await webhookUtils.handleInvoicePaymentFailed(data);
                     break;
                     
                 case 'charge.refunded':
-                    await handleChargeRefunded(data);
+                    await webhookUtils.handleChargeRefunded(data);
                     break;
                     
                 default:
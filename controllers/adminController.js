@@ -6,6 +6,11 @@ import ActivityLog from '../models/ActivityLog.js';
 import Notification from '../models/Notification.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import ErrorResponse from '../utils/errorResponse.js';
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+} from '../utils/pagination.js';
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/dashboard/stats
@@ -495,9 +500,7 @@ const getAnalytics = asyncHandler(async (req, res, next) => {
 // @route   GET /api/admin/logs
 // @access  Private/Admin
 const getSystemLogs = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 50;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req, { defaultLimit: 50 });
 
   // Build filter
   const filter = {};
@@ -524,15 +527,12 @@ const getSystemLogs = asyncHandler(async (req, res, next) => {
   // Sorting
   const sort = { createdAt: -1 }; // Default: newest first
 
-  const [logs, total] = await Promise.all([
-    ActivityLog.find(filter)
+  const result = await paginate(ActivityLog, filter, pagination, {
+    sort,
+    query: (find) => find
       .populate('user', 'name email avatar role')
-      .populate('entityId')
-      .skip(skip)
-      .limit(limit)
-      .sort(sort),
-    ActivityLog.countDocuments(filter),
-  ]);
+      .populate('entityId'),
+  });
 
   // Get log statistics
   const logStats = await ActivityLog.aggregate([
@@ -581,30 +581,17 @@ const getSystemLogs = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: logs.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
+  res.status(200).json(paginatedResponse(result, {
     filters: req.query,
     statistics: logStats.length > 0 ? logStats[0] : {},
-    data: logs,
-  });
+  }));
 });
 
 // @desc    Get user management data
 // @route   GET /api/admin/users
 // @access  Private/Admin
 const getUserManagement = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   // Build filter
   const filter = {};
@@ -621,18 +608,14 @@ const getUserManagement = asyncHandler(async (req, res, next) => {
   }
 
   // Get users with statistics
-  const [users, total] = await Promise.all([
-    User.find(filter)
-      .select('-password')
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 }),
-    User.countDocuments(filter),
-  ]);
+  const result = await paginate(User, filter, pagination, {
+    sort: { createdAt: -1 },
+    query: (find) => find.select('-password'),
+  });
 
   // Enrich users with statistics
   const enrichedUsers = await Promise.all(
-    users.map(async (user) => {
+    result.data.map(async (user) => {
       const [donationStats, fundingStats, recentActivity] = await Promise.all([
         DonationRequest.aggregate([
           {
@@ -763,20 +746,9 @@ const getUserManagement = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: enrichedUsers.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
+  res.status(200).json(paginatedResponse(result, {
     statistics: userStats.length > 0 ? userStats[0] : {},
-    data: enrichedUsers,
-  });
+  }, enrichedUsers));
 });
 
 // @desc    Get all users with statistics (alias for getUserManagement)
@@ -868,6 +840,48 @@ const unblockUser = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Unlock a user locked out by failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const user = await User.findById(id);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const wasLocked = user.isLocked;
+  const previousLock = user.loginSecurity.lockUntil;
+  user.unlockAccount();
+  await user.save({ validateBeforeSave: false });
+
+  // Log activity
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'Unlocked User',
+    actionType: 'security',
+    category: 'authentication',
+    description: `Unlocked login for user: ${user.name} (${user.email})`,
+    details: { wasLocked, previousLock },
+    status: 'success',
+    severity: 'warning',
+    entityType: 'user',
+    entityId: user._id,
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: wasLocked ? 'User unlocked successfully' : 'User was not locked; login counters reset',
+    data: user,
+  });
+});
+
 // @desc    Change user role
 // @route   PUT /api/admin/users/:id/role
 // @access  Private/Admin
@@ -911,9 +925,7 @@ const changeUserRole = asyncHandler(async (req, res, next) => {
 // @route   GET /api/admin/donations
 // @access  Private/Admin
 const getDonationManagement = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   // Build filter
   const filter = { isActive: true };
@@ -939,15 +951,12 @@ const getDonationManagement = asyncHandler(async (req, res, next) => {
     if (req.query.endDate) filter.donationDate.$lte = new Date(req.query.endDate);
   }
 
-  const [donations, total] = await Promise.all([
-    DonationRequest.find(filter)
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort: { donationDate: 1, createdAt: -1 },
+    query: (find) => find
       .populate('requester', 'name email avatar')
-      .populate('donor', 'name email avatar')
-      .skip(skip)
-      .limit(limit)
-      .sort({ donationDate: 1, createdAt: -1 }),
-    DonationRequest.countDocuments(filter),
-  ]);
+      .populate('donor', 'name email avatar'),
+  });
 
   // Get donation statistics
   const donationStats = await DonationRequest.aggregate([
@@ -998,12 +1007,14 @@ const getDonationManagement = asyncHandler(async (req, res, next) => {
         hospitalDistribution: [
           {
             $group: {
-              _id: '$hospitalName',
+              _id: DonationRequest.hospitalGroupKey(),
+              hospitalName: { $first: '$hospitalName' },
               count: { $sum: 1 },
             },
           },
           { $sort: { count: -1 } },
           { $limit: 10 },
+          ...DonationRequest.hospitalGroupNaming(),
         ],
         timeToCompletion: [
           {
@@ -1052,20 +1063,9 @@ const getDonationManagement = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: donations.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
+  res.status(200).json(paginatedResponse(result, {
     statistics: donationStats.length > 0 ? donationStats[0] : {},
-    data: donations,
-  });
+  }));
 });
 
 // @desc    Get all donation requests (alias for getDonationManagement)
@@ -1335,6 +1335,7 @@ export default {
   getAllUsersWithStats,
   blockUser,
   unblockUser,
+  unlockUser,
   changeUserRole,
   getDonationManagement,
   getAllDonationRequests,
@@ -6,6 +6,7 @@ import Contact from "../models/Contact.js";
 import ActivityLog from "../models/ActivityLog.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
+import { getSlaCompliance } from "../utils/sla.js";
 
 // Helper: Get user analytics
 async function getUserAnalytics(dateFilter, dateFormat) {
@@ -308,7 +309,8 @@ async function getDonationAnalytics(dateFilter, dateFormat) {
         hospitalAnalysis: [
           {
             $group: {
-              _id: "$hospitalName",
+              _id: DonationRequest.hospitalGroupKey(),
+              hospitalName: { $first: "$hospitalName" },
               count: { $sum: 1 },
               completed: {
                 $sum: { $cond: [{ $eq: ["$status", "done"] }, 1, 0] },
@@ -340,9 +342,11 @@ async function getDonationAnalytics(dateFilter, dateFormat) {
               },
             },
           },
+          ...DonationRequest.hospitalGroupNaming(),
           {
             $project: {
               _id: 1,
+              hospital: 1,
               count: 1,
               completed: 1,
               completionRate: { $divide: ["$completed", "$count"] },
@@ -2325,10 +2329,75 @@ const exportAnalytics = asyncHandler(async (req, res, next) => {
   });
 });
 
+const FULFILLMENT_PERIOD_DAYS = {
+  "7days": 7,
+  "30days": 30,
+  "90days": 90,
+  "1year": 365,
+};
+
+// @desc    Get request fulfillment and SLA compliance
+// @route   GET /api/analytics/request-fulfillment
+// @access  Private/Volunteer
+const getRequestFulfillment = asyncHandler(async (req, res, next) => {
+  const { period = "30days", bloodGroup, urgencyLevel } = req.query;
+
+  const days = FULFILLMENT_PERIOD_DAYS[period];
+  if (!days) {
+    return next(new ErrorResponse("Invalid period", 400));
+  }
+
+  const endDate = new Date();
+  const startDate = new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const match = { createdAt: { $gte: startDate, $lte: endDate } };
+  if (bloodGroup) match.bloodGroup = bloodGroup;
+  if (urgencyLevel) match.urgency = urgencyLevel;
+
+  const [statusCounts, sla] = await Promise.all([
+    DonationRequest.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          units: { $sum: "$unitsRequired" },
+        },
+      },
+    ]),
+    getSlaCompliance(match),
+  ]);
+
+  const byStatus = statusCounts.reduce(
+    (counts, row) => ({ ...counts, [row._id]: row.count }),
+    { pending: 0, inprogress: 0, done: 0, canceled: 0, expired: 0 }
+  );
+  const total = statusCounts.reduce((sum, row) => sum + row.count, 0);
+  const closed = byStatus.done + byStatus.canceled + byStatus.expired;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      period: { name: period, startDate, endDate },
+      filters: { bloodGroup: bloodGroup || null, urgencyLevel: urgencyLevel || null },
+      fulfillment: {
+        total,
+        unitsRequested: statusCounts.reduce((sum, row) => sum + row.units, 0),
+        byStatus,
+        open: byStatus.pending + byStatus.inprogress,
+        // Share of the closed requests that were fulfilled
+        fulfillmentRate: closed > 0 ? (byStatus.done / closed) * 100 : null,
+      },
+      sla,
+    },
+  });
+});
+
 // Create controller object with all methods
 const analyticsController = {
   getComprehensiveAnalytics,
   exportAnalytics,
+  getRequestFulfillment,
 };
 
 // Export the controller object as default
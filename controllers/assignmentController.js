@@ -0,0 +1,212 @@
+import Assignment from '../models/Assignment.js';
+import DonationRequest from '../models/DonationRequest.js';
+import Contact from '../models/Contact.js';
+import User from '../models/User.js';
+import ActivityLog from '../models/ActivityLog.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { getPaginationOptions, paginate, paginatedResponse } from '../utils/pagination.js';
+import {
+  ASSIGNMENT_POPULATE,
+  buildAssignmentFilter,
+  getAssignmentSort,
+  notifyVolunteer,
+} from '../utils/assignments.js';
+import { recordOffer } from '../utils/dispatch.js';
+
+// An active volunteer who can take tasks, or an error
+const findVolunteer = async (volunteerId) => {
+  const volunteer = await User.findById(volunteerId).select('name email role status');
+
+  if (!volunteer || volunteer.role !== 'volunteer') {
+    throw new ErrorResponse(`Volunteer not found with id ${volunteerId}`, 404);
+  }
+  if (volunteer.status !== 'active') {
+    throw new ErrorResponse(`${volunteer.name} is not an active volunteer`, 400);
+  }
+
+  return volunteer;
+};
+
+const logAssignmentActivity = (req, assignment, { action, description, details }) => ActivityLog.logActivity({
+  user: req.user._id,
+  userName: req.user.name,
+  userEmail: req.user.email,
+  userRole: req.user.role,
+  action,
+  actionType: 'update',
+  category: assignment.taskType === 'contact' ? 'contact' : 'donation',
+  entityType: 'assignment',
+  entityId: assignment._id,
+  entityName: assignment.title,
+  description,
+  details,
+  status: 'success',
+  userIp: req.ip,
+  userAgent: req.headers['user-agent'],
+});
+
+// @desc    Get volunteer tasks
+// @route   GET /api/admin/assignments
+// @access  Private/Admin
+const getAssignments = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  const filter = buildAssignmentFilter(req.query);
+  if (req.query.volunteer) filter.volunteer = req.query.volunteer;
+  if (req.query.donationRequest) filter.donationRequest = req.query.donationRequest;
+  if (req.query.contact) filter.contact = req.query.contact;
+
+  const result = await paginate(Assignment, filter, pagination, {
+    sort: getAssignmentSort(req.query.sort),
+    query: (find) => find.populate(ASSIGNMENT_POPULATE),
+  });
+
+  res.status(200).json(paginatedResponse(result));
+});
+
+// @desc    Give a volunteer a task on a donation request or contact ticket
+// @route   POST /api/admin/assignments
+// @access  Private/Admin
+const createAssignment = asyncHandler(async (req, res, next) => {
+  const { volunteerId, donationRequestId, contactId, title, description, priority, dueAt } = req.body;
+
+  if (Boolean(donationRequestId) === Boolean(contactId)) {
+    return next(new ErrorResponse('Link the task to either a donation request or a contact', 400));
+  }
+
+  const volunteer = await findVolunteer(volunteerId);
+
+  let donationRequest = null;
+  let contact = null;
+  if (donationRequestId) {
+    donationRequest = await DonationRequest.findOne({ _id: donationRequestId, isActive: true });
+    if (!donationRequest) {
+      return next(new ErrorResponse(`Donation request not found with id ${donationRequestId}`, 404));
+    }
+  } else {
+    contact = await Contact.findById(contactId);
+    if (!contact) {
+      return next(new ErrorResponse(`Contact not found with id ${contactId}`, 404));
+    }
+  }
+
+  if (dueAt && new Date(dueAt) < new Date()) {
+    return next(new ErrorResponse('Due time cannot be in the past', 400));
+  }
+
+  const assignment = await Assignment.create({
+    volunteer: volunteer._id,
+    assignedBy: req.user._id,
+    taskType: donationRequest ? 'donation_request' : 'contact',
+    donationRequest: donationRequest?._id || null,
+    contact: contact?._id || null,
+    title: title || (donationRequest
+      ? `Follow up ${donationRequest.bloodGroup} request for ${donationRequest.recipientName}`
+      : `Respond to contact: ${contact.subject}`),
+    description,
+    priority: priority || (donationRequest && ['high', 'critical'].includes(donationRequest.urgency) ? 'high' : 'medium'),
+    dueAt: dueAt ? new Date(dueAt) : null,
+  });
+
+  await logAssignmentActivity(req, assignment, {
+    action: 'Created Assignment',
+    description: `Assigned "${assignment.title}" to ${volunteer.name}`,
+    details: `Priority: ${assignment.priority}, Due: ${assignment.dueAt ? assignment.dueAt.toISOString() : 'none'}`,
+  });
+
+  await notifyVolunteer(assignment, volunteer, 'assigned', req.user);
+
+  await assignment.populate(ASSIGNMENT_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    data: assignment,
+    message: `Task assigned to ${volunteer.name}`,
+  });
+});
+
+// @desc    Hand a task to another volunteer
+// @route   PUT /api/admin/assignments/:id/reassign
+// @access  Private/Admin
+const reassignAssignment = asyncHandler(async (req, res, next) => {
+  const { volunteerId, reason } = req.body;
+
+  const assignment = await Assignment.findById(req.params.id);
+  if (!assignment) {
+    return next(new ErrorResponse(`Assignment not found with id ${req.params.id}`, 404));
+  }
+
+  const volunteer = await findVolunteer(volunteerId);
+  const previousVolunteer = await User.findById(assignment.volunteer).select('name email');
+
+  // A dispatched task nobody acknowledged yet waits for the new volunteer
+  if (assignment.dispatch?.auto && ['awaiting_ack', 'escalated'].includes(assignment.dispatch.status)) {
+    recordOffer(assignment, volunteer._id);
+  }
+
+  try {
+    await assignment.reassignTo(volunteer._id, { by: req.user._id, reason });
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 409));
+  }
+
+  await logAssignmentActivity(req, assignment, {
+    action: 'Reassigned Assignment',
+    description: `Reassigned "${assignment.title}" from ${previousVolunteer?.name || 'a removed user'} to ${volunteer.name}`,
+    details: reason || 'No reason given',
+  });
+
+  await notifyVolunteer(assignment, volunteer, 'assigned', req.user);
+  if (previousVolunteer) {
+    await notifyVolunteer(assignment, previousVolunteer, 'unassigned', req.user);
+  }
+
+  await assignment.populate(ASSIGNMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    data: assignment,
+    message: `Task reassigned to ${volunteer.name}`,
+  });
+});
+
+// @desc    Cancel a task
+// @route   PUT /api/admin/assignments/:id/cancel
+// @access  Private/Admin
+const cancelAssignment = asyncHandler(async (req, res, next) => {
+  const assignment = await Assignment.findById(req.params.id);
+  if (!assignment) {
+    return next(new ErrorResponse(`Assignment not found with id ${req.params.id}`, 404));
+  }
+
+  try {
+    await assignment.transitionTo('cancelled', { changedBy: req.user._id, note: req.body.reason });
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 409));
+  }
+
+  await logAssignmentActivity(req, assignment, {
+    action: 'Cancelled Assignment',
+    description: `Cancelled "${assignment.title}"`,
+    details: req.body.reason || 'No reason given',
+  });
+
+  const volunteer = await User.findById(assignment.volunteer).select('name email');
+  if (volunteer) {
+    await notifyVolunteer(assignment, volunteer, 'cancelled', req.user);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: assignment,
+    message: 'Task cancelled',
+  });
+});
+
+export default {
+  getAssignments,
+  createAssignment,
+  reassignAssignment,
+  cancelAssignment,
+};
@@ -1,136 +1,920 @@
-// Remove all the export keywords before functions
-const register = async (req, res, next) => {
-  // ... function body
+// server/src/controllers/authController.js
+import crypto from "crypto";
+import User from "../models/User.js";
+import Session, { parseDevice } from "../models/Session.js";
+import ActivityLog from "../models/ActivityLog.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import sendEmail, {
+  sendVerificationEmail,
+  sendNewSignInEmail,
+} from "../utils/emailService.js";
+import {
+  generateShortLivedToken,
+  verifyToken,
+  hashToken,
+} from "../utils/jwtUtils.js";
+import { buildOtpAuthUrl } from "../utils/totp.js";
+import { isValidCoordinate, toGeoPoint } from "../utils/geo.js";
+import { refreshAdminCounters } from "../utils/realtime.js";
+import { claimWalkInRequests } from "../utils/walkInRequests.js";
+import {
+  isTwoFactorRequiredForRole,
+  twoFactorConfig,
+} from "../config/security.js";
+
+const REFRESH_COOKIE = "refreshToken";
+const TWO_FACTOR_CHALLENGE = "two_factor_login";
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes +loginSecurity.knownDevices";
+
+// Public shape of the user returned by auth endpoints
+const authUserPayload = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  bloodGroup: user.bloodGroup,
+  district: user.district,
+  upazila: user.upazila,
+  avatar: user.avatar,
+  role: user.role,
+  lastDonationDate: user.lastDonationDate,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+});
+
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers["user-agent"] || "",
+});
+
+// Country code set by the CDN / reverse proxy in front of the API, if any
+const getClientCountry = (req) =>
+  (
+    req.headers["cf-ipcountry"] ||
+    req.headers["x-vercel-ip-country"] ||
+    req.headers["x-country-code"] ||
+    ""
+  )
+    .toString()
+    .toUpperCase() || null;
+
+// Set the refresh token as an httpOnly cookie scoped to the auth routes
+const setRefreshCookie = (res, refreshToken, expires) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/auth",
+    expires,
+  });
 };
 
-const login = async (req, res, next) => {
-  // ... function body
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: "/api/auth" });
 };
 
-const getMe = async (req, res, next) => {
-  // ... function body
+// Open a new session and send the access/refresh token pair
+const sendSessionResponse = async (
+  req,
+  res,
+  user,
+  statusCode,
+  message,
+  { twoFactorVerified = false } = {}
+) => {
+  const { session, refreshToken } = await Session.createSession(user._id, {
+    ...getClientInfo(req),
+    twoFactorVerified,
+  });
+
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+
+  res.status(statusCode).json({
+    success: true,
+    data: {
+      user: authUserPayload(user),
+      token: user.generateAuthToken(session._id),
+      refreshToken,
+      sessionId: session._id,
+      // The client must send the user through /2fa/setup before anything else works
+      twoFactorSetupRequired:
+        isTwoFactorRequiredForRole(user.role) && !user.twoFactor?.enabled,
+    },
+    message,
+  });
 };
 
-// Add all the other functions you need
-const refreshToken = async (req, res, next) => {
-  try {
-    // ... implementation
-    res.status(200).json({
-      success: true,
-      token: 'new-token'
-    });
-  } catch (error) {
-    next(error);
-  }
+// Users with 2FA get a short-lived challenge instead of a session
+const sendTwoFactorChallenge = (res, user) => {
+  const challengeToken = generateShortLivedToken(
+    { id: user._id, purpose: TWO_FACTOR_CHALLENGE },
+    twoFactorConfig.challengeExpiry
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+    },
+    message: "Enter the code from your authenticator app",
+  });
 };
 
-const forgotPassword = async (req, res, next) => {
-  try {
-    const { email } = req.body;
-    
-    const user = await User.findOne({ email });
-    if (!user) {
-      return next(new ErrorResponse('No user found with this email', 404));
-    }
-    
-    // Generate reset token
-    const resetToken = user.getResetPasswordToken();
-    await user.save({ validateBeforeSave: false });
-    
-    // Create reset URL
-    const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
-    
-    // Send email (you need to implement email service)
-    // await sendEmail({...});
-    
-    res.status(200).json({
-      success: true,
-      message: 'Password reset email sent'
-    });
-  } catch (error) {
-    next(error);
+const lockedMessage = (lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil - Date.now()) / 60000));
+  return `Too many failed login attempts. Account locked, try again in ${minutes} minute(s).`;
+};
+
+// Count a failed password / second factor and log it. Returns the error to send.
+const handleFailedLogin = async (req, user, stage) => {
+  const result = await user.registerFailedLogin();
+
+  await logAuthActivity(req, user, {
+    action: result.locked ? "Account Locked" : "Login Failed",
+    actionType: result.locked ? "security" : "login",
+    description: result.locked
+      ? `${user.email} locked for ${result.lockMinutes} minutes after repeated failed logins`
+      : `Failed login for ${user.email} (${stage})`,
+    details: {
+      stage,
+      attemptsLeft: result.attemptsLeft,
+      lockUntil: result.lockUntil,
+      country: getClientCountry(req),
+    },
+    status: "failed",
+    severity: result.locked ? "error" : "warning",
+  });
+
+  if (result.locked) {
+    return new ErrorResponse(lockedMessage(result.lockUntil), 423);
   }
+
+  return new ErrorResponse(
+    stage === "password" ? "Invalid credentials" : "Invalid authentication code",
+    401
+  );
 };
 
-const resetPassword = async (req, res, next) => {
-  try {
-    // Get hashed token
-    const resetPasswordToken = crypto
-      .createHash('sha256')
-      .update(req.params.token)
-      .digest('hex');
-    
-    const user = await User.findOne({
-      resetPasswordToken,
-      resetPasswordExpire: { $gt: Date.now() }
+// Refuse attempts against a locked account without checking the credentials
+const rejectLockedLogin = async (req, user) => {
+  await logAuthActivity(req, user, {
+    action: "Login Blocked",
+    actionType: "login",
+    description: `Login attempt for locked account ${user.email}`,
+    details: { lockUntil: user.loginSecurity.lockUntil },
+    status: "failed",
+    severity: "warning",
+  });
+
+  return new ErrorResponse(lockedMessage(user.loginSecurity.lockUntil), 423);
+};
+
+// Reset the lockout counters, remember the device and open the session.
+// `user` must have +loginSecurity.knownDevices selected.
+const completeLogin = async (req, res, user, { method = "password", twoFactorVerified = false } = {}) => {
+  const { ip, userAgent } = getClientInfo(req);
+  const device = parseDevice(userAgent);
+  const country = getClientCountry(req);
+
+  const { isNewDevice, isNewCountry } = user.rememberDevice({
+    fingerprint: hashToken(`${device.browser}|${device.os}|${device.type}`),
+    browser: device.browser,
+    os: device.os,
+    country,
+  });
+
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  const isUnfamiliar = isNewDevice || isNewCountry;
+
+  await logAuthActivity(req, user, {
+    action: "User Logged In",
+    actionType: "login",
+    description: isUnfamiliar
+      ? `${user.email} logged in from a new ${isNewCountry ? "country" : "device"}`
+      : `${user.email} logged in`,
+    details: { method, country, device, isNewDevice, isNewCountry },
+    severity: isUnfamiliar ? "warning" : "info",
+  });
+
+  if (isUnfamiliar) {
+    await sendNewSignInEmail(user, {
+      device: `${device.browser} on ${device.os}`,
+      country: country || "Unknown",
+      ip,
+      reason: isNewCountry ? "new country" : "new device",
     });
-    
-    if (!user) {
-      return next(new ErrorResponse('Invalid or expired token', 400));
-    }
-    
-    // Set new password
-    user.password = req.body.password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-    await user.save();
-    
-    sendTokenResponse(user, 200, res);
-  } catch (error) {
-    next(error);
   }
+
+  await sendSessionResponse(req, res, user, 200, "Login successful", {
+    twoFactorVerified,
+  });
 };
 
-const changePassword = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.id).select('+password');
-    
-    // Check current password
-    const isMatch = await user.comparePassword(req.body.currentPassword);
-    if (!isMatch) {
-      return next(new ErrorResponse('Current password is incorrect', 401));
-    }
-    
-    // Update password
-    user.password = req.body.newPassword;
-    await user.save();
-    
-    sendTokenResponse(user, 200, res);
-  } catch (error) {
-    next(error);
+// Check a TOTP code or a recovery code. Returns the method used, or null.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code && user.verifyTwoFactorCode(code)) {
+    return "totp";
   }
+  if (recoveryCode && user.useRecoveryCode(recoveryCode)) {
+    return "recovery_code";
+  }
+  return null;
 };
 
-const logout = async (req, res, next) => {
+const logAuthActivity = (req, user, details) =>
+  ActivityLog.logActivity({
+    user: user?._id,
+    userName: user?.name,
+    userEmail: user?.email,
+    userRole: user?.role,
+    category: "authentication",
+    userIp: req.ip,
+    userAgent: req.headers["user-agent"],
+    ...details,
+  });
+
+// @desc    Register user
+// @route   POST /api/auth/register
+// @access  Public
+export const register = asyncHandler(async (req, res, next) => {
+  const {
+    name,
+    email,
+    password,
+    bloodGroup,
+    district,
+    upazila,
+    avatar,
+    latitude,
+    longitude,
+  } = req.body;
+
+  const userExists = await User.findOne({ email });
+  if (userExists) {
+    return next(new ErrorResponse("User already exists", 400));
+  }
+
+  const user = await User.create({
+    name,
+    email,
+    password,
+    bloodGroup,
+    district,
+    upazila,
+    avatar,
+    // Without shared coordinates the district centre is used
+    ...(isValidCoordinate(latitude, longitude)
+      ? { location: toGeoPoint(latitude, longitude) }
+      : {}),
+  });
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  // The account is usable right away; verification only gates donation actions
+  const emailResult = await sendVerificationEmail(user, verificationToken);
+
+  await logAuthActivity(req, user, {
+    action: "User Registered",
+    actionType: "register",
+    description: `New account registered: ${user.email}`,
+    details: { verificationEmailSent: emailResult.success },
+  });
+
+  refreshAdminCounters();
+
+  await sendSessionResponse(
+    req,
+    res,
+    user,
+    201,
+    "Registration successful. Please check your email to verify your account."
+  );
+});
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+export const login = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email }).select(
+    "+password +loginSecurity.knownDevices"
+  );
+
+  if (!user) {
+    await logAuthActivity(req, null, {
+      userEmail: email,
+      action: "Login Failed",
+      actionType: "login",
+      description: `Failed login for unknown email ${email}`,
+      status: "failed",
+      severity: "info",
+    });
+    return next(new ErrorResponse("Invalid credentials", 401));
+  }
+
+  if (user.isLocked) {
+    return next(await rejectLockedLogin(req, user));
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(await handleFailedLogin(req, user, "password"));
+  }
+
+  if (user.status !== "active") {
+    return next(
+      new ErrorResponse("Account is not active. Please contact support.", 403)
+    );
+  }
+
+  if (user.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  await completeLogin(req, res, user);
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires challenge token)
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const { valid, decoded } = verifyToken(challengeToken || "");
+  if (!valid || decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+    return next(
+      new ErrorResponse("Login challenge expired, please log in again", 401)
+    );
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || user.status !== "active" || !user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse("Login challenge expired, please log in again", 401)
+    );
+  }
+
+  if (user.isLocked) {
+    return next(await rejectLockedLogin(req, user));
+  }
+
+  const method = checkSecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    return next(await handleFailedLogin(req, user, "two_factor"));
+  }
+
+  await completeLogin(req, res, user, { method, twoFactorVerified: true });
+});
+
+// @desc    Get current user
+// @route   GET /api/auth/me
+// @access  Private
+export const getMe = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
   res.status(200).json({
     success: true,
-    message: 'Logged out successfully'
+    data: user,
   });
-};
+});
 
-const getAllUsers = async (req, res, next) => {
-  try {
-    const users = await User.find();
-    
-    res.status(200).json({
-      success: true,
-      count: users.length,
-      data: users
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh-token
+// @access  Public (requires refresh token)
+export const refreshToken = asyncHandler(async (req, res, next) => {
+  const presentedToken = req.body.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+  if (!presentedToken) {
+    return next(new ErrorResponse("Refresh token required", 401));
+  }
+
+  const result = await Session.rotateToken(presentedToken, getClientInfo(req));
+
+  if (result.status === "reused") {
+    const owner = await User.findById(result.session.user);
+
+    await logAuthActivity(req, owner, {
+      action: "Refresh Token Reuse Detected",
+      actionType: "security",
+      description: `A rotated refresh token was presented again; session ${result.session._id} revoked`,
+      details: { sessionId: result.session._id, family: result.session.family },
+      status: "failed",
+      severity: "critical",
     });
+
+    clearRefreshCookie(res);
+    return next(
+      new ErrorResponse(
+        "Refresh token has already been used. Please log in again.",
+        401
+      )
+    );
+  }
+
+  if (result.status !== "rotated") {
+    clearRefreshCookie(res);
+    return next(new ErrorResponse("Invalid or expired refresh token", 401));
+  }
+
+  const user = await User.findById(result.session.user);
+  if (!user || user.status !== "active") {
+    await result.session.revoke("admin_action");
+    clearRefreshCookie(res);
+    return next(new ErrorResponse("Account is not active", 403));
+  }
+
+  setRefreshCookie(res, result.refreshToken, result.session.expiresAt);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: user.generateAuthToken(result.session._id),
+      refreshToken: result.refreshToken,
+      sessionId: result.session._id,
+    },
+  });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid or expired verification link", 400));
+  }
+
+  user.markEmailVerified();
+  await user.save({ validateBeforeSave: false });
+
+  // Requests a volunteer took for them before they had an account
+  let claimedRequests = 0;
+  try {
+    claimedRequests = await claimWalkInRequests(user);
   } catch (error) {
-    next(error);
+    console.error("Walk-in request claim error:", error);
   }
-};
 
-// Export as default object
+  await logAuthActivity(req, user, {
+    action: "Email Verified",
+    actionType: "update",
+    description: `${user.email} verified their email address`,
+    details: { claimedRequests },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { email: user.email, isEmailVerified: true },
+    message: "Email verified successfully",
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified) {
+    return next(new ErrorResponse("Email is already verified", 400));
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const result = await sendVerificationEmail(user, verificationToken);
+
+  if (!result.success) {
+    return next(
+      new ErrorResponse(
+        "Failed to send verification email. Please try again.",
+        500
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent successfully",
+  });
+});
+
+// @desc    Forgot password
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ email: req.body.email });
+  if (!user) {
+    return next(new ErrorResponse("User not found with this email", 404));
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetLink = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
+
+  const result = await sendEmail({
+    to: user.email,
+    subject: "Password Reset Request",
+    template: "password-reset",
+    data: {
+      name: user.name,
+      resetLink,
+      expiryTime: "10 minutes",
+    },
+  });
+
+  if (!result.success) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(
+      new ErrorResponse("Failed to send reset email. Please try again.", 500)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset email sent successfully",
+  });
+});
+
+// @desc    Reset password
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid or expired reset token", 400));
+  }
+
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Proving ownership of the inbox lifts a lockout
+  user.resetLoginAttempts();
+  await user.save();
+
+  // A reset means the old password may be known to someone else
+  await Session.revokeAllForUser(user._id, "password_changed");
+
+  // Owning the inbox must not be enough to skip the second factor
+  if (user.twoFactor?.enabled) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  await sendSessionResponse(req, res, user, 200, "Password reset successful");
+});
+
+// @desc    Change password
+// @route   PUT /api/auth/change-password
+// @access  Private
+export const changePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!(await user.comparePassword(currentPassword))) {
+    return next(new ErrorResponse("Current password is incorrect", 401));
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Keep the current login, sign out everywhere else
+  await Session.revokeAllForUser(
+    user._id,
+    "password_changed",
+    req.authSession?._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: user.generateAuthToken(req.authSession?._id),
+    },
+    message: "Password changed successfully",
+  });
+});
+
+// @desc    Logout (revoke the current session)
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = asyncHandler(async (req, res, next) => {
+  if (req.authSession) {
+    await req.authSession.revoke("logout");
+  }
+
+  await logAuthActivity(req, req.user, {
+    action: "User Logged Out",
+    actionType: "logout",
+    description: `${req.user.email} logged out`,
+  });
+
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = asyncHandler(async (req, res, next) => {
+  const revokedCount = await Session.revokeAllForUser(
+    req.user._id,
+    "logout_all"
+  );
+
+  await logAuthActivity(req, req.user, {
+    action: "User Logged Out Everywhere",
+    actionType: "logout",
+    description: `${req.user.email} revoked ${revokedCount} sessions`,
+  });
+
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    data: { revokedCount },
+    message: "Logged out from all devices",
+  });
+});
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.findActiveByUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => session.toPublic(req.authSession?._id)),
+  });
+});
+
+// @desc    End one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!session || !session.isActive) {
+    return next(
+      new ErrorResponse(`Session not found with id ${req.params.id}`, 404)
+    );
+  }
+
+  await session.revoke("user_revoked");
+
+  await logAuthActivity(req, req.user, {
+    action: "Session Revoked",
+    actionType: "security",
+    description: `${req.user.email} ended a session on ${session.device.browser} (${session.device.os})`,
+    entityType: "session",
+    entityId: session._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: "Session revoked successfully",
+  });
+});
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa/status
+// @access  Private
+export const getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.recoveryCodes"
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: isTwoFactorRequiredForRole(user.role),
+      recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+      sessionVerified: !!req.authSession?.twoFactorVerified,
+    },
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  const secret = user.startTwoFactorSetup();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, user.email, twoFactorConfig.issuer()),
+    },
+    message: "Scan the code with your authenticator app, then confirm it",
+  });
+});
+
+// @desc    Confirm enrollment and enable two-factor authentication
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+export const confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+
+  if (user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    return next(new ErrorResponse("Start two-factor setup first", 400));
+  }
+
+  if (!user.confirmTwoFactorSetup(req.body.code)) {
+    return next(new ErrorResponse("Invalid authentication code", 400));
+  }
+
+  const recoveryCodes = user.createRecoveryCodes(
+    twoFactorConfig.recoveryCodeCount
+  );
+  await user.save({ validateBeforeSave: false });
+
+  // The code just proved possession of the factor for this login as well
+  if (req.authSession) {
+    req.authSession.twoFactorVerified = true;
+    await req.authSession.save();
+  }
+
+  // Other sessions were opened without the second factor
+  await Session.revokeAllForUser(
+    user._id,
+    "user_revoked",
+    req.authSession?._id
+  );
+
+  await logAuthActivity(req, user, {
+    action: "Two-Factor Enabled",
+    actionType: "security",
+    description: `${user.email} enabled two-factor authentication`,
+    category: "security",
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes },
+    message:
+      "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user._id).select(
+    `+password ${TWO_FACTOR_FIELDS}`
+  );
+
+  if (!user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (isTwoFactorRequiredForRole(user.role)) {
+    return next(
+      new ErrorResponse(
+        `Two-factor authentication is mandatory for the ${user.role} role`,
+        403
+      )
+    );
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    return next(new ErrorResponse("Password is incorrect", 401));
+  }
+
+  if (!checkSecondFactor(user, { code, recoveryCode })) {
+    return next(new ErrorResponse("Invalid authentication code", 401));
+  }
+
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  await logAuthActivity(req, user, {
+    action: "Two-Factor Disabled",
+    actionType: "security",
+    description: `${user.email} disabled two-factor authentication`,
+    category: "security",
+    severity: "warning",
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid authentication code", 401));
+  }
+
+  const recoveryCodes = user.createRecoveryCodes(
+    twoFactorConfig.recoveryCodeCount
+  );
+  await user.save({ validateBeforeSave: false });
+
+  await logAuthActivity(req, user, {
+    action: "Recovery Codes Regenerated",
+    actionType: "security",
+    description: `${user.email} generated new two-factor recovery codes`,
+    category: "security",
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes },
+    message: "New recovery codes generated. The old ones no longer work.",
+  });
+});
+
 export default {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
   refreshToken,
+  verifyEmail,
+  resendVerification,
   forgotPassword,
   resetPassword,
   changePassword,
   logout,
-  getAllUsers
-};
\ No newline at end of file
+  logoutAll,
+  getSessions,
+  revokeSession,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -1,11 +1,21 @@
 // server/src/controllers/contactController.js
 import Contact from "../models/Contact.js";
+import Faq from "../models/Faq.js";
 import User from "../models/User.js";
 import Notification from "../models/Notification.js";
 import ActivityLog from "../models/ActivityLog.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
 import { sendEmail } from "../utils/emailService.js";
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+  parseSort,
+} from "../utils/pagination.js";
+import { emitVolunteerTask, refreshAdminCounters } from "../utils/realtime.js";
+import { dispatchContact } from "../utils/dispatch.js";
+import { notifyOnCallVolunteers } from "../utils/onCall.js";
 
 // @desc    Submit contact form (Public)
 // @route   POST /api/contact
@@ -176,6 +186,24 @@ const submitContact = asyncHandler(async (req, res, next) => {
     if (volunteerNotifications.length > 0) {
       await Notification.insertMany(volunteerNotifications);
     }
+
+    // Plus whoever is on call there without living in the district
+    await notifyOnCallVolunteers(
+      district,
+      {
+        title: "Emergency Contact in Your On-Call District 🚨",
+        message: `Emergency contact from ${name} in ${district}: ${subject}`,
+        category: "other",
+        actionUrl: `/dashboard/contacts/${contact._id}`,
+        data: {
+          contactId: contact._id,
+          category: "emergency",
+          location: district,
+          from: name,
+        },
+      },
+      { excludeIds: volunteers.map((volunteer) => volunteer._id) }
+    );
   }
 
   // Log activity
@@ -197,6 +225,15 @@ const submitContact = asyncHandler(async (req, res, next) => {
     userAgent: req.headers["user-agent"],
   });
 
+  // Emergencies get a volunteer of their own
+  try {
+    await dispatchContact(contact);
+  } catch (error) {
+    console.error("Volunteer dispatch error:", error);
+  }
+
+  refreshAdminCounters();
+
   res.status(201).json({
     success: true,
     data: contact,
@@ -208,9 +245,7 @@ const submitContact = asyncHandler(async (req, res, next) => {
 // @route   GET /api/contacts
 // @access  Private/Admin/Volunteer
 const getAllContacts = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   // Build filter
   const filter = {};
@@ -253,29 +288,17 @@ const getAllContacts = asyncHandler(async (req, res, next) => {
     if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
   }
 
-  // Sorting
-  const sort = {};
-  if (req.query.sort) {
-    const sortField = req.query.sort.startsWith("-")
-      ? req.query.sort.substring(1)
-      : req.query.sort;
-    sort[sortField] = req.query.sort.startsWith("-") ? -1 : 1;
-  } else {
-    // Default: priority first, then newest
-    sort.priority = -1;
-    sort.createdAt = -1;
-  }
+  // Sorting (default: priority first, then newest)
+  const sort = parseSort(req.query.sort, { priority: -1, createdAt: -1 });
 
-  const [contacts, total] = await Promise.all([
-    Contact.find(filter)
-      .populate("user", "name email avatar")
-      .populate("assignedTo", "name email avatar")
-      .populate("responses.responder", "name email avatar")
-      .skip(skip)
-      .limit(limit)
-      .sort(sort),
-    Contact.countDocuments(filter),
-  ]);
+  const result = await paginate(Contact, filter, pagination, {
+    sort,
+    query: (find) =>
+      find
+        .populate("user", "name email avatar")
+        .populate("assignedTo", "name email avatar")
+        .populate("responses.responder", "name email avatar"),
+  });
 
   // Get contact statistics
   const stats = await Contact.aggregate([
@@ -362,20 +385,11 @@ const getAllContacts = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: contacts.length,
-    total,
-    statistics: stats.length > 0 ? stats[0] : {},
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: contacts,
-  });
+  res.status(200).json(
+    paginatedResponse(result, {
+      statistics: stats.length > 0 ? stats[0] : {},
+    })
+  );
 });
 
 // @desc    Get single contact
@@ -412,6 +426,7 @@ const getContact = asyncHandler(async (req, res, next) => {
   ) {
     contact.status = "read";
     await contact.save();
+    refreshAdminCounters();
   }
 
   res.status(200).json({
@@ -477,6 +492,7 @@ const updateContactStatus = asyncHandler(async (req, res, next) => {
   }
 
   await contact.save();
+  refreshAdminCounters();
 
   // Log activity
   await ActivityLog.logActivity({
@@ -567,6 +583,15 @@ const assignContact = asyncHandler(async (req, res, next) => {
 
   await contact.save();
 
+  // Live task queues of the new and the previous assignee
+  emitVolunteerTask(assignTo, "contact", "assigned", {
+    contact: { _id: contact._id, subject: contact.subject, priority: contact.priority, status: contact.status },
+  });
+  if (oldAssignee && oldAssignee.toString() !== assignTo.toString()) {
+    emitVolunteerTask(oldAssignee, "contact", "unassigned", { contact: { _id: contact._id } });
+  }
+  refreshAdminCounters();
+
   // Log activity
   await ActivityLog.logActivity({
     user: req.user._id,
@@ -651,7 +676,7 @@ const respondToContact = asyncHandler(async (req, res, next) => {
     responderName: req.user.name,
     responderRole: req.user.role,
     message,
-    sentVia,
+    sentVia: sendVia,
   });
 
   // Send email response if requested
@@ -815,6 +840,7 @@ const markAsSpam = asyncHandler(async (req, res, next) => {
 
   contact.status = "spam";
   await contact.save();
+  refreshAdminCounters();
 
   // Log activity
   await ActivityLog.logActivity({
@@ -862,6 +888,7 @@ const archiveContact = asyncHandler(async (req, res, next) => {
   }
 
   await contact.archive(req.user.id);
+  refreshAdminCounters();
 
   // Log activity
   await ActivityLog.logActivity({
@@ -912,6 +939,7 @@ const deleteContact = asyncHandler(async (req, res, next) => {
   }
 
   await contact.deleteOne();
+  refreshAdminCounters();
 
   // Log activity
   await ActivityLog.logActivity({
@@ -1181,6 +1209,115 @@ const getContactStats = asyncHandler(async (req, res, next) => {
   });
 });
 
+const FAQ_FIELDS = ["question", "answer", "category", "order", "isActive"];
+
+const pickFaqFields = (body) =>
+  FAQ_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+const logFaqActivity = (req, faq, action, actionType, description) =>
+  ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    actionType,
+    category: "admin",
+    entityType: "faq",
+    entityId: faq._id,
+    entityName: faq.question,
+    description,
+    status: "success",
+    userIp: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+
+// @desc    Get FAQs in their order within each category
+// @route   GET /api/contact/faqs
+// @access  Private/Admin/Volunteer
+const getFAQs = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === "true";
+  }
+
+  const faqs = await Faq.find(filter)
+    .sort({ category: 1, order: 1, createdAt: 1 })
+    .populate("updatedBy", "name");
+
+  res.status(200).json({
+    success: true,
+    count: faqs.length,
+    data: faqs,
+  });
+});
+
+// @desc    Create FAQ
+// @route   POST /api/contact/faqs
+// @access  Private/Admin
+const createFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await Faq.create({
+    ...pickFaqFields(req.body),
+    createdBy: req.user._id,
+    updatedBy: req.user._id,
+  });
+
+  await logFaqActivity(req, faq, "Created FAQ", "create", `Added FAQ: ${faq.question}`);
+
+  res.status(201).json({
+    success: true,
+    data: faq,
+    message: "FAQ created successfully",
+  });
+});
+
+// @desc    Update FAQ
+// @route   PUT /api/contact/faqs/:id
+// @access  Private/Admin
+const updateFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await Faq.findById(req.params.id);
+
+  if (!faq) {
+    return next(new ErrorResponse(`FAQ not found with id ${req.params.id}`, 404));
+  }
+
+  faq.set({ ...pickFaqFields(req.body), updatedBy: req.user._id });
+  await faq.save();
+
+  await logFaqActivity(req, faq, "Updated FAQ", "update", `Updated FAQ: ${faq.question}`);
+
+  res.status(200).json({
+    success: true,
+    data: faq,
+    message: "FAQ updated successfully",
+  });
+});
+
+// @desc    Delete FAQ
+// @route   DELETE /api/contact/faqs/:id
+// @access  Private/Admin
+const deleteFAQ = asyncHandler(async (req, res, next) => {
+  const faq = await Faq.findById(req.params.id);
+
+  if (!faq) {
+    return next(new ErrorResponse(`FAQ not found with id ${req.params.id}`, 404));
+  }
+
+  await faq.deleteOne();
+
+  await logFaqActivity(req, faq, "Deleted FAQ", "delete", `Deleted FAQ: ${faq.question}`);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: "FAQ deleted successfully",
+  });
+});
+
 // Create controller object with all methods
 const contactController = {
   submitContact,
@@ -1195,6 +1332,10 @@ const contactController = {
   deleteContact,
   getContactsNeedingFollowUp,
   getContactStats,
+  getFAQs,
+  createFAQ,
+  updateFAQ,
+  deleteFAQ,
 };
 
 // Export the controller object as default
@@ -0,0 +1,275 @@
+import ContactRequest from '../models/ContactRequest.js';
+import User from '../models/User.js';
+import DonationRequest from '../models/DonationRequest.js';
+import ActivityLog from '../models/ActivityLog.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import notificationUtils from '../utils/notifications.js';
+import { isStaffViewer } from '../utils/donorPrivacy.js';
+import { getPaginationOptions, paginate, paginatedResponse } from '../utils/pagination.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The requester chose to reach out, so the donor sees how to contact them
+const REQUESTER_FIELDS = 'name avatar email phone bloodGroup district upazila';
+const DONOR_FIELDS = 'name avatar bloodGroup district upazila phone email';
+
+const logContactRequestActivity = (req, contactRequest, action, actionType, description) => {
+  return ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    actionType,
+    category: 'user',
+    entityType: 'contactRequest',
+    entityId: contactRequest._id,
+    description,
+    status: 'success',
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+};
+
+const isParticipant = (contactRequest, userId) => [contactRequest.requester, contactRequest.donor]
+  .some((participant) => String(participant?._id || participant) === String(userId));
+
+// A contact request as `viewer` sees it. The requester only gets the donor
+// details the donor shared, and only while the approval is valid.
+const presentContactRequest = (contactRequest, viewer) => {
+  const data = contactRequest.toObject();
+  const isDonor = String(data.donor?._id || data.donor) === String(viewer._id);
+
+  if (!isDonor && data.donor?.name !== undefined) {
+    const active = data.status === 'approved' && data.expiresAt > new Date();
+    const { phone, email, ...donor } = data.donor;
+    data.donor = {
+      ...donor,
+      ...(active && data.shared.phone ? { phone } : {}),
+      ...(active && data.shared.email ? { email } : {}),
+    };
+  }
+
+  return data;
+};
+
+// @desc    Ask a donor to share their contact details
+// @route   POST /api/contact-requests
+// @access  Private
+const createContactRequest = asyncHandler(async (req, res, next) => {
+  const { donor: donorId, donationRequest: donationRequestId, message = '' } = req.body;
+
+  if (isStaffViewer(req.user)) {
+    return next(new ErrorResponse('Staff can already see donor contact details', 400));
+  }
+
+  if (String(donorId) === String(req.user._id)) {
+    return next(new ErrorResponse('You cannot send a contact request to yourself', 400));
+  }
+
+  const donor = await User.findOne({ _id: donorId, role: 'donor', status: 'active' })
+    .select('name email privacy notificationPreferences');
+
+  if (!donor) {
+    return next(new ErrorResponse('Donor not found', 404));
+  }
+
+  if (donationRequestId) {
+    const donationRequest = await DonationRequest.findById(donationRequestId).select('requester');
+    if (!donationRequest) {
+      return next(new ErrorResponse('Donation request not found', 404));
+    }
+    if (String(donationRequest.requester) !== String(req.user._id)) {
+      return next(new ErrorResponse('You can only refer to your own donation requests', 403));
+    }
+  }
+
+  const open = await ContactRequest.findOne({
+    requester: req.user._id,
+    donor: donor._id,
+    $or: [
+      { status: 'pending' },
+      { status: 'approved', expiresAt: { $gt: new Date() } },
+    ],
+  });
+
+  if (open) {
+    return next(new ErrorResponse(
+      open.status === 'pending'
+        ? 'You already have a pending contact request for this donor'
+        : 'This donor has already accepted your contact request',
+      400
+    ));
+  }
+
+  if (await ContactRequest.hasReachedDailyLimit(req.user._id)) {
+    return next(new ErrorResponse(
+      `You can send at most ${ContactRequest.DAILY_REQUEST_LIMIT} contact requests a day`,
+      429
+    ));
+  }
+
+  const contactRequest = await ContactRequest.create({
+    requester: req.user._id,
+    donor: donor._id,
+    donationRequest: donationRequestId || null,
+    message,
+  });
+
+  await notificationUtils.sendContactRequest(contactRequest, req.user, donor);
+
+  await logContactRequestActivity(
+    req,
+    contactRequest,
+    'Sent Contact Request',
+    'create',
+    `Asked donor ${donor.name} for contact details`
+  );
+
+  res.status(201).json({
+    success: true,
+    data: presentContactRequest(contactRequest, req.user),
+    message: 'Contact request sent. The donor will decide whether to share their details.',
+  });
+});
+
+// @desc    List contact requests received (incoming) or sent (outgoing)
+// @route   GET /api/contact-requests
+// @access  Private
+const getContactRequests = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+  const box = req.query.box === 'outgoing' ? 'outgoing' : 'incoming';
+
+  const filter = box === 'outgoing' ? { requester: req.user._id } : { donor: req.user._id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const result = await paginate(ContactRequest, filter, pagination, {
+    sort: { createdAt: -1 },
+    query: (find) => find
+      .populate('requester', REQUESTER_FIELDS)
+      .populate('donor', DONOR_FIELDS)
+      .populate('donationRequest', 'recipientName bloodGroup hospitalName status'),
+  });
+
+  const data = result.data.map((contactRequest) => presentContactRequest(contactRequest, req.user));
+
+  res.status(200).json(paginatedResponse(result, { box }, data));
+});
+
+// @desc    Get a single contact request
+// @route   GET /api/contact-requests/:id
+// @access  Private (requester or donor)
+const getContactRequest = asyncHandler(async (req, res, next) => {
+  const contactRequest = await ContactRequest.findById(req.params.id)
+    .populate('requester', REQUESTER_FIELDS)
+    .populate('donor', DONOR_FIELDS)
+    .populate('donationRequest', 'recipientName bloodGroup hospitalName status');
+
+  if (!contactRequest || !isParticipant(contactRequest, req.user._id)) {
+    return next(new ErrorResponse('Contact request not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: presentContactRequest(contactRequest, req.user),
+  });
+});
+
+// @desc    Approve or decline a contact request. Declining an approved
+//          request stops sharing the details.
+// @route   PATCH /api/contact-requests/:id/respond
+// @access  Private (donor)
+const respondToContactRequest = asyncHandler(async (req, res, next) => {
+  const { decision, sharePhone = false, shareEmail = false } = req.body;
+
+  const contactRequest = await ContactRequest.findById(req.params.id);
+
+  if (!contactRequest || String(contactRequest.donor) !== String(req.user._id)) {
+    return next(new ErrorResponse('Contact request not found', 404));
+  }
+
+  const isPending = contactRequest.status === 'pending' && contactRequest.expiresAt > new Date();
+  const canRevoke = contactRequest.status === 'approved' && decision === 'decline';
+
+  if (!isPending && !canRevoke) {
+    const status = contactRequest.status === 'pending' ? 'expired' : contactRequest.status;
+    return next(new ErrorResponse(`This contact request is already ${status}`, 400));
+  }
+
+  const donor = await User.findById(req.user._id).select('name email privacy');
+  const platformOnly = !!donor.privacy?.platformOnly;
+
+  if (decision === 'approve') {
+    contactRequest.status = 'approved';
+    // Platform-only donors reach out themselves instead of sharing
+    contactRequest.shared = {
+      phone: !platformOnly && (sharePhone === true || sharePhone === 'true'),
+      email: !platformOnly && (shareEmail === true || shareEmail === 'true'),
+    };
+    contactRequest.expiresAt = new Date(Date.now() + ContactRequest.GRANT_EXPIRY_DAYS * DAY_MS);
+  } else {
+    contactRequest.status = 'declined';
+    contactRequest.shared = { phone: false, email: false };
+  }
+
+  contactRequest.respondedAt = new Date();
+  await contactRequest.save();
+
+  const requester = await User.findById(contactRequest.requester).select('name email');
+  if (requester && !canRevoke) {
+    await notificationUtils.sendContactRequestResponse(contactRequest, donor, requester);
+  }
+
+  await logContactRequestActivity(
+    req,
+    contactRequest,
+    canRevoke ? 'Revoked Contact Request' : 'Responded to Contact Request',
+    'update',
+    `${canRevoke ? 'Revoked' : contactRequest.status === 'approved' ? 'Approved' : 'Declined'} contact request from ${requester?.name || 'a user'}`
+  );
+
+  await contactRequest.populate('requester', REQUESTER_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    data: presentContactRequest(contactRequest, req.user),
+    message: contactRequest.status === 'approved'
+      ? 'Contact request approved'
+      : canRevoke ? 'Your contact details are no longer shared' : 'Contact request declined',
+  });
+});
+
+// @desc    Withdraw a pending contact request
+// @route   PATCH /api/contact-requests/:id/cancel
+// @access  Private (requester)
+const cancelContactRequest = asyncHandler(async (req, res, next) => {
+  const contactRequest = await ContactRequest.findById(req.params.id);
+
+  if (!contactRequest || String(contactRequest.requester) !== String(req.user._id)) {
+    return next(new ErrorResponse('Contact request not found', 404));
+  }
+
+  if (contactRequest.status !== 'pending') {
+    return next(new ErrorResponse(`This contact request is already ${contactRequest.status}`, 400));
+  }
+
+  contactRequest.status = 'cancelled';
+  await contactRequest.save();
+
+  await logContactRequestActivity(req, contactRequest, 'Cancelled Contact Request', 'update', 'Withdrew a contact request');
+
+  res.status(200).json({
+    success: true,
+    data: presentContactRequest(contactRequest, req.user),
+    message: 'Contact request cancelled',
+  });
+});
+
+export default {
+  createContactRequest,
+  getContactRequests,
+  getContactRequest,
+  respondToContactRequest,
+  cancelContactRequest,
+};
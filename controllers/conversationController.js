@@ -0,0 +1,118 @@
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  loadConversation,
+  markConversationRead,
+  sendMessage,
+  summarizeConversation,
+} from '../utils/conversations.js';
+import { getPaginationOptions, paginate, paginatedResponse } from '../utils/pagination.js';
+
+const REQUEST_FIELDS = 'recipientName bloodGroup hospitalName donationDate status';
+
+// Last read time of each participant, for read receipts
+const readReceipts = (conversation) => conversation.participants.map((participant) => ({
+  user: participant.user,
+  role: participant.role,
+  lastReadAt: participant.lastReadAt,
+}));
+
+// @desc    Get the conversations the current user takes part in
+// @route   GET /api/conversations
+// @access  Private
+const getMyConversations = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  // Threads of requests the user withdrew a pledge from are left out
+  const filter = {
+    participants: { $elemMatch: { user: req.user._id, active: { $ne: false } } },
+  };
+  if (req.query.status) filter.status = req.query.status;
+
+  const result = await paginate(Conversation, filter, pagination, {
+    sort: { updatedAt: -1 },
+    query: (find) => find
+      .populate('donationRequest', REQUEST_FIELDS)
+      .populate('participants.user', 'name avatar'),
+  });
+
+  const data = await Promise.all(result.data.map((conversation) => summarizeConversation(conversation, req.user)));
+
+  res.status(200).json(paginatedResponse(result, {}, data));
+});
+
+// @desc    Get (or start) the conversation of a donation request
+// @route   GET /api/conversations/request/:donationRequestId
+// @access  Private (requester, donors, volunteers, admins)
+const getRequestConversation = asyncHandler(async (req, res, next) => {
+  const { conversation, role } = await loadConversation(
+    { donationRequestId: req.params.donationRequestId },
+    req.user
+  );
+
+  await conversation.populate([
+    { path: 'donationRequest', select: REQUEST_FIELDS },
+    { path: 'participants.user', select: 'name avatar' },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...(await summarizeConversation(conversation, req.user)),
+      role,
+    },
+  });
+});
+
+// @desc    Get the messages of a conversation, newest first
+// @route   GET /api/conversations/:id/messages
+// @access  Private (requester, donors, volunteers, admins)
+const getMessages = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req, { defaultLimit: 30 });
+  const { conversation } = await loadConversation({ conversationId: req.params.id }, req.user);
+
+  const result = await paginate(Message, { conversation: conversation._id }, pagination, {
+    sort: { createdAt: -1 },
+    query: (find) => find.populate('sender', 'name avatar'),
+  });
+
+  res.status(200).json(paginatedResponse(result, {
+    conversationStatus: conversation.status,
+    readReceipts: readReceipts(conversation),
+  }));
+});
+
+// @desc    Send a message
+// @route   POST /api/conversations/:id/messages
+// @access  Private (requester, donors, volunteers, admins)
+const postMessage = asyncHandler(async (req, res, next) => {
+  const context = await loadConversation({ conversationId: req.params.id }, req.user);
+  const { message } = await sendMessage(context, req.user, req.body.text);
+
+  res.status(201).json({
+    success: true,
+    data: message,
+  });
+});
+
+// @desc    Mark a conversation as read
+// @route   PATCH /api/conversations/:id/read
+// @access  Private (participants)
+const markRead = asyncHandler(async (req, res, next) => {
+  const { conversation } = await loadConversation({ conversationId: req.params.id }, req.user);
+  const readAt = await markConversationRead(conversation, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { conversationId: conversation._id, readAt },
+  });
+});
+
+export default {
+  getMyConversations,
+  getRequestConversation,
+  getMessages,
+  postMessage,
+  markRead,
+};
@@ -5,6 +5,7 @@ import Funding from "../models/Funding.js";
 import Contact from "../models/Contact.js";
 import ActivityLog from "../models/ActivityLog.js";
 import Notification from "../models/Notification.js";
+import HelpArticle from "../models/HelpArticle.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
 
@@ -1580,6 +1581,86 @@ const getDashboardNotifications = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get the help articles written for the user's role
+// @route   GET /api/dashboard/help/articles
+// @access  Private
+const getHelpArticles = asyncHandler(async (req, res, next) => {
+  // Admins also see drafts and articles for other roles
+  const filter =
+    req.user.role === "admin" ? {} : HelpArticle.visibleTo(req.user.role);
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.tag) filter.tags = String(req.query.tag).toLowerCase();
+
+  const articles = await HelpArticle.find(filter)
+    .select("-content")
+    .sort({ category: 1, title: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: articles.length,
+    data: articles,
+  });
+});
+
+// Filter for a help article the user may read, by id or slug
+const helpArticleFilter = (id, user) => {
+  const filter = user.role === "admin" ? {} : HelpArticle.visibleTo(user.role);
+  const match = /^[0-9a-f]{24}$/i.test(id)
+    ? { $or: [{ _id: id }, { slug: id }] }
+    : { slug: String(id).toLowerCase() };
+
+  return { $and: [filter, match] };
+};
+
+// @desc    Get a help article by id or slug
+// @route   GET /api/dashboard/help/articles/:id
+// @access  Private
+const getHelpArticle = asyncHandler(async (req, res, next) => {
+  const article = await HelpArticle.findOneAndUpdate(
+    helpArticleFilter(req.params.id, req.user),
+    { $inc: { views: 1 } },
+    { new: true }
+  );
+
+  if (!article) {
+    return next(new ErrorResponse("Help article not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: article,
+  });
+});
+
+// @desc    Tell whether a help article was helpful
+// @route   POST /api/dashboard/help/feedback
+// @access  Private
+const submitHelpFeedback = asyncHandler(async (req, res, next) => {
+  const { articleId, helpful } = req.body;
+  const filter = helpArticleFilter(articleId, req.user);
+
+  const article = await HelpArticle.recordFeedback(
+    filter,
+    req.user._id,
+    helpful === true || helpful === "true"
+  );
+
+  if (!article) {
+    const exists = await HelpArticle.exists(filter);
+    return next(
+      exists
+        ? new ErrorResponse("You already sent feedback on this article", 409)
+        : new ErrorResponse("Help article not found", 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: article,
+    message: "Thanks for your feedback",
+  });
+});
+
 // Create controller object with all methods
 const dashboardController = {
   getDashboard,
@@ -1587,6 +1668,9 @@ const dashboardController = {
   getQuickStats,
   getRecentActivities,
   getDashboardNotifications,
+  getHelpArticles,
+  getHelpArticle,
+  submitHelpFeedback,
 };
 
 // Export the controller object as default
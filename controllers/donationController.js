@@ -1,19 +1,83 @@
 // server/src/controllers/donationController.js
 import DonationRequest from "../models/DonationRequest.js";
 import User from "../models/User.js";
+import ContactRequest from "../models/ContactRequest.js";
 import Notification from "../models/Notification.js";
 import ActivityLog from "../models/ActivityLog.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
+import { findMatchingDonors, isBloodCompatible } from "../utils/donorMatching.js";
+import { PLEDGE_STATUS_TRANSITIONS } from "../utils/constants.js";
+import { getReliabilityConfig } from "../config/reliability.js";
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+  parseSort,
+} from "../utils/pagination.js";
+import {
+  getRequestConversation,
+  syncConversationParticipants,
+} from "../utils/conversations.js";
+import { emitDonationEvent } from "../utils/realtime.js";
+import {
+  announceDonationRequest,
+  resolveHospitalFields,
+} from "../utils/donationIntake.js";
+import {
+  claimWalkInRequest,
+  findByTrackingToken,
+  toTrackingView,
+} from "../utils/walkInRequests.js";
+import { isValidCoordinate, toGeoPoint } from "../utils/geo.js";
+import { getContactVisibility, isStaffViewer } from "../utils/donorPrivacy.js";
+import {
+  creditDonations,
+  getOpenPledgeRecipients,
+  syncStatusWithPledges,
+  transitionDonationStatus,
+} from "../utils/donationStatus.js";
+
+// Plain copies of requests with their donor's contact details masked: staff
+// and the donor themself see them, the requester what the donor's privacy
+// settings or an approved contact request allow, anyone else neither
+const maskRequestDonors = async (donations, viewer) => {
+  const viewerId = String(viewer._id);
+  const isStaff = isStaffViewer(viewer);
+  const requesterOf = (donation) => String(donation.requester?._id || donation.requester);
+
+  const donorIds = isStaff
+    ? []
+    : donations
+        .filter((donation) => donation.donor?._id && requesterOf(donation) === viewerId)
+        .map((donation) => donation.donor._id);
+  const grants = donorIds.length > 0
+    ? await ContactRequest.getGrants(viewer._id, donorIds)
+    : new Map();
+
+  return donations.map((donation) => {
+    const data = donation.toObject();
+    if (!data.donor?._id) return data;
+
+    const { privacy, ...donor } = data.donor;
+    const canSeeContacts =
+      isStaff || requesterOf(data) === viewerId || String(donor._id) === viewerId;
+    const visible = canSeeContacts
+      ? getContactVisibility(data.donor, viewer, grants.get(String(donor._id)) || null)
+      : { phone: false, email: false };
+
+    if (!visible.phone) delete donor.phone;
+    if (!visible.email) delete donor.email;
+    return { ...data, donor };
+  });
+};
 
 // @desc    Get all donation requests
 // @route   GET /api/donations
 // @access  Public/Private (based on role)
 export const getAllDonations = asyncHandler(async (req, res, next) => {
-  // Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  // Pagination (page or cursor mode)
+  const pagination = getPaginationOptions(req);
 
   // Base filter - only active requests
   const filter = { isActive: true };
@@ -57,29 +121,18 @@ export const getAllDonations = asyncHandler(async (req, res, next) => {
       filter.donationDate.$lte = new Date(req.query.endDate);
   }
 
-  // Sorting
-  const sort = {};
-  if (req.query.sort) {
-    const sortField = req.query.sort.startsWith("-")
-      ? req.query.sort.substring(1)
-      : req.query.sort;
-    sort[sortField] = req.query.sort.startsWith("-") ? -1 : 1;
-  } else {
-    // Default: urgency first, then donation date
-    sort.urgency = -1;
-    sort.donationDate = 1;
-  }
+  // Sorting (default: urgency first, then donation date)
+  const sort = parseSort(req.query.sort, { urgency: -1, donationDate: 1 });
 
   // Execute query
-  const [donations, total] = await Promise.all([
-    DonationRequest.find(filter)
-      .populate("requester", "name email avatar bloodGroup")
-      .populate("donor", "name email avatar bloodGroup")
-      .skip(skip)
-      .limit(limit)
-      .sort(sort),
-    DonationRequest.countDocuments(filter),
-  ]);
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort,
+    query: (find) =>
+      find
+        .populate("requester", "name email avatar bloodGroup")
+        .populate("donor", "name email avatar bloodGroup"),
+  });
+  const donations = result.data;
 
   // Log activity if user is logged in
   if (req.user) {
@@ -104,31 +157,33 @@ export const getAllDonations = asyncHandler(async (req, res, next) => {
     });
   }
 
-  res.status(200).json({
-    success: true,
-    count: donations.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: donations,
-  });
+  res.status(200).json(paginatedResponse(result));
 });
 
 // @desc    Get single donation request
 // @route   GET /api/donations/:id
 // @access  Private
 export const getDonation = asyncHandler(async (req, res, next) => {
-  const donation = await DonationRequest.findById(req.params.id)
+  const isStaff = req.user.role === "admin" || req.user.role === "volunteer";
+
+  const query = DonationRequest.findById(req.params.id)
     .populate(
       "requester",
       "name email avatar phone bloodGroup district upazila"
     )
-    .populate("donor", "name email avatar phone bloodGroup district upazila");
+    .populate("donor", "name email avatar phone bloodGroup district upazila privacy");
+
+  // Volunteers follow up with the donors outreach contacted; others only see the waves
+  if (isStaff) {
+    query.populate(
+      "outreach.contactedDonors.donor",
+      "name phone bloodGroup district upazila"
+    );
+  } else {
+    query.select("-outreach.contactedDonors");
+  }
+
+  const donation = await query;
 
   if (!donation) {
     return next(
@@ -141,10 +196,10 @@ export const getDonation = asyncHandler(async (req, res, next) => {
 
   // Check authorization
   const canView =
-    req.user.role === "admin" ||
-    req.user.role === "volunteer" ||
+    isStaff ||
     donation.requester._id.toString() === req.user.id ||
-    (donation.donor && donation.donor._id.toString() === req.user.id);
+    (donation.donor && donation.donor._id.toString() === req.user.id) ||
+    donation.pledges.some((pledge) => pledge.donor.toString() === req.user.id);
 
   if (!canView) {
     return next(
@@ -170,9 +225,11 @@ export const getDonation = asyncHandler(async (req, res, next) => {
     userAgent: req.headers["user-agent"],
   });
 
+  const [data] = await maskRequestDonors([donation], req.user);
+
   res.status(200).json({
     success: true,
-    data: donation,
+    data,
   });
 });
 
@@ -206,6 +263,7 @@ export const createDonation = asyncHandler(async (req, res, next) => {
     recipientUpazila: req.body.recipientUpazila,
     hospitalName: req.body.hospitalName,
     hospitalAddress: req.body.hospitalAddress,
+    ...(await resolveHospitalFields(req.body)),
     bloodGroup: req.body.bloodGroup.toUpperCase(),
     donationDate: donationDate,
     donationTime: req.body.donationTime,
@@ -213,6 +271,10 @@ export const createDonation = asyncHandler(async (req, res, next) => {
     urgency: req.body.urgency || "medium",
     unitsRequired: req.body.unitsRequired || 1,
     contactPerson: req.body.contactPerson || {},
+    // Coordinates sent by the client win over the directory and the district centre
+    ...(isValidCoordinate(req.body.latitude, req.body.longitude)
+      ? { location: toGeoPoint(req.body.latitude, req.body.longitude) }
+      : {}),
   });
 
   // Populate requester info
@@ -237,65 +299,7 @@ export const createDonation = asyncHandler(async (req, res, next) => {
     userAgent: req.headers["user-agent"],
   });
 
-  // Create notification for admins and volunteers about new request
-  const adminsAndVolunteers = await User.find({
-    role: { $in: ["admin", "volunteer"] },
-    status: "active",
-  });
-
-  const notifications = adminsAndVolunteers.map((user) => ({
-    recipient: user._id,
-    recipientEmail: user.email,
-    title: "New Donation Request 🆕",
-    message: `New blood donation request for ${donation.bloodGroup} at ${donation.hospitalName}. Patient: ${donation.recipientName}`,
-    type: "request",
-    category: "donation",
-    priority: donation.urgency === "critical" ? "high" : "medium",
-    actionUrl: `/dashboard/all-blood-donation-request/${donation._id}`,
-    data: {
-      donationId: donation._id,
-      bloodGroup: donation.bloodGroup,
-      urgency: donation.urgency,
-    },
-    sender: req.user._id,
-    senderName: req.user.name,
-    senderRole: req.user.role,
-  }));
-
-  if (notifications.length > 0) {
-    await Notification.insertMany(notifications);
-  }
-
-  // Also notify compatible donors in the area
-  const compatibleDonors = await User.find({
-    bloodGroup: donation.bloodGroup,
-    district: donation.recipientDistrict,
-    status: "active",
-    isAvailable: true,
-  });
-
-  const donorNotifications = compatibleDonors
-    .filter((donor) => donor._id.toString() !== req.user.id) // Don't notify requester
-    .map((donor) => ({
-      recipient: donor._id,
-      recipientEmail: donor.email,
-      title: "Urgent: Blood Donation Needed 🩸",
-      message: `A patient with ${donation.bloodGroup} blood needs your help at ${donation.hospitalName}. Location: ${donation.recipientUpazila}, ${donation.recipientDistrict}`,
-      type: "alert",
-      category: "donation",
-      priority: donation.urgency === "critical" ? "critical" : "high",
-      actionUrl: `/donation-requests/${donation._id}`,
-      data: {
-        donationId: donation._id,
-        bloodGroup: donation.bloodGroup,
-        location: `${donation.recipientUpazila}, ${donation.recipientDistrict}`,
-        hospital: donation.hospitalName,
-      },
-    }));
-
-  if (donorNotifications.length > 0) {
-    await Notification.insertMany(donorNotifications);
-  }
+  await announceDonationRequest(donation, req.user);
 
   res.status(201).json({
     success: true,
@@ -350,6 +354,26 @@ export const updateDonation = asyncHandler(async (req, res, next) => {
   delete updates.donor;
   delete updates.donorName;
   delete updates.donorEmail;
+  delete updates.location;
+  delete updates.latitude;
+  delete updates.longitude;
+  delete updates.hospital;
+  delete updates.walkIn;
+  delete updates.sla;
+
+  // Re-link the directory record when the hospital changes
+  if (req.body.hospital || updates.hospitalName) {
+    const hospitalFields = await resolveHospitalFields({
+      hospital: req.body.hospital,
+      hospitalName: updates.hospitalName,
+      recipientDistrict: updates.recipientDistrict || donation.recipientDistrict,
+    });
+    Object.assign(updates, { hospital: null }, hospitalFields);
+  }
+
+  if (isValidCoordinate(req.body.latitude, req.body.longitude)) {
+    updates.location = toGeoPoint(req.body.latitude, req.body.longitude);
+  }
 
   // Format blood group
   if (updates.bloodGroup) {
@@ -367,11 +391,18 @@ export const updateDonation = asyncHandler(async (req, res, next) => {
     updates.donationDate = donationDate;
   }
 
+  const previous = {
+    recipientDistrict: donation.recipientDistrict,
+    bloodGroup: donation.bloodGroup,
+  };
+
   donation = await DonationRequest.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true,
   }).populate("requester donor");
 
+  emitDonationEvent(donation, "updated", { previous, actor: req.user });
+
   // Log activity
   await ActivityLog.logActivity({
     user: req.user._id,
@@ -391,22 +422,24 @@ export const updateDonation = asyncHandler(async (req, res, next) => {
     userAgent: req.headers["user-agent"],
   });
 
-  // Notify donor if donation was inprogress
-  if (donation.donor && donation.status === "inprogress") {
-    await Notification.createSystemNotification({
-      recipient: donation.donor,
-      recipientEmail: donation.donorEmail,
-      title: "Donation Request Updated",
-      message: `The donation request you accepted has been updated. Please review the new details.`,
-      type: "info",
-      category: "donation",
-      priority: "medium",
-      actionUrl: `/donation-requests/${donation._id}`,
-      data: {
-        donationId: donation._id,
-        updatedBy: req.user.name,
-      },
-    });
+  // Notify donors who pledged to the request
+  const pledgedDonors = getOpenPledgeRecipients(donation);
+  if (pledgedDonors.length > 0) {
+    await Notification.insertMany(
+      pledgedDonors.map((donor) => ({
+        ...donor,
+        title: "Donation Request Updated",
+        message: `The donation request you pledged to has been updated. Please review the new details.`,
+        type: "info",
+        category: "donation",
+        priority: "medium",
+        actionUrl: `/donation-requests/${donation._id}`,
+        data: {
+          donationId: donation._id,
+          updatedBy: req.user.name,
+        },
+      }))
+    );
   }
 
   res.status(200).json({
@@ -455,6 +488,8 @@ export const deleteDonation = asyncHandler(async (req, res, next) => {
   donation.isActive = false;
   await donation.save();
 
+  emitDonationEvent(donation, "removed", { actor: req.user });
+
   // Log activity
   await ActivityLog.logActivity({
     user: req.user._id,
@@ -475,22 +510,24 @@ export const deleteDonation = asyncHandler(async (req, res, next) => {
     userAgent: req.headers["user-agent"],
   });
 
-  // Notify donor if there was one
-  if (donation.donor) {
-    await Notification.createSystemNotification({
-      recipient: donation.donor,
-      recipientEmail: donation.donorEmail,
-      title: "Donation Request Cancelled",
-      message: `The donation request you accepted has been cancelled by the requester.`,
-      type: "warning",
-      category: "donation",
-      priority: "medium",
-      actionUrl: "/dashboard",
-      data: {
-        donationId: donation._id,
-        cancelledBy: req.user.name,
-      },
-    });
+  // Notify donors who pledged to the request
+  const pledgedDonors = getOpenPledgeRecipients(donation);
+  if (pledgedDonors.length > 0) {
+    await Notification.insertMany(
+      pledgedDonors.map((donor) => ({
+        ...donor,
+        title: "Donation Request Cancelled",
+        message: `The donation request you pledged to has been cancelled by the requester.`,
+        type: "warning",
+        category: "donation",
+        priority: "medium",
+        actionUrl: "/dashboard",
+        data: {
+          donationId: donation._id,
+          cancelledBy: req.user.name,
+        },
+      }))
+    );
   }
 
   res.status(200).json({
@@ -500,8 +537,8 @@ export const deleteDonation = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Accept donation request
-// @route   POST /api/donations/:id/accept
+// @desc    Accept donation request (pledge units to it)
+// @route   POST /api/donations/:id/donate
 // @access  Private (Donor only)
 export const acceptDonation = asyncHandler(async (req, res, next) => {
   const donation = await DonationRequest.findById(req.params.id);
@@ -557,11 +594,11 @@ export const acceptDonation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("This donation request has expired", 400));
   }
 
-  // Check blood group compatibility (basic check)
-  if (req.user.bloodGroup !== donation.bloodGroup) {
+  // Check blood group compatibility
+  if (!isBloodCompatible(req.user.bloodGroup, donation.bloodGroup)) {
     return next(
       new ErrorResponse(
-        `Your blood group (${req.user.bloodGroup}) does not match the required blood group (${donation.bloodGroup})`,
+        `Your blood group (${req.user.bloodGroup}) cannot be given to a ${donation.bloodGroup} recipient`,
         400
       )
     );
@@ -582,14 +619,57 @@ export const acceptDonation = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Accept donation
-  await donation.acceptDonation(req.user.id, req.user.name, req.user.email);
+  // Donors with repeated no-shows sit out critical requests for a while
+  if (donation.urgency === "critical" && req.user.isInCooldown) {
+    return next(
+      new ErrorResponse(
+        `You missed recent donations and cannot pledge to critical requests until ${new Date(
+          req.user.reliability.cooldownUntil
+        ).toLocaleDateString()}.`,
+        403
+      )
+    );
+  }
+
+  const units = parseInt(req.body.units, 10) || 1;
 
-  // Update donor's last donation date and increment total donations
-  await User.findByIdAndUpdate(req.user.id, {
-    lastDonationDate: donation.donationDate,
-    $inc: { totalDonations: 1 },
-  });
+  if (donation.getOpenPledge(req.user.id)) {
+    return next(
+      new ErrorResponse("You have already pledged to this donation request", 400)
+    );
+  }
+
+  if (units > donation.remainingUnits) {
+    return next(
+      new ErrorResponse(
+        `Only ${donation.remainingUnits} unit(s) are still needed for this request`,
+        400
+      )
+    );
+  }
+
+  // Pledge the units. The donor's donation count is updated once the pledge is done.
+  // Another donor may have taken the last units since the checks above.
+  let pledge;
+  try {
+    pledge = await donation.addPledge({
+      donorId: req.user.id,
+      donorName: req.user.name,
+      donorEmail: req.user.email,
+      units,
+      note: req.body.note,
+    });
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 409));
+  }
+
+  // Moves the request to inprogress once every unit has a donor
+  await syncStatusWithPledges(donation, { user: req.user, req });
+
+  // Opens the request's conversation, or adds this donor to it
+  const conversation = await getRequestConversation(donation);
+
+  emitDonationEvent(donation, "updated", { actor: req.user });
 
   // Log activity
   await ActivityLog.logActivity({
@@ -597,34 +677,49 @@ export const acceptDonation = asyncHandler(async (req, res, next) => {
     userName: req.user.name,
     userEmail: req.user.email,
     userRole: req.user.role,
-    action: "Accepted Donation Request",
+    action: "Pledged to Donation Request",
     actionType: "update",
     category: "donation",
     entityType: "donation_request",
     entityId: donation._id,
     entityName: donation.recipientName,
-    description: `${req.user.name} accepted donation request for ${donation.recipientName}`,
-    details: `Blood Group: ${donation.bloodGroup}, Hospital: ${donation.hospitalName}`,
+    description: `${req.user.name} pledged ${units} unit(s) to the donation request for ${donation.recipientName}`,
+    details: `Blood Group: ${donation.bloodGroup}, Hospital: ${donation.hospitalName}, Pledged: ${donation.pledgedUnits}/${donation.unitsRequired}`,
     status: "success",
     userIp: req.ip,
     userAgent: req.headers["user-agent"],
   });
 
+  // The requester gets the donor's contact details the donor's privacy
+  // settings allow them to see
+  const [requester, grants] = await Promise.all([
+    User.findById(donation.requester).select("role"),
+    ContactRequest.getGrants(donation.requester, [req.user._id]),
+  ]);
+  const visibleToRequester = getContactVisibility(
+    req.user,
+    requester,
+    grants.get(String(req.user._id)) || null
+  );
+
   // Notify requester
   await Notification.createSystemNotification({
     recipient: donation.requester,
     recipientEmail: donation.requesterEmail,
-    title: "Donation Request Accepted! 🎉",
-    message: `${req.user.name} has accepted your donation request for ${donation.recipientName}. Please contact them to coordinate.`,
+    title: "New Donation Pledge! 🎉",
+    message: `${req.user.name} has pledged ${units} unit(s) for ${donation.recipientName} (${donation.pledgedUnits} of ${donation.unitsRequired} pledged). Message them on the request page to coordinate.`,
     type: "success",
     category: "donation",
     priority: "high",
     actionUrl: `/donation-requests/${donation._id}`,
     data: {
       donationId: donation._id,
+      pledgeId: pledge._id,
+      conversationId: conversation._id,
+      units,
       donorName: req.user.name,
-      donorEmail: req.user.email,
-      donorPhone: req.user.phone,
+      ...(visibleToRequester.email ? { donorEmail: req.user.email } : {}),
+      ...(visibleToRequester.phone ? { donorPhone: req.user.phone } : {}),
     },
     sender: req.user._id,
     senderName: req.user.name,
@@ -633,96 +728,114 @@ export const acceptDonation = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: donation,
-    message: "Donation request accepted successfully",
+    data: {
+      donation,
+      pledge,
+      conversationId: conversation._id,
+    },
+    message:
+      donation.remainingUnits === 0
+        ? "Pledge recorded, all units for this request are now pledged"
+        : `Pledge recorded, ${donation.remainingUnits} unit(s) still needed`,
   });
 });
 
-// @desc    Update donation status
-// @route   PATCH /api/donations/:id/status
-// @access  Private (Admin/Volunteer/Donor based on status)
-export const updateStatus = asyncHandler(async (req, res, next) => {
+// @desc    Update the status of a pledge
+// @route   PUT /api/donations/:id/pledges/:pledgeId/status
+// @access  Private (Requester/Admin/Volunteer, or the pledging donor to confirm or cancel)
+export const updatePledgeStatus = asyncHandler(async (req, res, next) => {
   const { status, note } = req.body;
-  const validStatuses = ["pending", "inprogress", "done", "canceled"];
 
-  if (!validStatuses.includes(status)) {
+  const donation = await DonationRequest.findById(req.params.id);
+
+  if (!donation) {
     return next(
       new ErrorResponse(
-        `Invalid status. Valid statuses: ${validStatuses.join(", ")}`,
-        400
+        `Donation request not found with id ${req.params.id}`,
+        404
       )
     );
   }
 
-  const donation = await DonationRequest.findById(req.params.id);
+  const pledge = donation.pledges.id(req.params.pledgeId);
 
-  if (!donation) {
+  if (!pledge) {
+    return next(
+      new ErrorResponse(`Pledge not found with id ${req.params.pledgeId}`, 404)
+    );
+  }
+
+  const isStaff = req.user.role === "admin" || req.user.role === "volunteer";
+  const isRequester = donation.requester.toString() === req.user.id;
+  const isPledger = pledge.donor.toString() === req.user.id;
+
+  // Donors confirm or withdraw their own pledge; the outcome is recorded
+  // by the requester or staff at the hospital
+  const canUpdate = {
+    confirmed: isStaff || isRequester || isPledger,
+    done: isStaff || isRequester,
+    no_show: isStaff || isRequester,
+    canceled: isStaff || isPledger,
+  };
+
+  if (!canUpdate[status]) {
+    return next(
+      new ErrorResponse(`Not authorized to mark this pledge as ${status}`, 403)
+    );
+  }
+
+  const oldPledgeStatus = pledge.status;
+  const allowedTransitions = PLEDGE_STATUS_TRANSITIONS[pledge.status] || [];
+
+  if (!allowedTransitions.includes(status)) {
     return next(
       new ErrorResponse(
-        `Donation request not found with id ${req.params.id}`,
-        404
+        `Cannot change a ${pledge.status} pledge to ${status}`,
+        409,
+        { from: pledge.status, to: status, allowedTransitions }
       )
     );
   }
 
-  // Authorization logic based on status transition
-  let canUpdate = false;
-  let updateReason = "";
-
-  switch (status) {
-    case "inprogress":
-      // Only donor who accepted can change to inprogress (handled in accept endpoint)
-      // Admin/Volunteer can also change
-      canUpdate = req.user.role === "admin" || req.user.role === "volunteer";
-      updateReason = "Marked as in progress";
-      break;
-
-    case "done":
-      // Donor who accepted, or admin/volunteer can mark as done
-      canUpdate =
-        req.user.role === "admin" ||
-        req.user.role === "volunteer" ||
-        (donation.donor && donation.donor.toString() === req.user.id);
-      updateReason = "Marked as completed";
-      break;
-
-    case "canceled":
-      // Requester, donor, admin, or volunteer can cancel
-      canUpdate =
-        req.user.role === "admin" ||
-        req.user.role === "volunteer" ||
-        donation.requester.toString() === req.user.id ||
-        (donation.donor && donation.donor.toString() === req.user.id);
-      updateReason = note || "Cancelled by user";
-      break;
-
-    case "pending":
-      // Only admin/volunteer can revert to pending
-      canUpdate = req.user.role === "admin" || req.user.role === "volunteer";
-      updateReason = "Reverted to pending";
-      break;
-
-    default:
-      canUpdate = false;
+  try {
+    await donation.updatePledgeStatus(pledge._id, status, {
+      changedBy: req.user._id,
+      note,
+    });
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 409));
   }
 
-  if (!canUpdate) {
-    return next(new ErrorResponse("Not authorized to update status", 403));
+  if (status === "done") {
+    await creditDonations([pledge]);
   }
 
-  // Update status
-  const oldStatus = donation.status;
-  donation.status = status;
+  // Record missed donations and last-minute withdrawals against the donor
+  const { lateCancelHours } = getReliabilityConfig();
+  const isLateCancel =
+    status === "canceled" &&
+    isPledger &&
+    donation.donationDeadline &&
+    donation.donationDeadline - Date.now() < lateCancelHours * 60 * 60 * 1000;
+
+  let reliability = null;
+  if (status === "no_show" || isLateCancel) {
+    reliability = await User.recordReliabilityEvent(
+      pledge.donor,
+      status === "no_show" ? "no_show" : "late_cancel",
+      { donationRequest: donation._id }
+    );
+  }
 
-  // Add to status history
-  donation.statusHistory.push({
-    status,
-    changedBy: req.user.id,
-    changedAt: new Date(),
-    note: updateReason,
-  });
+  // Completes the request, or reopens it when units are uncovered again
+  await syncStatusWithPledges(donation, { user: req.user, req });
 
-  await donation.save();
+  // A donor who withdrew leaves the request's conversation
+  if (status === "canceled") {
+    await syncConversationParticipants(donation);
+  }
+
+  emitDonationEvent(donation, "updated", { actor: req.user });
 
   // Log activity
   await ActivityLog.logActivity({
@@ -730,14 +843,14 @@ export const updateStatus = asyncHandler(async (req, res, next) => {
     userName: req.user.name,
     userEmail: req.user.email,
     userRole: req.user.role,
-    action: "Updated Donation Status",
+    action: "Updated Donation Pledge",
     actionType: "update",
     category: "donation",
     entityType: "donation_request",
     entityId: donation._id,
     entityName: donation.recipientName,
-    description: `Changed status from ${oldStatus} to ${status} for ${donation.recipientName}`,
-    details: `Reason: ${updateReason}`,
+    description: `Changed pledge of ${pledge.donorName} from ${oldPledgeStatus} to ${status} for ${donation.recipientName}`,
+    details: `Units: ${pledge.units}, Donated: ${donation.fulfilledUnits}/${donation.unitsRequired}, Request status: ${donation.status}`,
     status: "success",
     userIp: req.ip,
     userAgent: req.headers["user-agent"],
@@ -746,71 +859,107 @@ export const updateStatus = asyncHandler(async (req, res, next) => {
   // Notify relevant parties
   const notifications = [];
 
-  if (status === "done") {
-    // Notify requester
+  if (!isPledger) {
+    const donorMessages = {
+      confirmed: {
+        title: "Your Pledge is Confirmed",
+        message: `Your pledge of ${pledge.units} unit(s) for ${donation.recipientName} at ${donation.hospitalName} has been confirmed.`,
+        type: "info",
+      },
+      done: {
+        title: "Thank You for Your Donation! ❤️",
+        message: `You have successfully donated blood for ${donation.recipientName}. Your contribution saves lives!`,
+        type: "success",
+      },
+      no_show: {
+        title: "Missed Donation",
+        message: `You were marked as not showing up for the donation for ${donation.recipientName}. ${note || ""}${
+          reliability?.cooldownUntil > new Date()
+            ? ` After repeated missed donations you cannot pledge to critical requests until ${new Date(
+                reliability.cooldownUntil
+              ).toLocaleDateString()}.`
+            : ""
+        }`,
+        type: "warning",
+      },
+      canceled: {
+        title: "Pledge Cancelled",
+        message: `Your pledge for ${donation.recipientName} has been cancelled. ${note || ""}`,
+        type: "warning",
+      },
+    };
+
     notifications.push({
-      recipient: donation.requester,
-      recipientEmail: donation.requesterEmail,
-      title: "Donation Completed Successfully! ✅",
-      message: `The blood donation for ${donation.recipientName} has been completed successfully. Thank you for using our platform!`,
-      type: "success",
+      recipient: pledge.donor,
+      recipientEmail: pledge.donorEmail,
+      ...donorMessages[status],
       category: "donation",
       priority: "medium",
       actionUrl: `/donation-requests/${donation._id}`,
-      data: { donationId: donation._id, completed: true },
+      data: { donationId: donation._id, pledgeId: pledge._id, status },
     });
+  }
+
+  if (!isRequester && status !== "done") {
+    const requesterTitles = {
+      confirmed: "Donation Pledge Confirmed",
+      no_show: "Donor Did Not Show Up",
+      canceled: "Donation Pledge Cancelled",
+    };
 
-    // Notify donor
-    if (donation.donor) {
-      notifications.push({
-        recipient: donation.donor,
-        recipientEmail: donation.donorEmail,
-        title: "Thank You for Your Donation! ❤️",
-        message: `You have successfully donated blood for ${donation.recipientName}. Your contribution saves lives!`,
-        type: "success",
-        category: "donation",
-        priority: "medium",
-        actionUrl: "/dashboard",
-        data: { donationId: donation._id, lifesaver: true },
-      });
-    }
-  } else if (status === "canceled") {
-    // Notify both parties
     notifications.push({
       recipient: donation.requester,
       recipientEmail: donation.requesterEmail,
-      title: "Donation Request Cancelled",
-      message: `The donation request for ${
-        donation.recipientName
-      } has been cancelled. ${note || ""}`,
-      type: "warning",
+      title: requesterTitles[status],
+      message: `The pledge of ${pledge.donorName} for ${donation.recipientName} is now ${status.replace("_", " ")}. ${donation.remainingUnits} unit(s) still need a donor.`,
+      type: status === "confirmed" ? "info" : "warning",
       category: "donation",
-      priority: "medium",
-      actionUrl: `/dashboard`,
-      data: { donationId: donation._id, cancelled: true },
+      priority: status === "confirmed" ? "medium" : "high",
+      actionUrl: `/donation-requests/${donation._id}`,
+      data: { donationId: donation._id, pledgeId: pledge._id, status },
     });
-
-    if (donation.donor) {
-      notifications.push({
-        recipient: donation.donor,
-        recipientEmail: donation.donorEmail,
-        title: "Donation Request Cancelled",
-        message: `The donation request you accepted has been cancelled. ${
-          note || ""
-        }`,
-        type: "warning",
-        category: "donation",
-        priority: "medium",
-        actionUrl: "/dashboard",
-        data: { donationId: donation._id, cancelled: true },
-      });
-    }
   }
 
   if (notifications.length > 0) {
     await Notification.insertMany(notifications);
   }
 
+  res.status(200).json({
+    success: true,
+    data: {
+      donation,
+      pledge,
+    },
+    message: `Pledge marked as ${status}`,
+  });
+});
+
+// @desc    Update donation status
+// @route   PUT /api/donations/:id/status
+// @access  Private (Admin/Volunteer/Requester, see DONATION_STATUS_TRANSITIONS)
+export const updateStatus = asyncHandler(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  const donation = await DonationRequest.findById(req.params.id);
+
+  if (!donation) {
+    return next(
+      new ErrorResponse(
+        `Donation request not found with id ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Rejects illegal moves with a 409 listing the allowed ones
+  await transitionDonationStatus(donation, status, {
+    user: req.user,
+    note,
+    req,
+  });
+
+  emitDonationEvent(donation, "updated", { actor: req.user });
+
   res.status(200).json({
     success: true,
     data: donation,
@@ -822,9 +971,7 @@ export const updateStatus = asyncHandler(async (req, res, next) => {
 // @route   GET /api/donations/my-requests
 // @access  Private
 export const getMyDonationRequests = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req, { defaultLimit: 10 });
 
   const filter = {
     requester: req.user.id,
@@ -833,67 +980,35 @@ export const getMyDonationRequests = asyncHandler(async (req, res, next) => {
 
   if (req.query.status) filter.status = req.query.status;
 
-  const [donations, total] = await Promise.all([
-    DonationRequest.find(filter)
-      .populate("donor", "name email avatar phone")
-      .skip(skip)
-      .limit(limit)
-      .sort({ donationDate: 1, createdAt: -1 }),
-    DonationRequest.countDocuments(filter),
-  ]);
-
-  res.status(200).json({
-    success: true,
-    count: donations.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: donations,
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort: { donationDate: 1, createdAt: -1 },
+    query: (find) => find.populate("donor", "name email avatar phone privacy"),
   });
+
+  res
+    .status(200)
+    .json(paginatedResponse(result, {}, await maskRequestDonors(result.data, req.user)));
 });
 
 // @desc    Get my accepted donations
 // @route   GET /api/donations/my-donations
 // @access  Private
 export const getMyDonations = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req, { defaultLimit: 10 });
 
   const filter = {
-    donor: req.user.id,
+    $or: [{ donor: req.user.id }, { "pledges.donor": req.user.id }],
     isActive: true,
   };
 
   if (req.query.status) filter.status = req.query.status;
 
-  const [donations, total] = await Promise.all([
-    DonationRequest.find(filter)
-      .populate("requester", "name email avatar phone")
-      .skip(skip)
-      .limit(limit)
-      .sort({ donationDate: 1, createdAt: -1 }),
-    DonationRequest.countDocuments(filter),
-  ]);
-
-  res.status(200).json({
-    success: true,
-    count: donations.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: donations,
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort: { donationDate: 1, createdAt: -1 },
+    query: (find) => find.populate("requester", "name email avatar phone"),
   });
+
+  res.status(200).json(paginatedResponse(result));
 });
 
 // @desc    Get donation statistics
@@ -1006,10 +1121,8 @@ export const getUrgentDonations = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 10;
 
   const urgentDonations = await DonationRequest.find({
-    status: "pending",
+    ...DonationRequest.upcomingPendingFilter(), // Not expired
     urgency: { $in: ["high", "critical"] },
-    isActive: true,
-    donationDate: { $gte: new Date() }, // Not expired
   })
     .populate("requester", "name email avatar")
     .sort({ urgency: -1, donationDate: 1 })
@@ -1022,6 +1135,257 @@ export const getUrgentDonations = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get ranked compatible donors for a donation request
+// @route   GET /api/donations/:id/matches
+// @access  Private (Requester/Admin/Volunteer)
+export const getDonationMatches = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const donation = await DonationRequest.findById(req.params.id);
+
+  if (!donation || !donation.isActive) {
+    return next(
+      new ErrorResponse(
+        `Donation request not found with id ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const isStaff = req.user.role === "admin" || req.user.role === "volunteer";
+  if (!isStaff && donation.requester.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse("Not authorized to view matches for this request", 403)
+    );
+  }
+
+  if (donation.status !== "pending") {
+    return next(
+      new ErrorResponse(
+        `Matches are only available for pending requests (status: ${donation.status})`,
+        400
+      )
+    );
+  }
+
+  // Donors a volunteer already suggested are listed separately by the client
+  const excludeIds =
+    req.query.excludeSuggested === "true"
+      ? (donation.volunteerSuggestions || []).map((s) => s.donor)
+      : [];
+
+  const matches = await findMatchingDonors(donation, { limit, excludeIds });
+
+  // Requesters coordinate through the platform, only staff see contact details
+  const data = matches.map(({ donor, score, isExactMatch, proximity, breakdown }) => ({
+    donor: {
+      _id: donor._id,
+      name: donor.name,
+      avatar: donor.avatar,
+      bloodGroup: donor.bloodGroup,
+      district: donor.district,
+      upazila: donor.upazila,
+      totalDonations: donor.totalDonations || 0,
+      lastDonationDate: donor.lastDonationDate,
+      ...(isStaff ? { email: donor.email, phone: donor.phone } : {}),
+    },
+    score,
+    isExactMatch,
+    proximity,
+    breakdown,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Get the donors who pledged to a donation request
+// @route   GET /api/donations/:id/donors
+// @access  Private (Requester/Admin/Volunteer/Pledged donors)
+export const getDonationDonors = asyncHandler(async (req, res, next) => {
+  const donation = await DonationRequest.findById(req.params.id)
+    .populate(
+      "pledges.donor",
+      "name email avatar phone bloodGroup district upazila totalDonations privacy"
+    )
+    .populate("volunteerSuggestions.donor", "name avatar bloodGroup district upazila");
+
+  if (!donation) {
+    return next(
+      new ErrorResponse(
+        `Donation request not found with id ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const isStaff = req.user.role === "admin" || req.user.role === "volunteer";
+  const isRequester = donation.requester.toString() === req.user.id;
+  const isPledger = donation.pledges.some(
+    (pledge) => pledge.donor && pledge.donor._id.toString() === req.user.id
+  );
+
+  if (!isStaff && !isRequester && !isPledger) {
+    return next(
+      new ErrorResponse("Not authorized to view donors for this request", 403)
+    );
+  }
+
+  // Donors see who else is coming, but not how to reach them. The
+  // requester sees what each donor's privacy settings, or a contact request
+  // the donor approved, allow.
+  const canSeeContacts = isStaff || isRequester;
+  const grants = canSeeContacts && !isStaff
+    ? await ContactRequest.getGrants(
+        req.user._id,
+        donation.pledges.filter((pledge) => pledge.donor).map((pledge) => pledge.donor._id)
+      )
+    : new Map();
+
+  const contactsOf = (donor) => {
+    if (!canSeeContacts) return {};
+    const visible = getContactVisibility(donor, req.user, grants.get(String(donor._id)) || null);
+    return {
+      ...(visible.email ? { email: donor.email } : {}),
+      ...(visible.phone ? { phone: donor.phone } : {}),
+    };
+  };
+
+  const pledges = donation.pledges
+    .filter((pledge) => !req.query.status || pledge.status === req.query.status)
+    .map((pledge) => ({
+      _id: pledge._id,
+      donor: pledge.donor
+        ? {
+            _id: pledge.donor._id,
+            name: pledge.donor.name,
+            avatar: pledge.donor.avatar,
+            bloodGroup: pledge.donor.bloodGroup,
+            district: pledge.donor.district,
+            upazila: pledge.donor.upazila,
+            totalDonations: pledge.donor.totalDonations || 0,
+            ...contactsOf(pledge.donor),
+          }
+        : null,
+      units: pledge.units,
+      status: pledge.status,
+      pledgedAt: pledge.pledgedAt,
+      confirmedAt: pledge.confirmedAt,
+      completedAt: pledge.completedAt,
+      note: canSeeContacts ? pledge.note : undefined,
+    }));
+
+  res.status(200).json({
+    success: true,
+    count: pledges.length,
+    data: {
+      unitsRequired: donation.unitsRequired,
+      pledgedUnits: donation.pledgedUnits,
+      fulfilledUnits: donation.fulfilledUnits,
+      remainingUnits: donation.remainingUnits,
+      pledges,
+      ...(isStaff ? { suggestions: donation.volunteerSuggestions || [] } : {}),
+    },
+  });
+});
+
+// @desc    Get the current user's most recent donation requests
+// @route   GET /api/donations/dashboard/recent
+// @access  Private
+export const getRecentDonationRequests = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 3, 20);
+
+  const donations = await DonationRequest.find({
+    requester: req.user.id,
+    isActive: true,
+  })
+    .populate("donor", "name email avatar")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: donations.length,
+    data: donations,
+  });
+});
+
+// @desc    Get pending donation requests
+// @route   GET /api/donations/public/pending
+// @access  Public
+export const getPendingDonationRequests = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  // Requests whose donation time has passed never show up, even before
+  // the expiry job gets to them
+  const filter = DonationRequest.upcomingPendingFilter();
+
+  if (req.query.bloodGroup) filter.bloodGroup = req.query.bloodGroup.toUpperCase();
+  if (req.query.district) filter.recipientDistrict = req.query.district;
+  if (req.query.upazila) filter.recipientUpazila = req.query.upazila;
+
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort: { donationDate: 1, createdAt: -1 },
+    query: (find) => find.select("-requesterEmail -contactPerson -walkIn"),
+  });
+
+  res.status(200).json(paginatedResponse(result));
+});
+
+// @desc    Follow a walk-in request through its tracking link
+// @route   GET /api/donations/track/:token
+// @access  Public
+export const getTrackedDonationRequest = asyncHandler(async (req, res, next) => {
+  const donation = await findByTrackingToken(req.params.token);
+
+  if (!donation) {
+    return next(new ErrorResponse("This tracking link is not valid", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: toTrackingView(donation),
+  });
+});
+
+// @desc    Take over a walk-in request through its tracking link
+// @route   POST /api/donations/track/:token/claim
+// @access  Private
+export const claimTrackedDonationRequest = asyncHandler(async (req, res, next) => {
+  // Holding the link sent to the requester's phone or email proves the
+  // request is theirs, also for requesters known only by phone
+  const donation = await findByTrackingToken(req.params.token);
+
+  if (!donation) {
+    return next(new ErrorResponse("This tracking link is not valid", 404));
+  }
+
+  if (donation.walkIn.claimedAt) {
+    return next(
+      new ErrorResponse("This request has already been claimed by an account", 409)
+    );
+  }
+
+  const claimed = await claimWalkInRequest(donation, req.user, "tracking-link");
+
+  if (!claimed) {
+    return next(
+      new ErrorResponse("This request has already been claimed by an account", 409)
+    );
+  }
+
+  const data = claimed.toJSON();
+  delete data.walkIn.trackingTokenHash;
+
+  res.status(200).json({
+    success: true,
+    data,
+    message: "The request is now managed from your account",
+  });
+});
 
 // ... (all your existing code)
 
@@ -1034,9 +1398,16 @@ export default {
   updateDonation,
   deleteDonation,
   acceptDonation,
+  updatePledgeStatus,
   updateStatus,
   getMyDonationRequests,
   getMyDonations,
   getDonationStats,
-  getUrgentDonations
+  getUrgentDonations,
+  getDonationMatches,
+  getDonationDonors,
+  getRecentDonationRequests,
+  getPendingDonationRequests,
+  getTrackedDonationRequest,
+  claimTrackedDonationRequest
 };
\ No newline at end of file
@@ -5,6 +5,13 @@ import Notification from "../models/Notification.js";
 import ActivityLog from "../models/ActivityLog.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+  parseSort,
+} from "../utils/pagination.js";
+import { refreshAdminCounters } from "../utils/realtime.js";
 import Stripe from "stripe";
 
 const stripeInstance = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -158,9 +165,7 @@ const handleChargeRefunded = async (charge) => {
 // @route   GET /api/fundings
 // @access  Private/Admin/Volunteer
 export const getAllFundings = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   // Build filter
   const filter = {};
@@ -196,25 +201,13 @@ export const getAllFundings = asyncHandler(async (req, res, next) => {
     ];
   }
 
-  // Sorting
-  const sort = {};
-  if (req.query.sort) {
-    const sortField = req.query.sort.startsWith("-")
-      ? req.query.sort.substring(1)
-      : req.query.sort;
-    sort[sortField] = req.query.sort.startsWith("-") ? -1 : 1;
-  } else {
-    sort.transactionDate = -1; // Default: newest first
-  }
+  // Sorting (default: newest first)
+  const sort = parseSort(req.query.sort, { transactionDate: -1 });
 
-  const [fundings, total] = await Promise.all([
-    Funding.find(filter)
-      .populate("donor", "name email avatar")
-      .skip(skip)
-      .limit(limit)
-      .sort(sort),
-    Funding.countDocuments(filter),
-  ]);
+  const result = await paginate(Funding, filter, pagination, {
+    sort,
+    query: (find) => find.populate("donor", "name email avatar"),
+  });
 
   // Get funding statistics
   const stats = await Funding.aggregate([
@@ -303,20 +296,11 @@ export const getAllFundings = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: fundings.length,
-    total,
-    statistics: stats.length > 0 ? stats[0] : {},
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: fundings,
-  });
+  res.status(200).json(
+    paginatedResponse(result, {
+      statistics: stats.length > 0 ? stats[0] : {},
+    })
+  );
 });
 
 // @desc    Get single funding
@@ -515,6 +499,8 @@ export const handleWebhook = asyncHandler(async (req, res, next) => {
       console.log(`Unhandled event type ${event.type}`);
   }
 
+  refreshAdminCounters();
+
   // Return a response to acknowledge receipt of the event
   res.json({ received: true });
 });
@@ -580,6 +566,8 @@ export const createManualFunding = asyncHandler(async (req, res, next) => {
     $inc: { totalFundings: 1 },
   });
 
+  refreshAdminCounters();
+
   // Log activity
   await ActivityLog.logActivity({
     user: req.user._id,
@@ -653,6 +641,7 @@ export const verifyFunding = asyncHandler(async (req, res, next) => {
   }
 
   await funding.save();
+  refreshAdminCounters();
 
   // Log activity
   await ActivityLog.logActivity({
@@ -0,0 +1,66 @@
+// server/src/controllers/geoController.js
+import asyncHandler from "../middleware/asyncHandler.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  getDivisions as listDivisions,
+  getDistricts as listDistricts,
+  getUpazilas as listUpazilas,
+} from "../config/districts.js";
+
+// The reference data only changes with a deploy
+const REFERENCE_CACHE_SECONDS = 24 * 60 * 60;
+
+const sendReferenceList = (res, data) => {
+  res.set("Cache-Control", `public, max-age=${REFERENCE_CACHE_SECONDS}`);
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+// @desc    Get the divisions of Bangladesh
+// @route   GET /api/geo/divisions
+// @access  Public
+export const getDivisions = asyncHandler(async (req, res, next) => {
+  sendReferenceList(res, listDivisions());
+});
+
+// @desc    Get districts, optionally of one division
+// @route   GET /api/geo/districts?division=
+// @access  Public
+export const getDistricts = asyncHandler(async (req, res, next) => {
+  const districts = listDistricts(req.query.division || null);
+
+  if (!districts) {
+    return next(
+      new ErrorResponse(`Unknown division: ${req.query.division}`, 404)
+    );
+  }
+
+  sendReferenceList(res, districts);
+});
+
+// @desc    Get the upazilas of a district. includeThanas=true adds the
+//          metropolitan thanas of Dhaka and Chattogram.
+// @route   GET /api/geo/upazilas?district=
+// @access  Public
+export const getUpazilas = asyncHandler(async (req, res, next) => {
+  const upazilas = listUpazilas(req.query.district, {
+    includeThanas: req.query.includeThanas === "true",
+  });
+
+  if (!upazilas) {
+    return next(
+      new ErrorResponse(`Unknown district: ${req.query.district}`, 404)
+    );
+  }
+
+  sendReferenceList(res, upazilas);
+});
+
+export default {
+  getDivisions,
+  getDistricts,
+  getUpazilas,
+};
@@ -0,0 +1,351 @@
+import Hospital from '../models/Hospital.js';
+import DonationRequest from '../models/DonationRequest.js';
+import ActivityLog from '../models/ActivityLog.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { parseCsvRecords } from '../utils/csvParser.js';
+import { getPaginationOptions, paginate, paginatedResponse } from '../utils/pagination.js';
+import { isValidCoordinate, toGeoPoint } from '../utils/geo.js';
+import { normalizeDistrict } from '../config/districts.js';
+
+// Largest CSV accepted by the bulk import
+const MAX_IMPORT_ROWS = 2000;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a | b; c" or ['a', 'b'] -> ['a', 'b', 'c']
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(/[|;]/);
+  return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const toBoolean = (value) => ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+
+// Pick the hospital fields present in a request body or CSV record.
+// Coordinates become a precise location; lists may be "|" or ";" separated.
+const buildHospitalFields = (source) => {
+  const fields = {};
+
+  ['name', 'address', 'district', 'upazila', 'email'].forEach((key) => {
+    if (source[key] !== undefined && source[key] !== '') {
+      fields[key] = String(source[key]).trim();
+    }
+  });
+
+  if (source.aliases !== undefined) {
+    fields.aliases = toList(source.aliases);
+  }
+
+  const contactNumbers = source.contactNumbers ?? source.phone;
+  if (contactNumbers !== undefined) {
+    fields.contactNumbers = toList(contactNumbers);
+  }
+
+  ['hasBloodBank', 'emergencyServices'].forEach((key) => {
+    if (source[key] !== undefined && source[key] !== '') {
+      fields[key] = typeof source[key] === 'boolean' ? source[key] : toBoolean(source[key]);
+    }
+  });
+
+  if (isValidCoordinate(source.latitude, source.longitude)) {
+    fields.location = toGeoPoint(source.latitude, source.longitude);
+  }
+
+  return fields;
+};
+
+// Hospital with the same normalised name or alias in the district, active or not
+const findExistingHospital = (name, district, excludeId = null) => {
+  return Hospital.findOne({
+    nameKeys: Hospital.normalizeName(name),
+    district: new RegExp(`^${escapeRegex(normalizeDistrict(district) || district)}$`, 'i'),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  });
+};
+
+const logHospitalActivity = (req, hospital, action, actionType, description) => {
+  return ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    actionType,
+    category: 'admin',
+    entityType: 'hospital',
+    entityId: hospital?._id,
+    entityName: hospital?.name,
+    description,
+    status: 'success',
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+};
+
+// @desc    Get hospitals in the directory
+// @route   GET /api/admin/hospitals
+// @access  Private/Admin
+const getHospitals = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  const filter = {};
+
+  if (req.query.district) {
+    filter.district = new RegExp(`^${escapeRegex(req.query.district)}$`, 'i');
+  }
+
+  if (req.query.upazila) {
+    filter.upazila = new RegExp(`^${escapeRegex(req.query.upazila)}$`, 'i');
+  }
+
+  ['hasBloodBank', 'emergencyServices', 'isActive'].forEach((key) => {
+    if (req.query[key] !== undefined) {
+      filter[key] = req.query[key] === 'true';
+    }
+  });
+
+  if (req.query.search) {
+    const searchRegex = new RegExp(escapeRegex(req.query.search), 'i');
+    filter.$or = [{ name: searchRegex }, { aliases: searchRegex }, { address: searchRegex }];
+  }
+
+  const result = await paginate(Hospital, filter, pagination, { sort: { district: 1, name: 1 } });
+
+  res.status(200).json(paginatedResponse(result));
+});
+
+// @desc    Get a single hospital
+// @route   GET /api/admin/hospitals/:id
+// @access  Private/Admin
+const getHospital = asyncHandler(async (req, res, next) => {
+  const hospital = await Hospital.findById(req.params.id)
+    .populate('createdBy', 'name email')
+    .populate('updatedBy', 'name email');
+
+  if (!hospital) {
+    return next(new ErrorResponse('Hospital not found', 404));
+  }
+
+  const requestCount = await DonationRequest.countDocuments({ hospital: hospital._id });
+
+  res.status(200).json({
+    success: true,
+    data: { ...hospital.toObject(), requestCount },
+  });
+});
+
+// @desc    Add a hospital to the directory
+// @route   POST /api/admin/hospitals
+// @access  Private/Admin
+const createHospital = asyncHandler(async (req, res, next) => {
+  const fields = buildHospitalFields(req.body);
+
+  const existing = await findExistingHospital(fields.name, fields.district);
+  if (existing) {
+    return next(
+      new ErrorResponse(`${existing.name} is already listed in ${existing.district}`, 400, {
+        hospitalId: existing._id,
+      })
+    );
+  }
+
+  const hospital = await Hospital.create({
+    ...fields,
+    createdBy: req.user._id,
+    updatedBy: req.user._id,
+  });
+
+  const linkedRequests = await Hospital.linkDonationRequests(hospital);
+
+  await logHospitalActivity(
+    req,
+    hospital,
+    'Created Hospital',
+    'create',
+    `Added ${hospital.name} (${hospital.district}) to the hospital directory`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Hospital created successfully',
+    data: { hospital, linkedRequests },
+  });
+});
+
+// @desc    Update a hospital
+// @route   PUT /api/admin/hospitals/:id
+// @access  Private/Admin
+const updateHospital = asyncHandler(async (req, res, next) => {
+  const hospital = await Hospital.findById(req.params.id);
+  if (!hospital) {
+    return next(new ErrorResponse('Hospital not found', 404));
+  }
+
+  const fields = buildHospitalFields(req.body);
+  if (req.body.isActive !== undefined) {
+    fields.isActive = toBoolean(req.body.isActive);
+  }
+
+  if (fields.name || fields.district) {
+    const duplicate = await findExistingHospital(
+      fields.name || hospital.name,
+      fields.district || hospital.district,
+      hospital._id
+    );
+    if (duplicate) {
+      return next(
+        new ErrorResponse(`${duplicate.name} is already listed in ${duplicate.district}`, 400, {
+          hospitalId: duplicate._id,
+        })
+      );
+    }
+  }
+
+  hospital.set({ ...fields, updatedBy: req.user._id });
+  await hospital.save();
+
+  // New aliases may match requests typed with another spelling
+  const linkedRequests = await Hospital.linkDonationRequests(hospital);
+
+  await logHospitalActivity(
+    req,
+    hospital,
+    'Updated Hospital',
+    'update',
+    `Updated ${hospital.name} (${hospital.district}) in the hospital directory`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Hospital updated successfully',
+    data: { hospital, linkedRequests },
+  });
+});
+
+// @desc    Delete a hospital. Hospitals referenced by donation requests are
+//          deactivated instead so the requests keep their link.
+// @route   DELETE /api/admin/hospitals/:id
+// @access  Private/Admin
+const deleteHospital = asyncHandler(async (req, res, next) => {
+  const hospital = await Hospital.findById(req.params.id);
+  if (!hospital) {
+    return next(new ErrorResponse('Hospital not found', 404));
+  }
+
+  const requestCount = await DonationRequest.countDocuments({ hospital: hospital._id });
+
+  if (requestCount > 0) {
+    hospital.isActive = false;
+    hospital.updatedBy = req.user._id;
+    await hospital.save();
+  } else {
+    await hospital.deleteOne();
+  }
+
+  await logHospitalActivity(
+    req,
+    hospital,
+    requestCount > 0 ? 'Deactivated Hospital' : 'Deleted Hospital',
+    requestCount > 0 ? 'update' : 'delete',
+    requestCount > 0
+      ? `Deactivated ${hospital.name} (${hospital.district}), referenced by ${requestCount} request(s)`
+      : `Deleted ${hospital.name} (${hospital.district}) from the hospital directory`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: requestCount > 0
+      ? `Hospital deactivated, it is referenced by ${requestCount} donation request(s)`
+      : 'Hospital deleted successfully',
+    data: {},
+  });
+});
+
+// @desc    Import hospitals from CSV. Rows matching an existing hospital by
+//          name or alias in the same district update it, others are created.
+//          Columns: name, address, district, upazila, latitude, longitude,
+//          contactNumbers, email, aliases, hasBloodBank, emergencyServices
+// @route   POST /api/admin/hospitals/import
+// @access  Private/Admin
+const importHospitals = asyncHandler(async (req, res, next) => {
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  if (!text) {
+    return next(new ErrorResponse('Upload a CSV file or send its contents as csv', 400));
+  }
+
+  const { headers, records } = parseCsvRecords(text);
+
+  const missingColumns = ['name', 'address', 'district'].filter((column) => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    return next(new ErrorResponse(`CSV is missing required column(s): ${missingColumns.join(', ')}`, 400));
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return next(new ErrorResponse(`CSV can contain at most ${MAX_IMPORT_ROWS} hospitals`, 400));
+  }
+
+  const summary = { created: 0, updated: 0, linkedRequests: 0, failed: [] };
+
+  for (const record of records) {
+    try {
+      const fields = buildHospitalFields(record);
+      if (!fields.name || !fields.district) {
+        throw new Error('name and district are required');
+      }
+
+      let hospital = await findExistingHospital(fields.name, fields.district);
+
+      if (hospital) {
+        hospital.set({
+          ...fields,
+          // Keep aliases added earlier by hand
+          aliases: [...(hospital.aliases || []), ...(fields.aliases || [])],
+          updatedBy: req.user._id,
+        });
+        await hospital.save();
+        summary.updated += 1;
+      } else {
+        hospital = await Hospital.create({
+          ...fields,
+          createdBy: req.user._id,
+          updatedBy: req.user._id,
+        });
+        summary.created += 1;
+      }
+
+      summary.linkedRequests += await Hospital.linkDonationRequests(hospital);
+    } catch (error) {
+      summary.failed.push({ line: record.line, name: record.name, error: error.message });
+    }
+  }
+
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'Imported Hospitals',
+    actionType: 'create',
+    category: 'admin',
+    entityType: 'hospital',
+    description: `Imported hospitals from CSV: ${summary.created} created, ${summary.updated} updated, ${summary.failed.length} failed`,
+    status: summary.failed.length === records.length && records.length > 0 ? 'failed' : 'success',
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Imported ${summary.created + summary.updated} of ${records.length} hospital(s)`,
+    data: summary,
+  });
+});
+
+export default {
+  getHospitals,
+  getHospital,
+  createHospital,
+  updateHospital,
+  deleteHospital,
+  importHospitals,
+};
@@ -1,6 +1,11 @@
 import Notification from "../models/Notification.js";
 import User from "../models/User.js";
 import mongoose from "mongoose";
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+} from "../utils/pagination.js";
 
 const notificationController = {
   // @desc    Get all notifications for a user
@@ -8,7 +13,8 @@ const notificationController = {
   // @access  Private
   getNotifications: async (req, res) => {
     try {
-      const { page = 1, limit = 10, markAsRead = false } = req.query;
+      const { markAsRead = false } = req.query;
+      const pagination = getPaginationOptions(req, { defaultLimit: 10 });
 
       const query = { recipient: req.user._id };
 
@@ -19,14 +25,10 @@ const notificationController = {
         query.isRead = false;
       }
 
-      const notifications = await Notification.find(query)
-        .sort({ createdAt: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit)
-        .populate("sender", "name email avatar")
-        .lean();
-
-      const total = await Notification.countDocuments(query);
+      const result = await paginate(Notification, query, pagination, {
+        sort: { createdAt: -1 },
+        query: (find) => find.populate("sender", "name email avatar").lean(),
+      });
 
       // Mark as read if requested
       if (markAsRead === "false") {
@@ -36,20 +38,24 @@ const notificationController = {
         );
       }
 
+      // Keep the nested data shape existing clients read
       res.status(200).json({
-        success: true,
+        ...paginatedResponse(result),
         data: {
-          notifications,
-          total,
-          page: parseInt(page),
-          totalPages: Math.ceil(total / limit),
+          notifications: result.data,
+          total: result.total,
+          page: pagination.page,
+          totalPages: result.pagination.totalPages ?? null,
         },
       });
     } catch (error) {
       console.error("Get notifications error:", error);
-      res.status(500).json({
+      // A bad cursor is the client's mistake
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: "Server error while fetching notifications",
+        message: error.statusCode
+          ? error.message
+          : "Server error while fetching notifications",
       });
     }
   },
@@ -240,19 +246,35 @@ const notificationController = {
 
   // @desc    Send donation request notification to donors
   // @access  Private
-  sendDonationRequestNotification: async (donationRequest, donors) => {
+  sendDonationRequestNotification: async (donationRequest, donors, { wave = null } = {}) => {
     try {
+      const isCritical = donationRequest.urgency === "critical";
       const notifications = donors.map((donor) => ({
         recipient: donor._id,
-        sender: donationRequest.requester,
-        type: "donation_request",
-        title: "New Blood Donation Request",
-        message: `A new blood donation request (${donationRequest.bloodGroup}) has been posted in your area`,
-        relatedTo: donationRequest._id,
-        actionUrl: `/dashboard/donation-requests/${donationRequest._id}`,
-        priority: "high",
+        recipientEmail: donor.email,
+        senderName: "System",
+        senderRole: "system",
+        type: "alert",
+        category: "donation",
+        title: isCritical
+          ? "Urgent: Blood Donation Needed 🩸"
+          : "New Blood Donation Request",
+        message: `A patient needs ${donationRequest.bloodGroup} blood at ${donationRequest.hospitalName} (${donationRequest.recipientUpazila}, ${donationRequest.recipientDistrict}). Your blood group can help.`,
+        actionUrl: `/donation-requests/${donationRequest._id}`,
+        priority: isCritical ? "critical" : "high",
+        data: {
+          donationId: donationRequest._id,
+          bloodGroup: donationRequest.bloodGroup,
+          hospital: donationRequest.hospitalName,
+          location: `${donationRequest.recipientUpazila}, ${donationRequest.recipientDistrict}`,
+          wave,
+        },
       }));
 
+      if (notifications.length === 0) {
+        return 0;
+      }
+
       await Notification.insertMany(notifications);
 
       return notifications.length;
@@ -7,6 +7,12 @@ import Notification from "../models/Notification.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
 import imageBB from "../utils/imageBB.js";
+import { isValidCoordinate, toGeoPoint } from "../utils/geo.js";
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+} from "../utils/pagination.js";
 
 // @desc    Get user profile
 // @route   GET /api/profile
@@ -78,6 +84,14 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
   delete updates.password;
   delete updates.role;
   delete updates.status;
+  delete updates.location;
+  delete updates.latitude;
+  delete updates.longitude;
+
+  // Shared coordinates replace the district centre used for location search
+  if (isValidCoordinate(req.body.latitude, req.body.longitude)) {
+    updates.location = toGeoPoint(req.body.latitude, req.body.longitude);
+  }
 
   // Check if trying to update blood group (special handling needed)
   if (updates.bloodGroup && updates.bloodGroup !== req.user.bloodGroup) {
@@ -591,9 +605,7 @@ export const getProfileStats = asyncHandler(async (req, res, next) => {
 // @route   GET /api/profile/donation-history
 // @access  Private
 export const getDonationHistory = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req, { defaultLimit: 10 });
 
   const filter = {
     donor: req.user.id,
@@ -602,40 +614,29 @@ export const getDonationHistory = asyncHandler(async (req, res, next) => {
 
   if (req.query.status) filter.status = req.query.status;
 
-  const [donations, total] = await Promise.all([
-    DonationRequest.find(filter)
-      .populate("requester", "name email avatar phone")
-      .select(
-        "recipientName bloodGroup hospitalName donationDate donationTime status"
-      )
-      .skip(skip)
-      .limit(limit)
-      .sort({ donationDate: -1 }),
-    DonationRequest.countDocuments(filter),
-  ]);
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort: { donationDate: -1 },
+    query: (find) =>
+      find
+        .populate("requester", "name email avatar phone")
+        .select(
+          "recipientName bloodGroup hospitalName donationDate donationTime status"
+        ),
+  });
 
   // Calculate life impact
-  const lifeImpact = donations.filter((d) => d.status === "done").length;
+  const lifeImpact = result.data.filter((d) => d.status === "done").length;
   const estimatedLivesSaved = lifeImpact * 3; // Each donation can save up to 3 lives
 
-  res.status(200).json({
-    success: true,
-    count: donations.length,
-    total,
-    lifeImpact: {
-      donations: lifeImpact,
-      estimatedLivesSaved,
-      message: `Your donations have potentially saved up to ${estimatedLivesSaved} lives!`,
-    },
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: donations,
-  });
+  res.status(200).json(
+    paginatedResponse(result, {
+      lifeImpact: {
+        donations: lifeImpact,
+        estimatedLivesSaved,
+        message: `Your donations have potentially saved up to ${estimatedLivesSaved} lives!`,
+      },
+    })
+  );
 });
 
 // @desc    Get request history
@@ -804,7 +805,17 @@ export const deactivateAccount = asyncHandler(async (req, res, next) => {
   // Check if user has active donations or requests
   const [activeDonations, activeRequests] = await Promise.all([
     DonationRequest.countDocuments({
-      donor: user._id,
+      $or: [
+        { donor: user._id },
+        {
+          pledges: {
+            $elemMatch: {
+              donor: user._id,
+              status: { $in: ["pledged", "confirmed"] },
+            },
+          },
+        },
+      ],
       status: { $in: ["pending", "inprogress"] },
       isActive: true,
     }),
@@ -830,34 +841,6 @@ export const deactivateAccount = asyncHandler(async (req, res, next) => {
   user.deactivatedAt = new Date();
   await user.save();
 
-  // Log all active donations and requests as canceled
-  await Promise.all([
-    DonationRequest.updateMany(
-      { donor: user._id, status: "pending" },
-      {
-        status: "canceled",
-        $push: {
-          statusHistory: {
-            status: "canceled",
-            note: "Donor deactivated account",
-          },
-        },
-      }
-    ),
-    DonationRequest.updateMany(
-      { requester: user._id, status: "pending" },
-      {
-        status: "canceled",
-        $push: {
-          statusHistory: {
-            status: "canceled",
-            note: "Requester deactivated account",
-          },
-        },
-      }
-    ),
-  ]);
-
   // Log activity
   await ActivityLog.logActivity({
     user: user._id,
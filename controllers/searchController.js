@@ -1,11 +1,156 @@
 // server/src/controllers/searchController.js
 import User from "../models/User.js";
 import DonationRequest from "../models/DonationRequest.js";
+import Hospital from "../models/Hospital.js";
+import SavedSearch from "../models/SavedSearch.js";
+import SearchHistory from "../models/SearchHistory.js";
+import Faq from "../models/Faq.js";
+import HelpArticle from "../models/HelpArticle.js";
 import Funding from "../models/Funding.js";
 import Contact from "../models/Contact.js";
 import ActivityLog from "../models/ActivityLog.js";
 import asyncHandler from "../middleware/asyncHandler.js";
 import ErrorResponse from "../utils/errorResponse.js";
+import {
+  DONATION_INTERVAL_DAYS,
+  getCompatibleDonorGroups,
+} from "../utils/donorMatching.js";
+import {
+  isValidCoordinate,
+  toGeoPoint,
+  getCentroidPoint,
+  withinRadius,
+} from "../utils/geo.js";
+import {
+  normalizeDistrict,
+  normalizeUpazila,
+  getDistricts,
+  getUpazilas,
+} from "../config/districts.js";
+import { countSavedSearchMatches } from "../utils/savedSearchAlerts.js";
+import { searchDocuments, searchList } from "../utils/textSearch.js";
+import { maskDonors } from "../utils/donorPrivacy.js";
+import {
+  encodeCursor,
+  getPaginationOptions,
+  keysetFilter,
+  paginate,
+  paginatedResponse,
+} from "../utils/pagination.js";
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Most typo-tolerant matches ranked per entity type
+const MAX_RANKED_RESULTS = 100;
+
+// What donors and visitors may see of another donor. Never contact details.
+const PUBLIC_DONOR_FIELDS = {
+  name: 1,
+  avatar: 1,
+  bloodGroup: 1,
+  district: 1,
+  upazila: 1,
+  isAvailable: 1,
+};
+
+const STAFF_USER_FIELDS = {
+  ...PUBLIC_DONOR_FIELDS,
+  email: 1,
+  phone: 1,
+  role: 1,
+  status: 1,
+};
+
+const DONATION_RESULT_FIELDS = {
+  recipientName: 1,
+  requesterName: 1,
+  requester: 1,
+  donor: 1,
+  donorName: 1,
+  bloodGroup: 1,
+  hospitalName: 1,
+  hospitalAddress: 1,
+  recipientDistrict: 1,
+  recipientUpazila: 1,
+  donationDate: 1,
+  urgency: 1,
+  status: 1,
+  createdAt: 1,
+};
+
+const HOSPITAL_RESULT_FIELDS = {
+  name: 1,
+  aliases: 1,
+  address: 1,
+  district: 1,
+  upazila: 1,
+  hasBloodBank: 1,
+  emergencyServices: 1,
+  isActive: 1,
+};
+
+// Districts and upazilas for location suggestions, built on first use
+let locationEntries = null;
+const getLocationEntries = () => {
+  if (!locationEntries) {
+    locationEntries = getDistricts().flatMap((district) => [
+      {
+        type: "district",
+        name: district.name,
+        bnName: district.bnName,
+        division: district.division,
+      },
+      ...getUpazilas(district.name).map((upazila) => ({
+        type: "upazila",
+        name: upazila.name,
+        bnName: upazila.bnName,
+        district: district.name,
+      })),
+    ]);
+  }
+  return locationEntries;
+};
+
+// Canonical spellings of the district/upazila filters, so "Comilla" finds
+// records stored as "Cumilla". Empty or "all" gives null.
+const resolveAreaFilter = (district, upazila) => {
+  const canonicalDistrict =
+    district && district !== "all"
+      ? normalizeDistrict(district) || district
+      : null;
+  const canonicalUpazila =
+    upazila && upazila !== "all"
+      ? (canonicalDistrict && normalizeUpazila(canonicalDistrict, upazila)) ||
+        upazila
+      : null;
+
+  return { district: canonicalDistrict, upazila: canonicalUpazila };
+};
+
+// Add a search to the history. Only the first page counts, so paging
+// through results is not recorded as new searches. A failure here must
+// not fail the search itself.
+const recordSearch = async (req, entry) => {
+  if (parseInt(req.query.page, 10) > 1 || req.query.cursor) {
+    return;
+  }
+
+  try {
+    await SearchHistory.record({
+      user: req.user?._id || null,
+      userRole: req.user?.role || null,
+      ...entry,
+    });
+  } catch (error) {
+    console.error("Record search history error:", error);
+  }
+};
+
+// Distinct area values mapped to their canonical spelling, de-duplicated
+// and sorted. Values that are not recognised are kept as typed.
+const canonicalAreaList = (values, normalize) =>
+  [...new Set(values.map((value) => normalize(value) || value))].sort();
 
 // @desc    Search donors with filters
 // @route   GET /api/search/donors
@@ -15,16 +160,13 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
     bloodGroup,
     district,
     upazila,
-    page = 1,
-    limit = 20,
     sortBy = "relevance",
     sortOrder = "desc",
     availableOnly = true,
+    exactMatch = "false",
   } = req.query;
 
-  const pageNum = parseInt(page, 10);
-  const limitNum = parseInt(limit, 10);
-  const skip = (pageNum - 1) * limitNum;
+  const pagination = getPaginationOptions(req);
 
   // Build filter for donors
   const filter = {
@@ -32,18 +174,28 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
     status: "active",
   };
 
-  // Apply blood group filter
-  if (bloodGroup && bloodGroup !== "all") {
-    filter.bloodGroup = bloodGroup.toUpperCase();
+  // Apply blood group filter. The group is the one the patient needs, so
+  // every donor group that can give to it matches unless exactMatch=true.
+  const requestedGroup =
+    bloodGroup && bloodGroup !== "all" ? bloodGroup.toUpperCase() : null;
+  const bloodGroupFilter = requestedGroup
+    ? exactMatch === "true"
+      ? requestedGroup
+      : { $in: getCompatibleDonorGroups(requestedGroup) }
+    : null;
+
+  if (bloodGroupFilter) {
+    filter.bloodGroup = bloodGroupFilter;
   }
 
   // Apply location filters
-  if (district && district !== "all") {
-    filter.district = district;
+  const area = resolveAreaFilter(district, upazila);
+  if (area.district) {
+    filter.district = area.district;
   }
 
-  if (upazila && upazila !== "all") {
-    filter.upazila = upazila;
+  if (area.upazila) {
+    filter.upazila = area.upazila;
   }
 
   // Apply availability filter
@@ -73,6 +225,9 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
     case "name":
       sort.name = sortOrder === "desc" ? -1 : 1;
       break;
+    case "reliability":
+      sort["reliability.score"] = sortOrder === "desc" ? -1 : 1;
+      break;
     case "location":
       sort.district = sortOrder === "desc" ? -1 : 1;
       sort.upazila = sortOrder === "desc" ? -1 : 1;
@@ -84,19 +239,19 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
   }
 
   // Execute query with pagination
-  const [donors, total] = await Promise.all([
-    User.find(filter)
-      .select("-password -notificationPreferences")
-      .skip(skip)
-      .limit(limitNum)
-      .sort(sort),
-    User.countDocuments(filter),
-  ]);
+  const result = await paginate(User, filter, pagination, {
+    sort,
+    query: (find) => find.select("-password -notificationPreferences"),
+  });
+  const { data: donors, total } = result;
+
+  // Contact details and account fields as this viewer may see them
+  const visibleDonors = await maskDonors(donors, req.user);
 
   // Enrich donors with additional information
   const enrichedDonors = await Promise.all(
-    donors.map(async (donor) => {
-      const donorObj = donor.toObject();
+    donors.map(async (donor, index) => {
+      const donorObj = visibleDonors[index];
 
       // Calculate eligibility
       let isEligible = true;
@@ -150,6 +305,9 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
 
       return {
         ...donorObj,
+        isExactMatch: requestedGroup
+          ? donor.bloodGroup === requestedGroup
+          : null,
         eligibility: {
           isEligible,
           message: eligibilityMessage,
@@ -167,6 +325,10 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
           recentDonations: recentDonations.length,
           responseRate: `${responseRate}%`,
           successRate: donor.totalDonations > 0 ? "100%" : "0%",
+          reliabilityScore: donor.reliability?.score ?? 0.5,
+          noShows: donor.reliability?.noShows || 0,
+          lateCancellations: donor.reliability?.lateCancellations || 0,
+          inCriticalCooldown: donor.isInCooldown,
         },
         location: locationDetails,
         recentActivity: recentDonations,
@@ -184,11 +346,9 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
       $match: {
         role: "donor",
         status: "active",
-        ...(bloodGroup && bloodGroup !== "all"
-          ? { bloodGroup: bloodGroup.toUpperCase() }
-          : {}),
-        ...(district && district !== "all" ? { district } : {}),
-        ...(upazila && upazila !== "all" ? { upazila } : {}),
+        ...(bloodGroupFilter ? { bloodGroup: bloodGroupFilter } : {}),
+        ...(area.district ? { district: area.district } : {}),
+        ...(area.upazila ? { upazila: area.upazila } : {}),
       },
     },
     {
@@ -320,28 +480,37 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
     });
   }
 
-  res.status(200).json({
-    success: true,
-    count: enrichedDonors.length,
-    total,
+  await recordSearch(req, {
+    type: "donors",
     filters: {
-      bloodGroup: bloodGroup || "Any",
-      district: district || "Any",
-      upazila: upazila || "Any",
-      availableOnly: availableOnly === "true",
-      sortBy,
-      sortOrder,
+      bloodGroup: requestedGroup,
+      district: area.district,
+      upazila: area.upazila,
     },
-    statistics: searchStats.length > 0 ? searchStats[0] : {},
-    pagination: {
-      page: pageNum,
-      limit: limitNum,
-      totalPages: Math.ceil(total / limitNum),
-      hasNextPage: pageNum * limitNum < total,
-      hasPrevPage: pageNum > 1,
-    },
-    data: enrichedDonors,
+    resultCount: total,
   });
+
+  res.status(200).json(
+    paginatedResponse(
+      result,
+      {
+        filters: {
+          bloodGroup: bloodGroup || "Any",
+          district: district || "Any",
+          upazila: upazila || "Any",
+          availableOnly: availableOnly === "true",
+          exactMatch: exactMatch === "true",
+          compatibleBloodGroups: requestedGroup
+            ? getCompatibleDonorGroups(requestedGroup)
+            : null,
+          sortBy,
+          sortOrder,
+        },
+        statistics: searchStats.length > 0 ? searchStats[0] : {},
+      },
+      enrichedDonors
+    )
+  );
 });
 
 // @desc    Search donation requests
@@ -354,15 +523,11 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
     upazila,
     status = "pending",
     urgency,
-    page = 1,
-    limit = 20,
     sortBy = "urgency",
     sortOrder = "desc",
   } = req.query;
 
-  const pageNum = parseInt(page, 10);
-  const limitNum = parseInt(limit, 10);
-  const skip = (pageNum - 1) * limitNum;
+  const pagination = getPaginationOptions(req);
 
   // Build filter for donation requests
   const filter = {
@@ -376,12 +541,13 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
   }
 
   // Apply location filters
-  if (district && district !== "all") {
-    filter.recipientDistrict = district;
+  const area = resolveAreaFilter(district, upazila);
+  if (area.district) {
+    filter.recipientDistrict = area.district;
   }
 
-  if (upazila && upazila !== "all") {
-    filter.recipientUpazila = upazila;
+  if (area.upazila) {
+    filter.recipientUpazila = area.upazila;
   }
 
   // Apply urgency filter
@@ -414,15 +580,14 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
   }
 
   // Execute query
-  const [requests, total] = await Promise.all([
-    DonationRequest.find(filter)
-      .populate("requester", "name email avatar phone")
-      .populate("donor", "name email avatar")
-      .skip(skip)
-      .limit(limitNum)
-      .sort(sort),
-    DonationRequest.countDocuments(filter),
-  ]);
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort,
+    query: (find) =>
+      find
+        .populate("requester", "name email avatar phone")
+        .populate("donor", "name email avatar"),
+  });
+  const { total } = result;
 
   // Get search statistics
   const searchStats = await DonationRequest.aggregate([
@@ -433,10 +598,8 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
         ...(bloodGroup && bloodGroup !== "all"
           ? { bloodGroup: bloodGroup.toUpperCase() }
           : {}),
-        ...(district && district !== "all"
-          ? { recipientDistrict: district }
-          : {}),
-        ...(upazila && upazila !== "all" ? { recipientUpazila: upazila } : {}),
+        ...(area.district ? { recipientDistrict: area.district } : {}),
+        ...(area.upazila ? { recipientUpazila: area.upazila } : {}),
         ...(urgency && urgency !== "all" ? { urgency } : {}),
       },
     },
@@ -481,12 +644,14 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
         hospitalStats: [
           {
             $group: {
-              _id: "$hospitalName",
+              _id: DonationRequest.hospitalGroupKey(),
+              hospitalName: { $first: "$hospitalName" },
               count: { $sum: 1 },
             },
           },
           { $sort: { count: -1 } },
           { $limit: 10 },
+          ...DonationRequest.hospitalGroupNaming(),
         ],
       },
     },
@@ -512,20 +677,353 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
     });
   }
 
+  await recordSearch(req, {
+    type: "donation-requests",
+    filters: {
+      bloodGroup: bloodGroup && bloodGroup !== "all" ? bloodGroup.toUpperCase() : null,
+      district: area.district,
+      upazila: area.upazila,
+      urgency: urgency && urgency !== "all" ? urgency : null,
+      status,
+    },
+    resultCount: total,
+  });
+
+  res.status(200).json(
+    paginatedResponse(result, {
+      filters: {
+        bloodGroup: bloodGroup || "Any",
+        district: district || "Any",
+        upazila: upazila || "Any",
+        status,
+        urgency: urgency || "Any",
+        sortBy,
+        sortOrder,
+      },
+      statistics: searchStats.length > 0 ? searchStats[0] : {},
+    })
+  );
+});
+
+// Nearest first, ties in id order, so cursors have a unique position
+const LOCATION_ORDER = { distance: 1, _id: 1 };
+
+// @desc    Search donors, donation requests or hospitals within a radius,
+//          nearest first. Pages by ?page= or by ?cursor= (keyset on
+//          distance and id, see utils/pagination.js).
+// @route   GET /api/search/location
+// @access  Public
+export const searchByLocation = asyncHandler(async (req, res, next) => {
+  const {
+    lat,
+    lng,
+    radius = 10,
+    type = "donors",
+    bloodGroup,
+    district,
+    urgency,
+    availableOnly = "true",
+  } = req.query;
+
+  const { mode, page, limit, skip, cursor, withTotal } = getPaginationOptions(req);
+  const radiusKm = Number(radius);
+
+  if (cursor && cursor.sort !== "distance:1,_id:1") {
+    return next(
+      new ErrorResponse("Pagination cursor does not match the requested sort", 400)
+    );
+  }
+
+  // Search around the given point, or the district centre when the client
+  // has no coordinates to share
+  let center = null;
+  if (lat !== undefined || lng !== undefined) {
+    if (!isValidCoordinate(lat, lng)) {
+      return next(
+        new ErrorResponse("Both a valid lat and lng are required", 400)
+      );
+    }
+    center = toGeoPoint(lat, lng);
+  } else if (district) {
+    center = getCentroidPoint({ district });
+    if (!center) {
+      return next(new ErrorResponse(`Unknown district: ${district}`, 400));
+    }
+  } else {
+    return next(
+      new ErrorResponse("Provide lat and lng, or a district to search around", 400)
+    );
+  }
+
+  const requestedGroup =
+    bloodGroup && bloodGroup !== "all" ? bloodGroup.toUpperCase() : null;
+
+  let Model;
+  let filter;
+  let project;
+
+  if (type === "hospitals") {
+    Model = Hospital;
+    filter = {
+      isActive: true,
+      ...(req.query.hasBloodBank !== undefined
+        ? { hasBloodBank: req.query.hasBloodBank === "true" }
+        : {}),
+      ...(req.query.emergencyServices !== undefined
+        ? { emergencyServices: req.query.emergencyServices === "true" }
+        : {}),
+    };
+    project = { nameKeys: 0, createdBy: 0, updatedBy: 0 };
+  } else if (type === "requests") {
+    Model = DonationRequest;
+    // Requests whose donation time passed are not worth travelling to
+    filter = {
+      ...DonationRequest.upcomingPendingFilter(),
+      ...(requestedGroup ? { bloodGroup: requestedGroup } : {}),
+      ...(urgency && urgency !== "all" ? { urgency } : {}),
+    };
+    project = {
+      requester: 1,
+      recipientName: 1,
+      recipientDistrict: 1,
+      recipientUpazila: 1,
+      hospitalName: 1,
+      hospitalAddress: 1,
+      bloodGroup: 1,
+      urgency: 1,
+      unitsRequired: 1,
+      donationDate: 1,
+      donationTime: 1,
+      status: 1,
+      location: 1,
+      createdAt: 1,
+      distance: 1,
+      isApproximateLocation: 1,
+    };
+  } else {
+    Model = User;
+    filter = {
+      role: "donor",
+      status: "active",
+      ...(requestedGroup
+        ? { bloodGroup: { $in: getCompatibleDonorGroups(requestedGroup) } }
+        : {}),
+    };
+
+    if (availableOnly === "true") {
+      filter.isAvailable = true;
+      filter.$or = [
+        { lastDonationDate: null },
+        {
+          lastDonationDate: {
+            $lte: new Date(Date.now() - DONATION_INTERVAL_DAYS * 24 * 60 * 60 * 1000),
+          },
+        },
+      ];
+    }
+
+    // Donors' exact coordinates are never returned, only the distance
+    project = {
+      name: 1,
+      avatar: 1,
+      bloodGroup: 1,
+      district: 1,
+      upazila: 1,
+      isAvailable: 1,
+      lastDonationDate: 1,
+      totalDonations: 1,
+      "reliability.score": 1,
+      distance: 1,
+      isApproximateLocation: 1,
+    };
+  }
+
+  // A cursor starts the scan at its distance, then skips the documents at
+  // that distance it already returned
+  const pageStages = cursor
+    ? [
+        { $match: keysetFilter(LOCATION_ORDER, cursor.values) },
+        { $sort: LOCATION_ORDER },
+        { $limit: limit + 1 },
+      ]
+    : mode === "cursor"
+      ? [{ $sort: LOCATION_ORDER }, { $limit: limit + 1 }]
+      : [{ $skip: skip }, { $limit: limit + 1 }];
+
+  const [results, total] = await Promise.all([
+    Model.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: center.coordinates },
+          distanceField: "distance",
+          maxDistance: radiusKm * 1000,
+          ...(cursor ? { minDistance: cursor.values[0] } : {}),
+          spherical: true,
+          query: filter,
+        },
+      },
+      ...pageStages,
+      // Worked out before the projection drops donors' coordinates; the
+      // same rule as isApproximateLocation in utils/geo.js
+      {
+        $addFields: {
+          isApproximateLocation: {
+            $or: [
+              { $eq: [{ $size: { $ifNull: ["$location.coordinates", []] } }, 0] },
+              { $ne: ["$location.source", "precise"] },
+            ],
+          },
+        },
+      },
+      { $project: project },
+    ]),
+    withTotal
+      ? Model.countDocuments({
+          ...filter,
+          location: withinRadius(center, radiusKm),
+        })
+      : null,
+  ]);
+
+  // The extra document only tells whether another page exists
+  const hasNextPage = results.length > limit;
+  results.splice(limit);
+  const nextCursor = hasNextPage
+    ? encodeCursor(results[results.length - 1], LOCATION_ORDER)
+    : null;
+
+  results.forEach((result) => {
+    result.distanceKm = Math.round(result.distance / 100) / 10;
+    delete result.distance;
+  });
+
+  const data =
+    type === "requests"
+      ? await DonationRequest.populate(results, {
+          path: "requester",
+          select: "name avatar",
+        })
+      : results;
+
+  const pagination =
+    mode === "cursor"
+      ? { mode, limit, hasMore: hasNextPage, nextCursor }
+      : {
+          mode,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor,
+        };
+
+  res.status(200).json(
+    paginatedResponse(
+      { total, pagination, nextCursor },
+      {
+        filters: {
+          type,
+          center: {
+            latitude: center.coordinates[1],
+            longitude: center.coordinates[0],
+            source: center.source,
+          },
+          radius: radiusKm,
+          bloodGroup: requestedGroup || "Any",
+        },
+      },
+      data
+    )
+  );
+});
+
+// @desc    Search the hospital directory
+// @route   GET /api/search/hospitals
+// @access  Public
+export const searchHospitals = asyncHandler(async (req, res, next) => {
+  const {
+    district,
+    upazila,
+    name,
+    hasBloodBank,
+    emergencyServices,
+    lat,
+    lng,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const filter = { isActive: true };
+
+  if (district && district !== "all") {
+    filter.district = normalizeDistrict(district) || district;
+  }
+
+  if (upazila && upazila !== "all") {
+    filter.upazila = new RegExp(`^${escapeRegex(upazila)}$`, "i");
+  }
+
+  if (name) {
+    const nameRegex = new RegExp(escapeRegex(name), "i");
+    filter.$or = [{ name: nameRegex }, { aliases: nameRegex }];
+  }
+
+  if (hasBloodBank !== undefined) {
+    filter.hasBloodBank = hasBloodBank === "true";
+  }
+
+  if (emergencyServices !== undefined) {
+    filter.emergencyServices = emergencyServices === "true";
+  }
+
+  const select = "-nameKeys -createdBy -updatedBy";
+
+  // Nearest first when the client shares its position
+  let hospitals;
+  if (isValidCoordinate(lat, lng)) {
+    hospitals = await Hospital.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: [Number(lng), Number(lat)] },
+          distanceField: "distance",
+          spherical: true,
+          query: filter,
+        },
+      },
+      { $skip: skip },
+      { $limit: limitNum },
+      { $project: { nameKeys: 0, createdBy: 0, updatedBy: 0 } },
+    ]);
+    hospitals.forEach((hospital) => {
+      hospital.distanceKm = Math.round(hospital.distance / 100) / 10;
+      delete hospital.distance;
+    });
+  } else {
+    hospitals = await Hospital.find(filter)
+      .select(select)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limitNum);
+  }
+
+  const total = await Hospital.countDocuments(filter);
+
   res.status(200).json({
     success: true,
-    count: requests.length,
+    count: hospitals.length,
     total,
     filters: {
-      bloodGroup: bloodGroup || "Any",
       district: district || "Any",
       upazila: upazila || "Any",
-      status,
-      urgency: urgency || "Any",
-      sortBy,
-      sortOrder,
+      name: name || "",
+      hasBloodBank: hasBloodBank ?? "Any",
+      emergencyServices: emergencyServices ?? "Any",
     },
-    statistics: searchStats.length > 0 ? searchStats[0] : {},
     pagination: {
       page: pageNum,
       limit: limitNum,
@@ -533,7 +1031,7 @@ export const searchDonationRequests = asyncHandler(async (req, res, next) => {
       hasNextPage: pageNum * limitNum < total,
       hasPrevPage: pageNum > 1,
     },
-    data: requests,
+    data: hospitals,
   });
 });
 
@@ -553,79 +1051,116 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
   const limitNum = parseInt(limit, 10);
   const skip = (pageNum - 1) * limitNum;
 
-  const searchRegex = { $regex: searchQuery, $options: "i" };
+  const searchRegex = { $regex: escapeRegex(searchQuery.trim()), $options: "i" };
   let results = [];
   let total = 0;
   let entityCounts = {};
 
   // Determine what to search based on user role and type parameter
   const searchTypes =
-    type === "all" ? ["users", "donations", "fundings", "contacts"] : [type];
+    type === "all"
+      ? ["users", "donations", "hospitals", "faqs", "articles", "fundings", "contacts"]
+      : [type];
 
   // Build search promises based on types
   const searchPromises = [];
 
-  // Search Users
+  // Typo-tolerant matches are ranked in memory, so paging happens here:
+  // the requested page for a single type, the top 5 of each for "all"
+  const pageOf = (items, forType) =>
+    type === forType ? items.slice(skip, skip + limitNum) : items.slice(0, 5);
+  const rankedResult = (resultType, items) => ({
+    type: resultType,
+    data: pageOf(items, resultType),
+    total: Promise.resolve(
+      type === resultType ? items.length : Math.min(items.length, 5)
+    ),
+  });
+  const isStaff = req.user.role === "admin" || req.user.role === "volunteer";
+
+  // Search Users. Donors only find other active donors, without their
+  // contact details.
   if (searchTypes.includes("users")) {
-    const userFilter = {
-      $or: [
-        { name: searchRegex },
-        { email: searchRegex },
-        { phone: searchRegex },
-      ],
-    };
+    searchPromises.push(
+      (async () => {
+        const project = isStaff ? STAFF_USER_FIELDS : PUBLIC_DONOR_FIELDS;
+        const users = await searchDocuments(User, searchQuery, {
+          filter: isStaff ? {} : { role: "donor", status: "active" },
+          project,
+          limit: MAX_RANKED_RESULTS,
+        });
 
-    // Role-based filtering for users
-    if (req.user.role === "donor") {
-      userFilter.role = "donor"; // Donors can only see other donors
-    }
+        // Staff can also look people up by email or phone
+        if (isStaff) {
+          const contactRegex = new RegExp(escapeRegex(searchQuery.trim()), "i");
+          const byContact = await User.find({
+            $or: [{ email: contactRegex }, { phone: contactRegex }],
+          })
+            .select(Object.keys(project).join(" "))
+            .limit(MAX_RANKED_RESULTS)
+            .lean();
+          const found = new Set(users.map((user) => user._id.toString()));
+          users.unshift(
+            ...byContact
+              .filter((user) => !found.has(user._id.toString()))
+              .map((user) => ({ ...user, _score: 1 }))
+          );
+        }
 
-    searchPromises.push(
-      User.find(userFilter)
-        .select("-password")
-        .skip(type === "users" ? skip : 0)
-        .limit(type === "users" ? limitNum : 5)
-        .then((users) => ({
-          type: "users",
-          data: users,
-          total:
-            type === "users"
-              ? User.countDocuments(userFilter)
-              : Promise.resolve(users.length),
-        }))
+        return rankedResult("users", users);
+      })()
     );
   }
 
   // Search Donation Requests
-  if (
-    searchTypes.includes("donations") &&
-    (req.user.role === "admin" || req.user.role === "volunteer")
-  ) {
-    const donationFilter = {
-      isActive: true,
-      $or: [
-        { recipientName: searchRegex },
-        { hospitalName: searchRegex },
-        { hospitalAddress: searchRegex },
-        { requesterName: searchRegex },
-        { donorName: searchRegex },
-      ],
-    };
+  if (searchTypes.includes("donations") && isStaff) {
+    searchPromises.push(
+      (async () => {
+        const donations = await searchDocuments(DonationRequest, searchQuery, {
+          filter: { isActive: true },
+          project: DONATION_RESULT_FIELDS,
+          limit: MAX_RANKED_RESULTS,
+        });
+        await DonationRequest.populate(donations, [
+          { path: "requester", select: "name email" },
+          { path: "donor", select: "name email" },
+        ]);
+        return rankedResult("donations", donations);
+      })()
+    );
+  }
 
+  // Search the hospital directory
+  if (searchTypes.includes("hospitals")) {
     searchPromises.push(
-      DonationRequest.find(donationFilter)
-        .populate("requester", "name email")
-        .populate("donor", "name email")
-        .skip(type === "donations" ? skip : 0)
-        .limit(type === "donations" ? limitNum : 5)
-        .then((donations) => ({
-          type: "donations",
-          data: donations,
-          total:
-            type === "donations"
-              ? DonationRequest.countDocuments(donationFilter)
-              : Promise.resolve(donations.length),
-        }))
+      searchDocuments(Hospital, searchQuery, {
+        filter: isStaff ? {} : { isActive: true },
+        project: HOSPITAL_RESULT_FIELDS,
+        limit: MAX_RANKED_RESULTS,
+      }).then((hospitals) => rankedResult("hospitals", hospitals))
+    );
+  }
+
+  // Search FAQs
+  if (searchTypes.includes("faqs")) {
+    searchPromises.push(
+      searchDocuments(Faq, searchQuery, {
+        filter: isStaff ? {} : { isActive: true },
+        project: { question: 1, answer: 1, category: 1, isActive: 1 },
+        limit: MAX_RANKED_RESULTS,
+      }).then((faqs) => rankedResult("faqs", faqs))
+    );
+  }
+
+  // Search help articles written for the user's role
+  if (searchTypes.includes("articles")) {
+    searchPromises.push(
+      searchDocuments(HelpArticle, searchQuery, {
+        filter:
+          req.user.role === "admin" ? {} : HelpArticle.visibleTo(req.user.role),
+        project: { title: 1, slug: 1, summary: 1, category: 1, tags: 1 },
+        limit: MAX_RANKED_RESULTS,
+      }).then((articles) => rankedResult("articles", articles))
     );
   }
 
@@ -704,7 +1239,7 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
   // Combine results
   results = searchResults.flatMap((result) =>
     result.data.map((item) => ({
-      ...item.toObject(),
+      ...(item.toObject ? item.toObject() : item),
       _type: result.type.slice(0, -1), // Remove 's' for singular
       type: result.type,
     }))
@@ -721,8 +1256,16 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
   // Sort results by relevance
   results.sort((a, b) => {
     // Priority: exact matches in name/title first
-    const aName = a.name || a.recipientName || a.donorName || "";
-    const bName = b.name || b.recipientName || b.donorName || "";
+    const nameOf = (item) =>
+      item.name ||
+      item.hospitalName ||
+      item.recipientName ||
+      item.donorName ||
+      item.title ||
+      item.question ||
+      "";
+    const aName = nameOf(a);
+    const bName = nameOf(b);
 
     const aExactMatch = aName.toLowerCase() === searchQuery.toLowerCase();
     const bExactMatch = bName.toLowerCase() === searchQuery.toLowerCase();
@@ -731,8 +1274,21 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
     if (!aExactMatch && bExactMatch) return 1;
 
     // Then by type priority
-    const typePriority = { users: 1, donations: 2, fundings: 3, contacts: 4 };
-    return typePriority[a.type] - typePriority[b.type];
+    const typePriority = {
+      users: 1,
+      donations: 2,
+      hospitals: 3,
+      faqs: 4,
+      articles: 5,
+      fundings: 6,
+      contacts: 7,
+    };
+    if (a.type !== b.type) {
+      return typePriority[a.type] - typePriority[b.type];
+    }
+
+    // Then by how well they match
+    return (b._score ?? 0) - (a._score ?? 0);
   });
 
   // Apply pagination if searching all types
@@ -761,6 +1317,13 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
     },
   });
 
+  await recordSearch(req, {
+    type: "global",
+    query: searchQuery.trim().slice(0, 200),
+    filters: { scope: type },
+    resultCount: total,
+  });
+
   res.status(200).json({
     success: true,
     query: searchQuery,
@@ -791,6 +1354,10 @@ export const globalSearch = asyncHandler(async (req, res, next) => {
 // @access  Public
 export const getSearchFilters = asyncHandler(async (req, res, next) => {
   const { type = "donors" } = req.query;
+  const selectedDistrict = req.query.district
+    ? normalizeDistrict(req.query.district) || req.query.district
+    : null;
+  const toUpazila = (value) => normalizeUpazila(selectedDistrict, value);
 
   let filters = {};
 
@@ -807,24 +1374,24 @@ export const getSearchFilters = asyncHandler(async (req, res, next) => {
       const donorDistricts = await User.distinct("district", {
         role: "donor",
         status: "active",
-        district: { $ne: null, $ne: "" },
+        district: { $nin: [null, ""] },
       });
 
       // Get upazilas based on selected district
       let donorUpazilas = [];
-      if (req.query.district) {
+      if (selectedDistrict) {
         donorUpazilas = await User.distinct("upazila", {
           role: "donor",
           status: "active",
-          district: req.query.district,
-          upazila: { $ne: null, $ne: "" },
+          district: selectedDistrict,
+          upazila: { $nin: [null, ""] },
         });
       }
 
       filters = {
         bloodGroups: bloodGroups.sort(),
-        districts: donorDistricts.sort(),
-        upazilas: donorUpazilas.sort(),
+        districts: canonicalAreaList(donorDistricts, normalizeDistrict),
+        upazilas: canonicalAreaList(donorUpazilas, toUpazila),
         sortOptions: [
           { value: "relevance", label: "Most Relevant" },
           { value: "recent", label: "Most Recent" },
@@ -853,25 +1420,25 @@ export const getSearchFilters = asyncHandler(async (req, res, next) => {
         {
           isActive: true,
           status: "pending",
-          recipientDistrict: { $ne: null, $ne: "" },
+          recipientDistrict: { $nin: [null, ""] },
         }
       );
 
       // Get upazilas based on selected district
       let requestUpazilas = [];
-      if (req.query.district) {
+      if (selectedDistrict) {
         requestUpazilas = await DonationRequest.distinct("recipientUpazila", {
           isActive: true,
           status: "pending",
-          recipientDistrict: req.query.district,
-          recipientUpazila: { $ne: null, $ne: "" },
+          recipientDistrict: selectedDistrict,
+          recipientUpazila: { $nin: [null, ""] },
         });
       }
 
       filters = {
         bloodGroups: requestBloodGroups.sort(),
-        districts: requestDistricts.sort(),
-        upazilas: requestUpazilas.sort(),
+        districts: canonicalAreaList(requestDistricts, normalizeDistrict),
+        upazilas: canonicalAreaList(requestUpazilas, toUpazila),
         statusOptions: [
           { value: "pending", label: "Pending" },
           { value: "inprogress", label: "In Progress" },
@@ -925,12 +1492,14 @@ export const getSearchFilters = asyncHandler(async (req, res, next) => {
 
   // Add common location data
   filters.locationData = {
-    allDistricts: districts.map((d) => ({ value: d.name, label: d.name })),
-    allUpazilas: upazilas.map((u) => ({
-      value: u.name,
-      label: u.name,
-      district: u.district,
-    })),
+    allDistricts: getDistricts().map((d) => ({ value: d.name, label: d.name })),
+    allUpazilas: getLocationEntries()
+      .filter((entry) => entry.type === "upazila")
+      .map((u) => ({
+        value: u.name,
+        label: u.name,
+        district: u.district,
+      })),
   };
 
   res.status(200).json({
@@ -1060,17 +1629,20 @@ export const exportSearchResults = asyncHandler(async (req, res, next) => {
 
       data = await User.find(donorFilter)
         .select(
-          "name email bloodGroup district upazila phone totalDonations lastDonationDate isAvailable"
+          "name email bloodGroup district upazila phone totalDonations lastDonationDate isAvailable privacy"
         )
         .sort({ name: 1 });
 
+      // Exports follow the same contact privacy as search results
+      data = await maskDonors(data, req.user);
+
       exportData = data.map((donor) => ({
         Name: donor.name,
-        Email: donor.email,
+        Email: donor.email || "Hidden",
         "Blood Group": donor.bloodGroup,
         District: donor.district,
         Upazila: donor.upazila,
-        Phone: donor.phone || "N/A",
+        Phone: donor.phone || (donor.contactAccess.phone ? "N/A" : "Hidden"),
         "Total Donations": donor.totalDonations || 0,
         "Last Donation": donor.lastDonationDate
           ? new Date(donor.lastDonationDate).toLocaleDateString()
@@ -1173,3 +1745,455 @@ export const exportSearchResults = asyncHandler(async (req, res, next) => {
     },
   });
 });
+
+// @desc    Save a donor or donation request search, optionally with alerts
+//          for new matches. Saving under an existing name replaces it.
+// @route   POST /api/search/save
+// @access  Private
+export const saveSearch = asyncHandler(async (req, res, next) => {
+  const {
+    name,
+    type = "donors",
+    bloodGroup,
+    district,
+    upazila,
+    exactMatch,
+    availableOnly,
+    urgency,
+    alerts = false,
+    emailAlerts = false,
+  } = req.body;
+
+  const toBoolean = (value, fallback) =>
+    value === undefined ? fallback : value === true || value === "true";
+  const filterValue = (value) => (value && value !== "all" ? value : null);
+
+  const fields = {
+    name,
+    type,
+    filters: {
+      bloodGroup: filterValue(bloodGroup)?.toUpperCase() || null,
+      district: filterValue(district),
+      upazila: filterValue(upazila),
+      exactMatch: toBoolean(exactMatch, false),
+      availableOnly: toBoolean(availableOnly, true),
+      urgency: type === "donation-requests" ? filterValue(urgency) : null,
+    },
+  };
+
+  const alertsEnabled = toBoolean(alerts, false);
+
+  let savedSearch = await SavedSearch.findOne({ user: req.user._id, name });
+  const isNew = !savedSearch;
+
+  if (isNew) {
+    if (await SavedSearch.hasReachedLimit(req.user._id)) {
+      return next(
+        new ErrorResponse(
+          `You can save up to ${SavedSearch.MAX_SAVED_SEARCHES} searches. Delete one to save another.`,
+          400
+        )
+      );
+    }
+    savedSearch = new SavedSearch({ user: req.user._id });
+  }
+
+  savedSearch.set(fields);
+  savedSearch.set({
+    "alerts.enabled": alertsEnabled,
+    "alerts.email": alertsEnabled && toBoolean(emailAlerts, false),
+  });
+
+  // Only matches after alerts are (re)enabled are alerted
+  if (alertsEnabled && (isNew || savedSearch.isModified("alerts.enabled"))) {
+    savedSearch.alerts.lastCheckedAt = new Date();
+  }
+
+  await savedSearch.save();
+
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: isNew ? "Saved Search" : "Updated Saved Search",
+    actionType: isNew ? "create" : "update",
+    category: "profile",
+    entityType: "saved_search",
+    entityId: savedSearch._id,
+    entityName: savedSearch.name,
+    description: `${isNew ? "Saved" : "Updated"} ${type} search "${name}"${
+      alertsEnabled ? " with alerts" : ""
+    }`,
+    status: "success",
+    userIp: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: isNew ? "Search saved successfully" : "Saved search updated",
+    data: savedSearch,
+  });
+});
+
+// @desc    Get the current user's saved searches with their match counts
+// @route   GET /api/search/saved
+// @access  Private
+export const getSavedSearches = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req, { defaultLimit: 10 });
+
+  const filter = { user: req.user._id };
+  if (["donors", "donation-requests"].includes(req.query.type)) {
+    filter.type = req.query.type;
+  }
+
+  const result = await paginate(SavedSearch, filter, pagination, {
+    sort: { createdAt: -1 },
+  });
+
+  const data = await Promise.all(
+    result.data.map(async (savedSearch) => ({
+      ...savedSearch.toObject(),
+      matchCount: await countSavedSearchMatches(savedSearch),
+    }))
+  );
+
+  res.status(200).json(paginatedResponse(result, {}, data));
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/search/saved/:id
+// @access  Private
+export const deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await SavedSearch.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!savedSearch) {
+    return next(new ErrorResponse("Saved search not found", 404));
+  }
+
+  await savedSearch.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Saved search deleted",
+    data: {},
+  });
+});
+
+// @desc    Get the current user's recent searches, newest first
+// @route   GET /api/search/recent
+// @access  Private
+export const getRecentSearches = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  const filter = { user: req.user._id };
+  if (["donors", "donation-requests", "global"].includes(req.query.type)) {
+    filter.type = req.query.type;
+  }
+
+  const result = await paginate(SearchHistory, filter, pagination, {
+    sort: { createdAt: -1 },
+    query: (find) => find.select("-user -userRole"),
+  });
+
+  res.status(200).json(paginatedResponse(result));
+});
+
+// @desc    Clear the current user's search history
+// @route   DELETE /api/search/recent
+// @access  Private
+export const clearRecentSearches = asyncHandler(async (req, res, next) => {
+  const cleared = await SearchHistory.clearForUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Search history cleared",
+    data: { cleared },
+  });
+});
+
+// @desc    Search statistics: most searched blood groups and districts, and
+//          searches that found nothing (demand the platform cannot meet)
+// @route   GET /api/search/stats?days=30
+// @access  Private/Admin
+export const getSearchStatistics = asyncHandler(async (req, res, next) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const match = { createdAt: { $gte: since } };
+  const top = (field, limit = 10) => [
+    { $match: { [field]: { $ne: null } } },
+    {
+      $group: {
+        _id: `$${field}`,
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+      },
+    },
+    { $sort: { searches: -1 } },
+    { $limit: limit },
+  ];
+
+  const [stats] = await SearchHistory.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: "$type",
+              searches: { $sum: 1 },
+              zeroResults: {
+                $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] },
+              },
+              users: { $addToSet: "$user" },
+            },
+          },
+          {
+            $project: {
+              searches: 1,
+              zeroResults: 1,
+              signedInUsers: {
+                $size: {
+                  $filter: { input: "$users", cond: { $ne: ["$$this", null] } },
+                },
+              },
+            },
+          },
+          { $sort: { searches: -1 } },
+        ],
+        bloodGroups: top("filters.bloodGroup"),
+        districts: top("filters.district"),
+        // Blood group and area combinations that returned nothing
+        unmetDemand: [
+          {
+            $match: {
+              type: { $in: ["donors", "donation-requests"] },
+              resultCount: 0,
+            },
+          },
+          {
+            $group: {
+              _id: {
+                type: "$type",
+                bloodGroup: "$filters.bloodGroup",
+                district: "$filters.district",
+                upazila: "$filters.upazila",
+              },
+              searches: { $sum: 1 },
+              lastSearchedAt: { $max: "$createdAt" },
+            },
+          },
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: 20 },
+        ],
+        zeroResultQueries: [
+          { $match: { type: "global", resultCount: 0, query: { $ne: "" } } },
+          {
+            $group: {
+              _id: { $toLower: "$query" },
+              searches: { $sum: 1 },
+              lastSearchedAt: { $max: "$createdAt" },
+            },
+          },
+          { $sort: { searches: -1, lastSearchedAt: -1 } },
+          { $limit: 20 },
+        ],
+        daily: [
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+              searches: { $sum: 1 },
+              zeroResults: {
+                $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totalSearches = stats.totals.reduce((sum, item) => sum + item.searches, 0);
+  const totalZeroResults = stats.totals.reduce((sum, item) => sum + item.zeroResults, 0);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      period: { days, from: since, to: new Date() },
+      summary: {
+        totalSearches,
+        zeroResultSearches: totalZeroResults,
+        zeroResultRate:
+          totalSearches > 0
+            ? Math.round((totalZeroResults / totalSearches) * 1000) / 10
+            : 0,
+      },
+      byType: stats.totals,
+      bloodGroups: stats.bloodGroups,
+      districts: stats.districts,
+      unmetDemand: stats.unmetDemand,
+      zeroResultQueries: stats.zeroResultQueries,
+      daily: stats.daily,
+    },
+  });
+});
+
+// @desc    Autocomplete suggestions for donors, requests, hospitals,
+//          locations, FAQs and help articles. Tolerates typos and matches
+//          the word being typed as a prefix. Only admins and volunteers
+//          see contact details.
+// @route   GET /api/search/suggestions?q=&type=&limit=
+// @access  Public
+export const getSearchSuggestions = asyncHandler(async (req, res, next) => {
+  const { q = "", type = "all" } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 5, 10);
+  const query = q.trim();
+
+  if (query.length < 2) {
+    return next(
+      new ErrorResponse("Search query must be at least 2 characters", 400)
+    );
+  }
+
+  const role = req.user?.role || null;
+  const isStaff = role === "admin" || role === "volunteer";
+  const wants = (name) => type === "all" || type === name;
+  const lookups = [];
+
+  if (wants("donors")) {
+    lookups.push(
+      searchDocuments(User, query, {
+        filter: { role: "donor", status: "active" },
+        project: isStaff ? STAFF_USER_FIELDS : PUBLIC_DONOR_FIELDS,
+        limit,
+      }).then((donors) =>
+        donors.map((donor) => ({
+          type: "donor",
+          id: donor._id,
+          label: donor.name,
+          description: [donor.bloodGroup, donor.upazila, donor.district]
+            .filter(Boolean)
+            .join(" · "),
+          avatar: donor.avatar,
+          ...(isStaff ? { email: donor.email, phone: donor.phone } : {}),
+          score: donor._score,
+        }))
+      )
+    );
+  }
+
+  if (wants("requests")) {
+    lookups.push(
+      searchDocuments(DonationRequest, query, {
+        filter: isStaff
+          ? { isActive: true }
+          : { isActive: true, status: { $in: ["pending", "inprogress"] } },
+        project: DONATION_RESULT_FIELDS,
+        limit,
+      }).then((requests) =>
+        requests.map((request) => ({
+          type: "request",
+          id: request._id,
+          label: request.hospitalName,
+          description: `${request.bloodGroup} needed · ${request.recipientUpazila}, ${request.recipientDistrict}`,
+          urgency: request.urgency,
+          status: request.status,
+          score: request._score,
+        }))
+      )
+    );
+  }
+
+  if (wants("hospitals")) {
+    lookups.push(
+      searchDocuments(Hospital, query, {
+        filter: { isActive: true },
+        project: HOSPITAL_RESULT_FIELDS,
+        limit,
+      }).then((hospitals) =>
+        hospitals.map((hospital) => ({
+          type: "hospital",
+          id: hospital._id,
+          label: hospital.name,
+          description: [hospital.upazila, hospital.district]
+            .filter(Boolean)
+            .join(", "),
+          score: hospital._score,
+        }))
+      )
+    );
+  }
+
+  if (wants("locations")) {
+    lookups.push(
+      Promise.resolve(
+        searchList(getLocationEntries(), query, { name: 10, bnName: 10 }, limit).map(
+          (location) => ({
+            type: location.type,
+            label: location.name,
+            description:
+              location.type === "district"
+                ? `${location.bnName} · ${location.division} Division`
+                : `${location.bnName} · ${location.district}`,
+            district: location.type === "district" ? location.name : location.district,
+            score: location._score,
+          })
+        )
+      )
+    );
+  }
+
+  if (wants("faqs")) {
+    lookups.push(
+      searchDocuments(Faq, query, {
+        filter: { isActive: true },
+        project: { question: 1, category: 1 },
+        limit,
+      }).then((faqs) =>
+        faqs.map((faq) => ({
+          type: "faq",
+          id: faq._id,
+          label: faq.question,
+          description: faq.category,
+          score: faq._score,
+        }))
+      )
+    );
+  }
+
+  if (wants("articles")) {
+    lookups.push(
+      searchDocuments(HelpArticle, query, {
+        filter: HelpArticle.visibleTo(role),
+        project: { title: 1, slug: 1, summary: 1 },
+        limit,
+      }).then((articles) =>
+        articles.map((article) => ({
+          type: "article",
+          id: article._id,
+          slug: article.slug,
+          label: article.title,
+          description: article.summary,
+          score: article._score,
+        }))
+      )
+    );
+  }
+
+  const suggestions = (await Promise.all(lookups))
+    .flat()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  res.status(200).json({
+    success: true,
+    query,
+    count: suggestions.length,
+    data: suggestions,
+  });
+});
\ No newline at end of file
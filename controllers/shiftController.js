@@ -0,0 +1,613 @@
+import mongoose from 'mongoose';
+import Shift from '../models/Shift.js';
+import ShiftSwapRequest from '../models/ShiftSwapRequest.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import ActivityLog from '../models/ActivityLog.js';
+import asyncHandler from '../middleware/asyncHandler.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { getPaginationOptions, paginate, paginatedResponse } from '../utils/pagination.js';
+import { getOnCallVolunteers } from '../utils/onCall.js';
+import { isVolunteerAvailable } from '../utils/dispatch.js';
+import { normalizeDistrict } from '../config/districts.js';
+
+// Longest weekly repeat created in one go
+const MAX_REPEAT_WEEKS = 12;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const VOLUNTEER_FIELDS = 'name email phone avatar district';
+
+const formatShift = (shift) => `${shift.district}, ${new Date(shift.startsAt).toLocaleString()} - ${new Date(shift.endsAt).toLocaleString()}`;
+
+// An active volunteer who can hold shifts, or an error
+const findVolunteer = async (volunteerId) => {
+  const volunteer = await User.findById(volunteerId).select('name email role status');
+
+  if (!volunteer || volunteer.role !== 'volunteer') {
+    throw new ErrorResponse(`Volunteer not found with id ${volunteerId}`, 404);
+  }
+  if (volunteer.status !== 'active') {
+    throw new ErrorResponse(`${volunteer.name} is not an active volunteer`, 400);
+  }
+
+  return volunteer;
+};
+
+const requireDistrict = (value) => {
+  const district = normalizeDistrict(value);
+  if (!district) {
+    throw new ErrorResponse(`Unknown district: ${value}`, 400);
+  }
+  return district;
+};
+
+// 409 when the volunteer already has a shift in that period
+const assertNoOverlap = async (volunteer, startsAt, endsAt, excludeIds = []) => {
+  const overlap = await Shift.findOverlap(volunteer._id, startsAt, endsAt, excludeIds);
+  if (overlap) {
+    throw new ErrorResponse(
+      `${volunteer.name} already has a shift at that time (${formatShift(overlap)})`,
+      409,
+      { conflictingShift: overlap._id }
+    );
+  }
+};
+
+const notifyUser = (user, { title, message, type = 'info', actionUrl = '/dashboard/shifts', data = {} }) => (
+  Notification.createSystemNotification({
+    recipient: user._id,
+    recipientEmail: user.email,
+    title,
+    message,
+    type,
+    category: 'update',
+    priority: 'medium',
+    actionUrl,
+    data,
+  })
+);
+
+const logShiftActivity = (req, { action, actionType = 'update', entityId, entityName, description, details }) => ActivityLog.logActivity({
+  user: req.user._id,
+  userName: req.user.name,
+  userEmail: req.user.email,
+  userRole: req.user.role,
+  action,
+  actionType,
+  category: 'admin',
+  entityType: 'shift',
+  entityId,
+  entityName,
+  description,
+  details,
+  status: 'success',
+  userIp: req.ip,
+  userAgent: req.headers['user-agent'],
+});
+
+// @desc    Get the volunteers on call in a district (now, or at ?at=)
+// @route   GET /api/shifts/on-call
+// @access  Private/Volunteer
+const getOnCall = asyncHandler(async (req, res, next) => {
+  const district = requireDistrict(req.query.district);
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+
+  const [onCall, nextShift] = await Promise.all([
+    getOnCallVolunteers(district, at),
+    Shift.findOne({ district, status: 'scheduled', startsAt: { $gt: at } })
+      .sort({ startsAt: 1 })
+      .populate('volunteer', VOLUNTEER_FIELDS),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: onCall.length,
+    data: {
+      district,
+      at,
+      onCall: onCall.map(({ volunteer, shift }) => ({
+        volunteer: {
+          _id: volunteer._id,
+          name: volunteer.name,
+          email: volunteer.email,
+          phone: volunteer.phone,
+          avatar: volunteer.avatar,
+          district: volunteer.district,
+        },
+        shift: {
+          _id: shift._id,
+          role: shift.role,
+          startsAt: shift.startsAt,
+          endsAt: shift.endsAt,
+        },
+        // False when they marked themselves away despite the shift
+        available: isVolunteerAvailable(volunteer, at, { onCall: true }),
+      })),
+      // Who takes over when nobody is on call
+      nextShift: onCall.length === 0 ? nextShift : null,
+    },
+  });
+});
+
+// @desc    Get the rota
+// @route   GET /api/shifts
+// @access  Private/Volunteer
+const getShifts = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  const filter = { status: req.query.status || 'scheduled' };
+  if (req.query.district) filter.district = requireDistrict(req.query.district);
+  if (req.query.volunteer) filter.volunteer = req.query.volunteer;
+  if (req.query.role) filter.role = req.query.role;
+
+  // Shifts overlapping [from, to); upcoming ones by default
+  filter.endsAt = { $gt: req.query.from ? new Date(req.query.from) : new Date() };
+  if (req.query.to) filter.startsAt = { $lt: new Date(req.query.to) };
+
+  const result = await paginate(Shift, filter, pagination, {
+    sort: { startsAt: 1 },
+    query: (find) => find.populate('volunteer', VOLUNTEER_FIELDS),
+  });
+
+  res.status(200).json(paginatedResponse(result));
+});
+
+// @desc    Get the current volunteer's upcoming shifts
+// @route   GET /api/shifts/mine
+// @access  Private/Volunteer
+const getMyShifts = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+
+  const result = await paginate(
+    Shift,
+    { volunteer: req.user._id, status: 'scheduled', endsAt: { $gt: new Date() } },
+    pagination,
+    { sort: { startsAt: 1 } }
+  );
+
+  res.status(200).json(paginatedResponse(result));
+});
+
+// @desc    Put a volunteer on the rota, optionally repeating weekly
+// @route   POST /api/shifts
+// @access  Private/Admin
+const createShifts = asyncHandler(async (req, res, next) => {
+  const { volunteerId, startsAt, endsAt, role, notes } = req.body;
+  const repeatWeeks = parseInt(req.body.repeatWeeks, 10) || 1;
+
+  if (repeatWeeks < 1 || repeatWeeks > MAX_REPEAT_WEEKS) {
+    return next(new ErrorResponse(`repeatWeeks must be between 1 and ${MAX_REPEAT_WEEKS}`, 400));
+  }
+
+  const volunteer = await findVolunteer(volunteerId);
+  const district = requireDistrict(req.body.district);
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  if (end <= start) {
+    return next(new ErrorResponse('A shift must end after it starts', 400));
+  }
+  if (end <= new Date()) {
+    return next(new ErrorResponse('Cannot schedule a shift in the past', 400));
+  }
+
+  const occurrences = Array.from({ length: repeatWeeks }, (item, week) => ({
+    startsAt: new Date(start.getTime() + week * WEEK_MS),
+    endsAt: new Date(end.getTime() + week * WEEK_MS),
+  }));
+
+  for (const occurrence of occurrences) {
+    await assertNoOverlap(volunteer, occurrence.startsAt, occurrence.endsAt);
+  }
+
+  const seriesId = repeatWeeks > 1 ? new mongoose.Types.ObjectId() : null;
+  const shifts = await Shift.insertMany(occurrences.map((occurrence) => ({
+    ...occurrence,
+    volunteer: volunteer._id,
+    district,
+    role: role || 'primary',
+    notes,
+    seriesId,
+    createdBy: req.user._id,
+  })));
+
+  await logShiftActivity(req, {
+    action: 'Scheduled Shift',
+    actionType: 'create',
+    entityId: shifts[0]._id,
+    entityName: volunteer.name,
+    description: `Put ${volunteer.name} on call in ${district}`,
+    details: `${formatShift(shifts[0])}${repeatWeeks > 1 ? `, weekly for ${repeatWeeks} weeks` : ''}`,
+  });
+
+  await notifyUser(volunteer, {
+    title: 'New On-Call Shift 📅',
+    message: `You are on call (${shifts[0].role}) in ${formatShift(shifts[0])}${
+      repeatWeeks > 1 ? `, repeating weekly for ${repeatWeeks} weeks` : ''
+    }.`,
+    data: { shiftIds: shifts.map((shift) => shift._id), seriesId },
+  });
+
+  res.status(201).json({
+    success: true,
+    count: shifts.length,
+    data: shifts,
+    message: `${shifts.length} shift(s) scheduled for ${volunteer.name}`,
+  });
+});
+
+// @desc    Change a shift's times, role, notes or volunteer
+// @route   PUT /api/shifts/:id
+// @access  Private/Admin
+const updateShift = asyncHandler(async (req, res, next) => {
+  const shift = await Shift.findById(req.params.id);
+
+  if (!shift || shift.status !== 'scheduled') {
+    return next(new ErrorResponse(`Shift not found with id ${req.params.id}`, 404));
+  }
+
+  const previousVolunteerId = shift.volunteer;
+  const volunteer = await findVolunteer(req.body.volunteerId || shift.volunteer);
+
+  if (req.body.startsAt) shift.startsAt = new Date(req.body.startsAt);
+  if (req.body.endsAt) shift.endsAt = new Date(req.body.endsAt);
+  if (req.body.district) shift.district = requireDistrict(req.body.district);
+  if (req.body.role) shift.role = req.body.role;
+  if (req.body.notes !== undefined) shift.notes = req.body.notes;
+  shift.volunteer = volunteer._id;
+
+  if (shift.endsAt <= shift.startsAt) {
+    return next(new ErrorResponse('A shift must end after it starts', 400));
+  }
+
+  await assertNoOverlap(volunteer, shift.startsAt, shift.endsAt, [shift._id]);
+  await shift.save();
+
+  await logShiftActivity(req, {
+    action: 'Updated Shift',
+    entityId: shift._id,
+    entityName: volunteer.name,
+    description: `Updated shift in ${shift.district}`,
+    details: `Updated fields: ${Object.keys(req.body).join(', ')}`,
+  });
+
+  await notifyUser(volunteer, {
+    title: 'On-Call Shift Updated',
+    message: `Your shift is now ${formatShift(shift)} (${shift.role}).`,
+    data: { shiftId: shift._id },
+  });
+
+  if (previousVolunteerId.toString() !== volunteer._id.toString()) {
+    const previous = await User.findById(previousVolunteerId).select('email');
+    if (previous) {
+      await notifyUser(previous, {
+        title: 'On-Call Shift Reassigned',
+        message: `Your shift ${formatShift(shift)} was given to another volunteer.`,
+        data: { shiftId: shift._id },
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: shift,
+    message: 'Shift updated successfully',
+  });
+});
+
+// @desc    Cancel a shift, or with ?series=true the rest of its weekly series
+// @route   DELETE /api/shifts/:id
+// @access  Private/Admin
+const cancelShift = asyncHandler(async (req, res, next) => {
+  const shift = await Shift.findById(req.params.id);
+
+  if (!shift || shift.status !== 'scheduled') {
+    return next(new ErrorResponse(`Shift not found with id ${req.params.id}`, 404));
+  }
+
+  const filter = req.query.series === 'true' && shift.seriesId
+    ? { seriesId: shift.seriesId, status: 'scheduled', startsAt: { $gte: shift.startsAt } }
+    : { _id: shift._id };
+
+  const cancelled = await Shift.find(filter).select('_id');
+  const shiftIds = cancelled.map((item) => item._id);
+
+  await Shift.updateMany({ _id: { $in: shiftIds } }, { $set: { status: 'cancelled' } });
+
+  // Swaps of cancelled shifts have nothing left to swap
+  await ShiftSwapRequest.updateMany(
+    {
+      status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+      $or: [{ shift: { $in: shiftIds } }, { offeredShift: { $in: shiftIds } }],
+    },
+    { $set: { status: 'cancelled' } }
+  );
+
+  await logShiftActivity(req, {
+    action: 'Cancelled Shift',
+    actionType: 'delete',
+    entityId: shift._id,
+    entityName: shift.district,
+    description: `Cancelled ${shiftIds.length} shift(s) in ${shift.district}`,
+    details: formatShift(shift),
+  });
+
+  const volunteer = await User.findById(shift.volunteer).select('email');
+  if (volunteer) {
+    await notifyUser(volunteer, {
+      title: 'On-Call Shift Cancelled',
+      message: shiftIds.length > 1
+        ? `${shiftIds.length} of your shifts in ${shift.district}, from ${new Date(shift.startsAt).toLocaleString()}, were cancelled.`
+        : `Your shift ${formatShift(shift)} was cancelled.`,
+      type: 'warning',
+      data: { shiftIds },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { cancelled: shiftIds.length },
+    message: `${shiftIds.length} shift(s) cancelled`,
+  });
+});
+
+// @desc    Ask another volunteer to take a shift
+// @route   POST /api/shifts/:id/swap-requests
+// @access  Private/Volunteer (the shift's volunteer)
+const createSwapRequest = asyncHandler(async (req, res, next) => {
+  const { targetVolunteerId, offeredShiftId, reason } = req.body;
+
+  const shift = await Shift.findById(req.params.id);
+  if (!shift || shift.status !== 'scheduled' || shift.volunteer.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Shift not found with id ${req.params.id}`, 404));
+  }
+  if (shift.startsAt <= new Date()) {
+    return next(new ErrorResponse('Shifts that already started cannot be swapped', 400));
+  }
+  if (targetVolunteerId === req.user.id) {
+    return next(new ErrorResponse('Choose another volunteer to swap with', 400));
+  }
+
+  const target = await findVolunteer(targetVolunteerId);
+
+  let offeredShift = null;
+  if (offeredShiftId) {
+    offeredShift = await Shift.findById(offeredShiftId);
+    if (
+      !offeredShift ||
+      offeredShift.status !== 'scheduled' ||
+      offeredShift.volunteer.toString() !== target._id.toString() ||
+      offeredShift.startsAt <= new Date()
+    ) {
+      return next(new ErrorResponse(`${target.name} has no upcoming shift with id ${offeredShiftId}`, 400));
+    }
+  }
+
+  const open = await ShiftSwapRequest.findOne({
+    shift: shift._id,
+    status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+  });
+  if (open) {
+    return next(new ErrorResponse('This shift already has an open swap request', 400));
+  }
+
+  // Both sides must be free for the shift they would take
+  await assertNoOverlap(target, shift.startsAt, shift.endsAt, [offeredShift?._id].filter(Boolean));
+  if (offeredShift) {
+    await assertNoOverlap(req.user, offeredShift.startsAt, offeredShift.endsAt, [shift._id]);
+  }
+
+  const swapRequest = await ShiftSwapRequest.create({
+    shift: shift._id,
+    requester: req.user._id,
+    target: target._id,
+    offeredShift: offeredShift?._id || null,
+    reason,
+  });
+
+  await notifyUser(target, {
+    title: 'Shift Swap Request 🔄',
+    message: `${req.user.name} asks you to take their shift ${formatShift(shift)}${
+      offeredShift ? ` in exchange for yours ${formatShift(offeredShift)}` : ''
+    }.${reason ? ` Reason: ${reason}` : ''}`,
+    actionUrl: '/dashboard/shifts/swaps',
+    data: { swapRequestId: swapRequest._id },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: swapRequest,
+    message: `Swap request sent to ${target.name}`,
+  });
+});
+
+// @desc    Get swap requests: incoming, outgoing or (admins) to review
+// @route   GET /api/shifts/swap-requests
+// @access  Private/Volunteer
+const getSwapRequests = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+  const box = req.query.box || 'incoming';
+
+  if (box === 'review' && req.user.role !== 'admin') {
+    return next(new ErrorResponse('Only admins review swap requests', 403));
+  }
+
+  const filter = {
+    incoming: { target: req.user._id },
+    outgoing: { requester: req.user._id },
+    review: { status: 'accepted' },
+  }[box];
+
+  if (req.query.status && box !== 'review') filter.status = req.query.status;
+
+  const result = await paginate(ShiftSwapRequest, filter, pagination, {
+    sort: { createdAt: -1 },
+    query: (find) => find
+      .populate('shift offeredShift', 'district startsAt endsAt role status')
+      .populate('requester target', 'name email avatar'),
+  });
+
+  res.status(200).json(paginatedResponse(result, { box }));
+});
+
+// @desc    Accept or decline a swap request
+// @route   PUT /api/shifts/swap-requests/:id/respond
+// @access  Private/Volunteer (the volunteer asked)
+const respondToSwapRequest = asyncHandler(async (req, res, next) => {
+  const { action } = req.body;
+
+  const swapRequest = await ShiftSwapRequest.findById(req.params.id).populate('shift');
+  if (!swapRequest || swapRequest.target.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Swap request not found with id ${req.params.id}`, 404));
+  }
+  if (swapRequest.status !== 'pending') {
+    return next(new ErrorResponse(`This swap request is already ${swapRequest.status}`, 400));
+  }
+
+  swapRequest.status = action === 'accept' ? 'accepted' : 'declined';
+  swapRequest.respondedAt = new Date();
+  await swapRequest.save();
+
+  const requester = await User.findById(swapRequest.requester).select('name email');
+  if (requester) {
+    await notifyUser(requester, {
+      title: action === 'accept' ? 'Shift Swap Accepted' : 'Shift Swap Declined',
+      message: action === 'accept'
+        ? `${req.user.name} agreed to take your shift ${formatShift(swapRequest.shift)}. An admin will confirm the change.`
+        : `${req.user.name} cannot take your shift ${formatShift(swapRequest.shift)}.`,
+      type: action === 'accept' ? 'success' : 'warning',
+      actionUrl: '/dashboard/shifts/swaps',
+      data: { swapRequestId: swapRequest._id },
+    });
+  }
+
+  if (action === 'accept') {
+    const admins = await User.find({ role: 'admin', status: 'active' }).select('email');
+    await Promise.all(admins.map((admin) => notifyUser(admin, {
+      title: 'Shift Swap Awaiting Approval',
+      message: `${requester?.name || 'A volunteer'} and ${req.user.name} agreed to swap the shift ${formatShift(swapRequest.shift)}.`,
+      actionUrl: '/dashboard/shifts/swaps?box=review',
+      data: { swapRequestId: swapRequest._id },
+    })));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: swapRequest,
+    message: `Swap request ${swapRequest.status}`,
+  });
+});
+
+// @desc    Approve (apply) or reject an accepted swap
+// @route   PUT /api/shifts/swap-requests/:id/review
+// @access  Private/Admin
+const reviewSwapRequest = asyncHandler(async (req, res, next) => {
+  const { action, note } = req.body;
+
+  const swapRequest = await ShiftSwapRequest.findById(req.params.id);
+  if (!swapRequest) {
+    return next(new ErrorResponse(`Swap request not found with id ${req.params.id}`, 404));
+  }
+  if (swapRequest.status !== 'accepted') {
+    return next(new ErrorResponse(`Only accepted swap requests can be reviewed (this one is ${swapRequest.status})`, 400));
+  }
+
+  const [shift, offeredShift, requester, target] = await Promise.all([
+    Shift.findById(swapRequest.shift),
+    swapRequest.offeredShift ? Shift.findById(swapRequest.offeredShift) : null,
+    User.findById(swapRequest.requester).select('name email'),
+    User.findById(swapRequest.target).select('name email'),
+  ]);
+
+  if (action === 'approve') {
+    // The rota may have changed since the volunteers agreed
+    const stillValid = shift && shift.status === 'scheduled'
+      && shift.volunteer.toString() === swapRequest.requester.toString()
+      && target
+      && (!swapRequest.offeredShift || (offeredShift && offeredShift.status === 'scheduled'
+        && offeredShift.volunteer.toString() === swapRequest.target.toString()));
+    if (!stillValid) {
+      return next(new ErrorResponse('The shifts changed since this swap was agreed; it can only be rejected', 409));
+    }
+
+    await assertNoOverlap(target, shift.startsAt, shift.endsAt, [offeredShift?._id].filter(Boolean));
+    if (offeredShift) {
+      await assertNoOverlap(requester, offeredShift.startsAt, offeredShift.endsAt, [shift._id]);
+    }
+
+    shift.swapHistory.push({ from: requester._id, to: target._id, swapRequest: swapRequest._id });
+    shift.volunteer = target._id;
+    await shift.save();
+
+    if (offeredShift) {
+      offeredShift.swapHistory.push({ from: target._id, to: requester._id, swapRequest: swapRequest._id });
+      offeredShift.volunteer = requester._id;
+      await offeredShift.save();
+    }
+  }
+
+  swapRequest.status = action === 'approve' ? 'approved' : 'rejected';
+  swapRequest.reviewedBy = req.user._id;
+  swapRequest.reviewedAt = new Date();
+  swapRequest.reviewNote = note || '';
+  await swapRequest.save();
+
+  await logShiftActivity(req, {
+    action: action === 'approve' ? 'Approved Shift Swap' : 'Rejected Shift Swap',
+    entityId: swapRequest._id,
+    entityName: shift?.district,
+    description: `${action === 'approve' ? 'Approved' : 'Rejected'} swap of shift ${shift ? formatShift(shift) : swapRequest.shift} between ${requester?.name} and ${target?.name}`,
+    details: note || 'No note',
+  });
+
+  await Promise.all([requester, target].filter(Boolean).map((user) => notifyUser(user, {
+    title: action === 'approve' ? 'Shift Swap Approved ✅' : 'Shift Swap Rejected',
+    message: action === 'approve'
+      ? `The swap of the shift ${formatShift(shift)} is confirmed. Please check your upcoming shifts.`
+      : `The swap of the shift ${shift ? formatShift(shift) : ''} was not approved.${note ? ` ${note}` : ''}`,
+    type: action === 'approve' ? 'success' : 'warning',
+    data: { swapRequestId: swapRequest._id },
+  })));
+
+  res.status(200).json({
+    success: true,
+    data: swapRequest,
+    message: `Swap request ${swapRequest.status}`,
+  });
+});
+
+// @desc    Withdraw a swap request
+// @route   PUT /api/shifts/swap-requests/:id/cancel
+// @access  Private/Volunteer (the requester)
+const cancelSwapRequest = asyncHandler(async (req, res, next) => {
+  const swapRequest = await ShiftSwapRequest.findById(req.params.id);
+  if (!swapRequest || swapRequest.requester.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Swap request not found with id ${req.params.id}`, 404));
+  }
+  if (!ShiftSwapRequest.OPEN_STATUSES.includes(swapRequest.status)) {
+    return next(new ErrorResponse(`This swap request is already ${swapRequest.status}`, 400));
+  }
+
+  swapRequest.status = 'cancelled';
+  await swapRequest.save();
+
+  res.status(200).json({
+    success: true,
+    data: swapRequest,
+    message: 'Swap request cancelled',
+  });
+});
+
+export default {
+  getOnCall,
+  getShifts,
+  getMyShifts,
+  createShifts,
+  updateShift,
+  cancelShift,
+  createSwapRequest,
+  getSwapRequests,
+  respondToSwapRequest,
+  reviewSwapRequest,
+  cancelSwapRequest,
+};
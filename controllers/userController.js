@@ -5,15 +5,15 @@ import Notification from '../models/Notification.js';
 import Funding from '../models/Funding.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import ErrorResponse from '../utils/errorResponse.js';
+import { getPaginationOptions, paginate, paginatedResponse, parseSort } from '../utils/pagination.js';
+import { maskDonors } from '../utils/donorPrivacy.js';
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
 // @access  Private/Admin
 export const getAllUsers = asyncHandler(async (req, res, next) => {
-  // Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  // Pagination (page or cursor mode)
+  const pagination = getPaginationOptions(req);
 
   // Filtering
   const filter = {};
@@ -30,23 +30,14 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
   }
 
   // Sorting
-  const sort = {};
-  if (req.query.sort) {
-    const sortField = req.query.sort.startsWith('-') ? req.query.sort.substring(1) : req.query.sort;
-    sort[sortField] = req.query.sort.startsWith('-') ? -1 : 1;
-  } else {
-    sort.createdAt = -1;
-  }
+  const sort = parseSort(req.query.sort, { createdAt: -1 });
 
   // Execute query
-  const [users, total] = await Promise.all([
-    User.find(filter)
-      .select('-password')
-      .skip(skip)
-      .limit(limit)
-      .sort(sort),
-    User.countDocuments(filter),
-  ]);
+  const result = await paginate(User, filter, pagination, {
+    sort,
+    query: (find) => find.select('-password'),
+  });
+  const users = result.data;
 
   // Log admin action
   await ActivityLog.logActivity({
@@ -68,19 +59,7 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
     },
   });
 
-  res.status(200).json({
-    success: true,
-    count: users.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: users,
-  });
+  res.status(200).json(paginatedResponse(result));
 });
 
 // @desc    Get single user
@@ -531,9 +510,12 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
     User.countDocuments(filter),
   ]);
 
+  // Contact details and account fields as this viewer may see them
+  const visibleDonors = await maskDonors(donors, req.user);
+
   // Enrich donors with availability status
-  const enrichedDonors = donors.map(donor => {
-    const donorObj = donor.toObject();
+  const enrichedDonors = donors.map((donor, index) => {
+    const donorObj = visibleDonors[index];
     
     // Calculate days since last donation
     const daysSinceLastDonation = donor.lastDonationDate
@@ -598,6 +580,71 @@ export const searchDonors = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get the current user's contact privacy settings
+// @route   GET /api/users/profile/privacy
+// @access  Private
+export const getPrivacySettings = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('privacy');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user.getProfile().privacy,
+  });
+});
+
+// @desc    Update the current user's contact privacy settings
+// @route   PUT /api/users/profile/privacy
+// @access  Private
+export const updatePrivacySettings = asyncHandler(async (req, res, next) => {
+  const changes = {};
+  ['showPhone', 'showEmail', 'platformOnly'].forEach((key) => {
+    if (req.body[key] !== undefined) {
+      changes[`privacy.${key}`] = req.body[key] === true || req.body[key] === 'true';
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return next(new ErrorResponse('Provide showPhone, showEmail or platformOnly', 400));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: changes }, { new: true });
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const { privacy } = user.getProfile();
+
+  // Log activity
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'Updated Privacy Settings',
+    actionType: 'update',
+    category: 'user',
+    entityType: 'user',
+    entityId: user._id,
+    entityName: user.name,
+    description: 'Updated contact privacy settings',
+    details: JSON.stringify(privacy),
+    status: 'success',
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  res.status(200).json({
+    success: true,
+    data: privacy,
+    message: 'Privacy settings updated successfully',
+  });
+});
+
 // @desc    Toggle donor availability
 // @route   PATCH /api/users/:id/availability
 // @access  Private
@@ -741,6 +788,8 @@ export default {
   changeUserRole,
   getUserStats,
   searchDonors,
+  getPrivacySettings,
+  updatePrivacySettings,
   toggleAvailability,
   getTopDonors,
   updateLastDonation
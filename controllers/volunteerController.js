@@ -3,8 +3,40 @@ import User from '../models/User.js';
 import Contact from '../models/Contact.js';
 import Notification from '../models/Notification.js';
 import ActivityLog from '../models/ActivityLog.js';
+import Assignment from '../models/Assignment.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import ErrorResponse from '../utils/errorResponse.js';
+import {
+  checkDonorEligibility,
+  findMatchingDonors,
+  getReliabilityScores,
+  scoreDonor,
+} from '../utils/donorMatching.js';
+import { transitionDonationStatus } from '../utils/donationStatus.js';
+import { emitDonationEvent, emitVolunteerTask } from '../utils/realtime.js';
+import {
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+} from '../utils/pagination.js';
+import {
+  ASSIGNMENT_POPULATE,
+  buildAssignmentFilter,
+  getAssignmentSort,
+  toTaskEvent,
+} from '../utils/assignments.js';
+import { ASSIGNMENT_STATUS_TRANSITIONS } from '../utils/constants.js';
+import { isVolunteerAvailable, toMinutes } from '../utils/dispatch.js';
+import { getDispatchConfig } from '../config/dispatch.js';
+import { normalizeDistrict } from '../config/districts.js';
+import { isValidCoordinate, toGeoPoint } from '../utils/geo.js';
+import { announceDonationRequest, resolveHospitalFields } from '../utils/donationIntake.js';
+import {
+  findWalkInAccount,
+  issueTrackingToken,
+  notifyWalkInAccount,
+  sendTrackingLinks,
+} from '../utils/walkInRequests.js';
 
 // @desc    Get volunteer dashboard statistics
 // @route   GET /api/volunteer/dashboard-stats
@@ -136,9 +168,7 @@ export const getVolunteerDashboard = asyncHandler(async (req, res, next) => {
 // @route   GET /api/volunteer/donation-requests
 // @access  Private/Volunteer
 export const getVolunteerDonationRequests = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   // Build filter - volunteers can see all active requests
   const filter = { isActive: true };
@@ -169,15 +199,12 @@ export const getVolunteerDonationRequests = asyncHandler(async (req, res, next)
   // Priority: urgent first, then by date
   const sort = { urgency: -1, donationDate: 1, createdAt: -1 };
 
-  const [donations, total] = await Promise.all([
-    DonationRequest.find(filter)
+  const result = await paginate(DonationRequest, filter, pagination, {
+    sort,
+    query: (find) => find
       .populate('requester', 'name email avatar phone')
-      .populate('donor', 'name email avatar phone')
-      .skip(skip)
-      .limit(limit)
-      .sort(sort),
-    DonationRequest.countDocuments(filter),
-  ]);
+      .populate('donor', 'name email avatar phone'),
+  });
 
   // Get statistics for the filtered results
   const stats = await DonationRequest.aggregate([
@@ -206,35 +233,20 @@ export const getVolunteerDonationRequests = asyncHandler(async (req, res, next)
     totalUrgent += stat.urgentCount;
   });
 
-  res.status(200).json({
-    success: true,
-    count: donations.length,
-    total,
+  res.status(200).json(paginatedResponse(result, {
     statistics: {
       byStatus: statusStats,
       totalUrgent,
     },
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: donations,
-  });
+  }));
 });
 
 // @desc    Update donation request status (Volunteer can update status only)
-// @route   PATCH /api/volunteer/donation-requests/:id/status
+// @route   PUT /api/volunteer/donation-requests/:id/status
 // @access  Private/Volunteer
 export const updateDonationStatus = asyncHandler(async (req, res, next) => {
-  const { status, note } = req.body;
-  const validStatuses = ['pending', 'inprogress', 'done', 'canceled'];
-
-  if (!validStatuses.includes(status)) {
-    return next(new ErrorResponse(`Invalid status. Valid statuses: ${validStatuses.join(', ')}`, 400));
-  }
+  const { status } = req.body;
+  const note = req.body.note || req.body.notes || `Status updated by volunteer ${req.user.name}`;
 
   const donation = await DonationRequest.findById(req.params.id);
 
@@ -242,140 +254,15 @@ export const updateDonationStatus = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Donation request not found with id ${req.params.id}`, 404));
   }
 
-  // Volunteers can only update status (not other fields)
-  const oldStatus = donation.status;
-  
-  // Special rules for volunteers:
-  // - Can change pending to inprogress (if no donor yet)
-  // - Can change inprogress to done or canceled
-  // - Can change pending to canceled
-  // - Cannot change done or canceled to other statuses
-  
-  if ((oldStatus === 'done' || oldStatus === 'canceled') && status !== oldStatus) {
-    return next(new ErrorResponse(`Cannot change status from ${oldStatus} to ${status}`, 400));
-  }
-
-  if (oldStatus === 'pending' && status === 'inprogress' && !donation.donor) {
-    return next(new ErrorResponse('Cannot mark as inprogress without a donor', 400));
-  }
-
-  // Update status
-  donation.status = status;
-  
-  // Add to status history
-  donation.statusHistory.push({
-    status,
-    changedBy: req.user.id,
-    changedAt: new Date(),
-    note: note || `Status updated by volunteer ${req.user.name}`,
+  // Volunteers can only update status (not other fields). Which moves are
+  // allowed, and what they trigger, is decided by DONATION_STATUS_TRANSITIONS.
+  await transitionDonationStatus(donation, status, {
+    user: req.user,
+    note,
+    req,
   });
 
-  await donation.save();
-
-  // Log activity
-  await ActivityLog.logActivity({
-    user: req.user._id,
-    userName: req.user.name,
-    userEmail: req.user.email,
-    userRole: req.user.role,
-    action: 'Updated Donation Status',
-    actionType: 'update',
-    category: 'donation',
-    entityType: 'donation_request',
-    entityId: donation._id,
-    entityName: donation.recipientName,
-    description: `Changed status from ${oldStatus} to ${status} for ${donation.recipientName}`,
-    details: `Note: ${note || 'No additional note'}`,
-    status: 'success',
-    userIp: req.ip,
-    userAgent: req.headers['user-agent'],
-  });
-
-  // Notify relevant parties
-  const notifications = [];
-
-  if (status === 'done') {
-    // Notify requester
-    notifications.push({
-      recipient: donation.requester,
-      recipientEmail: donation.requesterEmail,
-      title: 'Donation Completed Successfully! ✅',
-      message: `The blood donation for ${donation.recipientName} has been marked as completed by volunteer ${req.user.name}.`,
-      type: 'success',
-      category: 'donation',
-      priority: 'medium',
-      actionUrl: `/donation-requests/${donation._id}`,
-      data: { 
-        donationId: donation._id, 
-        completed: true,
-        volunteer: req.user.name,
-      },
-      sender: req.user._id,
-      senderName: req.user.name,
-      senderRole: req.user.role,
-    });
-
-    // Notify donor if exists
-    if (donation.donor) {
-      notifications.push({
-        recipient: donation.donor,
-        recipientEmail: donation.donorEmail,
-        title: 'Thank You for Your Donation! ❤️',
-        message: `Volunteer ${req.user.name} has confirmed that your donation for ${donation.recipientName} was completed successfully. Thank you for saving lives!`,
-        type: 'success',
-        category: 'donation',
-        priority: 'medium',
-        actionUrl: '/dashboard',
-        data: { 
-          donationId: donation._id, 
-          lifesaver: true,
-          volunteer: req.user.name,
-        },
-      });
-    }
-  } else if (status === 'canceled') {
-    // Notify requester
-    notifications.push({
-      recipient: donation.requester,
-      recipientEmail: donation.requesterEmail,
-      title: 'Donation Request Cancelled',
-      message: `Volunteer ${req.user.name} has cancelled the donation request for ${donation.recipientName}. Reason: ${note || 'Not specified'}`,
-      type: 'warning',
-      category: 'donation',
-      priority: 'medium',
-      actionUrl: `/dashboard`,
-      data: { 
-        donationId: donation._id, 
-        cancelled: true,
-        volunteer: req.user.name,
-        reason: note,
-      },
-    });
-
-    // Notify donor if exists
-    if (donation.donor) {
-      notifications.push({
-        recipient: donation.donor,
-        recipientEmail: donation.donorEmail,
-        title: 'Donation Request Cancelled',
-        message: `Volunteer ${req.user.name} has cancelled the donation request you accepted. Reason: ${note || 'Not specified'}`,
-        type: 'warning',
-        category: 'donation',
-        priority: 'medium',
-        actionUrl: '/dashboard',
-        data: { 
-          donationId: donation._id, 
-          cancelled: true,
-          volunteer: req.user.name,
-          reason: note,
-        },
-      });
-    }
-  }
-
-  if (notifications.length > 0) {
-    await Notification.insertMany(notifications);
-  }
+  emitDonationEvent(donation, 'updated', { actor: req.user });
 
   res.status(200).json({
     success: true,
@@ -388,64 +275,49 @@ export const updateDonationStatus = asyncHandler(async (req, res, next) => {
 // @route   POST /api/volunteer/donation-requests/:id/assign-donor
 // @access  Private/Volunteer
 export const assignDonor = asyncHandler(async (req, res, next) => {
-  const { donorId, note } = req.body;
-
-  if (!donorId) {
-    return next(new ErrorResponse('Donor ID is required', 400));
-  }
+  const { donorId } = req.body;
+  const note = req.body.note || req.body.assignmentNotes;
 
-  const [donation, donor] = await Promise.all([
-    DonationRequest.findById(req.params.id),
-    User.findById(donorId),
-  ]);
+  const donation = await DonationRequest.findById(req.params.id);
 
   if (!donation) {
     return next(new ErrorResponse(`Donation request not found with id ${req.params.id}`, 404));
   }
 
-  if (!donor) {
-    return next(new ErrorResponse(`Donor not found with id ${donorId}`, 404));
+  // Check if donation can accept donor
+  if (donation.status !== 'pending') {
+    return next(new ErrorResponse(`Cannot assign donor to ${donation.status} donation`, 400));
   }
 
-  // Check if donor is actually a donor
-  if (donor.role !== 'donor') {
-    return next(new ErrorResponse('User is not a donor', 400));
-  }
+  const alreadySuggested = (donation.volunteerSuggestions || []).map((s) => s.donor);
 
-  // Check if donor is blocked
-  if (donor.status === 'blocked') {
-    return next(new ErrorResponse('Cannot assign blocked donor', 400));
-  }
+  let donor;
+  let match;
 
-  // Check if donor is available
-  if (!donor.isAvailable) {
-    return next(new ErrorResponse('Donor is not available for donations', 400));
-  }
+  if (donorId) {
+    donor = await User.findById(donorId);
 
-  // Check if donation can accept donor
-  if (donation.status !== 'pending') {
-    return next(new ErrorResponse(`Cannot assign donor to ${donation.status} donation`, 400));
-  }
+    if (!donor) {
+      return next(new ErrorResponse(`Donor not found with id ${donorId}`, 404));
+    }
 
-  // Check blood group compatibility
-  if (donor.bloodGroup !== donation.bloodGroup) {
-    return next(new ErrorResponse(
-      `Donor blood group (${donor.bloodGroup}) does not match required blood group (${donation.bloodGroup})`,
-      400
-    ));
-  }
+    // Blood compatibility, 90-day interval, availability and account status
+    const { eligible, reasons } = checkDonorEligibility(donor, donation);
+    if (!eligible) {
+      return next(new ErrorResponse(`Cannot assign this donor: ${reasons.join('; ')}`, 400));
+    }
 
-  // Check if donor has donated recently (90 days)
-  if (donor.lastDonationDate) {
-    const daysSinceLastDonation = Math.floor(
-      (new Date() - new Date(donor.lastDonationDate)) / (1000 * 60 * 60 * 24)
-    );
-    if (daysSinceLastDonation < 90) {
-      return next(new ErrorResponse(
-        `Donor can only donate every 90 days. Last donation was ${daysSinceLastDonation} days ago.`,
-        400
-      ));
+    const reliability = await getReliabilityScores([donor._id]);
+    match = scoreDonor(donor, donation, reliability.get(donor._id.toString()) ?? 0.5);
+  } else {
+    // No donor picked: take the best match that was not suggested yet
+    const [best] = await findMatchingDonors(donation, { limit: 1, excludeIds: alreadySuggested });
+
+    if (!best) {
+      return next(new ErrorResponse('No eligible compatible donors found for this request', 404));
     }
+
+    ({ donor, ...match } = best);
   }
 
   // Create assignment notification (don't auto-accept, just suggest)
@@ -477,12 +349,15 @@ export const assignDonor = asyncHandler(async (req, res, next) => {
   donation.volunteerSuggestions.push({
     volunteer: req.user.id,
     donor: donor._id,
+    matchScore: match.score,
     suggestedAt: new Date(),
     note: note || '',
   });
 
   await donation.save();
 
+  emitDonationEvent(donation, 'updated', { actor: req.user });
+
   // Log activity
   await ActivityLog.logActivity({
     user: req.user._id,
@@ -496,7 +371,7 @@ export const assignDonor = asyncHandler(async (req, res, next) => {
     entityId: donation._id,
     entityName: donation.recipientName,
     description: `Suggested donor ${donor.name} for donation request`,
-    details: `Donor: ${donor.name} (${donor.bloodGroup}), Note: ${note || 'No note'}`,
+    details: `Donor: ${donor.name} (${donor.bloodGroup}), Match score: ${match.score}, Auto-selected: ${!donorId}, Note: ${note || 'No note'}`,
     status: 'success',
     userIp: req.ip,
     userAgent: req.headers['user-agent'],
@@ -533,6 +408,8 @@ export const assignDonor = asyncHandler(async (req, res, next) => {
         email: donor.email,
         bloodGroup: donor.bloodGroup,
       },
+      match,
+      autoSelected: !donorId,
       suggestedBy: req.user.name,
     },
   });
@@ -546,14 +423,10 @@ export const getAvailableDonors = asyncHandler(async (req, res, next) => {
     bloodGroup,
     district,
     upazila,
-    page = 1,
-    limit = 20,
     excludeAssigned = true,
   } = req.query;
 
-  const pageNum = parseInt(page, 10);
-  const limitNum = parseInt(limit, 10);
-  const skip = (pageNum - 1) * limitNum;
+  const pagination = getPaginationOptions(req);
 
   // Build filter for available donors
   const filter = {
@@ -575,17 +448,13 @@ export const getAvailableDonors = asyncHandler(async (req, res, next) => {
     }
   }
 
-  const [donors, total] = await Promise.all([
-    User.find(filter)
-      .select('-password')
-      .skip(skip)
-      .limit(limitNum)
-      .sort({ totalDonations: -1, lastDonationDate: 1 }),
-    User.countDocuments(filter),
-  ]);
+  const result = await paginate(User, filter, pagination, {
+    sort: { totalDonations: -1, lastDonationDate: 1 },
+    query: (find) => find.select('-password'),
+  });
 
   // Enrich donors with eligibility information
-  const enrichedDonors = donors.map(donor => {
+  const enrichedDonors = result.data.map(donor => {
     const donorObj = donor.toObject();
     
     // Calculate eligibility
@@ -661,10 +530,7 @@ export const getAvailableDonors = asyncHandler(async (req, res, next) => {
     { $sort: { count: -1 } },
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: enrichedDonors.length,
-    total,
+  res.status(200).json(paginatedResponse(result, {
     filters: {
       bloodGroup: bloodGroup || 'Any',
       district: district || 'Any',
@@ -672,16 +538,140 @@ export const getAvailableDonors = asyncHandler(async (req, res, next) => {
     },
     statistics: {
       bloodGroups: bloodGroupStats,
-      totalAvailable: total,
+      totalAvailable: result.total,
     },
-    pagination: {
-      page: pageNum,
-      limit: limitNum,
-      totalPages: Math.ceil(total / limitNum),
-      hasNextPage: pageNum * limitNum < total,
-      hasPrevPage: pageNum > 1,
+  }, enrichedDonors));
+});
+
+// @desc    Create a donation request for a walk-in requester without an account
+// @route   POST /api/volunteer/donation-requests
+// @access  Private/Volunteer
+export const createDonationRequest = asyncHandler(async (req, res, next) => {
+  const { requesterName, requesterPhone, requesterEmail, relationship } = req.body;
+
+  const donationDate = new Date(req.body.donationDate);
+  if (donationDate < new Date().setHours(0, 0, 0, 0)) {
+    return next(new ErrorResponse('Donation date cannot be in the past', 400));
+  }
+
+  // A requester with a verified account gets the request right away;
+  // otherwise the volunteer owns it until the requester claims it
+  const account = await findWalkInAccount({ email: requesterEmail, phone: requesterPhone });
+  const owner = account || req.user;
+
+  const donation = new DonationRequest({
+    requester: owner._id,
+    requesterName: owner.name,
+    requesterEmail: owner.email,
+    recipientName: req.body.recipientName,
+    recipientDistrict: req.body.recipientDistrict,
+    recipientUpazila: req.body.recipientUpazila,
+    hospitalName: req.body.hospitalName,
+    hospitalAddress: req.body.hospitalAddress,
+    ...(await resolveHospitalFields(req.body)),
+    bloodGroup: req.body.bloodGroup.toUpperCase(),
+    donationDate,
+    donationTime: req.body.donationTime,
+    requestMessage: req.body.requestMessage,
+    urgency: req.body.urgencyLevel || 'medium',
+    unitsRequired: req.body.requiredUnits || 1,
+    contactPerson: {
+      name: requesterName,
+      phone: requesterPhone,
+      relationship,
+    },
+    walkIn: {
+      name: requesterName,
+      phone: requesterPhone,
+      email: requesterEmail,
+      relationship,
+      createdBy: req.user._id,
+      claimedBy: account?._id || null,
+      claimedAt: account ? new Date() : null,
     },
-    data: enrichedDonors,
+    ...(isValidCoordinate(req.body.latitude, req.body.longitude)
+      ? { location: toGeoPoint(req.body.latitude, req.body.longitude) }
+      : {}),
+  });
+
+  const trackingToken = account ? null : issueTrackingToken(donation);
+  await donation.save();
+
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'Created Walk-in Donation Request',
+    actionType: 'create',
+    category: 'donation',
+    entityType: 'donation_request',
+    entityId: donation._id,
+    entityName: donation.recipientName,
+    description: `Created donation request for ${donation.recipientName} on behalf of ${requesterName}${account ? ` (existing account ${account.email})` : ''}`,
+    details: `Blood Group: ${donation.bloodGroup}, Hospital: ${donation.hospitalName}, Date: ${donation.donationDate}`,
+    status: 'success',
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  await announceDonationRequest(donation, req.user);
+
+  // Account holders follow the request from their dashboard. Others get a
+  // tracking link; the volunteer gets it back to hand over if neither
+  // channel worked.
+  let tracking = null;
+  if (account) {
+    await notifyWalkInAccount(donation, account, req.user);
+  } else {
+    tracking = await sendTrackingLinks(donation, trackingToken, req.user);
+    donation.walkIn.trackingLinkSentAt = new Date();
+    await donation.save();
+  }
+
+  // Only the hash is kept, but it should not leave the server either
+  const data = donation.toJSON();
+  delete data.walkIn.trackingTokenHash;
+
+  res.status(201).json({
+    success: true,
+    data,
+    tracking,
+    claimedBy: account ? { _id: account._id, name: account.name } : null,
+    message: account
+      ? `Donation request created and added to ${account.name}'s account`
+      : 'Donation request created successfully',
+  });
+});
+
+// @desc    Send a new tracking link to a walk-in requester
+// @route   POST /api/volunteer/donation-requests/:id/tracking-link
+// @access  Private/Volunteer
+export const resendTrackingLink = asyncHandler(async (req, res, next) => {
+  const donation = await DonationRequest.findById(req.params.id);
+
+  if (!donation) {
+    return next(new ErrorResponse(`Donation request not found with id ${req.params.id}`, 404));
+  }
+
+  if (!donation.walkIn?.createdBy) {
+    return next(new ErrorResponse('Only walk-in requests have tracking links', 400));
+  }
+
+  if (donation.walkIn.claimedAt) {
+    return next(new ErrorResponse('The requester has an account and follows the request there', 400));
+  }
+
+  // Earlier links stop working, in case one reached the wrong person
+  const trackingToken = issueTrackingToken(donation);
+  const tracking = await sendTrackingLinks(donation, trackingToken, req.user);
+  donation.walkIn.trackingLinkSentAt = new Date();
+  await donation.save();
+
+  res.status(200).json({
+    success: true,
+    data: tracking,
+    message: 'Tracking link sent',
   });
 });
 
@@ -689,9 +679,7 @@ export const getAvailableDonors = asyncHandler(async (req, res, next) => {
 // @route   GET /api/volunteer/assigned-contacts
 // @access  Private/Volunteer
 export const getAssignedContacts = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   const filter = {
     assignedTo: req.user.id,
@@ -707,14 +695,10 @@ export const getAssignedContacts = asyncHandler(async (req, res, next) => {
     ];
   }
 
-  const [contacts, total] = await Promise.all([
-    Contact.find(filter)
-      .populate('user', 'name email avatar')
-      .skip(skip)
-      .limit(limit)
-      .sort({ priority: -1, createdAt: -1 }),
-    Contact.countDocuments(filter),
-  ]);
+  const result = await paginate(Contact, filter, pagination, {
+    sort: { priority: -1, createdAt: -1 },
+    query: (find) => find.populate('user', 'name email avatar'),
+  });
 
   // Get contact statistics
   const contactStats = await Contact.aggregate([
@@ -740,20 +724,7 @@ export const getAssignedContacts = asyncHandler(async (req, res, next) => {
     };
   });
 
-  res.status(200).json({
-    success: true,
-    count: contacts.length,
-    total,
-    statistics: stats,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: contacts,
-  });
+  res.status(200).json(paginatedResponse(result, { statistics: stats }));
 });
 
 // @desc    Respond to assigned contact
@@ -783,7 +754,7 @@ export const respondToContact = asyncHandler(async (req, res, next) => {
     responderName: req.user.name,
     responderRole: req.user.role,
     message,
-    sentVia,
+    sentVia: sendVia,
   });
 
   // Update status if marked as resolved
@@ -821,9 +792,7 @@ export const respondToContact = asyncHandler(async (req, res, next) => {
 // @route   GET /api/volunteer/activity-log
 // @access  Private/Volunteer
 export const getVolunteerActivityLog = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const pagination = getPaginationOptions(req);
 
   const filter = {
     user: req.user.id,
@@ -837,14 +806,10 @@ export const getVolunteerActivityLog = asyncHandler(async (req, res, next) => {
     if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
   }
 
-  const [activities, total] = await Promise.all([
-    ActivityLog.find(filter)
-      .populate('entityId')
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 }),
-    ActivityLog.countDocuments(filter),
-  ]);
+  const result = await paginate(ActivityLog, filter, pagination, {
+    sort: { createdAt: -1 },
+    query: (find) => find.populate('entityId'),
+  });
 
   // Get activity statistics
   const activityStats = await ActivityLog.aggregate([
@@ -879,22 +844,11 @@ export const getVolunteerActivityLog = asyncHandler(async (req, res, next) => {
     { $limit: 7 }, // Last 7 days
   ]);
 
-  res.status(200).json({
-    success: true,
-    count: activities.length,
-    total,
+  res.status(200).json(paginatedResponse(result, {
     statistics: {
       last7Days: activityStats,
     },
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page * limit < total,
-      hasPrevPage: page > 1,
-    },
-    data: activities,
-  });
+  }));
 });
 
 // @desc    Get urgent tasks for volunteer
@@ -1025,15 +979,287 @@ export const completeTask = asyncHandler(async (req, res, next) => {
 });
 
 // ADD THIS AT THE END FOR DEFAULT EXPORT
+// @desc    Get the tasks assigned to the current volunteer
+// @route   GET /api/volunteer/my-assignments
+// @access  Private/Volunteer
+export const getMyAssignments = asyncHandler(async (req, res, next) => {
+  const pagination = getPaginationOptions(req);
+  const filter = buildAssignmentFilter(req.query, { volunteer: req.user._id });
+
+  const [result, statusCounts, overdue] = await Promise.all([
+    paginate(Assignment, filter, pagination, {
+      sort: getAssignmentSort(req.query.sort),
+      query: (find) => find.populate(ASSIGNMENT_POPULATE.filter((option) => option.path !== 'volunteer')),
+    }),
+    Assignment.aggregate([
+      { $match: { volunteer: req.user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    Assignment.countDocuments({
+      volunteer: req.user._id,
+      status: { $in: ['pending', 'inprogress'] },
+      dueAt: { $lt: new Date() },
+    }),
+  ]);
+
+  const summary = { pending: 0, inprogress: 0, completed: 0, cancelled: 0, overdue };
+  statusCounts.forEach(({ _id, count }) => {
+    summary[_id] = count;
+  });
+
+  res.status(200).json(paginatedResponse(result, { summary }));
+});
+
+// @desc    Get one of the current volunteer's tasks
+// @route   GET /api/volunteer/my-assignments/:id
+// @access  Private/Volunteer (admins see any task)
+export const getAssignmentDetails = asyncHandler(async (req, res, next) => {
+  const assignment = await Assignment.findById(req.params.id)
+    .populate(ASSIGNMENT_POPULATE)
+    .populate('statusHistory.changedBy', 'name role')
+    .populate('reassignments.from reassignments.to reassignments.by', 'name');
+
+  if (
+    !assignment ||
+    (req.user.role !== 'admin' && assignment.volunteer._id.toString() !== req.user.id)
+  ) {
+    return next(new ErrorResponse(`Assignment not found with id ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: assignment,
+  });
+});
+
+// @desc    Start, pause or complete one of the current volunteer's tasks
+// @route   PUT /api/volunteer/my-assignments/:id/status
+// @access  Private/Volunteer (only admins cancel)
+export const updateAssignmentStatus = asyncHandler(async (req, res, next) => {
+  const { status, completionNotes } = req.body;
+
+  const assignment = await Assignment.findById(req.params.id);
+
+  if (
+    !assignment ||
+    (req.user.role !== 'admin' && assignment.volunteer.toString() !== req.user.id)
+  ) {
+    return next(new ErrorResponse(`Assignment not found with id ${req.params.id}`, 404));
+  }
+
+  if (status === 'cancelled' && req.user.role !== 'admin') {
+    return next(new ErrorResponse('Only admins can cancel an assignment', 403));
+  }
+
+  const oldStatus = assignment.status;
+  const allowedTransitions = ASSIGNMENT_STATUS_TRANSITIONS[oldStatus] || [];
+
+  if (!allowedTransitions.includes(status)) {
+    return next(
+      new ErrorResponse(`Cannot change a ${oldStatus} assignment to ${status}`, 409, {
+        from: oldStatus,
+        to: status,
+        allowedTransitions,
+      })
+    );
+  }
+
+  await assignment.transitionTo(status, {
+    changedBy: req.user._id,
+    note: completionNotes,
+  });
+
+  // Log activity
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action: 'Updated Assignment Status',
+    actionType: 'update',
+    category: assignment.taskType === 'contact' ? 'contact' : 'donation',
+    entityType: 'assignment',
+    entityId: assignment._id,
+    entityName: assignment.title,
+    description: `Changed assignment "${assignment.title}" from ${oldStatus} to ${status}`,
+    details: completionNotes || 'No notes',
+    status: 'success',
+    userIp: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  emitVolunteerTask(assignment.volunteer, 'assignment', 'updated', { assignment: toTaskEvent(assignment) });
+
+  // Let the admin who gave the task know it is done
+  const assigner = status === 'completed' && assignment.assignedBy && assignment.assignedBy.toString() !== req.user.id
+    ? await User.findById(assignment.assignedBy).select('email')
+    : null;
+
+  if (assigner) {
+    await Notification.createSystemNotification({
+      recipient: assigner._id,
+      recipientEmail: assigner.email,
+      title: 'Task Completed ✅',
+      message: `${req.user.name} completed the task "${assignment.title}".${
+        completionNotes ? ` Notes: ${completionNotes}` : ''
+      }`,
+      type: 'success',
+      category: assignment.taskType === 'contact' ? 'user' : 'donation',
+      priority: 'low',
+      actionUrl: `/dashboard/assignments/${assignment._id}`,
+      data: {
+        assignmentId: assignment._id,
+        completedBy: req.user.name,
+      },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: assignment,
+    message: `Assignment marked as ${status}`,
+  });
+});
+
+// @desc    Acknowledge a task given by auto-dispatch
+// @route   POST /api/volunteer/my-assignments/:id/acknowledge
+// @access  Private/Volunteer
+export const acknowledgeAssignment = asyncHandler(async (req, res, next) => {
+  const assignment = await Assignment.findById(req.params.id);
+
+  if (!assignment || assignment.volunteer.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Assignment not found with id ${req.params.id}`, 404));
+  }
+
+  if (!assignment.markAcknowledged()) {
+    return next(new ErrorResponse('This assignment is not waiting for acknowledgement', 400));
+  }
+
+  await assignment.save();
+
+  emitVolunteerTask(assignment.volunteer, 'assignment', 'acknowledged', { assignment: toTaskEvent(assignment) });
+
+  res.status(200).json({
+    success: true,
+    data: assignment,
+    message: 'Assignment acknowledged',
+  });
+});
+
+// Declared availability plus what auto-dispatch makes of it right now
+const availabilityResponse = async (volunteer) => {
+  const openTasks = await Assignment.countOpen(volunteer._id);
+  const availability = volunteer.volunteerAvailability?.toObject?.() || volunteer.volunteerAvailability || {};
+
+  return {
+    ...availability,
+    district: volunteer.district,
+    openTasks,
+    maxOpenTasks: availability.maxOpenTasks || null,
+    effectiveMaxOpenTasks: availability.maxOpenTasks || getDispatchConfig().defaultMaxOpenTasks,
+    availableNow: isVolunteerAvailable(volunteer),
+  };
+};
+
+// @desc    Get the current volunteer's declared availability
+// @route   GET /api/volunteer/availability
+// @access  Private/Volunteer
+export const getAvailability = asyncHandler(async (req, res, next) => {
+  const volunteer = await User.findById(req.user.id).select('district volunteerAvailability');
+
+  res.status(200).json({
+    success: true,
+    data: await availabilityResponse(volunteer),
+  });
+});
+
+// @desc    Declare availability for auto-dispatched tasks
+// @route   PUT /api/volunteer/availability
+// @access  Private/Volunteer
+export const updateAvailability = asyncHandler(async (req, res, next) => {
+  const { isAvailable, unavailableUntil, coverageDistricts, weeklySchedule, maxOpenTasks } = req.body;
+  const updates = {};
+
+  if (isAvailable !== undefined) {
+    updates['volunteerAvailability.isAvailable'] = isAvailable === true || isAvailable === 'true';
+  }
+
+  if (unavailableUntil !== undefined) {
+    const until = unavailableUntil ? new Date(unavailableUntil) : null;
+    if (until && Number.isNaN(until.getTime())) {
+      return next(new ErrorResponse('unavailableUntil must be a valid date', 400));
+    }
+    updates['volunteerAvailability.unavailableUntil'] = until;
+  }
+
+  if (coverageDistricts !== undefined) {
+    if (!Array.isArray(coverageDistricts)) {
+      return next(new ErrorResponse('coverageDistricts must be a list of districts', 400));
+    }
+    const districts = coverageDistricts.map((district) => normalizeDistrict(district));
+    const unknown = coverageDistricts.filter((district, index) => !districts[index]);
+    if (unknown.length > 0) {
+      return next(new ErrorResponse(`Unknown district: ${unknown.join(', ')}`, 400));
+    }
+    updates['volunteerAvailability.coverageDistricts'] = [...new Set(districts)];
+  }
+
+  if (weeklySchedule !== undefined) {
+    if (!Array.isArray(weeklySchedule)) {
+      return next(new ErrorResponse('weeklySchedule must be a list of { day, start, end }', 400));
+    }
+    // Times are compared in minutes; an end before the start is an
+    // overnight slot running into the next day
+    const time = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    const invalid = weeklySchedule.some((slot) => !Number.isInteger(slot?.day) || slot.day < 0 || slot.day > 6
+      || !time.test(slot.start) || !time.test(slot.end) || toMinutes(slot.start) === toMinutes(slot.end));
+    if (invalid) {
+      return next(new ErrorResponse('Each schedule slot needs a day (0-6) and different start and end times (HH:MM)', 400));
+    }
+    updates['volunteerAvailability.weeklySchedule'] = weeklySchedule.map(({ day, start, end }) => ({ day, start, end }));
+  }
+
+  if (maxOpenTasks !== undefined) {
+    const limit = maxOpenTasks === null ? null : parseInt(maxOpenTasks, 10);
+    if (limit !== null && (Number.isNaN(limit) || limit < 1 || limit > 50)) {
+      return next(new ErrorResponse('maxOpenTasks must be between 1 and 50', 400));
+    }
+    updates['volunteerAvailability.maxOpenTasks'] = limit;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return next(new ErrorResponse('No availability settings to update', 400));
+  }
+
+  const volunteer = await User.findByIdAndUpdate(req.user.id, { $set: updates }, {
+    new: true,
+    runValidators: true,
+  }).select('district volunteerAvailability');
+
+  res.status(200).json({
+    success: true,
+    data: await availabilityResponse(volunteer),
+    message: 'Availability updated successfully',
+  });
+});
+
 export default {
   getVolunteerDashboard,
   getVolunteerDonationRequests,
   updateDonationStatus,
   assignDonor,
   getAvailableDonors,
+  createDonationRequest,
+  resendTrackingLink,
   getAssignedContacts,
   respondToContact,
   getVolunteerActivityLog,
   getUrgentTasks,
-  completeTask
+  completeTask,
+  getMyAssignments,
+  getAssignmentDetails,
+  updateAssignmentStatus,
+  acknowledgeAssignment,
+  getAvailability,
+  updateAvailability
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+// server/src/jobs/backfillLocations.js
+// Gives users and donation requests saved before location search existed the
+// centre of their district, so they show up in radius searches
+import User from '../models/User.js';
+import DonationRequest from '../models/DonationRequest.js';
+import { getCentroidPoint } from '../utils/geo.js';
+
+const BATCH_SIZE = 500;
+
+// Walk the documents without a location in _id order. Records whose district
+// is not recognised are skipped and stay without a location.
+const backfillModel = async (Model, districtField) => {
+  let lastId = null;
+  let updated = 0;
+
+  for (;;) {
+    const batch = await Model.find({
+      'location.coordinates': { $exists: false },
+      ...(lastId ? { _id: { $gt: lastId } } : {}),
+    })
+      .select(districtField)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const operations = batch
+      .map((doc) => ({ doc, point: getCentroidPoint({ district: doc[districtField] }) }))
+      .filter(({ point }) => point)
+      .map(({ doc, point }) => ({
+        updateOne: {
+          filter: { _id: doc._id, 'location.coordinates': { $exists: false } },
+          update: { $set: { location: point } },
+        },
+      }));
+
+    if (operations.length > 0) {
+      // Raw collection write so updatedAt is left alone
+      const result = await Model.collection.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+    }
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  return updated;
+};
+
+const backfillLocations = async () => {
+  const users = await backfillModel(User, 'district');
+  const requests = await backfillModel(DonationRequest, 'recipientDistrict');
+
+  return { users, requests };
+};
+
+export default backfillLocations;
@@ -0,0 +1,59 @@
+// server/src/jobs/backfillSearchKeys.js
+// Builds the typo-tolerant search keys of records saved before they existed
+import User from '../models/User.js';
+import DonationRequest from '../models/DonationRequest.js';
+import Hospital from '../models/Hospital.js';
+import Faq from '../models/Faq.js';
+import HelpArticle from '../models/HelpArticle.js';
+import { buildSearchKeys } from '../utils/textSearch.js';
+
+const BATCH_SIZE = 500;
+
+const SEARCHABLE_MODELS = { User, DonationRequest, Hospital, Faq, HelpArticle };
+
+// Walk the documents without search keys in _id order
+const backfillModel = async (Model) => {
+  const weights = Model.searchWeights;
+  const fields = Object.keys(weights).sort((a, b) => weights[b] - weights[a]);
+  let lastId = null;
+  let updated = 0;
+
+  for (;;) {
+    const batch = await Model.find({
+      searchKeys: { $exists: false },
+      ...(lastId ? { _id: { $gt: lastId } } : {}),
+    })
+      .select(fields.join(' '))
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const operations = batch.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { searchKeys: buildSearchKeys(fields.map((field) => doc[field])) } },
+      },
+    }));
+
+    // Raw collection write so updatedAt is left alone
+    const result = await Model.collection.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  return updated;
+};
+
+const backfillSearchKeys = async () => {
+  const summary = {};
+  for (const [name, Model] of Object.entries(SEARCHABLE_MODELS)) {
+    summary[name] = await backfillModel(Model);
+  }
+  return summary;
+};
+
+export default backfillSearchKeys;
@@ -0,0 +1,10 @@
+// server/src/jobs/expireContactRequests.js
+// Closes contact requests donors did not answer in time
+import ContactRequest from '../models/ContactRequest.js';
+
+const expireContactRequests = async () => {
+  const expired = await ContactRequest.expirePending();
+  return { expired };
+};
+
+export default expireContactRequests;
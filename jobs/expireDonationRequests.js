@@ -0,0 +1,39 @@
+// server/src/jobs/expireDonationRequests.js
+// Moves pending requests whose donation time has passed to "expired"
+import DonationRequest from '../models/DonationRequest.js';
+import { runTransitionEffects } from '../utils/donationStatus.js';
+import { emitDonationEvent } from '../utils/realtime.js';
+
+const BATCH_SIZE = 200;
+
+const expireDonationRequests = async () => {
+  const overdue = await DonationRequest.find(DonationRequest.overduePendingFilter())
+    .select('requester requesterEmail recipientName bloodGroup recipientDistrict recipientUpazila hospitalName donationDate donationTime urgency unitsRequired donor donorEmail pledges isActive createdAt')
+    .sort({ donationDeadline: 1 })
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+
+  for (const donation of overdue) {
+    // Someone may have accepted it since the query ran. The conditional
+    // update stands in for transitionDonationStatus (pending -> expired).
+    const wasExpired = await DonationRequest.expireRequest(donation._id);
+    if (!wasExpired) continue;
+
+    expired += 1;
+
+    // Stops outreach, notifies the requester and pledged donors, logs the change
+    await runTransitionEffects(donation, 'pending', 'expired', {
+      note: 'Donation date passed without a donor',
+    });
+
+    // Live feeds and volunteer queues drop the request
+    donation.status = 'expired';
+    donation.updatedAt = new Date();
+    emitDonationEvent(donation, 'updated');
+  }
+
+  return { checked: overdue.length, expired };
+};
+
+export default expireDonationRequests;
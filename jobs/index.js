@@ -0,0 +1,113 @@
+// server/src/jobs/index.js
+// Registers the background jobs that run inside the API server
+import { registerJob, startScheduler, stopScheduler, getJobStatus } from './scheduler.js';
+import expireDonationRequests from './expireDonationRequests.js';
+import backfillLocations from './backfillLocations.js';
+import pruneSearchHistory from './pruneSearchHistory.js';
+import backfillSearchKeys from './backfillSearchKeys.js';
+import expireContactRequests from './expireContactRequests.js';
+import { processDueOutreach } from '../utils/donorOutreach.js';
+import { processSavedSearchAlerts } from '../utils/savedSearchAlerts.js';
+import { processDueDispatches } from '../utils/dispatch.js';
+import { processSlaClocks } from '../utils/sla.js';
+import { getOutreachConfig } from '../config/outreach.js';
+import { getDispatchConfig } from '../config/dispatch.js';
+import { getSlaConfig } from '../config/sla.js';
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+let registered = false;
+
+const registerJobs = () => {
+  if (registered) return;
+  registered = true;
+
+  registerJob({
+    name: 'expire-donation-requests',
+    intervalSeconds: readNumber('DONATION_EXPIRY_CHECK_SECONDS', 60),
+    handler: expireDonationRequests,
+    runOnStart: true,
+  });
+
+  registerJob({
+    name: 'donor-outreach-waves',
+    intervalSeconds: getOutreachConfig().workerIntervalSeconds,
+    handler: processDueOutreach,
+  });
+
+  // Moves unacknowledged volunteer tasks on to the next volunteer or the admins
+  registerJob({
+    name: 'volunteer-dispatch-escalation',
+    intervalSeconds: getDispatchConfig().workerIntervalSeconds,
+    handler: processDueDispatches,
+  });
+
+  // Settles the SLA clocks of open requests and reports missed targets
+  registerJob({
+    name: 'donation-request-sla',
+    intervalSeconds: getSlaConfig().workerIntervalSeconds,
+    handler: processSlaClocks,
+  });
+
+  // New requests alert saved searches straight away; donors who become
+  // eligible again are only noticed by this job
+  registerJob({
+    name: 'saved-search-alerts',
+    intervalSeconds: readNumber('SAVED_SEARCH_ALERT_SECONDS', 15 * 60),
+    handler: processSavedSearchAlerts,
+  });
+
+  registerJob({
+    name: 'prune-search-history',
+    intervalSeconds: readNumber('SEARCH_HISTORY_PRUNE_SECONDS', 24 * 60 * 60),
+    handler: pruneSearchHistory,
+    runOnStart: true,
+  });
+
+  registerJob({
+    name: 'expire-contact-requests',
+    intervalSeconds: readNumber('CONTACT_REQUEST_EXPIRY_SECONDS', 60 * 60),
+    handler: expireContactRequests,
+  });
+
+  // Only finds work after older data is imported, so it runs rarely
+  registerJob({
+    name: 'backfill-locations',
+    intervalSeconds: readNumber('LOCATION_BACKFILL_SECONDS', 24 * 60 * 60),
+    handler: backfillLocations,
+    runOnStart: true,
+  });
+
+  registerJob({
+    name: 'backfill-search-keys',
+    intervalSeconds: readNumber('SEARCH_KEYS_BACKFILL_SECONDS', 24 * 60 * 60),
+    handler: backfillSearchKeys,
+    runOnStart: true,
+  });
+};
+
+// Set SCHEDULER_ENABLED=false on extra instances when running several servers
+const startJobs = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  registerJobs();
+  startScheduler();
+  console.log(`⏱️  Background jobs started: ${getJobStatus().map((job) => job.name).join(', ')}`);
+};
+
+const stopJobs = () => stopScheduler();
+
+export { registerJobs, startJobs, stopJobs, getJobStatus };
+
+export default {
+  registerJobs,
+  startJobs,
+  stopJobs,
+  getJobStatus,
+};
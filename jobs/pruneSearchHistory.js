@@ -0,0 +1,10 @@
+// server/src/jobs/pruneSearchHistory.js
+// Deletes recorded searches older than the retention period
+import SearchHistory from '../models/SearchHistory.js';
+
+const pruneSearchHistory = async () => {
+  const deleted = await SearchHistory.pruneExpired();
+  return { deleted };
+};
+
+export default pruneSearchHistory;
@@ -0,0 +1,94 @@
+// server/src/jobs/scheduler.js
+// Minimal in-process job scheduler: every registered job runs on its own
+// interval, never overlaps with itself and keeps its last run status.
+
+const jobs = new Map();
+
+// Register a job. `handler` may be async; its return value is kept as lastResult.
+const registerJob = ({ name, intervalSeconds, handler, runOnStart = false }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalSeconds,
+    handler,
+    runOnStart,
+    timer: null,
+    running: false,
+    runCount: 0,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastResult: null,
+    lastError: null,
+  });
+};
+
+// Run a job now. Skipped (returns null) if the previous run is still going.
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Job "${name}" is not registered`);
+  }
+
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    job.lastResult = await job.handler();
+    job.lastError = null;
+    return job.lastResult;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Scheduled job "${name}" failed:`, error);
+    return null;
+  } finally {
+    job.running = false;
+    job.runCount += 1;
+    job.lastRunAt = new Date(startedAt);
+    job.lastDurationMs = Date.now() - startedAt;
+  }
+};
+
+const startScheduler = () => {
+  jobs.forEach((job) => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => runJob(job.name), job.intervalSeconds * 1000);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref();
+
+    if (job.runOnStart) {
+      runJob(job.name);
+    }
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Status of every job, e.g. for health checks
+const getJobStatus = () =>
+  Array.from(jobs.values()).map(({ handler, timer, ...status }) => ({
+    ...status,
+    scheduled: !!timer,
+  }));
+
+export { registerJob, runJob, startScheduler, stopScheduler, getJobStatus };
+
+export default {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatus,
+};
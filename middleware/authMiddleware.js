@@ -1,7 +1,11 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { isTwoFactorRequiredForRole } from "../config/security.js";
 
-const protect = async (req, res, next) => {
+// Builds the protect middleware. `allowPendingTwoFactor` lets a session that
+// still has to enroll in / complete 2FA reach the endpoints that do exactly that.
+const authenticate = ({ allowPendingTwoFactor = false } = {}) => async (req, res, next) => {
   let token;
 
   if (
@@ -11,6 +15,15 @@ const protect = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(" ")[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Purpose-bound tokens (e.g. 2FA login challenges) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized, token failed",
+        });
+      }
+
       req.user = await User.findById(decoded.id).select("-password");
 
       if (!req.user) {
@@ -20,6 +33,38 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens issued for a login session die with that session
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid);
+
+        if (
+          !session ||
+          !session.isActive ||
+          session.user.toString() !== req.user._id.toString()
+        ) {
+          return res.status(401).json({
+            success: false,
+            message: "Session has been revoked, please log in again",
+          });
+        }
+
+        req.authSession = session;
+      }
+
+      if (
+        !allowPendingTwoFactor &&
+        isTwoFactorRequiredForRole(req.user.role) &&
+        !req.authSession?.twoFactorVerified
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: req.user.twoFactor?.enabled
+            ? "Two-factor authentication is required, please log in again"
+            : "Two-factor authentication must be enabled for this account",
+          twoFactorRequired: true,
+        });
+      }
+
       next();
     } catch (error) {
       console.error("Auth middleware error:", error);
@@ -46,7 +91,16 @@ const optionalAuth = async (req, res, next) => {
     try {
       const token = req.headers.authorization.split(" ")[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
+      if (decoded.purpose) {
+        return next();
+      }
+
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!decoded.sid || (session && session.isActive)) {
+        req.user = await User.findById(decoded.id).select("-password");
+        req.authSession = session;
+      }
     } catch (error) {
       console.error("Optional auth error:", error);
     }
@@ -54,10 +108,54 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// The checks of protect for connections that are not HTTP requests, such as
+// Socket.IO handshakes. Resolves to the user, or null when the token would
+// not pass protect.
+const resolveAccessToken = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return null;
+    }
+
+    const user = await User.findById(decoded.id).select("-password");
+    if (!user || user.status === "blocked") {
+      return null;
+    }
+
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (
+      decoded.sid &&
+      (!session ||
+        !session.isActive ||
+        session.user.toString() !== user._id.toString())
+    ) {
+      return null;
+    }
+
+    if (isTwoFactorRequiredForRole(user.role) && !session?.twoFactorVerified) {
+      return null;
+    }
+
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+const protect = authenticate();
+const protectPendingTwoFactor = authenticate({ allowPendingTwoFactor: true });
+
 // Export as ES6
-export { protect, optionalAuth };
+export { protect, protectPendingTwoFactor, optionalAuth, resolveAccessToken };
 
 export default {
   protect,
+  protectPendingTwoFactor,
   optionalAuth,
+  resolveAccessToken,
 };
@@ -93,6 +93,36 @@ const checkUserStatusBeforeRequest = async (req, res, next) => {
   }
 };
 
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("isEmailVerified");
+
+    if (!user || !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Please verify your email address before creating or accepting donation requests.",
+        status: "unverified",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Require verified email middleware error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
 const adminOnlyBlocking = (req, res, next) => {
   if (req.user.role !== "admin") {
     return res.status(403).json({
@@ -108,6 +138,7 @@ export {
   checkBlockedUser,
   preventBlockedUserAction,
   checkUserStatusBeforeRequest,
+  requireVerifiedEmail,
   adminOnlyBlocking,
 };
 
@@ -115,5 +146,6 @@ export default {
   checkBlockedUser,
   preventBlockedUserAction,
   checkUserStatusBeforeRequest,
+  requireVerifiedEmail,
   adminOnlyBlocking,
 };
@@ -71,6 +71,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     message,
     errors,
+    ...(err.data && Object.keys(err.data).length > 0 ? { data: err.data } : {}),
     stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
   });
 };
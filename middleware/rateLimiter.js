@@ -92,6 +92,21 @@ const passwordResetLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Verification email resend limiter
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // Limit each account to 3 verification emails per hour
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  },
+  message: {
+    success: false,
+    message: "Too many verification emails requested, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Dynamic rate limiter based on user role
 const dynamicLimiter = (options = {}) => {
   return rateLimit({
@@ -168,6 +183,7 @@ export default {
   searchLimiter,
   contactLimiter,
   passwordResetLimiter,
+  verificationEmailLimiter,
   dynamicLimiter,
   createEndpointLimiter,
   addRateLimitHeaders,
@@ -72,6 +72,7 @@ const sanitizeObject = (obj) => {
 const sanitizeValue = (value) => {
   if (typeof value === "string") {
     // Remove null bytes and control characters
+    // eslint-disable-next-line no-control-regex
     let sanitized = value.replace(/[\0-\x1F\x7F]/g, "");
 
     // Trim whitespace
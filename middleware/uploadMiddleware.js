@@ -105,6 +105,40 @@ const uploadFields = (fields) => {
   };
 };
 
+// CSV files for bulk imports are kept in memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      path.extname(file.originalname).toLowerCase() === ".csv" ||
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+
+    if (isCsv) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV files are allowed"));
+  },
+});
+
+// Single CSV file upload middleware (file available as req.file.buffer)
+const uploadCsv = (fieldName) => {
+  return (req, res, next) => {
+    csvUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      next();
+    });
+  };
+};
+
 // Clean up uploaded files on error
 const cleanupUploads = (req, res, next) => {
   const originalSend = res.send;
@@ -143,6 +177,7 @@ export default {
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadCsv,
   cleanupUploads,
   uploadDir,
 };
@@ -1,6 +1,7 @@
 import { validationResult } from "express-validator";
 import Joi from "joi";
 import mongoose from "mongoose";
+import { decodeCursor } from "../utils/pagination.js";
 
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -67,7 +68,24 @@ const validatePagination = (req, res, next) => {
     });
   }
 
-  req.pagination = { page, limit };
+  // Cursor mode: an empty cursor asks for the first page
+  let cursor = null;
+  if (req.query.cursor !== undefined && req.query.cursor !== "") {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination cursor",
+      });
+    }
+  }
+
+  req.pagination = {
+    page,
+    limit,
+    cursor,
+    mode: req.query.cursor !== undefined ? "cursor" : "page",
+  };
   next();
 };
 
@@ -0,0 +1,297 @@
+import mongoose from 'mongoose';
+import { ASSIGNMENT_STATUS_TRANSITIONS } from '../utils/constants.js';
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: String,
+  },
+  { _id: false }
+);
+
+const reassignmentSchema = new mongoose.Schema(
+  {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: String,
+  },
+  { _id: false }
+);
+
+const dispatchAttemptSchema = new mongoose.Schema(
+  {
+    volunteer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    offeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    outcome: {
+      type: String,
+      enum: ['pending', 'acknowledged', 'timed_out', 'reassigned'],
+      default: 'pending',
+    },
+  },
+  { _id: false }
+);
+
+// A task given to a volunteer: follow up a donation request or answer a
+// contact ticket
+const assignmentSchema = new mongoose.Schema(
+  {
+    volunteer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Volunteer is required'],
+    },
+
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    taskType: {
+      type: String,
+      enum: ['donation_request', 'contact'],
+      required: [true, 'Task type is required'],
+    },
+
+    donationRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationRequest',
+      default: null,
+    },
+
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null,
+    },
+
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+      default: '',
+    },
+
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium',
+    },
+
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'inprogress', 'completed', 'cancelled'],
+      default: 'pending',
+    },
+
+    completionNotes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Completion notes cannot exceed 2000 characters'],
+      default: '',
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+
+    statusHistory: [statusChangeSchema],
+    reassignments: [reassignmentSchema],
+
+    // Filled when auto-dispatch picked the volunteer (utils/dispatch.js)
+    dispatch: {
+      auto: {
+        type: Boolean,
+        default: false,
+      },
+      status: {
+        type: String,
+        enum: ['awaiting_ack', 'acknowledged', 'escalated', null],
+        default: null,
+      },
+      // Moves to the next volunteer if not acknowledged by then
+      ackDeadline: {
+        type: Date,
+        default: null,
+      },
+      acknowledgedAt: Date,
+      escalatedAt: Date,
+      attempts: [dispatchAttemptSchema],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Every task points at exactly the record its type names
+assignmentSchema.pre('validate', function(next) {
+  const target = this.taskType === 'contact' ? this.contact : this.donationRequest;
+  const other = this.taskType === 'contact' ? this.donationRequest : this.contact;
+
+  if (!target) {
+    this.invalidate(
+      this.taskType === 'contact' ? 'contact' : 'donationRequest',
+      this.taskType === 'contact' ? 'Contact is required' : 'Donation request is required'
+    );
+  }
+  if (other) {
+    this.invalidate('taskType', 'A task links either a donation request or a contact');
+  }
+
+  next();
+});
+
+// Virtual for open tasks past their due time
+assignmentSchema.virtual('isOverdue').get(function() {
+  return Boolean(this.dueAt)
+    && ['pending', 'inprogress'].includes(this.status)
+    && this.dueAt < new Date();
+});
+
+// Method to record that the volunteer took on a dispatched task
+assignmentSchema.methods.markAcknowledged = function() {
+  if (this.dispatch?.status !== 'awaiting_ack') return false;
+
+  this.dispatch.status = 'acknowledged';
+  this.dispatch.acknowledgedAt = new Date();
+  this.dispatch.ackDeadline = null;
+
+  const attempt = this.dispatch.attempts[this.dispatch.attempts.length - 1];
+  if (attempt && attempt.outcome === 'pending') {
+    attempt.outcome = 'acknowledged';
+  }
+  return true;
+};
+
+// Method to move the task to another status, following
+// ASSIGNMENT_STATUS_TRANSITIONS. Throws when the move is not allowed.
+assignmentSchema.methods.transitionTo = async function(status, { changedBy, note } = {}) {
+  const allowed = ASSIGNMENT_STATUS_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot change a ${this.status} assignment to ${status}` +
+        (allowed.length ? ` (allowed: ${allowed.join(', ')})` : '')
+    );
+  }
+
+  const now = new Date();
+  this.statusHistory.push({ from: this.status, to: status, changedBy, changedAt: now, note });
+  this.status = status;
+
+  if (status === 'inprogress' && !this.startedAt) {
+    this.startedAt = now;
+  }
+  // Starting or finishing a dispatched task acknowledges it
+  if (status === 'inprogress' || status === 'completed') {
+    this.markAcknowledged();
+  }
+  if (status === 'completed') {
+    this.completedAt = now;
+    if (note) {
+      this.completionNotes = note;
+    }
+  }
+  if (status === 'cancelled') {
+    this.cancelledAt = now;
+    if (this.dispatch) {
+      this.dispatch.ackDeadline = null;
+    }
+  }
+
+  await this.save();
+  return this;
+};
+
+// Method to hand the task to another volunteer. Work already started goes
+// back to pending for the new volunteer.
+assignmentSchema.methods.reassignTo = async function(volunteerId, { by, reason } = {}) {
+  if (!['pending', 'inprogress'].includes(this.status)) {
+    throw new Error(`A ${this.status} assignment cannot be reassigned`);
+  }
+  if (this.volunteer.toString() === volunteerId.toString()) {
+    throw new Error('The assignment already belongs to this volunteer');
+  }
+
+  this.reassignments.push({ from: this.volunteer, to: volunteerId, by, reason });
+  this.volunteer = volunteerId;
+
+  if (this.status === 'inprogress') {
+    this.statusHistory.push({ from: 'inprogress', to: 'pending', changedBy: by, note: 'Reassigned' });
+    this.status = 'pending';
+    this.startedAt = undefined;
+  }
+
+  await this.save();
+  return this;
+};
+
+// Static method to count a volunteer's open tasks
+assignmentSchema.statics.countOpen = function(volunteerId) {
+  return this.countDocuments({
+    volunteer: volunteerId,
+    status: { $in: ['pending', 'inprogress'] },
+  });
+};
+
+// Indexes for better query performance
+assignmentSchema.index({ volunteer: 1, status: 1, dueAt: 1 });
+assignmentSchema.index({ donationRequest: 1 });
+assignmentSchema.index({ contact: 1 });
+assignmentSchema.index({ status: 1, dueAt: 1 });
+assignmentSchema.index({ 'dispatch.status': 1, 'dispatch.ackDeadline': 1 });
+// One open auto-dispatched task per record, even when two dispatches race
+assignmentSchema.index(
+  { taskType: 1, donationRequest: 1, contact: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'dispatch.auto': true, status: { $in: ['pending', 'inprogress'] } },
+  }
+);
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+
+export default Assignment;
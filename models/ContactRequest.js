@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+// Contact requests one user may send per day, so contact details cannot be
+// harvested through the request flow either
+const DAILY_REQUEST_LIMIT = 10;
+
+// Pending requests expire, and approvals stop revealing details, after
+const REQUEST_EXPIRY_DAYS = 7;
+const GRANT_EXPIRY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const contactRequestSchema = new mongoose.Schema(
+  {
+    // Who wants the donor's contact details
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Requester is required'],
+    },
+
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Donor is required'],
+    },
+
+    // The blood request the requester wants help with, if any
+    donationRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationRequest',
+      default: null,
+    },
+
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Message cannot exceed 500 characters'],
+      default: '',
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'approved', 'declined', 'cancelled', 'expired'],
+        message: 'Invalid contact request status',
+      },
+      default: 'pending',
+    },
+
+    // What the donor chose to reveal when approving
+    shared: {
+      phone: {
+        type: Boolean,
+        default: false,
+      },
+      email: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Pending: when the request lapses. Approved: when the details stop
+    // being revealed to the requester.
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + REQUEST_EXPIRY_DAYS * DAY_MS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to count the requests a user sent today
+contactRequestSchema.statics.hasReachedDailyLimit = async function(userId) {
+  const count = await this.countDocuments({
+    requester: userId,
+    createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+  });
+  return count >= DAILY_REQUEST_LIMIT;
+};
+
+// Static method to find the details donors have revealed to a viewer.
+// Returns a Map of donor id -> { phone, email }.
+contactRequestSchema.statics.getGrants = async function(viewerId, donorIds) {
+  const approved = await this.find({
+    requester: viewerId,
+    donor: { $in: donorIds },
+    status: 'approved',
+    expiresAt: { $gt: new Date() },
+  })
+    .select('donor shared')
+    .lean();
+
+  const grants = new Map();
+  approved.forEach((request) => {
+    const key = request.donor.toString();
+    const current = grants.get(key) || { phone: false, email: false };
+    grants.set(key, {
+      phone: current.phone || request.shared.phone,
+      email: current.email || request.shared.email,
+    });
+  });
+  return grants;
+};
+
+// Static method to expire pending requests nobody answered
+contactRequestSchema.statics.expirePending = async function() {
+  const result = await this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+contactRequestSchema.statics.DAILY_REQUEST_LIMIT = DAILY_REQUEST_LIMIT;
+contactRequestSchema.statics.GRANT_EXPIRY_DAYS = GRANT_EXPIRY_DAYS;
+
+// Indexes for better query performance
+contactRequestSchema.index({ donor: 1, status: 1, createdAt: -1 });
+contactRequestSchema.index({ requester: 1, createdAt: -1 });
+contactRequestSchema.index({ requester: 1, donor: 1, status: 1 });
+contactRequestSchema.index({ status: 1, expiresAt: 1 });
+
+const ContactRequest = mongoose.model('ContactRequest', contactRequestSchema);
+
+export default ContactRequest;
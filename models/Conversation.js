@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import Message from './Message.js';
+import { emitToConversation } from '../utils/socketServer.js';
+
+// Request statuses that end the conversation
+const CLOSING_STATUSES = ['done', 'canceled'];
+
+const participantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['requester', 'donor', 'volunteer', 'admin'],
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Messages up to here count as read (read receipts)
+    lastReadAt: {
+      type: Date,
+      default: null,
+    },
+    // Donors whose pledge was canceled stay listed but no longer get the
+    // thread's messages or see it in their list
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    leftAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One thread per donation request, shared by its requester, donors and the
+// volunteers who help with it
+const conversationSchema = new mongoose.Schema(
+  {
+    donationRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationRequest',
+      required: [true, 'Donation request is required'],
+    },
+
+    participants: [participantSchema],
+
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+    },
+
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // The request status that closed the thread
+    closedReason: {
+      type: String,
+      default: null,
+    },
+
+    lastMessage: {
+      text: String,
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      senderName: String,
+      sentAt: Date,
+    },
+
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Method to find a user among the participants
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find((participant) => participant.user.toString() === userId.toString()) || null;
+};
+
+// Static method to close the thread of a request that was completed or
+// canceled. Leaves a system message and tells connected participants.
+conversationSchema.statics.closeForRequest = async function(donationRequestId, status) {
+  if (!CLOSING_STATUSES.includes(status)) return null;
+
+  const conversation = await this.findOneAndUpdate(
+    { donationRequest: donationRequestId, status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date(), closedReason: status } },
+    { new: true }
+  );
+  if (!conversation) return null;
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    type: 'system',
+    text: status === 'done'
+      ? 'The donation is complete, so this conversation is now closed.'
+      : 'The request was canceled, so this conversation is now closed.',
+  });
+
+  emitToConversation(conversation._id, 'conversation-closed', {
+    conversationId: conversation._id,
+    donationRequestId,
+    reason: status,
+    message,
+  });
+
+  return conversation;
+};
+
+conversationSchema.statics.CLOSING_STATUSES = CLOSING_STATUSES;
+
+// Indexes for better query performance
+conversationSchema.index({ donationRequest: 1 }, { unique: true });
+conversationSchema.index({ 'participants.user': 1, updatedAt: -1 });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
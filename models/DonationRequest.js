@@ -1,4 +1,20 @@
 import mongoose from 'mongoose';
+import { PLEDGE_STATUS_TRANSITIONS } from '../utils/constants.js';
+import { getCentroidPoint, isApproximateLocation } from '../utils/geo.js';
+import { normalizeDistrict, normalizeUpazila } from '../config/districts.js';
+import { SLA_METRICS, getSlaTargets } from '../config/sla.js';
+import { searchKeysPlugin } from '../utils/textSearch.js';
+import Conversation from './Conversation.js';
+
+// Combine the donation date and "HH:MM" time into one Date (server local time)
+const combineDateAndTime = (date, time) => {
+  const dateStr = new Date(date).toISOString().split('T')[0];
+  const [hours = '0', minutes = '0'] = String(time || '').split(':');
+  return new Date(`${dateStr}T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00`);
+};
+
+// Pledges that count towards the units of a request
+const ACTIVE_PLEDGE_STATUSES = ['pledged', 'confirmed', 'done'];
 
 const donationRequestSchema = new mongoose.Schema(
   {
@@ -43,6 +59,14 @@ const donationRequestSchema = new mongoose.Schema(
       trim: true,
     },
     
+    // Directory entry for the hospital. hospitalName and hospitalAddress keep
+    // the text shown to users, copied from the record when one is linked.
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      default: null,
+    },
+    
     hospitalName: {
       type: String,
       required: [true, 'Hospital name is required'],
@@ -57,6 +81,23 @@ const donationRequestSchema = new mongoose.Schema(
       maxlength: [500, 'Hospital address cannot exceed 500 characters'],
     },
     
+    // GeoJSON point ([lng, lat]) of the hospital for radius search.
+    // Falls back to the centre of the recipient district.
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+      source: {
+        type: String,
+        enum: ['precise', 'upazila', 'district'],
+      },
+    },
+    
     // Donation Details
     bloodGroup: {
       type: String,
@@ -70,6 +111,11 @@ const donationRequestSchema = new mongoose.Schema(
       required: [true, 'Donation date is required'],
       validate: {
         validator: function(value) {
+          // Only checked when the date is set, so a request can still be
+          // updated (e.g. pledges completed) after its donation day
+          if (this instanceof mongoose.Document && !this.isNew && !this.isModified('donationDate')) {
+            return true;
+          }
           // Donation date should not be in the past
           return value >= new Date().setHours(0, 0, 0, 0);
         },
@@ -108,10 +154,63 @@ const donationRequestSchema = new mongoose.Schema(
       default: '',
     },
     
+    // Units pledged by donors. A request needing several units collects
+    // pledges until they cover unitsRequired; each one is followed up separately.
+    // The donor fields above keep the first pledger for older clients.
+    pledges: [
+      {
+        donor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        donorName: {
+          type: String,
+          trim: true,
+        },
+        donorEmail: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+        units: {
+          type: Number,
+          min: [1, 'A pledge must be for at least 1 unit'],
+          max: [10, 'Cannot pledge more than 10 units'],
+          default: 1,
+        },
+        status: {
+          type: String,
+          enum: ['pledged', 'confirmed', 'done', 'no_show', 'canceled'],
+          default: 'pledged',
+        },
+        pledgedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        confirmedAt: Date,
+        completedAt: Date,
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Note cannot exceed 500 characters'],
+        },
+      },
+    ],
+    
+    // When the donation is due; kept in sync with donationDate + donationTime
+    donationDeadline: {
+      type: Date,
+    },
+    
     // Status Management
     status: {
       type: String,
-      enum: ['pending', 'inprogress', 'done', 'canceled'],
+      enum: ['pending', 'inprogress', 'done', 'canceled', 'expired'],
       default: 'pending',
     },
     
@@ -119,7 +218,7 @@ const donationRequestSchema = new mongoose.Schema(
       {
         status: {
           type: String,
-          enum: ['pending', 'inprogress', 'done', 'canceled'],
+          enum: ['pending', 'inprogress', 'done', 'canceled', 'expired'],
         },
         changedBy: {
           type: mongoose.Schema.Types.ObjectId,
@@ -166,6 +265,159 @@ const donationRequestSchema = new mongoose.Schema(
       },
     },
     
+    // Requests a volunteer took for someone without an account. The
+    // volunteer owns them until the requester verifies this email or opens
+    // the tracking link signed in (utils/walkInRequests.js).
+    walkIn: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      relationship: {
+        type: String,
+        trim: true,
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Hash of the token in the tracking link sent to the requester
+      trackingTokenHash: {
+        type: String,
+        select: false,
+      },
+      trackingLinkSentAt: Date,
+      claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      claimedAt: Date,
+    },
+    
+    // Automatic donor notification, sent in widening waves
+    outreach: {
+      status: {
+        type: String,
+        enum: ['active', 'completed', 'exhausted', 'stopped'],
+        default: 'active',
+      },
+      currentWave: {
+        type: Number,
+        default: 0,
+      },
+      // When the next wave goes out if nobody has accepted by then
+      nextWaveAt: {
+        type: Date,
+        default: null,
+      },
+      waves: [
+        {
+          number: Number,
+          scope: {
+            type: String,
+            enum: ['upazila', 'district', 'neighbouring_districts'],
+          },
+          districts: [String],
+          recipientCount: {
+            type: Number,
+            default: 0,
+          },
+          sentAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      contactedDonors: [
+        {
+          donor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          wave: Number,
+          matchScore: Number,
+          notifiedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+    
+    // Donors proposed by volunteers through the matching engine
+    volunteerSuggestions: [
+      {
+        volunteer: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        donor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        matchScore: {
+          type: Number,
+          default: null,
+        },
+        suggestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    
+    // SLA clocks for the request's urgency (config/sla.js), started on
+    // creation and settled by the SLA job (utils/sla.js)
+    sla: {
+      // Urgency the clocks were set for; they are re-set when it changes
+      urgency: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical'],
+      },
+      // Whether the SLA job still has something to settle
+      active: {
+        type: Boolean,
+        default: false,
+      },
+      clocks: [
+        {
+          _id: false,
+          metric: {
+            type: String,
+            enum: SLA_METRICS,
+          },
+          targetMinutes: Number,
+          dueAt: Date,
+          // waived: the request was closed before the clock was settled
+          status: {
+            type: String,
+            enum: ['pending', 'met', 'breached', 'waived'],
+            default: 'pending',
+          },
+          // When the milestone was reached, late ones included
+          metAt: Date,
+          breachedAt: Date,
+        },
+      ],
+      checkedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    
     isActive: {
       type: Boolean,
       default: true,
@@ -188,26 +440,154 @@ const donationRequestSchema = new mongoose.Schema(
   }
 );
 
-// Update statusHistory when status changes
+// Update statusHistory when status changes, unless the change was already recorded
 donationRequestSchema.pre('save', function(next) {
   if (this.isModified('status')) {
     if (!this.statusHistory) {
       this.statusHistory = [];
     }
-    this.statusHistory.push({
-      status: this.status,
-      changedAt: new Date(),
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (!last || last.status !== this.status) {
+      this.statusHistory.push({
+        status: this.status,
+        changedAt: new Date(),
+      });
+    }
+  }
+  next();
+});
+
+// Keep donationDeadline in sync on save
+donationRequestSchema.pre('save', function(next) {
+  if (this.isModified('donationDate') || this.isModified('donationTime') || !this.donationDeadline) {
+    this.donationDeadline = combineDateAndTime(this.donationDate, this.donationTime);
+  }
+  next();
+});
+
+// Store the reference spelling of the recipient district and upazila.
+// Names that are not in the reference data are kept as typed.
+donationRequestSchema.pre('validate', function(next) {
+  if (this.isModified('recipientDistrict') || this.isModified('recipientUpazila')) {
+    this.recipientUpazila = normalizeUpazila(this.recipientDistrict, this.recipientUpazila) || this.recipientUpazila;
+    this.recipientDistrict = normalizeDistrict(this.recipientDistrict) || this.recipientDistrict;
+  }
+  next();
+});
+
+// Same when the area is updated directly
+donationRequestSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+
+  if (changes.recipientDistrict) {
+    this.set({
+      recipientDistrict: normalizeDistrict(changes.recipientDistrict) || changes.recipientDistrict,
+      ...(changes.recipientUpazila
+        ? {
+          recipientUpazila:
+            normalizeUpazila(changes.recipientDistrict, changes.recipientUpazila) || changes.recipientUpazila,
+        }
+        : {}),
     });
   }
   next();
 });
 
+// Fall back to the recipient district centre when the hospital has no coordinates
+donationRequestSchema.pre('save', function(next) {
+  const areaChanged = this.isNew || this.isModified('recipientDistrict') || this.isModified('recipientUpazila');
+  if (areaChanged && isApproximateLocation(this.location)) {
+    this.location = getCentroidPoint({ district: this.recipientDistrict }) || undefined;
+  }
+  next();
+});
+
+// Same fallback when the district is updated directly
+donationRequestSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+
+  if (!changes.recipientDistrict || changes.location) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select('location');
+  if (current && isApproximateLocation(current.location)) {
+    const point = getCentroidPoint({ district: changes.recipientDistrict });
+    if (point) {
+      this.set({ location: point });
+    } else {
+      this.setUpdate({ ...update, $unset: { ...(update.$unset || {}), location: 1 } });
+    }
+  }
+});
+
 // Update updatedAt timestamp before update
 donationRequestSchema.pre('findOneAndUpdate', function(next) {
   this.set({ updatedAt: Date.now() });
   next();
 });
 
+// Keep donationDeadline in sync when the date or time is updated directly
+donationRequestSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+
+  if (!changes.donationDate && !changes.donationTime) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select('donationDate donationTime');
+  if (!current) {
+    return;
+  }
+
+  this.set({
+    donationDeadline: combineDateAndTime(
+      changes.donationDate || current.donationDate,
+      changes.donationTime || current.donationTime
+    ),
+  });
+});
+
+// Close the request's conversation once it is done or canceled. A failure
+// here must not fail the status change itself.
+const closeConversation = async (requestId, status) => {
+  try {
+    await Conversation.closeForRequest(requestId, status);
+  } catch (error) {
+    console.error(`Closing conversation of request ${requestId} failed:`, error);
+  }
+};
+
+// Start the SLA clocks of new requests
+donationRequestSchema.pre('save', function(next) {
+  if (this.isNew && !this.sla?.urgency) {
+    this.setSlaClocks();
+  }
+  next();
+});
+
+donationRequestSchema.pre('save', function(next) {
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  next();
+});
+
+donationRequestSchema.post('save', async function(doc) {
+  if (doc.$locals.statusChanged) {
+    await closeConversation(doc._id, doc.status);
+  }
+});
+
+donationRequestSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const status = update.status || update.$set?.status;
+  if (doc && status) {
+    await closeConversation(doc._id, status);
+  }
+});
+
 // Virtual for recipient location
 donationRequestSchema.virtual('recipientLocation').get(function() {
   return `${this.recipientUpazila}, ${this.recipientDistrict}`;
@@ -225,8 +605,7 @@ donationRequestSchema.virtual('formattedDonationDate').get(function() {
 
 // Virtual for donation datetime (combining date and time)
 donationRequestSchema.virtual('donationDateTime').get(function() {
-  const dateStr = this.donationDate.toISOString().split('T')[0];
-  return new Date(`${dateStr}T${this.donationTime}:00`);
+  return combineDateAndTime(this.donationDate, this.donationTime);
 });
 
 // Virtual to check if request is expired
@@ -242,6 +621,98 @@ donationRequestSchema.virtual('canBeAccepted').get(function() {
   return this.status === 'pending' && !this.isExpired && this.isActive;
 });
 
+// Virtual for units covered by pledges that are still open or fulfilled
+donationRequestSchema.virtual('pledgedUnits').get(function() {
+  return (this.pledges || [])
+    .filter((pledge) => ACTIVE_PLEDGE_STATUSES.includes(pledge.status))
+    .reduce((sum, pledge) => sum + pledge.units, 0);
+});
+
+// Virtual for units actually donated
+donationRequestSchema.virtual('fulfilledUnits').get(function() {
+  return (this.pledges || [])
+    .filter((pledge) => pledge.status === 'done')
+    .reduce((sum, pledge) => sum + pledge.units, 0);
+});
+
+// Virtual for units still looking for a donor
+donationRequestSchema.virtual('remainingUnits').get(function() {
+  return Math.max((this.unitsRequired || 1) - this.pledgedUnits, 0);
+});
+
+// Aggregation key for grouping requests by hospital: the linked record, or
+// the typed name (case-insensitive) for requests without one
+donationRequestSchema.statics.hospitalGroupKey = function() {
+  return {
+    $ifNull: ['$hospital', { $toLower: { $trim: { input: '$hospitalName' } } }],
+  };
+};
+
+// Stages to run after grouping by hospitalGroupKey() with
+// `hospitalName: { $first: '$hospitalName' }`. Each group's _id becomes the
+// directory name (or the typed name) and `hospital` the linked record id.
+donationRequestSchema.statics.hospitalGroupNaming = function() {
+  return [
+    { $lookup: { from: 'hospitals', localField: '_id', foreignField: '_id', as: 'hospitalRecord' } },
+    {
+      $addFields: {
+        hospital: { $arrayElemAt: ['$hospitalRecord._id', 0] },
+        _id: { $ifNull: [{ $arrayElemAt: ['$hospitalRecord.name', 0] }, '$hospitalName'] },
+      },
+    },
+    { $project: { hospitalRecord: 0, hospitalName: 0 } },
+  ];
+};
+
+// Filter for pending requests whose donation time has passed.
+// Requests saved before donationDeadline existed fall back to the date alone.
+donationRequestSchema.statics.overduePendingFilter = function(now = new Date()) {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  return {
+    status: 'pending',
+    isActive: true,
+    $or: [
+      { donationDeadline: { $lte: now } },
+      { donationDeadline: { $exists: false }, donationDate: { $lt: startOfToday } },
+    ],
+  };
+};
+
+// Filter for pending requests that can still be fulfilled
+donationRequestSchema.statics.upcomingPendingFilter = function(now = new Date()) {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  return {
+    status: 'pending',
+    isActive: true,
+    $or: [
+      { donationDeadline: { $gt: now } },
+      { donationDeadline: { $exists: false }, donationDate: { $gte: startOfToday } },
+    ],
+  };
+};
+
+// Static method to expire one overdue pending request.
+// Uses a conditional update so a request accepted meanwhile is left alone.
+// Resolves to true when the request was expired by this call.
+donationRequestSchema.statics.expireRequest = async function(requestId, note = 'Donation date passed without a donor') {
+  const now = new Date();
+  const result = await this.updateOne(
+    { _id: requestId, ...this.overduePendingFilter(now) },
+    {
+      $set: { status: 'expired', updatedAt: now },
+      $push: {
+        statusHistory: { status: 'expired', changedAt: now, note },
+      },
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
 // Static method to get requests by status
 donationRequestSchema.statics.findByStatus = function(status, page = 1, limit = 10) {
   const skip = (page - 1) * limit;
@@ -256,7 +727,7 @@ donationRequestSchema.statics.findByStatus = function(status, page = 1, limit =
 // Static method to get donor's requests
 donationRequestSchema.statics.findByDonor = function(donorId, page = 1, limit = 10) {
   const skip = (page - 1) * limit;
-  return this.find({ donor: donorId, isActive: true })
+  return this.find({ $or: [{ donor: donorId }, { 'pledges.donor': donorId }], isActive: true })
     .sort({ donationDate: 1, createdAt: -1 })
     .skip(skip)
     .limit(limit)
@@ -273,8 +744,28 @@ donationRequestSchema.statics.findByRequester = function(requesterId, page = 1,
     .populate('donor', 'name email avatar');
 };
 
-// Method to accept donation request
-donationRequestSchema.methods.acceptDonation = async function(donorId, donorName, donorEmail) {
+// Method to get the open (pledged or confirmed) pledge of a donor
+donationRequestSchema.methods.getOpenPledge = function(donorId) {
+  return (this.pledges || []).find(
+    (pledge) =>
+      pledge.donor.toString() === donorId.toString() &&
+      ['pledged', 'confirmed'].includes(pledge.status)
+  );
+};
+
+// Keep the legacy donor fields pointing at the first pledge still counting
+donationRequestSchema.methods.syncPrimaryDonor = function() {
+  const primary = (this.pledges || []).find((pledge) => ACTIVE_PLEDGE_STATUSES.includes(pledge.status));
+
+  this.donor = primary ? primary.donor : null;
+  this.donorName = primary ? primary.donorName : '';
+  this.donorEmail = primary ? primary.donorEmail : '';
+};
+
+// Method to pledge units to a request.
+// Status changes that follow are applied by utils/donationStatus.js.
+// Resolves to the new pledge.
+donationRequestSchema.methods.addPledge = async function({ donorId, donorName, donorEmail, units = 1, note }) {
   if (this.status !== 'pending') {
     throw new Error('Request is not available for donation');
   }
@@ -283,63 +774,188 @@ donationRequestSchema.methods.acceptDonation = async function(donorId, donorName
     throw new Error('Request has expired');
   }
   
-  this.donor = donorId;
-  this.donorName = donorName;
-  this.donorEmail = donorEmail;
-  this.status = 'inprogress';
-  
-  this.statusHistory.push({
-    status: 'inprogress',
-    changedAt: new Date(),
-    note: `Accepted by donor: ${donorName}`,
-  });
+  if (this.getOpenPledge(donorId)) {
+    throw new Error('You have already pledged to this request');
+  }
   
-  return this.save();
-};
-
-// Method to complete donation
-donationRequestSchema.methods.completeDonation = function() {
-  if (this.status !== 'inprogress') {
-    throw new Error('Only inprogress donations can be completed');
+  if (units > this.remainingUnits) {
+    throw new Error(`Only ${this.remainingUnits} unit(s) are still needed for this request`);
   }
   
-  this.status = 'done';
+  const pledge = this.pledges.create({ donor: donorId, donorName, donorEmail, units, note });
   
-  this.statusHistory.push({
-    status: 'done',
-    changedAt: new Date(),
-    note: 'Donation completed successfully',
-  });
+  // The checks above are repeated by the update itself, so donors pledging
+  // at the same time cannot take more units than the request needs
+  const pledgedUnits = {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ['$pledges', []] },
+            cond: { $in: ['$$this.status', ACTIVE_PLEDGE_STATUSES] },
+          },
+        },
+        in: '$$this.units',
+      },
+    },
+  };
+  
+  let updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: 'pending',
+      pledges: {
+        $not: { $elemMatch: { donor: donorId, status: { $in: ['pledged', 'confirmed'] } } },
+      },
+      $expr: {
+        $lte: [{ $add: [pledgedUnits, units] }, { $ifNull: ['$unitsRequired', 1] }],
+      },
+    },
+    { $push: { pledges: pledge } },
+    { new: true }
+  );
   
-  return this.save();
+  if (!updated) {
+    const current = await this.constructor.findById(this._id);
+    if (!current || current.status !== 'pending') {
+      throw new Error('Request is not available for donation');
+    }
+    if (current.getOpenPledge(donorId)) {
+      throw new Error('You have already pledged to this request');
+    }
+    throw new Error(`Only ${current.remainingUnits} unit(s) are still needed for this request`);
+  }
+  
+  if (!updated.donor) {
+    updated.syncPrimaryDonor();
+    updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, donor: null },
+      { $set: { donor: updated.donor, donorName: updated.donorName, donorEmail: updated.donorEmail } },
+      { new: true }
+    ) || await this.constructor.findById(this._id);
+  }
+  
+  // Pick up the saved state without marking anything as changed
+  this.init(updated.toObject());
+  return this.pledges.id(pledge._id);
+};
+
+// Method to accept donation request (pledge a single unit)
+donationRequestSchema.methods.acceptDonation = function(donorId, donorName, donorEmail) {
+  return this.addPledge({ donorId, donorName, donorEmail, units: 1 });
 };
 
-// Method to cancel donation
-donationRequestSchema.methods.cancelDonation = function(reason = '') {
-  if (!['pending', 'inprogress'].includes(this.status)) {
-    throw new Error('Only pending or inprogress donations can be canceled');
+// Method to move one pledge along (confirmed, done, no_show or canceled).
+// Status changes that follow are applied by utils/donationStatus.js.
+// Resolves to the updated pledge.
+donationRequestSchema.methods.updatePledgeStatus = async function(pledgeId, status, { changedBy, note } = {}) {
+  if (!['pending', 'inprogress', 'expired'].includes(this.status)) {
+    throw new Error(`Pledges of a ${this.status} request cannot be changed`);
   }
   
-  this.status = 'canceled';
+  const pledge = this.pledges.id(pledgeId);
+  if (!pledge) {
+    throw new Error('Pledge not found');
+  }
   
-  this.statusHistory.push({
-    status: 'canceled',
-    changedAt: new Date(),
-    note: reason || 'Donation canceled',
-  });
+  const allowed = PLEDGE_STATUS_TRANSITIONS[pledge.status] || [];
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot change a ${pledge.status} pledge to ${status}` +
+        (allowed.length ? ` (allowed: ${allowed.join(', ')})` : '')
+    );
+  }
   
-  return this.save();
+  const now = new Date();
+  pledge.status = status;
+  pledge.updatedBy = changedBy;
+  if (note) {
+    pledge.note = note;
+  }
+  if (status === 'confirmed') {
+    pledge.confirmedAt = now;
+  }
+  if (status === 'done') {
+    pledge.completedAt = now;
+  }
+  
+  this.syncPrimaryDonor();
+  
+  await this.save();
+  return pledge;
+};
+
+// Method to (re)set the SLA clocks for the current urgency. Settled
+// clocks are kept; pending ones are timed from the creation date.
+donationRequestSchema.methods.setSlaClocks = function() {
+  const targets = getSlaTargets(this.urgency);
+  const startedAt = this.createdAt || new Date();
+  const settled = (this.sla?.clocks || [])
+    .filter((clock) => clock.status !== 'pending')
+    .map((clock) => (clock.toObject ? clock.toObject() : clock));
+
+  const pending = SLA_METRICS
+    .filter((metric) => targets[metric] > 0 && !settled.some((clock) => clock.metric === metric))
+    .map((metric) => ({
+      metric,
+      targetMinutes: targets[metric],
+      dueAt: new Date(startedAt.getTime() + targets[metric] * 60 * 1000),
+      status: 'pending',
+    }));
+
+  this.sla = {
+    ...(this.sla?.checkedAt ? { checkedAt: this.sla.checkedAt } : {}),
+    urgency: this.urgency,
+    active: pending.length > 0 || settled.some((clock) => clock.status === 'breached' && !clock.metAt),
+    clocks: [...settled, ...pending],
+  };
+  return this;
+};
+
+// Method to get when each SLA milestone was first reached, or null
+donationRequestSchema.methods.getSlaMilestones = function() {
+  const firstStatusAt = (status) => {
+    const entry = (this.statusHistory || []).find((item) => item.status === status);
+    return entry ? entry.changedAt : null;
+  };
+  const earliest = (dates) => dates
+    .filter(Boolean)
+    .reduce((first, date) => (!first || date < first ? date : first), null);
+
+  const completion = firstStatusAt('done');
+  const acceptance = firstStatusAt('inprogress') || completion;
+  const firstContact = earliest([
+    ...(this.outreach?.waves || []).filter((wave) => wave.recipientCount > 0).map((wave) => wave.sentAt),
+    ...(this.volunteerSuggestions || []).map((suggestion) => suggestion.suggestedAt),
+    ...(this.pledges || []).map((pledge) => pledge.pledgedAt),
+    acceptance,
+  ]);
+
+  return { firstContact, acceptance, completion };
 };
 
 // Indexes for better query performance
 donationRequestSchema.index({ status: 1, isActive: 1 });
 donationRequestSchema.index({ requester: 1, status: 1 });
 donationRequestSchema.index({ donor: 1, status: 1 });
+donationRequestSchema.index({ 'pledges.donor': 1, status: 1 });
 donationRequestSchema.index({ bloodGroup: 1, status: 1 });
 donationRequestSchema.index({ recipientDistrict: 1, recipientUpazila: 1 });
 donationRequestSchema.index({ donationDate: 1, status: 1 });
 donationRequestSchema.index({ createdAt: -1 });
 donationRequestSchema.index({ isActive: 1, status: 1, donationDate: 1 });
+donationRequestSchema.index({ 'outreach.status': 1, 'outreach.nextWaveAt': 1 });
+donationRequestSchema.index({ status: 1, donationDeadline: 1 });
+donationRequestSchema.index({ location: '2dsphere' });
+donationRequestSchema.index({ hospital: 1, status: 1 });
+donationRequestSchema.index({ 'sla.active': 1, 'sla.checkedAt': 1 });
+donationRequestSchema.index({ 'walkIn.trackingTokenHash': 1 }, { sparse: true });
+donationRequestSchema.index({ 'walkIn.email': 1, 'walkIn.claimedAt': 1 }, { sparse: true });
+
+// Typo-tolerant search, hospital and patient names weighted highest
+donationRequestSchema.plugin(searchKeysPlugin, {
+  fields: { hospitalName: 8, recipientName: 6, requesterName: 3, hospitalAddress: 2 },
+});
 
 const DonationRequest = mongoose.model('DonationRequest', donationRequestSchema);
 
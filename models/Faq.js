@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { searchKeysPlugin } from '../utils/textSearch.js';
+
+const faqSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: [true, 'Question is required'],
+      trim: true,
+      maxlength: [300, 'Question cannot exceed 300 characters'],
+    },
+
+    answer: {
+      type: String,
+      required: [true, 'Answer is required'],
+      trim: true,
+      maxlength: [5000, 'Answer cannot exceed 5000 characters'],
+    },
+
+    category: {
+      type: String,
+      trim: true,
+      default: 'general',
+    },
+
+    // Position within its category
+    order: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+faqSchema.index({ isActive: 1, category: 1, order: 1 });
+
+// Typo-tolerant search, questions weighted above answers
+faqSchema.plugin(searchKeysPlugin, { fields: { question: 10, category: 4, answer: 2 } });
+
+const Faq = mongoose.model('Faq', faqSchema);
+
+export default Faq;
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { searchKeysPlugin } from '../utils/textSearch.js';
+
+const helpArticleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain letters, numbers and hyphens'],
+    },
+
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Summary cannot exceed 500 characters'],
+      default: '',
+    },
+
+    content: {
+      type: String,
+      required: [true, 'Content is required'],
+    },
+
+    category: {
+      type: String,
+      trim: true,
+      default: 'general',
+    },
+
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+    }],
+
+    // Roles the article is written for. Empty means everyone, signed in or not.
+    audience: [{
+      type: String,
+      enum: ['donor', 'volunteer', 'admin'],
+    }],
+
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+
+    views: {
+      type: Number,
+      default: 0,
+    },
+
+    // Answers to "Was this article helpful?"
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+
+    notHelpfulCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Users who answered, so each answer counts once
+    feedbackBy: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      }],
+      select: false,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to build the filter for articles a role may read
+helpArticleSchema.statics.visibleTo = function(role = null) {
+  return {
+    isPublished: true,
+    $or: [
+      { audience: { $size: 0 } },
+      ...(role ? [{ audience: role }] : []),
+    ],
+  };
+};
+
+// Static method to count a user's answer to "Was this article helpful?".
+// Returns the article, or null when it does not match `filter` or the user
+// already answered.
+helpArticleSchema.statics.recordFeedback = function(filter, userId, helpful) {
+  return this.findOneAndUpdate(
+    { $and: [filter, { feedbackBy: { $ne: userId } }] },
+    {
+      $inc: helpful ? { helpfulCount: 1 } : { notHelpfulCount: 1 },
+      $addToSet: { feedbackBy: userId },
+    },
+    { new: true }
+  ).select('title slug helpfulCount notHelpfulCount');
+};
+
+// Indexes for better query performance
+helpArticleSchema.index({ isPublished: 1, category: 1 });
+
+// Typo-tolerant search, titles and tags weighted highest
+helpArticleSchema.plugin(searchKeysPlugin, {
+  fields: { title: 10, tags: 6, summary: 3, category: 3 },
+});
+
+const HelpArticle = mongoose.model('HelpArticle', helpArticleSchema);
+
+export default HelpArticle;
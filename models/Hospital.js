@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import { DISTRICT_ALIASES, normalizeDistrict } from '../config/districts.js';
+import { getCentroidPoint, isApproximateLocation } from '../utils/geo.js';
+import { searchKeysPlugin } from '../utils/textSearch.js';
+
+// Lower-case a hospital name and drop punctuation so that
+// "Dhaka Medical College Hospital", "dhaka medical college & hospital." and
+// "DHAKA MEDICAL COLLEGE  HOSPITAL" all compare equal
+const normalizeHospitalName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9\u0980-\u09ff]+/g, ' ')
+  .trim();
+
+const hospitalSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Hospital name is required'],
+      trim: true,
+      minlength: [2, 'Hospital name must be at least 2 characters'],
+      maxlength: [200, 'Hospital name cannot exceed 200 characters'],
+    },
+
+    // Other spellings used in donation requests, e.g. "DMCH"
+    aliases: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Alias cannot exceed 200 characters'],
+    }],
+
+    // Normalised name and aliases, used to match free-text hospital names
+    nameKeys: {
+      type: [String],
+      select: false,
+    },
+
+    address: {
+      type: String,
+      required: [true, 'Hospital address is required'],
+      trim: true,
+      maxlength: [500, 'Hospital address cannot exceed 500 characters'],
+    },
+
+    district: {
+      type: String,
+      required: [true, 'District is required'],
+      trim: true,
+    },
+
+    upazila: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    // GeoJSON point ([lng, lat]). Falls back to the centre of the district.
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+      source: {
+        type: String,
+        enum: ['precise', 'upazila', 'district'],
+      },
+    },
+
+    contactNumbers: [{
+      type: String,
+      trim: true,
+      match: [/^[0-9+\-\s()]{5,20}$/, 'Please enter a valid contact number'],
+    }],
+
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address'],
+    },
+
+    hasBloodBank: {
+      type: Boolean,
+      default: false,
+    },
+
+    emergencyServices: {
+      type: Boolean,
+      default: false,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Store the canonical district spelling and refresh the name keys
+hospitalSchema.pre('validate', function(next) {
+  if (this.isModified('district')) {
+    this.district = normalizeDistrict(this.district) || this.district;
+  }
+
+  if (this.isNew || this.isModified('name') || this.isModified('aliases')) {
+    const aliases = (this.aliases || []).filter(Boolean);
+    this.aliases = [...new Set(aliases)];
+    this.nameKeys = [...new Set([this.name, ...aliases].map(normalizeHospitalName).filter(Boolean))];
+  }
+
+  next();
+});
+
+// Fall back to the district centre when there is no precise location
+hospitalSchema.pre('save', function(next) {
+  const areaChanged = this.isNew || this.isModified('district') || this.isModified('upazila');
+  if (areaChanged && isApproximateLocation(this.location)) {
+    this.location = getCentroidPoint(this) || undefined;
+  }
+  next();
+});
+
+// Static method to normalise a hospital name for matching
+hospitalSchema.statics.normalizeName = normalizeHospitalName;
+
+// Static method to find an active hospital by its name or one of its aliases
+hospitalSchema.statics.findByName = function(name, district = null) {
+  const key = normalizeHospitalName(name);
+  if (!key) {
+    return Promise.resolve(null);
+  }
+
+  const canonicalDistrict = district ? normalizeDistrict(district) || district : null;
+
+  return this.findOne({
+    nameKeys: key,
+    isActive: true,
+    ...(canonicalDistrict ? { district: canonicalDistrict } : {}),
+  });
+};
+
+// Static method to link unlinked donation requests in the hospital's
+// district whose free-text hospital name matches its name or aliases.
+// Returns the number of requests linked.
+hospitalSchema.statics.linkDonationRequests = async function(hospital) {
+  const DonationRequest = mongoose.model('DonationRequest');
+  const keys = hospital.nameKeys?.length
+    ? hospital.nameKeys
+    : [hospital.name, ...(hospital.aliases || [])].map(normalizeHospitalName);
+  // Requests may use an older spelling of the district
+  const districtSpellings = [
+    hospital.district,
+    ...Object.keys(DISTRICT_ALIASES).filter((alias) => DISTRICT_ALIASES[alias] === hospital.district),
+  ].map((spelling) => new RegExp(`^${spelling.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+
+  const candidates = await DonationRequest.find({
+    hospital: null,
+    recipientDistrict: { $in: districtSpellings },
+  })
+    .select('hospitalName')
+    .lean();
+
+  const ids = candidates
+    .filter((request) => keys.includes(normalizeHospitalName(request.hospitalName)))
+    .map((request) => request._id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const result = await DonationRequest.updateMany(
+    { _id: { $in: ids } },
+    { $set: { hospital: hospital._id } }
+  );
+  return result.modifiedCount;
+};
+
+// Indexes for better query performance
+hospitalSchema.index({ nameKeys: 1, district: 1 });
+hospitalSchema.index({ district: 1, upazila: 1, isActive: 1 });
+hospitalSchema.index({ hasBloodBank: 1, emergencyServices: 1 });
+hospitalSchema.index({ location: '2dsphere' });
+hospitalSchema.index({ name: 'text', aliases: 'text', address: 'text' });
+
+// Typo-tolerant search, e.g. "dhaka medcal" or an alias such as "DMCH"
+hospitalSchema.plugin(searchKeysPlugin, { fields: { name: 10, aliases: 8, address: 2 } });
+
+const Hospital = mongoose.model('Hospital', hospitalSchema);
+
+export default Hospital;
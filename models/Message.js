@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: [true, 'Conversation is required'],
+    },
+
+    // Null for system messages such as "conversation closed"
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    senderName: {
+      type: String,
+      trim: true,
+      default: 'System',
+    },
+
+    senderRole: {
+      type: String,
+      enum: ['requester', 'donor', 'volunteer', 'admin', 'system'],
+      default: 'system',
+    },
+
+    type: {
+      type: String,
+      enum: ['text', 'system'],
+      default: 'text',
+    },
+
+    text: {
+      type: String,
+      required: [true, 'Message text is required'],
+      trim: true,
+      maxlength: [2000, 'Message cannot exceed 2000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to count the messages a user has not read yet
+messageSchema.statics.countUnread = function(conversationId, userId, lastReadAt) {
+  return this.countDocuments({
+    conversation: conversationId,
+    sender: { $ne: userId },
+    ...(lastReadAt ? { createdAt: { $gt: lastReadAt } } : {}),
+  });
+};
+
+// Indexes for better query performance
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -470,8 +470,8 @@ notificationSchema.statics.getUnreadCount = async function(userId) {
   });
 };
 
-// Static method to create system notification
-notificationSchema.statics.createSystemNotification = async function(data) {
+// Fields of a notification sent by the system rather than a user
+const toSystemNotification = (data) => {
   const {
     recipient,
     recipientEmail,
@@ -485,7 +485,7 @@ notificationSchema.statics.createSystemNotification = async function(data) {
     expiresInDays = 30,
   } = data;
   
-  const notification = new this({
+  return {
     recipient,
     recipientEmail,
     sender: null,
@@ -500,11 +500,20 @@ notificationSchema.statics.createSystemNotification = async function(data) {
     data: extraData,
     expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
     source: 'system',
-  });
-  
+  };
+};
+
+// Static method to create system notification
+notificationSchema.statics.createSystemNotification = async function(data) {
+  const notification = new this(toSystemNotification(data));
   return notification.save();
 };
 
+// Static method to create many system notifications in one write
+notificationSchema.statics.createSystemNotifications = async function(list) {
+  return this.insertMany(list.map(toSystemNotification));
+};
+
 // Static method to create batch notifications
 notificationSchema.statics.createBatchNotifications = async function(recipients, notificationData) {
   const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
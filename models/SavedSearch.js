@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import { normalizeDistrict, normalizeUpazila } from '../config/districts.js';
+
+// Most saved searches one user may keep
+const MAX_SAVED_SEARCHES = 20;
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Filters that apply to each search type
+const FILTER_KEYS = {
+  donors: ['bloodGroup', 'district', 'upazila', 'exactMatch', 'availableOnly'],
+  'donation-requests': ['bloodGroup', 'district', 'upazila', 'urgency'],
+};
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Search name is required'],
+      trim: true,
+      maxlength: [100, 'Search name cannot exceed 100 characters'],
+    },
+
+    // Which search the filters belong to
+    type: {
+      type: String,
+      enum: {
+        values: ['donors', 'donation-requests'],
+        message: 'Search type must be donors or donation-requests',
+      },
+      required: [true, 'Search type is required'],
+    },
+
+    // The query parameters of searchDonors / searchDonationRequests
+    filters: {
+      bloodGroup: {
+        type: String,
+        enum: [...BLOOD_GROUPS, null],
+        default: null,
+      },
+      district: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      upazila: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      // Donor searches only
+      exactMatch: {
+        type: Boolean,
+        default: false,
+      },
+      availableOnly: {
+        type: Boolean,
+        default: true,
+      },
+      // Request searches only
+      urgency: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical', null],
+        default: null,
+      },
+    },
+
+    alerts: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      email: {
+        type: Boolean,
+        default: false,
+      },
+      // Matches newer than this have not been alerted yet
+      lastCheckedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      lastAlertAt: {
+        type: Date,
+        default: null,
+      },
+      alertCount: {
+        type: Number,
+        default: 0,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Store the canonical district and upazila spellings
+savedSearchSchema.pre('validate', function(next) {
+  if (this.isModified('filters.district') || this.isModified('filters.upazila')) {
+    const district = normalizeDistrict(this.filters.district);
+    if (district) {
+      this.filters.district = district;
+      this.filters.upazila = normalizeUpazila(district, this.filters.upazila) || this.filters.upazila;
+    }
+  }
+  next();
+});
+
+// Query string that reruns the search from the client
+savedSearchSchema.virtual('queryString').get(function() {
+  const params = new URLSearchParams();
+  (FILTER_KEYS[this.type] || []).forEach((key) => {
+    const value = this.filters?.[key];
+    if (value !== null && value !== undefined && value !== '') {
+      params.set(key, String(value));
+    }
+  });
+  return params.toString();
+});
+
+// Static method to check whether a user can save another search
+savedSearchSchema.statics.hasReachedLimit = async function(userId) {
+  const count = await this.countDocuments({ user: userId });
+  return count >= MAX_SAVED_SEARCHES;
+};
+
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+savedSearchSchema.statics.FILTER_KEYS = FILTER_KEYS;
+
+// Indexes for better query performance
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ 'alerts.enabled': 1, type: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+export default SavedSearch;
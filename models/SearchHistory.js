@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { getSearchHistoryConfig } from '../config/searchHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const searchHistorySchema = new mongoose.Schema(
+  {
+    // Null for anonymous searches and for history the user has cleared;
+    // those only count towards the statistics
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    userRole: {
+      type: String,
+      enum: ['donor', 'volunteer', 'admin', null],
+      default: null,
+    },
+
+    type: {
+      type: String,
+      enum: ['donors', 'donation-requests', 'global'],
+      required: [true, 'Search type is required'],
+    },
+
+    // Free-text query of a global search
+    query: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Search query cannot exceed 200 characters'],
+      default: '',
+    },
+
+    filters: {
+      bloodGroup: { type: String, default: null },
+      district: { type: String, default: null },
+      upazila: { type: String, default: null },
+      urgency: { type: String, default: null },
+      status: { type: String, default: null },
+      // Entity type of a global search (users, donations, ...)
+      scope: { type: String, default: null },
+    },
+
+    resultCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Static method to record a search and drop the user's oldest entries
+// beyond the per-user limit
+searchHistorySchema.statics.record = async function(data) {
+  const entry = await this.create(data);
+
+  if (entry.user) {
+    const { maxPerUser } = getSearchHistoryConfig();
+    const stale = await this.find({ user: entry.user })
+      .sort({ createdAt: -1 })
+      .skip(maxPerUser)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await this.deleteMany({ _id: { $in: stale.map((item) => item._id) } });
+    }
+  }
+
+  return entry;
+};
+
+// Static method to clear a user's history. Entries are kept without the
+// user so the search statistics stay complete.
+searchHistorySchema.statics.clearForUser = async function(userId) {
+  const result = await this.updateMany({ user: userId }, { $set: { user: null } });
+  return result.modifiedCount;
+};
+
+// Static method to delete searches older than the retention period
+searchHistorySchema.statics.pruneExpired = async function() {
+  const { retentionDays } = getSearchHistoryConfig();
+  const result = await this.deleteMany({
+    createdAt: { $lt: new Date(Date.now() - retentionDays * DAY_MS) },
+  });
+  return result.deletedCount;
+};
+
+// Indexes for better query performance
+searchHistorySchema.index({ user: 1, createdAt: -1 });
+searchHistorySchema.index({ createdAt: 1 });
+searchHistorySchema.index({ type: 1, resultCount: 1, createdAt: -1 });
+
+const SearchHistory = mongoose.model('SearchHistory', searchHistorySchema);
+
+export default SearchHistory;
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { generateRefreshToken, hashToken } from '../utils/jwtUtils.js';
+
+// How many superseded token hashes to keep per session for reuse detection
+const MAX_ROTATED_HASHES = 100;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+
+    // SHA-256 of the current refresh token (the raw token is never stored)
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      select: false,
+    },
+
+    // Hashes of refresh tokens that were already rotated out of this session.
+    // Presenting one of them again means the token family was stolen.
+    rotatedTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+
+    // Identifies the chain of refresh tokens issued from a single login
+    family: {
+      type: String,
+      required: [true, 'Token family is required'],
+      default: () => crypto.randomBytes(16).toString('hex'),
+    },
+
+    device: {
+      browser: {
+        type: String,
+        default: 'Unknown',
+      },
+      os: {
+        type: String,
+        default: 'Unknown',
+      },
+      type: {
+        type: String,
+        enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+        default: 'unknown',
+      },
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    ip: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Whether the second factor was completed for this login
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'user_revoked', 'token_reuse', 'password_changed', 'admin_action', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Parse a user agent string into a coarse device description
+const parseDevice = (userAgent = '') => {
+  const ua = userAgent.toLowerCase();
+
+  let browser = 'Unknown';
+  if (ua.includes('edg/')) browser = 'Edge';
+  else if (ua.includes('opr/') || ua.includes('opera')) browser = 'Opera';
+  else if (ua.includes('chrome/')) browser = 'Chrome';
+  else if (ua.includes('firefox/')) browser = 'Firefox';
+  else if (ua.includes('safari/')) browser = 'Safari';
+  else if (ua.includes('okhttp') || ua.includes('dart')) browser = 'Mobile App';
+
+  let os = 'Unknown';
+  if (ua.includes('windows')) os = 'Windows';
+  else if (ua.includes('android')) os = 'Android';
+  else if (ua.includes('iphone') || ua.includes('ipad') || ua.includes('ios')) os = 'iOS';
+  else if (ua.includes('mac os')) os = 'macOS';
+  else if (ua.includes('linux')) os = 'Linux';
+
+  let type = 'unknown';
+  if (ua.includes('ipad') || ua.includes('tablet')) type = 'tablet';
+  else if (ua.includes('mobi') || ua.includes('android') || ua.includes('iphone')) type = 'mobile';
+  else if (ua) type = 'desktop';
+
+  return { browser, os, type };
+};
+
+// Virtual to check if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to open a new session on login
+sessionSchema.statics.createSession = async function(userId, { ip = '', userAgent = '', twoFactorVerified = false } = {}) {
+  const { token, hashedToken, expires } = generateRefreshToken(userId);
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashedToken,
+    device: parseDevice(userAgent),
+    userAgent,
+    ip,
+    twoFactorVerified,
+    expiresAt: expires,
+  });
+
+  return { session, refreshToken: token };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { status: 'rotated' | 'reused' | 'invalid', session, refreshToken }
+sessionSchema.statics.rotateToken = async function(refreshToken, { ip = '', userAgent = '' } = {}) {
+  const presentedHash = hashToken(refreshToken);
+
+  const session = await this.findOne({ tokenHash: presentedHash });
+
+  if (!session) {
+    // An already-rotated token: revoke the whole family it belongs to
+    const compromised = await this.findOne({ rotatedTokenHashes: presentedHash });
+    if (compromised) {
+      if (!compromised.revokedAt) {
+        await compromised.revoke('token_reuse');
+      }
+      return { status: 'reused', session: compromised };
+    }
+    return { status: 'invalid' };
+  }
+
+  if (!session.isActive) {
+    return { status: 'invalid', session };
+  }
+
+  const { token, hashedToken } = generateRefreshToken(session.user);
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashedToken,
+        lastUsedAt: new Date(),
+        ip: ip || session.ip,
+        userAgent: userAgent || session.userAgent,
+      },
+      $push: {
+        rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_HASHES },
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { status: 'reused', session };
+  }
+
+  return { status: 'rotated', session: rotated, refreshToken: token };
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all', exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Method to revoke a single session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Method to get the public view of a session
+sessionSchema.methods.toPublic = function(currentSessionId = null) {
+  return {
+    _id: this._id,
+    device: this.device,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    twoFactorVerified: this.twoFactorVerified,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false,
+  };
+};
+
+// Indexes for better query performance
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ family: 1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export { parseDevice };
+
+export default Session;
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+// One on-call shift of a volunteer in a district. Rotas are built from
+// these; "who is on call now" reads the shifts running at that moment.
+const shiftSchema = new mongoose.Schema(
+  {
+    volunteer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Volunteer is required'],
+    },
+
+    // Canonical district name (config/districts.js)
+    district: {
+      type: String,
+      required: [true, 'District is required'],
+      trim: true,
+    },
+
+    startsAt: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+
+    endsAt: {
+      type: Date,
+      required: [true, 'End time is required'],
+    },
+
+    // Backups are called when the primary volunteers cannot take a task
+    role: {
+      type: String,
+      enum: ['primary', 'backup'],
+      default: 'primary',
+    },
+
+    status: {
+      type: String,
+      enum: ['scheduled', 'cancelled'],
+      default: 'scheduled',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+      default: '',
+    },
+
+    // Shifts created together as a weekly repeat share this id
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Volunteers who held the shift before an approved swap
+    swapHistory: [
+      {
+        _id: false,
+        from: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        to: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        swapRequest: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ShiftSwapRequest',
+        },
+        swappedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shiftSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'A shift must end after it starts');
+  }
+  next();
+});
+
+// Static method to find the shifts running in a district at a moment
+shiftSchema.statics.findOnCall = function(district, at = new Date()) {
+  return this.find({
+    district,
+    status: 'scheduled',
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+  });
+};
+
+// Static method to find a volunteer's scheduled shift overlapping a period
+shiftSchema.statics.findOverlap = function(volunteerId, startsAt, endsAt, excludeIds = []) {
+  return this.findOne({
+    _id: { $nin: excludeIds },
+    volunteer: volunteerId,
+    status: 'scheduled',
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt },
+  });
+};
+
+// Indexes for better query performance
+shiftSchema.index({ district: 1, status: 1, startsAt: 1, endsAt: 1 });
+shiftSchema.index({ volunteer: 1, status: 1, startsAt: 1 });
+shiftSchema.index({ seriesId: 1 });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+export default Shift;
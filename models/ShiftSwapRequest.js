@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// A volunteer asking another one to take their shift, optionally taking one
+// of theirs in exchange. The other volunteer accepts, then an admin
+// approves before the rota changes.
+const shiftSwapRequestSchema = new mongoose.Schema(
+  {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      required: [true, 'Shift is required'],
+    },
+
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Requester is required'],
+    },
+
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Volunteer to swap with is required'],
+    },
+
+    // The target's shift the requester takes in exchange, if any
+    offeredShift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      default: null,
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+
+    // pending: waiting for the target; accepted: waiting for an admin
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+
+    respondedAt: Date,
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shiftSwapRequestSchema.statics.OPEN_STATUSES = ['pending', 'accepted'];
+
+// Indexes for better query performance
+shiftSwapRequestSchema.index({ requester: 1, status: 1 });
+shiftSwapRequestSchema.index({ target: 1, status: 1 });
+shiftSwapRequestSchema.index({ shift: 1, status: 1 });
+shiftSwapRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ShiftSwapRequest = mongoose.model('ShiftSwapRequest', shiftSwapRequestSchema);
+
+export default ShiftSwapRequest;
@@ -1,5 +1,32 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import {
+  generateToken,
+  generatePasswordResetToken,
+  generateEmailVerificationToken,
+} from '../utils/jwtUtils.js';
+import {
+  generateSecret,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+import { getLoginLockoutConfig } from '../config/security.js';
+import { getReliabilityConfig } from '../config/reliability.js';
+import { getCentroidPoint, isApproximateLocation } from '../utils/geo.js';
+import { normalizeDistrict, normalizeUpazila } from '../config/districts.js';
+import { searchKeysPlugin } from '../utils/textSearch.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of pledges a donor kept, smoothed so donors without history start
+// at 0.5. A late cancellation counts half as much as a no-show.
+const computeReliabilityScore = ({ completedDonations = 0, noShows = 0, lateCancellations = 0 }) => {
+  const score = (completedDonations + 1) / (completedDonations + noShows + lateCancellations * 0.5 + 2);
+  return Math.round(score * 1000) / 1000;
+};
 
 const userSchema = new mongoose.Schema(
   {
@@ -51,6 +78,23 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
     
+    // GeoJSON point ([lng, lat]) for radius search. Users who have not shared
+    // a precise location get the centre of their district.
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+      source: {
+        type: String,
+        enum: ['precise', 'upazila', 'district'],
+      },
+    },
+    
     role: {
       type: String,
       enum: ['donor', 'volunteer', 'admin'],
@@ -79,11 +123,214 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
     
+    // Pledge outcomes, updated through recordReliabilityEvent
+    reliability: {
+      completedDonations: {
+        type: Number,
+        default: 0,
+      },
+      noShows: {
+        type: Number,
+        default: 0,
+      },
+      lateCancellations: {
+        type: Number,
+        default: 0,
+      },
+      score: {
+        type: Number,
+        default: 0.5,
+      },
+      // Repeated no-shows keep the donor off critical requests until then
+      cooldownUntil: {
+        type: Date,
+        default: null,
+      },
+      events: {
+        type: [
+          {
+            type: {
+              type: String,
+              enum: ['no_show', 'late_cancel'],
+            },
+            donationRequest: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'DonationRequest',
+            },
+            occurredAt: {
+              type: Date,
+              default: Date.now,
+            },
+          },
+        ],
+        select: false,
+      },
+    },
+    
     isAvailable: {
       type: Boolean,
       default: true,
     },
     
+    // What other users see of this donor's contact details in search
+    // results. Staff always see them; anyone else can ask through a
+    // contact request.
+    privacy: {
+      showPhone: {
+        type: Boolean,
+        default: false,
+      },
+      showEmail: {
+        type: Boolean,
+        default: false,
+      },
+      // Never share details, not even through contact requests. Requesters
+      // can only reach the donor through the platform.
+      platformOnly: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    
+    // What a volunteer declared about taking tasks; used by auto-dispatch
+    volunteerAvailability: {
+      isAvailable: {
+        type: Boolean,
+        default: true,
+      },
+      // Away (leave, travel) until this time
+      unavailableUntil: {
+        type: Date,
+        default: null,
+      },
+      // Districts covered besides the volunteer's own
+      coverageDistricts: [String],
+      // Weekly hours; none means any time
+      weeklySchedule: [
+        {
+          _id: false,
+          day: {
+            type: Number,
+            min: 0,
+            max: 6,
+          },
+          start: String,
+          end: String,
+        },
+      ],
+      // Null uses VOLUNTEER_MAX_OPEN_TASKS
+      maxOpenTasks: {
+        type: Number,
+        min: 1,
+        max: 50,
+        default: null,
+      },
+    },
+    
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // AES-GCM encrypted base32 secret (see utils/totp.js)
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated during enrollment, promoted once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, to stop a code being replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    lastLogin: {
+      type: Date,
+      default: null,
+    },
+    
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: {
+        type: Date,
+        default: null,
+      },
+      lockUntil: {
+        type: Date,
+        default: null,
+      },
+      // Lockouts since the last successful login; drives the backoff
+      lockCount: {
+        type: Number,
+        default: 0,
+      },
+      // Devices and countries the user has signed in from before
+      knownDevices: {
+        type: [
+          {
+            fingerprint: String,
+            browser: String,
+            os: String,
+            country: String,
+            lastSeenAt: Date,
+          },
+        ],
+        select: false,
+      },
+    },
+    
     createdAt: {
       type: Date,
       default: Date.now,
@@ -106,6 +353,10 @@ userSchema.pre('save', async function(next) {
   // Only hash the password if it's modified (or new)
   if (!this.isModified('password')) return next();
   
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+  
   try {
     // Generate salt
     const salt = await bcrypt.genSalt(10);
@@ -123,15 +374,266 @@ userSchema.pre('findOneAndUpdate', function(next) {
   next();
 });
 
+// Store the reference spelling of the district and upazila.
+// Names that are not in the reference data are kept as typed.
+userSchema.pre('validate', function(next) {
+  if (this.isModified('district') || this.isModified('upazila')) {
+    this.upazila = normalizeUpazila(this.district, this.upazila) || this.upazila;
+    this.district = normalizeDistrict(this.district) || this.district;
+  }
+  next();
+});
+
+// Same when the area is updated directly
+userSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+
+  if (changes.district) {
+    this.set({
+      district: normalizeDistrict(changes.district) || changes.district,
+      ...(changes.upazila
+        ? { upazila: normalizeUpazila(changes.district, changes.upazila) || changes.upazila }
+        : {}),
+    });
+  }
+  next();
+});
+
+// Fall back to the district centre when there is no precise location
+userSchema.pre('save', function(next) {
+  const areaChanged = this.isNew || this.isModified('district') || this.isModified('upazila');
+  if (areaChanged && isApproximateLocation(this.location)) {
+    this.location = getCentroidPoint(this) || undefined;
+  }
+  next();
+});
+
+// Same fallback when the district is updated directly
+userSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+
+  if (!changes.district || changes.location) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select('location');
+  if (current && isApproximateLocation(current.location)) {
+    const point = getCentroidPoint({ district: changes.district });
+    if (point) {
+      this.set({ location: point });
+    } else {
+      this.setUpdate({ ...update, $unset: { ...(update.$unset || {}), location: 1 } });
+    }
+  }
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  try {
-    return await bcrypt.compare(candidatePassword, this.password);
-  } catch (error) {
-    throw error;
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to sign an access token bound to a login session
+userSchema.methods.generateAuthToken = function(sessionId = null) {
+  return generateToken(this._id, this.role, sessionId ? { sid: sessionId.toString() } : {});
+};
+
+// Method to create a password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const { resetToken, hashedToken, expires } = generatePasswordResetToken();
+  
+  this.passwordResetToken = hashedToken;
+  this.passwordResetExpires = expires;
+  
+  return resetToken;
+};
+
+// Method to create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const { verificationToken, hashedToken, expires } = generateEmailVerificationToken();
+  
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = expires;
+  
+  return verificationToken;
+};
+
+// Method to mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Method to start 2FA enrollment. Returns the plain secret for the authenticator app.
+// Requires twoFactor.pendingSecret to be selected when saving over an old attempt.
+userSchema.methods.startTwoFactorSetup = function() {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+  return secret;
+};
+
+// Method to replace the recovery codes. Returns the plain codes (shown once).
+userSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = generateRecoveryCodes(count);
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Method to confirm enrollment with a code from the pending secret.
+// Needs +twoFactor.pendingSecret selected.
+userSchema.methods.confirmTwoFactorSetup = function(code) {
+  if (!this.twoFactor?.pendingSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.pendingSecret), code);
+  if (step === null) {
+    return false;
   }
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return true;
 };
 
+// Method to check a TOTP code against the active secret.
+// Needs +twoFactor.secret +twoFactor.lastUsedStep selected.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.secret), code, {
+    lastUsedStep: this.twoFactor.lastUsedStep ?? null,
+  });
+  if (step === null) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a one-time recovery code. Needs +twoFactor.recoveryCodes selected.
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = hashRecoveryCode(code);
+  const codes = this.twoFactor?.recoveryCodes || [];
+
+  if (!codes.includes(hashed)) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes = codes.filter((item) => item !== hashed);
+  return true;
+};
+
+// Method to switch 2FA off and forget every secret
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = {
+    enabled: false,
+    secret: undefined,
+    pendingSecret: undefined,
+    recoveryCodes: [],
+    lastUsedStep: undefined,
+    enabledAt: null,
+  };
+};
+
+// Method to record a failed login attempt and lock the account when needed.
+// Returns { locked, lockUntil, attemptsLeft }
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxAttempts, attemptWindowMinutes, baseLockMinutes, maxLockMinutes } =
+    getLoginLockoutConfig();
+  const now = new Date();
+  const lastFailedAt = this.loginSecurity?.lastFailedAt;
+  const isStale =
+    !lastFailedAt || now - lastFailedAt > attemptWindowMinutes * 60 * 1000;
+
+  // Atomic so parallel guesses cannot slip past the counter
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    isStale
+      ? { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': now } }
+      : { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  );
+
+  const { failedAttempts, lockCount = 0 } = updated.loginSecurity;
+
+  if (failedAttempts < maxAttempts) {
+    this.loginSecurity = updated.loginSecurity;
+    return { locked: false, lockUntil: null, attemptsLeft: maxAttempts - failedAttempts };
+  }
+
+  const lockMinutes = Math.min(baseLockMinutes * 2 ** lockCount, maxLockMinutes);
+  const lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+  const locked = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockUntil': lockUntil,
+      },
+      $inc: { 'loginSecurity.lockCount': 1 },
+    },
+    { new: true }
+  );
+
+  this.loginSecurity = locked.loginSecurity;
+  return { locked: true, lockUntil, attemptsLeft: 0, lockMinutes };
+};
+
+// Method to clear the failed login counters after a successful login
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = null;
+  this.loginSecurity.lockUntil = null;
+  this.loginSecurity.lockCount = 0;
+};
+
+// Method for admins to lift a lockout
+userSchema.methods.unlockAccount = function() {
+  this.resetLoginAttempts();
+};
+
+// Method to remember the device of a successful login.
+// Needs +loginSecurity.knownDevices selected. Returns { isNewDevice, isNewCountry }
+userSchema.methods.rememberDevice = function({ fingerprint, browser, os, country }) {
+  const { maxKnownDevices } = getLoginLockoutConfig();
+  const devices = this.loginSecurity.knownDevices || [];
+  // The very first login has nothing to compare against
+  const hasHistory = devices.length > 0;
+
+  const existing = devices.find((device) => device.fingerprint === fingerprint);
+  const isNewCountry =
+    hasHistory && !!country && !devices.some((device) => device.country === country);
+
+  if (existing) {
+    existing.lastSeenAt = new Date();
+    if (country) existing.country = country;
+  } else {
+    devices.push({ fingerprint, browser, os, country, lastSeenAt: new Date() });
+  }
+
+  this.loginSecurity.knownDevices = devices
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    .slice(0, maxKnownDevices);
+
+  return { isNewDevice: hasHistory && !existing, isNewCountry };
+};
+
+// Virtual for an active critical-request cooldown
+userSchema.virtual('isInCooldown').get(function() {
+  return !!(this.reliability?.cooldownUntil && this.reliability.cooldownUntil > new Date());
+});
+
 // Virtual for full address
 userSchema.virtual('fullAddress').get(function() {
   return `${this.upazila}, ${this.district}`;
@@ -142,6 +644,65 @@ userSchema.virtual('isBlocked').get(function() {
   return this.status === 'blocked';
 });
 
+// Virtual for an active login lockout
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > new Date());
+});
+
+// Static method to record a pledge outcome against a donor.
+// type is 'completed', 'no_show' or 'late_cancel'. Refreshes the reliability
+// score and starts a cooldown after repeated no-shows.
+// Resolves to the updated reliability (without events), or null.
+userSchema.statics.recordReliabilityEvent = async function(userId, type, { donationRequest = null } = {}) {
+  const { noShowLimit, noShowWindowDays, cooldownDays, maxEvents } = getReliabilityConfig();
+  const counters = {
+    completed: 'reliability.completedDonations',
+    no_show: 'reliability.noShows',
+    late_cancel: 'reliability.lateCancellations',
+  };
+
+  if (!counters[type]) {
+    throw new Error(`Unknown reliability event: ${type}`);
+  }
+
+  const now = new Date();
+  const update = { $inc: { [counters[type]]: 1 } };
+  if (type !== 'completed') {
+    update.$push = {
+      'reliability.events': {
+        $each: [{ type, donationRequest, occurredAt: now }],
+        $slice: -maxEvents,
+      },
+    };
+  }
+
+  // Atomic so two outcomes recorded at once are both counted
+  const user = await this.findByIdAndUpdate(userId, update, { new: true }).select('+reliability.events');
+  if (!user) {
+    return null;
+  }
+
+  const { events = [], ...counts } = user.toObject().reliability;
+  const changes = { 'reliability.score': computeReliabilityScore(counts) };
+
+  const windowStart = new Date(now.getTime() - noShowWindowDays * DAY_MS);
+  const recentNoShows = events.filter(
+    (event) => event.type === 'no_show' && event.occurredAt >= windowStart
+  ).length;
+
+  if (type === 'no_show' && recentNoShows >= noShowLimit) {
+    changes['reliability.cooldownUntil'] = new Date(now.getTime() + cooldownDays * DAY_MS);
+  }
+
+  await this.updateOne({ _id: userId }, { $set: changes });
+
+  return {
+    ...counts,
+    score: changes['reliability.score'],
+    cooldownUntil: changes['reliability.cooldownUntil'] || counts.cooldownUntil || null,
+  };
+};
+
 // Static method to check if email exists
 userSchema.statics.emailExists = async function(email) {
   const user = await this.findOne({ email });
@@ -163,8 +724,29 @@ userSchema.methods.getProfile = function() {
     phone: this.phone,
     lastDonationDate: this.lastDonationDate,
     totalDonations: this.totalDonations,
+    reliability: {
+      score: this.reliability?.score ?? 0.5,
+      completedDonations: this.reliability?.completedDonations || 0,
+      noShows: this.reliability?.noShows || 0,
+      lateCancellations: this.reliability?.lateCancellations || 0,
+      cooldownUntil: this.isInCooldown ? this.reliability.cooldownUntil : null,
+    },
     isAvailable: this.isAvailable,
+    privacy: {
+      showPhone: !!this.privacy?.showPhone,
+      showEmail: !!this.privacy?.showEmail,
+      platformOnly: !!this.privacy?.platformOnly,
+    },
+    isEmailVerified: this.isEmailVerified,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
     fullAddress: this.fullAddress,
+    location: this.location?.coordinates?.length
+      ? {
+        latitude: this.location.coordinates[1],
+        longitude: this.location.coordinates[0],
+        source: this.location.source,
+      }
+      : null,
     createdAt: this.createdAt,
   };
 };
@@ -174,6 +756,11 @@ userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ bloodGroup: 1, district: 1, upazila: 1 });
 userSchema.index({ district: 1, upazila: 1 });
+userSchema.index({ location: '2dsphere' });
+
+// Typo-tolerant name search. Email and phone are left out so they can
+// never be found through a name search.
+userSchema.plugin(searchKeysPlugin, { fields: { name: 10 } });
 
 const User = mongoose.model('User', userSchema);
 
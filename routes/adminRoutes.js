@@ -1,9 +1,12 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
 import adminController from '../controllers/adminController.js';
+import hospitalController from '../controllers/hospitalController.js';
+import assignmentController from '../controllers/assignmentController.js';
 import validationMiddleware from '../middleware/validationMiddleware.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { isAdmin } from '../middleware/roleMiddleware.js';
+import uploadMiddleware from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
@@ -47,6 +50,12 @@ router.put(
     adminController.unblockUser
 );
 
+router.put(
+    '/users/:id/unlock',
+    validationMiddleware.validateObjectId('id'),
+    adminController.unlockUser
+);
+
 router.put(
     '/users/:id/role',
     validationMiddleware.validateObjectId('id'),
@@ -62,7 +71,7 @@ router.get(
     '/donations',
     validationMiddleware.validatePagination,
     [
-        query('status').optional().isIn(['pending', 'inprogress', 'done', 'canceled']).withMessage('Valid status is required'),
+        query('status').optional().isIn(['pending', 'inprogress', 'done', 'canceled', 'expired']).withMessage('Valid status is required'),
         query('bloodGroup').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Valid blood group is required'),
         query('urgency').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Valid urgency level is required'),
         query('startDate').optional().isISO8601().withMessage('Valid date is required'),
@@ -72,6 +81,124 @@ router.get(
     adminController.getDonationManagement
 );
 
+// Hospital directory
+const hospitalValidation = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').trim().isLength({ min: 2, max: 200 }).withMessage('Hospital name must be between 2 and 200 characters'),
+        field('address').trim().isLength({ min: 2, max: 500 }).withMessage('Hospital address is required'),
+        field('district').trim().notEmpty().withMessage('District is required'),
+        body('upazila').optional().trim(),
+        body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+        body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+        body('email').optional().isEmail().withMessage('Valid email is required'),
+        body('hasBloodBank').optional().isBoolean().withMessage('hasBloodBank must be a boolean'),
+        body('emergencyServices').optional().isBoolean().withMessage('emergencyServices must be a boolean'),
+    ];
+};
+
+router.get(
+    '/hospitals',
+    validationMiddleware.validatePagination,
+    [
+        query('district').optional().trim(),
+        query('upazila').optional().trim(),
+        query('search').optional().trim(),
+        query('hasBloodBank').optional().isBoolean().withMessage('hasBloodBank must be a boolean'),
+        query('emergencyServices').optional().isBoolean().withMessage('emergencyServices must be a boolean'),
+        query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+    ],
+    validationMiddleware.validateExpressValidator,
+    hospitalController.getHospitals
+);
+
+router.post(
+    '/hospitals',
+    hospitalValidation(),
+    validationMiddleware.validateExpressValidator,
+    hospitalController.createHospital
+);
+
+// Bulk import: multipart "file" field, or the CSV text as body.csv
+router.post(
+    '/hospitals/import',
+    uploadMiddleware.uploadCsv('file'),
+    hospitalController.importHospitals
+);
+
+router.get(
+    '/hospitals/:id',
+    validationMiddleware.validateObjectId('id'),
+    hospitalController.getHospital
+);
+
+router.put(
+    '/hospitals/:id',
+    validationMiddleware.validateObjectId('id'),
+    hospitalValidation(true),
+    validationMiddleware.validateExpressValidator,
+    hospitalController.updateHospital
+);
+
+router.delete(
+    '/hospitals/:id',
+    validationMiddleware.validateObjectId('id'),
+    hospitalController.deleteHospital
+);
+
+// Volunteer tasks
+router.get(
+    '/assignments',
+    validationMiddleware.validatePagination,
+    [
+        query('status').optional().isIn(['pending', 'inprogress', 'completed', 'cancelled']).withMessage('Valid status is required'),
+        query('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Valid priority is required'),
+        query('taskType').optional().isIn(['donation_request', 'contact']).withMessage('Valid task type is required'),
+        query('volunteer').optional().isMongoId().withMessage('Valid volunteer ID is required'),
+        query('donationRequest').optional().isMongoId().withMessage('Valid donation request ID is required'),
+        query('contact').optional().isMongoId().withMessage('Valid contact ID is required'),
+        query('overdue').optional().isBoolean().withMessage('overdue must be a boolean')
+    ],
+    validationMiddleware.validateExpressValidator,
+    assignmentController.getAssignments
+);
+
+router.post(
+    '/assignments',
+    [
+        body('volunteerId').isMongoId().withMessage('Valid volunteer ID is required'),
+        body('donationRequestId').optional().isMongoId().withMessage('Valid donation request ID is required'),
+        body('contactId').optional().isMongoId().withMessage('Valid contact ID is required'),
+        body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+        body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+        body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Valid priority is required'),
+        body('dueAt').optional().isISO8601().withMessage('Valid due time is required')
+    ],
+    validationMiddleware.validateExpressValidator,
+    assignmentController.createAssignment
+);
+
+router.put(
+    '/assignments/:id/reassign',
+    validationMiddleware.validateObjectId('id'),
+    [
+        body('volunteerId').isMongoId().withMessage('Valid volunteer ID is required'),
+        body('reason').optional().trim()
+    ],
+    validationMiddleware.validateExpressValidator,
+    assignmentController.reassignAssignment
+);
+
+router.put(
+    '/assignments/:id/cancel',
+    validationMiddleware.validateObjectId('id'),
+    [
+        body('reason').optional().trim()
+    ],
+    validationMiddleware.validateExpressValidator,
+    assignmentController.cancelAssignment
+);
+
 // System logs
 router.get(
     '/logs',
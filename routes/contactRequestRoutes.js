@@ -0,0 +1,80 @@
+import express from "express";
+import contactRequestController from "../controllers/contactRequestController.js";
+import validationMiddleware from "../middleware/validationMiddleware.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import blockUserMiddleware from "../middleware/blockUserMiddleware.js";
+import { body, query } from "express-validator";
+
+const router = express.Router();
+
+// Donors decide who gets their contact details
+router.use(authMiddleware.protect, blockUserMiddleware.checkBlockedUser);
+
+router.post(
+  "/",
+  [
+    body("donor").isMongoId().withMessage("Valid donor ID is required"),
+    body("donationRequest")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Valid donation request ID is required"),
+    body("message")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Message cannot exceed 500 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  contactRequestController.createContactRequest
+);
+
+router.get(
+  "/",
+  validationMiddleware.validatePagination,
+  [
+    query("box")
+      .optional()
+      .isIn(["incoming", "outgoing"])
+      .withMessage("Box must be incoming or outgoing"),
+    query("status")
+      .optional()
+      .isIn(["pending", "approved", "declined", "cancelled", "expired"])
+      .withMessage("Valid status is required"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  contactRequestController.getContactRequests
+);
+
+router.get(
+  "/:id",
+  validationMiddleware.validateObjectId("id"),
+  contactRequestController.getContactRequest
+);
+
+router.patch(
+  "/:id/respond",
+  validationMiddleware.validateObjectId("id"),
+  [
+    body("decision")
+      .isIn(["approve", "decline"])
+      .withMessage("Decision must be approve or decline"),
+    body("sharePhone")
+      .optional()
+      .isBoolean()
+      .withMessage("sharePhone must be a boolean"),
+    body("shareEmail")
+      .optional()
+      .isBoolean()
+      .withMessage("shareEmail must be a boolean"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  contactRequestController.respondToContactRequest
+);
+
+router.patch(
+  "/:id/cancel",
+  validationMiddleware.validateObjectId("id"),
+  contactRequestController.cancelContactRequest
+);
+
+export default router;
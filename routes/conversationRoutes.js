@@ -0,0 +1,61 @@
+import express from "express";
+import conversationController from "../controllers/conversationController.js";
+import validationMiddleware from "../middleware/validationMiddleware.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import blockUserMiddleware from "../middleware/blockUserMiddleware.js";
+import { body, query } from "express-validator";
+
+const router = express.Router();
+
+// Conversations between the requester, donors and volunteers of a request.
+// Live delivery goes through Socket.IO (see utils/conversationSocket.js).
+router.use(authMiddleware.protect, blockUserMiddleware.checkBlockedUser);
+
+router.get(
+  "/",
+  validationMiddleware.validatePagination,
+  [
+    query("status")
+      .optional()
+      .isIn(["open", "closed"])
+      .withMessage("Status must be open or closed"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  conversationController.getMyConversations
+);
+
+router.get(
+  "/request/:donationRequestId",
+  validationMiddleware.validateObjectId("donationRequestId"),
+  conversationController.getRequestConversation
+);
+
+router.get(
+  "/:id/messages",
+  validationMiddleware.validateObjectId("id"),
+  validationMiddleware.validatePagination,
+  conversationController.getMessages
+);
+
+router.post(
+  "/:id/messages",
+  validationMiddleware.validateObjectId("id"),
+  [
+    body("text")
+      .trim()
+      .notEmpty()
+      .withMessage("Message text is required")
+      .isLength({ max: 2000 })
+      .withMessage("Message cannot exceed 2000 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  conversationController.postMessage
+);
+
+router.patch(
+  "/:id/read",
+  validationMiddleware.validateObjectId("id"),
+  conversationController.markRead
+);
+
+export default router;
@@ -225,7 +225,20 @@ router.delete(
 // Dashboard help and support
 router.get("/help/articles", dashboardController.getHelpArticles);
 router.get("/help/articles/:id", dashboardController.getHelpArticle);
-router.post("/help/feedback", dashboardController.submitHelpFeedback);
+router.post(
+  "/help/feedback",
+  [
+    body("articleId")
+      .trim()
+      .notEmpty()
+      .withMessage("Article id or slug is required"),
+    body("helpful")
+      .isBoolean()
+      .withMessage("helpful must be true or false"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  dashboardController.submitHelpFeedback
+);
 
 // Dashboard version and updates
 router.get("/version", dashboardController.getDashboardVersion);
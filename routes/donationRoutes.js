@@ -6,12 +6,56 @@ import roleMiddleware from "../middleware/roleMiddleware.js";
 import blockUserMiddleware from "../middleware/blockUserMiddleware.js";
 import rateLimiter from "../middleware/rateLimiter.js";
 import { body, param, query } from "express-validator";
+import { areaPairCheck } from "../validators/geoValidator.js";
 
 const router = express.Router();
 
+// Public routes for pending requests
+router.get(
+  "/public/pending",
+  authMiddleware.optionalAuth,
+  validationMiddleware.validatePagination,
+  [
+    query("bloodGroup")
+      .optional()
+      .isIn(["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"])
+      .withMessage("Valid blood group is required"),
+    query("district").optional().trim(),
+    query("upazila").optional().trim(),
+  ],
+  validationMiddleware.validateExpressValidator,
+  donationController.getPendingDonationRequests
+);
+
+// Walk-in requesters follow their request through the link they were sent
+router.get(
+  "/track/:token",
+  [
+    param("token")
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage("Valid tracking token is required"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  donationController.getTrackedDonationRequest
+);
+
 // Apply blocked user check to all protected routes
 router.use(authMiddleware.protect, blockUserMiddleware.checkBlockedUser);
 
+// Signed-in requesters take over the walk-in request the link points to
+router.post(
+  "/track/:token/claim",
+  [
+    param("token")
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage("Valid tracking token is required"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  donationController.claimTrackedDonationRequest
+);
+
 // Donation request validation
 const donationRequestValidation = [
   body("recipientName")
@@ -28,11 +72,19 @@ const donationRequestValidation = [
     .trim()
     .notEmpty()
     .withMessage("Recipient upazila is required"),
+  areaPairCheck("recipientDistrict", "recipientUpazila"),
+  // A hospital picked from the directory fills in its name and address
+  body("hospital")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Valid hospital id is required"),
   body("hospitalName")
+    .if(body("hospital").not().exists({ values: "null" }))
     .trim()
     .notEmpty()
     .withMessage("Hospital name is required"),
   body("hospitalAddress")
+    .if(body("hospital").not().exists({ values: "null" }))
     .trim()
     .notEmpty()
     .withMessage("Hospital address is required"),
@@ -66,9 +118,10 @@ router.post(
   "/",
   rateLimiter.donationRequestLimiter,
   blockUserMiddleware.preventBlockedUserAction(["POST /api/donations"]),
+  blockUserMiddleware.requireVerifiedEmail,
   donationRequestValidation,
   validationMiddleware.validateExpressValidator,
-  donationController.createDonationRequest
+  donationController.createDonation
 );
 
 // Get user's donation requests
@@ -78,7 +131,7 @@ router.get(
   [
     query("status")
       .optional()
-      .isIn(["pending", "inprogress", "done", "canceled"])
+      .isIn(["pending", "inprogress", "done", "canceled", "expired"])
       .withMessage("Valid status is required"),
     query("bloodGroup")
       .optional()
@@ -101,7 +154,7 @@ router.get(
 router.get(
   "/:id",
   validationMiddleware.validateObjectId("id"),
-  donationController.getDonationRequest
+  donationController.getDonation
 );
 
 // Update donation request
@@ -111,7 +164,7 @@ router.put(
   roleMiddleware.isOwnerOrAdmin("DonationRequest"),
   donationRequestValidation,
   validationMiddleware.validateExpressValidator,
-  donationController.updateDonationRequest
+  donationController.updateDonation
 );
 
 // Delete donation request
@@ -119,16 +172,48 @@ router.delete(
   "/:id",
   validationMiddleware.validateObjectId("id"),
   roleMiddleware.isOwnerOrAdmin("DonationRequest"),
-  donationController.deleteDonationRequest
+  donationController.deleteDonation
 );
 
-// Donate to a request (Accept donation)
+// Donate to a request (pledge units)
 router.post(
   "/:id/donate",
   validationMiddleware.validateObjectId("id"),
+  blockUserMiddleware.requireVerifiedEmail,
+  [
+    body("units")
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage("Units must be between 1 and 10"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note cannot exceed 500 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
   donationController.acceptDonation
 );
 
+// Update a single pledge (confirm, done, no-show, cancel)
+router.put(
+  "/:id/pledges/:pledgeId/status",
+  validationMiddleware.validateObjectId("id"),
+  validationMiddleware.validateObjectId("pledgeId"),
+  [
+    body("status")
+      .isIn(["confirmed", "done", "no_show", "canceled"])
+      .withMessage("Valid pledge status is required"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note cannot exceed 500 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  donationController.updatePledgeStatus
+);
+
 // Update donation status
 router.put(
   "/:id/status",
@@ -143,38 +228,45 @@ router.put(
       .withMessage("Valid donor ID is required"),
   ],
   validationMiddleware.validateExpressValidator,
-  donationController.updateDonationStatus
+  donationController.updateStatus
 );
 
 // Get donors for a request
 router.get(
   "/:id/donors",
   validationMiddleware.validateObjectId("id"),
-  validationMiddleware.validatePagination,
+  [
+    query("status")
+      .optional()
+      .isIn(["pledged", "confirmed", "done", "no_show", "canceled"])
+      .withMessage("Invalid pledge status"),
+  ],
+  validationMiddleware.validateExpressValidator,
   donationController.getDonationDonors
 );
 
-// Get recent requests (for dashboard)
-router.get("/dashboard/recent", donationController.getRecentDonationRequests);
-
-// Get statistics
-router.get("/stats/overview", donationController.getDonationStats);
-
-// Public routes for pending requests
+// Get ranked compatible donors for a request
 router.get(
-  "/public/pending",
-  authMiddleware.optionalAuth,
-  validationMiddleware.validatePagination,
+  "/:id/matches",
+  validationMiddleware.validateObjectId("id"),
   [
-    query("bloodGroup")
+    query("limit")
       .optional()
-      .isIn(["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"])
-      .withMessage("Valid blood group is required"),
-    query("district").optional().trim(),
-    query("upazila").optional().trim(),
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("excludeSuggested")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("excludeSuggested must be true or false"),
   ],
   validationMiddleware.validateExpressValidator,
-  donationController.getPendingDonationRequests
+  donationController.getDonationMatches
 );
 
+// Get recent requests (for dashboard)
+router.get("/dashboard/recent", donationController.getRecentDonationRequests);
+
+// Get statistics
+router.get("/stats/overview", donationController.getDonationStats);
+
 export default router;
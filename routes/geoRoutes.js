@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getDivisions,
+  getDistricts,
+  getUpazilas,
+} from "../controllers/geoController.js";
+import validationMiddleware from "../middleware/validationMiddleware.js";
+import { query } from "express-validator";
+
+const router = express.Router();
+
+// Bangladesh administrative reference data (public)
+router.get("/divisions", getDivisions);
+
+router.get(
+  "/districts",
+  [query("division").optional().trim()],
+  validationMiddleware.validateExpressValidator,
+  getDistricts
+);
+
+router.get(
+  "/upazilas",
+  [
+    query("district").trim().notEmpty().withMessage("District is required"),
+    query("includeThanas")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("includeThanas must be true or false"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  getUpazilas
+);
+
+export default router;
@@ -10,6 +10,7 @@ import contactRoutes from "./contactRoutes.js";
 import dashboardRoutes from "./dashboardRoutes.js";
 import analyticsRoutes from "./analyticsRoutes.js";
 import notificationRoutes from "./notificationRoutes.js";
+import geoRoutes from "./geoRoutes.js";
 
 const router = express.Router();
 
@@ -25,6 +26,7 @@ router.use("/api/contact", contactRoutes);
 router.use("/api/dashboard", dashboardRoutes);
 router.use("/api/analytics", analyticsRoutes);
 router.use("/api/notifications", notificationRoutes);
+router.use("/api/geo", geoRoutes);
 
 // Health check endpoint
 router.get("/api/health", (req, res) => {
@@ -53,6 +55,7 @@ router.get("/api", (req, res) => {
       dashboard: "/api/dashboard",
       analytics: "/api/analytics",
       notifications: "/api/notifications",
+      geo: "/api/geo",
     },
     version: "1.0.0",
   });
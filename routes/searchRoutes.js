@@ -6,18 +6,30 @@ import {
   getSearchFilters,
   getUrgentNeeds,
   exportSearchResults,
+  searchByLocation,
+  searchHospitals,
+  saveSearch,
+  getSavedSearches,
+  deleteSavedSearch,
+  getRecentSearches,
+  clearRecentSearches,
+  getSearchStatistics,
+  getSearchSuggestions,
   // Add other controller functions as needed
 } from "../controllers/searchController.js";
 import validationMiddleware from "../middleware/validationMiddleware.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import roleMiddleware from "../middleware/roleMiddleware.js";
 import rateLimiter from "../middleware/rateLimiter.js";
-import { query } from "express-validator";
+import { body, query } from "express-validator";
+import { areaPairCheck } from "../validators/geoValidator.js";
 
 const router = express.Router();
 
-// Public search routes
+// Public search routes. Signed-in users get the search in their history.
 router.get(
   "/donors",
+  authMiddleware.optionalAuth,
   rateLimiter.searchLimiter,
   [
     query("bloodGroup")
@@ -30,6 +42,10 @@ router.get(
       .optional()
       .isIn(["available", "recently_donated", "unavailable"])
       .withMessage("Valid availability status is required"),
+    query("exactMatch")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("exactMatch must be true or false"),
     query("lastDonationBefore")
       .optional()
       .isISO8601()
@@ -44,7 +60,7 @@ router.get(
       .withMessage("Maximum age must be between 18 and 65"),
     query("sortBy")
       .optional()
-      .isIn(["lastDonationDate", "age", "name", "distance"])
+      .isIn(["lastDonationDate", "age", "name", "distance", "reliability"])
       .withMessage("Valid sort field is required"),
     query("sortOrder")
       .optional()
@@ -65,6 +81,7 @@ router.get(
 
 router.get(
   "/donation-requests",
+  authMiddleware.optionalAuth,
   rateLimiter.searchLimiter,
   [
     query("bloodGroup")
@@ -119,7 +136,16 @@ router.get(
     query("q").trim().notEmpty().withMessage("Search query is required"),
     query("type")
       .optional()
-      .isIn(["all", "users", "donations", "fundings", "contacts"])
+      .isIn([
+        "all",
+        "users",
+        "donations",
+        "hospitals",
+        "faqs",
+        "articles",
+        "fundings",
+        "contacts",
+      ])
       .withMessage("Valid type is required"),
     query("page")
       .optional()
@@ -199,61 +225,62 @@ router.get(
   searchDonors // Using the same searchDonors function for now
 );
 
-// Get search filters
-router.get("/filters", getSearchFilters);
-
-// Get urgent needs
-router.get("/urgent", getUrgentNeeds);
-
-// Export search results
-router.post(
-  "/export",
-  authMiddleware.protect,
-  [
-    query("format")
-      .isIn(["pdf", "csv", "excel"])
-      .withMessage("Valid export format is required"),
-    query("type")
-      .isIn(["donors", "requests"])
-      .withMessage("Valid export type is required"),
-    query("bloodGroup")
-      .optional()
-      .isIn(["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"])
-      .withMessage("Valid blood group is required"),
-    query("district").optional().trim(),
-    query("upazila").optional().trim(),
-  ],
-  validationMiddleware.validateExpressValidator,
-  exportSearchResults
-);
-
-// TODO: Implement these routes if needed
-// Remove or comment out routes that don't have corresponding controller functions
-
-/*
-// Search by location
+// Search donors, requests or hospitals near a point (or a district centre), nearest first
 router.get(
   "/location",
   rateLimiter.searchLimiter,
   [
-    query("lat").optional().isFloat().withMessage("Valid latitude is required"),
+    query("lat")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Valid latitude is required"),
     query("lng")
       .optional()
-      .isFloat()
+      .isFloat({ min: -180, max: 180 })
       .withMessage("Valid longitude is required"),
     query("radius")
       .optional()
       .isFloat({ min: 1, max: 100 })
       .withMessage("Radius must be between 1 and 100 km"),
     query("type")
+      .optional()
       .isIn(["donors", "requests", "hospitals"])
       .withMessage("Valid search type is required"),
+    query("district").optional().trim(),
+    query("bloodGroup")
+      .optional()
+      .isIn(["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"])
+      .withMessage("Valid blood group is required"),
+    query("urgency")
+      .optional()
+      .isIn(["low", "medium", "high", "critical"])
+      .withMessage("Valid urgency level is required"),
+    query("hasBloodBank")
+      .optional()
+      .isBoolean()
+      .withMessage("hasBloodBank must be a boolean"),
+    query("emergencyServices")
+      .optional()
+      .isBoolean()
+      .withMessage("emergencyServices must be a boolean"),
+    query("availableOnly")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("availableOnly must be true or false"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50"),
   ],
   validationMiddleware.validateExpressValidator,
-  searchByLocation // This function doesn't exist yet
+  searchByLocation
 );
 
-// Search hospitals
+// Search the hospital directory (nearest first when lat and lng are given)
 router.get(
   "/hospitals",
   rateLimiter.searchLimiter,
@@ -269,6 +296,14 @@ router.get(
       .optional()
       .isBoolean()
       .withMessage("emergencyServices must be a boolean"),
+    query("lat")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Valid latitude is required"),
+    query("lng")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Valid longitude is required"),
     query("page")
       .optional()
       .isInt({ min: 1 })
@@ -279,29 +314,26 @@ router.get(
       .withMessage("Limit must be between 1 and 50"),
   ],
   validationMiddleware.validateExpressValidator,
-  searchHospitals // This function doesn't exist yet
+  searchHospitals
 );
 
-// Search statistics
-router.get("/stats", authMiddleware.protect, getSearchStatistics); // Doesn't exist
-
-// Recent searches
-router.get(
-  "/recent",
-  authMiddleware.protect,
-  validationMiddleware.validatePagination,
-  getRecentSearches // Doesn't exist
-);
+// Get search filters
+router.get("/filters", getSearchFilters);
 
-// Clear recent searches
-router.delete("/recent", authMiddleware.protect, clearRecentSearches); // Doesn't exist
+// Get urgent needs
+router.get("/urgent", getUrgentNeeds);
 
-// Save search (for frequent searches)
+// Export search results
 router.post(
-  "/save",
+  "/export",
   authMiddleware.protect,
   [
-    query("name").trim().notEmpty().withMessage("Search name is required"),
+    query("format")
+      .isIn(["pdf", "csv", "excel"])
+      .withMessage("Valid export format is required"),
+    query("type")
+      .isIn(["donors", "requests"])
+      .withMessage("Valid export type is required"),
     query("bloodGroup")
       .optional()
       .isIn(["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"])
@@ -310,32 +342,97 @@ router.post(
     query("upazila").optional().trim(),
   ],
   validationMiddleware.validateExpressValidator,
-  saveSearch // Doesn't exist
+  exportSearchResults
+);
+
+// Save search (for frequent searches), optionally alerting on new matches
+router.post(
+  "/save",
+  authMiddleware.protect,
+  [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Search name is required")
+      .isLength({ max: 100 })
+      .withMessage("Search name cannot exceed 100 characters"),
+    body("type")
+      .optional()
+      .isIn(["donors", "donation-requests"])
+      .withMessage("Search type must be donors or donation-requests"),
+    body("bloodGroup")
+      .optional({ values: "falsy" })
+      .isIn(["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-", "all"])
+      .withMessage("Valid blood group is required"),
+    // "all" is what the search filters send for no filter
+    body(["district", "upazila"])
+      .optional()
+      .trim()
+      .customSanitizer((value) => (value === "all" ? "" : value)),
+    areaPairCheck("district", "upazila"),
+    body("urgency")
+      .optional({ values: "falsy" })
+      .isIn(["low", "medium", "high", "critical", "all"])
+      .withMessage("Valid urgency level is required"),
+    body(["exactMatch", "availableOnly", "alerts", "emailAlerts"])
+      .optional()
+      .isBoolean()
+      .withMessage("Must be true or false"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  saveSearch
 );
 
 router.get(
   "/saved",
   authMiddleware.protect,
   validationMiddleware.validatePagination,
-  getSavedSearches // Doesn't exist
+  getSavedSearches
 );
 
 router.delete(
   "/saved/:id",
   authMiddleware.protect,
   validationMiddleware.validateObjectId("id"),
-  deleteSavedSearch // Doesn't exist
+  deleteSavedSearch
+);
+
+// Search statistics
+router.get(
+  "/stats",
+  authMiddleware.protect,
+  roleMiddleware.isAdmin,
+  [
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("Days must be between 1 and 365"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  getSearchStatistics
+);
+
+// Recent searches
+router.get(
+  "/recent",
+  authMiddleware.protect,
+  validationMiddleware.validatePagination,
+  getRecentSearches
 );
 
-// Search suggestions (autocomplete)
+// Clear recent searches
+router.delete("/recent", authMiddleware.protect, clearRecentSearches);
+
+// Search suggestions (autocomplete). Signed-in staff also get contact details.
 router.get(
   "/suggestions",
+  authMiddleware.optionalAuth,
   rateLimiter.searchLimiter,
   [
     query("q").trim().notEmpty().withMessage("Search query is required"),
     query("type")
       .optional()
-      .isIn(["donors", "requests", "hospitals", "locations"])
+      .isIn(["all", "donors", "requests", "hospitals", "locations", "faqs", "articles"])
       .withMessage("Valid suggestion type is required"),
     query("limit")
       .optional()
@@ -343,8 +440,7 @@ router.get(
       .withMessage("Limit must be between 1 and 10"),
   ],
   validationMiddleware.validateExpressValidator,
-  getSearchSuggestions // Doesn't exist
+  getSearchSuggestions
 );
-*/
 
 export default router;
\ No newline at end of file
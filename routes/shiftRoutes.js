@@ -0,0 +1,151 @@
+import express from "express";
+import shiftController from "../controllers/shiftController.js";
+import validationMiddleware from "../middleware/validationMiddleware.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import roleMiddleware from "../middleware/roleMiddleware.js";
+import { body, query } from "express-validator";
+
+const router = express.Router();
+
+// Volunteer on-call rota. Admins (coordinators) build it; volunteers see it
+// and swap shifts among themselves.
+router.use(authMiddleware.protect, roleMiddleware.isVolunteer);
+
+// Who is on call in a district right now (or at ?at=)
+router.get(
+  "/on-call",
+  [
+    query("district").trim().notEmpty().withMessage("District is required"),
+    query("at").optional().isISO8601().withMessage("Valid date is required"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.getOnCall
+);
+
+router.get(
+  "/mine",
+  validationMiddleware.validatePagination,
+  shiftController.getMyShifts
+);
+
+// Swap requests
+router.get(
+  "/swap-requests",
+  validationMiddleware.validatePagination,
+  [
+    query("box")
+      .optional()
+      .isIn(["incoming", "outgoing", "review"])
+      .withMessage("Box must be incoming, outgoing or review"),
+    query("status")
+      .optional()
+      .isIn(["pending", "accepted", "declined", "approved", "rejected", "cancelled"])
+      .withMessage("Valid status is required"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.getSwapRequests
+);
+
+router.put(
+  "/swap-requests/:id/respond",
+  validationMiddleware.validateObjectId("id"),
+  [
+    body("action")
+      .isIn(["accept", "decline"])
+      .withMessage("Action must be accept or decline"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.respondToSwapRequest
+);
+
+router.put(
+  "/swap-requests/:id/review",
+  roleMiddleware.isAdmin,
+  validationMiddleware.validateObjectId("id"),
+  [
+    body("action")
+      .isIn(["approve", "reject"])
+      .withMessage("Action must be approve or reject"),
+    body("note").optional().trim(),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.reviewSwapRequest
+);
+
+router.put(
+  "/swap-requests/:id/cancel",
+  validationMiddleware.validateObjectId("id"),
+  shiftController.cancelSwapRequest
+);
+
+// Rota
+router.get(
+  "/",
+  validationMiddleware.validatePagination,
+  [
+    query("district").optional().trim(),
+    query("volunteer").optional().isMongoId().withMessage("Valid volunteer ID is required"),
+    query("role").optional().isIn(["primary", "backup"]).withMessage("Role must be primary or backup"),
+    query("status").optional().isIn(["scheduled", "cancelled"]).withMessage("Valid status is required"),
+    query("from").optional().isISO8601().withMessage("Valid date is required"),
+    query("to").optional().isISO8601().withMessage("Valid date is required"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.getShifts
+);
+
+router.post(
+  "/",
+  roleMiddleware.isAdmin,
+  [
+    body("volunteerId").isMongoId().withMessage("Valid volunteer ID is required"),
+    body("district").trim().notEmpty().withMessage("District is required"),
+    body("startsAt").isISO8601().withMessage("Valid start time is required"),
+    body("endsAt").isISO8601().withMessage("Valid end time is required"),
+    body("role").optional().isIn(["primary", "backup"]).withMessage("Role must be primary or backup"),
+    body("repeatWeeks")
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage("repeatWeeks must be between 1 and 12"),
+    body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes cannot exceed 500 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.createShifts
+);
+
+router.put(
+  "/:id",
+  roleMiddleware.isAdmin,
+  validationMiddleware.validateObjectId("id"),
+  [
+    body("volunteerId").optional().isMongoId().withMessage("Valid volunteer ID is required"),
+    body("district").optional().trim().notEmpty().withMessage("District cannot be empty"),
+    body("startsAt").optional().isISO8601().withMessage("Valid start time is required"),
+    body("endsAt").optional().isISO8601().withMessage("Valid end time is required"),
+    body("role").optional().isIn(["primary", "backup"]).withMessage("Role must be primary or backup"),
+    body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes cannot exceed 500 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.updateShift
+);
+
+router.delete(
+  "/:id",
+  roleMiddleware.isAdmin,
+  validationMiddleware.validateObjectId("id"),
+  shiftController.cancelShift
+);
+
+router.post(
+  "/:id/swap-requests",
+  validationMiddleware.validateObjectId("id"),
+  [
+    body("targetVolunteerId").isMongoId().withMessage("Valid volunteer ID is required"),
+    body("offeredShiftId").optional().isMongoId().withMessage("Valid shift ID is required"),
+    body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  shiftController.createSwapRequest
+);
+
+export default router;
@@ -6,6 +6,7 @@ import roleMiddleware from "../middleware/roleMiddleware.js";
 import blockUserMiddleware from "../middleware/blockUserMiddleware.js";
 import uploadMiddleware from "../middleware/uploadMiddleware.js";
 import { body, param } from "express-validator";
+import { areaPairCheck } from "../validators/geoValidator.js";
 
 const router = express.Router();
 
@@ -39,6 +40,7 @@ router.put(
       .trim()
       .notEmpty()
       .withMessage("Upazila is required"),
+    areaPairCheck("district", "upazila"),
     body("phone")
       .optional()
       .trim()
@@ -57,6 +59,29 @@ router.put(
   userController.updateProfile
 );
 
+// Contact privacy: what other users see of your phone and email
+router.get("/profile/privacy", userController.getPrivacySettings);
+
+router.put(
+  "/profile/privacy",
+  [
+    body("showPhone")
+      .optional()
+      .isBoolean()
+      .withMessage("showPhone must be a boolean"),
+    body("showEmail")
+      .optional()
+      .isBoolean()
+      .withMessage("showEmail must be a boolean"),
+    body("platformOnly")
+      .optional()
+      .isBoolean()
+      .withMessage("platformOnly must be a boolean"),
+  ],
+  validationMiddleware.validateExpressValidator,
+  userController.updatePrivacySettings
+);
+
 router.get(
   "/profile/:id",
   validationMiddleware.validateObjectId("id"),
@@ -4,6 +4,7 @@ import validationMiddleware from "../middleware/validationMiddleware.js";
 import authMiddleware from "../middleware/authMiddleware.js";
 import roleMiddleware from "../middleware/roleMiddleware.js";
 import { query, param, body } from "express-validator";
+import { areaPairCheck } from "../validators/geoValidator.js";
 
 const router = express.Router();
 
@@ -20,7 +21,7 @@ router.get(
   [
     query("status")
       .optional()
-      .isIn(["pending", "inprogress", "done", "canceled"])
+      .isIn(["pending", "inprogress", "done", "canceled", "expired"])
       .withMessage("Valid status is required"),
     query("bloodGroup")
       .optional()
@@ -56,11 +57,12 @@ router.post(
   "/donation-requests/:id/assign-donor",
   validationMiddleware.validateObjectId("id"),
   [
-    body("donorId").isMongoId().withMessage("Valid donor ID is required"),
+    // Omit donorId to assign the best-ranked match automatically
+    body("donorId").optional().isMongoId().withMessage("Valid donor ID is required"),
     body("assignmentNotes").optional().trim(),
   ],
   validationMiddleware.validateExpressValidator,
-  volunteerController.assignDonorToRequest
+  volunteerController.assignDonor
 );
 
 // Get donors list for assignment
@@ -83,7 +85,8 @@ router.get(
   volunteerController.getAvailableDonors
 );
 
-// Create donation request on behalf of someone
+// Create donation request on behalf of someone without an account. The
+// requester is reached by phone, and by email when they have one.
 router.post(
   "/donation-requests",
   [
@@ -91,11 +94,20 @@ router.post(
       .trim()
       .notEmpty()
       .withMessage("Recipient name is required"),
-    body("recipientPhone")
-      .optional()
+    body("requesterName")
+      .trim()
+      .notEmpty()
+      .withMessage("Requester name is required"),
+    body("requesterPhone")
       .trim()
       .isMobilePhone()
-      .withMessage("Valid phone number is required"),
+      .withMessage("Valid requester phone number is required"),
+    body("requesterEmail")
+      .optional({ checkFalsy: true })
+      .trim()
+      .isEmail()
+      .withMessage("Valid requester email is required"),
+    body("relationship").optional().trim(),
     body("recipientDistrict")
       .trim()
       .notEmpty()
@@ -104,6 +116,7 @@ router.post(
       .trim()
       .notEmpty()
       .withMessage("Recipient upazila is required"),
+    areaPairCheck("recipientDistrict", "recipientUpazila"),
     body("hospitalName")
       .trim()
       .notEmpty()
@@ -140,6 +153,13 @@ router.post(
   volunteerController.createDonationRequest
 );
 
+// Send the walk-in requester a new tracking link
+router.post(
+  "/donation-requests/:id/tracking-link",
+  validationMiddleware.validateObjectId("id"),
+  volunteerController.resendTrackingLink
+);
+
 // Volunteer tasks and assignments
 router.get(
   "/my-assignments",
@@ -177,6 +197,13 @@ router.put(
   volunteerController.updateAssignmentStatus
 );
 
+// Take on a task given by auto-dispatch before it moves to someone else
+router.post(
+  "/my-assignments/:id/acknowledge",
+  validationMiddleware.validateObjectId("id"),
+  volunteerController.acknowledgeAssignment
+);
+
 // Volunteer profile specific to volunteering
 router.get("/profile", volunteerController.getVolunteerProfile);
 router.put("/profile/volunteer-info", volunteerController.updateVolunteerInfo);
@@ -3,6 +3,11 @@ import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { initializeSocket } from './utils/notifications.js';
+import { initializeConversationSocket } from './utils/conversationSocket.js';
+import { initializeRealtimeSocket } from './utils/realtimeSocket.js';
+import { attachRedisAdapter } from './utils/socketAdapter.js';
+import { setSocketServer } from './utils/socketServer.js';
+import { startJobs, stopJobs } from './jobs/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,8 +28,14 @@ const io = new Server(httpServer, {
   pingTimeout: 60000,
 });
 
+// Share events with the other instances when running more than one
+const redisAdapterClients = attachRedisAdapter(io);
+
 // Initialize socket handlers
+setSocketServer(io);
 initializeSocket(io);
+initializeConversationSocket(io);
+initializeRealtimeSocket(io);
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -58,6 +69,9 @@ const server = httpServer.listen(PORT, HOST, () => {
   console.log(`📁 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 Client URL: ${process.env.CLIENT_URL || 'http://localhost:5173'}`);
   console.log(`⏰ Server started at: ${new Date().toISOString()}`);
+
+  // Request expiry, follow-up donor outreach, ...
+  startJobs();
 });
 
 // Handle server errors
@@ -74,6 +88,12 @@ server.on('error', (error) => {
 // Graceful shutdown
 const gracefulShutdown = () => {
   console.log('🛑 Received shutdown signal, closing server...');
+  stopJobs();
+
+  if (redisAdapterClients) {
+    redisAdapterClients.pubClient.quit();
+    redisAdapterClients.subClient.quit();
+  }
   
   server.close(() => {
     console.log('✅ HTTP server closed');
@@ -0,0 +1,90 @@
+// server/src/tests/utils/donationStatus.test.js
+import mongoose from 'mongoose';
+import { assertTransition, getAllowedTransitions } from '../../utils/donationStatus.js';
+
+const requesterId = new mongoose.Types.ObjectId();
+const donorId = new mongoose.Types.ObjectId();
+
+const requester = { _id: requesterId, role: 'donor' };
+const otherDonor = { _id: new mongoose.Types.ObjectId(), role: 'donor' };
+const volunteer = { _id: new mongoose.Types.ObjectId(), role: 'volunteer' };
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const request = (status, fields = {}) => ({
+  status,
+  requester: requesterId,
+  donor: null,
+  pledges: [],
+  ...fields,
+});
+
+describe('getAllowedTransitions', () => {
+  it('lets staff move a pending request on or cancel it', () => {
+    expect(getAllowedTransitions(request('pending'), volunteer)).toEqual(['inprogress', 'canceled']);
+    expect(getAllowedTransitions(request('pending'), admin)).toEqual(['inprogress', 'canceled']);
+  });
+
+  it('lets the requester only cancel or complete', () => {
+    expect(getAllowedTransitions(request('pending'), requester)).toEqual(['canceled']);
+    expect(getAllowedTransitions(request('inprogress'), requester)).toEqual(['done', 'canceled']);
+  });
+
+  it('gives other users no transitions', () => {
+    expect(getAllowedTransitions(request('pending'), otherDonor)).toEqual([]);
+    expect(getAllowedTransitions(request('inprogress'), otherDonor)).toEqual([]);
+  });
+
+  it('keeps expiry and late completion to the server', () => {
+    expect(getAllowedTransitions(request('pending'), admin)).not.toContain('expired');
+    expect(getAllowedTransitions(request('pending'), null, { system: true })).toEqual(['inprogress', 'expired']);
+    expect(getAllowedTransitions(request('expired'), admin)).toEqual([]);
+    expect(getAllowedTransitions(request('expired'), null, { system: true })).toEqual(['done']);
+  });
+
+  it('treats done and canceled as final', () => {
+    ['done', 'canceled'].forEach((status) => {
+      expect(getAllowedTransitions(request(status), admin)).toEqual([]);
+      expect(getAllowedTransitions(request(status), null, { system: true })).toEqual([]);
+    });
+  });
+});
+
+describe('assertTransition', () => {
+  it('returns the rule with its side effects', () => {
+    const rule = assertTransition(request('pending'), 'canceled', requester);
+
+    expect(rule.effects).toEqual(['stopOutreach', 'notifyParties']);
+  });
+
+  it('throws a 409 listing the allowed transitions', () => {
+    expect(() => assertTransition(request('pending'), 'done', volunteer)).toThrow(
+      expect.objectContaining({
+        statusCode: 409,
+        data: { from: 'pending', to: 'done', allowedTransitions: ['inprogress', 'canceled'] },
+      })
+    );
+    expect(() => assertTransition(request('done'), 'pending', admin)).toThrow(
+      'Cannot change status from done to pending. Allowed transitions: none'
+    );
+  });
+
+  it('needs a donor to start a request', () => {
+    expect(() => assertTransition(request('pending'), 'inprogress', volunteer)).toThrow(
+      expect.objectContaining({ statusCode: 409, message: 'Cannot mark as inprogress without a donor' })
+    );
+    expect(() => assertTransition(request('pending', { donor: donorId }), 'inprogress', volunteer)).not.toThrow();
+  });
+
+  it('only counts pledges that still stand as donors', () => {
+    const dropped = request('pending', {
+      pledges: [
+        { donor: donorId, status: 'canceled' },
+        { donor: otherDonor._id, status: 'no_show' },
+      ],
+    });
+    const pledged = request('pending', { pledges: [{ donor: donorId, status: 'pledged' }] });
+
+    expect(() => assertTransition(dropped, 'inprogress', volunteer)).toThrow('without a donor');
+    expect(() => assertTransition(pledged, 'inprogress', volunteer)).not.toThrow();
+  });
+});
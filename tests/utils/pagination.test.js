@@ -0,0 +1,235 @@
+// server/src/tests/utils/pagination.test.js
+import mongoose from 'mongoose';
+import {
+  decodeCursor,
+  encodeCursor,
+  getPaginationOptions,
+  keysetFilter,
+  paginate,
+  paginatedResponse,
+} from '../../utils/pagination.js';
+
+const requestWith = (query) => ({ query });
+
+// Stand-in for a mongoose model: find() resolves to `docs` after
+// limit(), and the filters it was given are recorded
+const fakeModel = (docs) => {
+  const model = {
+    filters: [],
+    counted: 0,
+    find(filter) {
+      model.filters.push(filter);
+      const chain = {
+        sort: () => chain,
+        skip: () => chain,
+        limit: (count) => Promise.resolve(docs.slice(0, count)),
+      };
+      return chain;
+    },
+    countDocuments() {
+      model.counted += 1;
+      return Promise.resolve(docs.length);
+    },
+  };
+  return model;
+};
+
+const makeDocs = (count) => Array.from({ length: count }, (item, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.UTC(2024, 0, count - index)),
+}));
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips dates, ObjectIds, numbers, strings and nulls', () => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date('2024-03-01T10:00:00.000Z'),
+      units: 2,
+      name: 'Rahim',
+      lastDonationDate: null,
+    };
+    const sort = { createdAt: -1, units: 1, name: 1, lastDonationDate: 1 };
+
+    const cursor = decodeCursor(encodeCursor(doc, sort));
+
+    expect(cursor.sort).toBe('createdAt:-1,units:1,name:1,lastDonationDate:1,_id:1');
+    expect(cursor.values[0]).toEqual(doc.createdAt);
+    expect(cursor.values[0]).toBeInstanceOf(Date);
+    expect(cursor.values.slice(1, 4)).toEqual([2, 'Rahim', null]);
+    expect(cursor.values[4]).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(cursor.values[4].equals(doc._id)).toBe(true);
+  });
+
+  it('keeps an explicit _id sort instead of appending one', () => {
+    const doc = { _id: new mongoose.Types.ObjectId() };
+
+    expect(decodeCursor(encodeCursor(doc, { _id: -1 })).sort).toBe('_id:-1');
+  });
+
+  it('reads nested fields and populated refs as their id', () => {
+    const donor = { _id: new mongoose.Types.ObjectId(), name: 'Karim' };
+    const doc = { _id: new mongoose.Types.ObjectId(), donor, sla: { dueAt: new Date(0) } };
+
+    const { values } = decodeCursor(encodeCursor(doc, { donor: 1, 'sla.dueAt': 1 }));
+
+    expect(values[0].equals(donor._id)).toBe(true);
+    expect(values[1]).toEqual(new Date(0));
+  });
+
+  it('produces URL-safe cursors', () => {
+    const doc = { _id: new mongoose.Types.ObjectId(), name: '??>>~~' };
+
+    expect(encodeCursor(doc, { name: 1 })).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects cursors it did not issue', () => {
+    const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(encode({ v: [1] }))).toBeNull();
+    expect(decodeCursor(encode({ s: '_id:1', v: 'x' }))).toBeNull();
+    expect(decodeCursor(encode({ s: '_id:1', v: [{ $where: 'sleep(1000)' }] }))).toBeNull();
+  });
+});
+
+describe('keysetFilter', () => {
+  it('matches documents after the cursor position', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2024-01-01T00:00:00.000Z');
+
+    expect(keysetFilter({ createdAt: -1, _id: 1 }, [date, id])).toEqual({
+      $or: [
+        { createdAt: { $not: { $gte: date } } },
+        { createdAt: date, _id: { $gt: id } },
+      ],
+    });
+  });
+
+  it('places missing values first ascending and last descending', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    expect(keysetFilter({ lastDonationDate: 1, _id: 1 }, [null, id])).toEqual({
+      $or: [
+        { lastDonationDate: { $ne: null } },
+        { lastDonationDate: null, _id: { $gt: id } },
+      ],
+    });
+    expect(keysetFilter({ lastDonationDate: -1, _id: 1 }, [null, id])).toEqual({
+      $or: [{ lastDonationDate: null, _id: { $gt: id } }],
+    });
+  });
+});
+
+describe('getPaginationOptions', () => {
+  it('uses page mode and counts the total by default', () => {
+    expect(getPaginationOptions(requestWith({ page: '3', limit: '10' }))).toEqual({
+      mode: 'page',
+      page: 3,
+      limit: 10,
+      skip: 20,
+      cursor: null,
+      withTotal: true,
+    });
+  });
+
+  it('clamps the limit and page', () => {
+    const options = getPaginationOptions(requestWith({ page: '-2', limit: '500' }));
+
+    expect(options.page).toBe(1);
+    expect(options.limit).toBe(100);
+    expect(getPaginationOptions(requestWith({}), { defaultLimit: 5 }).limit).toBe(5);
+  });
+
+  it('skips the count in cursor mode unless withTotal=true', () => {
+    expect(getPaginationOptions(requestWith({ cursor: '' }))).toMatchObject({
+      mode: 'cursor',
+      cursor: null,
+      withTotal: false,
+    });
+    expect(getPaginationOptions(requestWith({ cursor: '', withTotal: 'true' })).withTotal).toBe(true);
+  });
+
+  it('decodes the cursor of the request', () => {
+    const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+    const cursor = encodeCursor(doc, { createdAt: -1 });
+
+    const options = getPaginationOptions(requestWith({ cursor }));
+
+    expect(options.cursor.sort).toBe('createdAt:-1,_id:1');
+    expect(options.cursor.values[0]).toEqual(doc.createdAt);
+  });
+
+  it('throws a 400 for an invalid cursor', () => {
+    expect(() => getPaginationOptions(requestWith({ cursor: 'garbage' }))).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Invalid pagination cursor' })
+    );
+  });
+});
+
+describe('paginate', () => {
+  const sort = { createdAt: -1 };
+
+  it('returns hasMore and nextCursor without counting in cursor mode', async () => {
+    const docs = makeDocs(3);
+    const Model = fakeModel(docs);
+    const options = getPaginationOptions(requestWith({ cursor: '', limit: '2' }));
+
+    const result = await paginate(Model, { status: 'pending' }, options, { sort });
+
+    expect(Model.counted).toBe(0);
+    expect(result.total).toBeNull();
+    expect(result.data).toEqual(docs.slice(0, 2));
+    expect(result.pagination).toEqual({
+      mode: 'cursor',
+      limit: 2,
+      hasMore: true,
+      nextCursor: result.nextCursor,
+    });
+    expect(decodeCursor(result.nextCursor).values[1].equals(docs[1]._id)).toBe(true);
+    expect(paginatedResponse(result)).not.toHaveProperty('total');
+  });
+
+  it('counts in cursor mode when asked', async () => {
+    const Model = fakeModel(makeDocs(1));
+    const options = getPaginationOptions(requestWith({ cursor: '', withTotal: 'true' }));
+
+    const result = await paginate(Model, {}, options, { sort });
+
+    expect(Model.counted).toBe(1);
+    expect(paginatedResponse(result).total).toBe(1);
+    expect(result.pagination.hasMore).toBe(false);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  it('continues after the cursor it was given', async () => {
+    const docs = makeDocs(2);
+    const Model = fakeModel(docs);
+    const cursor = encodeCursor(docs[0], sort);
+
+    await paginate(Model, { status: 'pending' }, getPaginationOptions(requestWith({ cursor })), { sort });
+
+    expect(Model.filters[0]).toEqual({
+      $and: [{ status: 'pending' }, keysetFilter({ createdAt: -1, _id: 1 }, [docs[0].createdAt, docs[0]._id])],
+    });
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const [doc] = makeDocs(1);
+    const cursor = encodeCursor(doc, { createdAt: 1 });
+
+    await expect(
+      paginate(fakeModel([]), {}, getPaginationOptions(requestWith({ cursor })), { sort })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('counts and reports pages in page mode', async () => {
+    const Model = fakeModel(makeDocs(5));
+    const options = getPaginationOptions(requestWith({ page: '1', limit: '2' }));
+
+    const result = await paginate(Model, {}, options, { sort });
+
+    expect(Model.counted).toBe(1);
+    expect(result.total).toBe(5);
+    expect(result.pagination).toMatchObject({ mode: 'page', page: 1, totalPages: 3, hasNextPage: true, hasPrevPage: false });
+  });
+});
@@ -0,0 +1,146 @@
+// server/src/tests/utils/sla.test.js
+import { evaluateSlaClocks, formatMinutes } from '../../utils/sla.js';
+
+const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const createdAt = new Date('2024-05-01T08:00:00.000Z');
+
+const clock = (metric, minutes, fields = {}) => ({
+  metric,
+  status: 'pending',
+  dueAt: minutesAfter(createdAt, minutes),
+  metAt: null,
+  ...fields,
+});
+
+// Stand-in for a DonationRequest document with its SLA clocks and the
+// milestones reached so far
+const request = ({ status = 'pending', statusHistory = [], clocks, milestones = {} }) => ({
+  status,
+  statusHistory,
+  updatedAt: createdAt,
+  sla: { clocks },
+  getSlaMilestones: () => ({ firstContact: null, acceptance: null, completion: null, ...milestones }),
+});
+
+describe('evaluateSlaClocks', () => {
+  it('meets a clock whose milestone was reached on time', () => {
+    const reachedAt = minutesAfter(createdAt, 10);
+    const donation = request({ clocks: [clock('firstContact', 15)], milestones: { firstContact: reachedAt } });
+
+    expect(evaluateSlaClocks(donation, minutesAfter(createdAt, 20))).toEqual([
+      { metric: 'firstContact', from: 'pending', status: 'met', metAt: reachedAt },
+    ]);
+  });
+
+  it('counts a milestone reached exactly at the due time as met', () => {
+    const dueAt = minutesAfter(createdAt, 15);
+    const donation = request({ clocks: [clock('firstContact', 15)], milestones: { firstContact: dueAt } });
+
+    expect(evaluateSlaClocks(donation, dueAt)[0].status).toBe('met');
+  });
+
+  it('leaves running clocks alone', () => {
+    const donation = request({ clocks: [clock('firstContact', 15), clock('acceptance', 60)] });
+
+    expect(evaluateSlaClocks(donation, minutesAfter(createdAt, 5))).toEqual([]);
+  });
+
+  it('breaches a clock once its due time passes', () => {
+    const now = minutesAfter(createdAt, 15);
+    const donation = request({ clocks: [clock('firstContact', 15), clock('acceptance', 60)] });
+
+    expect(evaluateSlaClocks(donation, now)).toEqual([
+      { metric: 'firstContact', from: 'pending', status: 'breached', metAt: null, breachedAt: now },
+    ]);
+  });
+
+  it('breaches a clock reached late and records when', () => {
+    const now = minutesAfter(createdAt, 5);
+    const reachedAt = minutesAfter(createdAt, 90);
+    const donation = request({ clocks: [clock('acceptance', 60)], milestones: { acceptance: reachedAt } });
+
+    expect(evaluateSlaClocks(donation, now)).toEqual([
+      { metric: 'acceptance', from: 'pending', status: 'breached', metAt: reachedAt, breachedAt: now },
+    ]);
+  });
+
+  it('waives clocks of a request closed before they were due', () => {
+    const closedAt = minutesAfter(createdAt, 30);
+    const donation = request({
+      status: 'canceled',
+      statusHistory: [
+        { status: 'pending', changedAt: createdAt },
+        { status: 'canceled', changedAt: closedAt },
+      ],
+      clocks: [clock('firstContact', 15), clock('acceptance', 60), clock('completion', 24 * 60)],
+    });
+
+    expect(evaluateSlaClocks(donation, minutesAfter(createdAt, 45))).toEqual([
+      {
+        metric: 'firstContact',
+        from: 'pending',
+        status: 'breached',
+        metAt: null,
+        breachedAt: minutesAfter(createdAt, 45),
+      },
+      { metric: 'acceptance', from: 'pending', status: 'waived' },
+      { metric: 'completion', from: 'pending', status: 'waived' },
+    ]);
+  });
+
+  it('falls back to updatedAt when an expired request has no history entry', () => {
+    const donation = request({ status: 'expired', clocks: [clock('completion', 60)] });
+
+    expect(evaluateSlaClocks(donation, minutesAfter(createdAt, 120))).toEqual([
+      { metric: 'completion', from: 'pending', status: 'waived' },
+    ]);
+  });
+
+  it('does not waive clocks of requests that are still open', () => {
+    const now = minutesAfter(createdAt, 120);
+    const donation = request({ status: 'inprogress', clocks: [clock('completion', 60)] });
+
+    expect(evaluateSlaClocks(donation, now)[0]).toMatchObject({ status: 'breached', breachedAt: now });
+  });
+
+  it('records when a breached milestone is finally reached', () => {
+    const reachedAt = minutesAfter(createdAt, 40);
+    const breached = clock('firstContact', 15, { status: 'breached', breachedAt: minutesAfter(createdAt, 15) });
+    const donation = request({ clocks: [breached], milestones: { firstContact: reachedAt } });
+
+    expect(evaluateSlaClocks(donation, minutesAfter(createdAt, 45))).toEqual([
+      { metric: 'firstContact', from: 'breached', status: 'breached', metAt: reachedAt },
+    ]);
+  });
+
+  it('does not change settled clocks', () => {
+    const reachedAt = minutesAfter(createdAt, 10);
+    const donation = request({
+      clocks: [
+        clock('firstContact', 15, { status: 'met', metAt: reachedAt }),
+        clock('acceptance', 60, { status: 'breached', metAt: minutesAfter(createdAt, 70) }),
+        clock('completion', 24 * 60, { status: 'waived' }),
+      ],
+      milestones: { firstContact: reachedAt, acceptance: minutesAfter(createdAt, 70) },
+    });
+
+    expect(evaluateSlaClocks(donation, minutesAfter(createdAt, 48 * 60))).toEqual([]);
+  });
+
+  it('handles requests without clocks', () => {
+    expect(evaluateSlaClocks({ ...request({ clocks: [] }), sla: undefined })).toEqual([]);
+  });
+});
+
+describe('formatMinutes', () => {
+  it('formats durations for notifications', () => {
+    expect(formatMinutes(1)).toBe('1 minute');
+    expect(formatMinutes(45)).toBe('45 minutes');
+    expect(formatMinutes(60)).toBe('1 hour');
+    expect(formatMinutes(6 * 60 + 30)).toBe('6 hours');
+    expect(formatMinutes(24 * 60)).toBe('1 day');
+    expect(formatMinutes(36 * 60)).toBe('1 day 12 hours');
+    expect(formatMinutes(72 * 60)).toBe('3 days');
+  });
+});
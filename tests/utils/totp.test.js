@@ -0,0 +1,133 @@
+// server/src/tests/utils/totp.test.js
+import {
+  buildOtpAuthUrl,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateSecret,
+  generateTotp,
+  hashRecoveryCode,
+  verifyTotp,
+} from '../../utils/totp.js';
+
+// Base32 of the ASCII seed "12345678901234567890" used by RFC 6238, appendix B
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// SHA1 test vectors (seconds since the epoch), cut to six digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+const at = (seconds) => seconds * 1000;
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, at(seconds))).toBe(code);
+  });
+
+  it('reads the secret regardless of case, spaces and padding', () => {
+    expect(generateTotp('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', at(59))).toBe('287082');
+  });
+
+  it('rejects a secret that is not base32', () => {
+    expect(() => generateTotp('NOT-BASE32!', at(59))).toThrow('Invalid base32 character in secret');
+  });
+});
+
+describe('verifyTotp', () => {
+  const timestamp = at(1111111111);
+  const step = Math.floor(1111111111 / 30);
+
+  it('returns the time step of a valid code', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { timestamp })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '050 471', { timestamp })).toBe(step);
+  });
+
+  it('accepts one step of clock drift either way', () => {
+    const previous = generateTotp(RFC_SECRET, timestamp - 30000);
+    const next = generateTotp(RFC_SECRET, timestamp + 30000);
+    const tooLate = generateTotp(RFC_SECRET, timestamp + 60000);
+
+    expect(verifyTotp(RFC_SECRET, previous, { timestamp })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, next, { timestamp })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, tooLate, { timestamp })).toBeNull();
+  });
+
+  it('rejects a code from a step already used', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { timestamp, lastUsedStep: step })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '050471', { timestamp, lastUsedStep: step - 1 })).toBe(step);
+  });
+
+  it('rejects codes that are not six digits', () => {
+    ['', null, '12345', '1234567', 'abcdef', '05047a'].forEach((code) => {
+      expect(verifyTotp(RFC_SECRET, code, { timestamp })).toBeNull();
+    });
+  });
+});
+
+describe('secrets', () => {
+  const originalKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+  beforeAll(() => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-encryption-key';
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    } else {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  it('generates 160-bit base32 secrets', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  it('round-trips a secret through encryption', () => {
+    const secret = generateSecret();
+    const encrypted = encryptSecret(secret);
+
+    expect(encrypted).not.toContain(secret);
+    expect(encrypted).not.toBe(encryptSecret(secret));
+    expect(decryptSecret(encrypted)).toBe(secret);
+  });
+
+  it('refuses a tampered ciphertext', () => {
+    const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split(':');
+    const flipped = (parseInt(encrypted[0], 16) ^ 1).toString(16) + encrypted.slice(1);
+
+    expect(() => decryptSecret([iv, tag, flipped].join(':'))).toThrow();
+  });
+
+  it('builds an otpauth URL for authenticator apps', () => {
+    const url = new URL(buildOtpAuthUrl(RFC_SECRET, 'donor@example.com'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Blood Donation App:donor@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('digits')).toBe('6');
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates unique xxxxx-xxxxx codes', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  it('hashes codes regardless of case and surrounding spaces', () => {
+    expect(hashRecoveryCode(' ABCDE-12345 ')).toBe(hashRecoveryCode('abcde-12345'));
+    expect(hashRecoveryCode('abcde-12345')).not.toBe(hashRecoveryCode('abcde-12346'));
+  });
+});
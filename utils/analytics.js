@@ -5,7 +5,7 @@ const logger = require('./../middleware/loggerMiddleware').logger;
 const analyticsUtils = {
     // Calculate date range based on period
     calculateDateRange: (period, customStartDate = null, customEndDate = null) => {
-        const endDate = customEndDate ? new Date(customEndDate) : new Date();
+        let endDate = customEndDate ? new Date(customEndDate) : new Date();
         let startDate = customStartDate ? new Date(customStartDate) : new Date();
         
         switch (period) {
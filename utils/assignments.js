@@ -0,0 +1,115 @@
+// server/src/utils/assignments.js
+// Shared pieces of the volunteer task (Assignment) endpoints: admins create
+// and reassign tasks in assignmentController, volunteers work through them
+// in volunteerController.
+import Notification from '../models/Notification.js';
+import ErrorResponse from './errorResponse.js';
+import { parseSort } from './pagination.js';
+import { emitVolunteerTask } from './realtime.js';
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'dueAt'];
+
+const idOf = (value) => value?._id || value || null;
+
+const ASSIGNMENT_POPULATE = [
+  {
+    path: 'donationRequest',
+    select: 'recipientName bloodGroup hospitalName recipientDistrict recipientUpazila donationDate donationTime urgency status',
+  },
+  { path: 'contact', select: 'name email phone subject category priority status' },
+  { path: 'volunteer', select: 'name email phone avatar district' },
+  { path: 'assignedBy', select: 'name email' },
+];
+
+// List filters shared by the admin and the volunteer endpoints
+const buildAssignmentFilter = (query, base = {}) => {
+  const filter = { ...base };
+
+  if (query.status) filter.status = query.status;
+  if (query.priority) filter.priority = query.priority;
+  if (query.taskType) filter.taskType = query.taskType;
+  if (query.overdue === 'true') {
+    filter.status = { $in: ['pending', 'inprogress'] };
+    filter.dueAt = { $lt: new Date() };
+  }
+
+  return filter;
+};
+
+// ?sort=dueAt / -createdAt ..., newest first by default
+const getAssignmentSort = (value) => {
+  const sort = parseSort(value, { createdAt: -1 });
+  const [field] = Object.keys(sort);
+  if (!SORT_FIELDS.includes(field)) {
+    throw new ErrorResponse(`Assignments can only be sorted by ${SORT_FIELDS.join(', ')}`, 400);
+  }
+  return sort;
+};
+
+// What the volunteer's task queue shows of a task
+const toTaskEvent = (assignment) => ({
+  _id: assignment._id,
+  title: assignment.title,
+  taskType: assignment.taskType,
+  priority: assignment.priority,
+  status: assignment.status,
+  dueAt: assignment.dueAt,
+});
+
+// Tell a volunteer about a task given to (or taken from) them, in the app
+// and on their live task queue
+const notifyVolunteer = async (assignment, volunteer, action, actor) => {
+  const messages = {
+    assigned: {
+      title: 'New Task Assigned 📋',
+      message: `${actor.name} assigned you a task: "${assignment.title}"${
+        assignment.dueAt ? `, due ${new Date(assignment.dueAt).toLocaleString()}` : ''
+      }.`,
+      type: 'info',
+    },
+    unassigned: {
+      title: 'Task Reassigned',
+      message: `The task "${assignment.title}" was handed to another volunteer by ${actor.name}.`,
+      type: 'info',
+    },
+    cancelled: {
+      title: 'Task Cancelled',
+      message: `The task "${assignment.title}" was cancelled by ${actor.name}.`,
+      type: 'warning',
+    },
+  };
+
+  emitVolunteerTask(volunteer._id, 'assignment', action, { assignment: toTaskEvent(assignment) });
+
+  await Notification.createSystemNotification({
+    recipient: volunteer._id,
+    recipientEmail: volunteer.email,
+    ...messages[action],
+    category: assignment.taskType === 'contact' ? 'user' : 'donation',
+    priority: assignment.priority === 'high' ? 'high' : 'medium',
+    actionUrl: `/dashboard/my-assignments/${assignment._id}`,
+    data: {
+      assignmentId: assignment._id,
+      taskType: assignment.taskType,
+      donationRequestId: idOf(assignment.donationRequest),
+      contactId: idOf(assignment.contact),
+      dueAt: assignment.dueAt,
+    },
+  });
+};
+
+export {
+  ASSIGNMENT_POPULATE,
+  buildAssignmentFilter,
+  getAssignmentSort,
+  toTaskEvent,
+  notifyVolunteer,
+};
+
+export default {
+  ASSIGNMENT_POPULATE,
+  buildAssignmentFilter,
+  getAssignmentSort,
+  toTaskEvent,
+  notifyVolunteer,
+};
@@ -1,5 +1,5 @@
 // Application constants
-module.exports = {
+const constants = {
     // Application info
     APP_NAME: 'Blood Donation Application',
     APP_VERSION: '1.0.0',
@@ -29,6 +29,70 @@ module.exports = {
         EXPIRED: 'expired'
     },
     
+    // Allowed donation request status changes: from -> to -> rule.
+    // roles: who may make the move. admin/volunteer come from the user's role,
+    //   requester from owning the request, system is the server itself
+    //   (pledge bookkeeping and scheduled jobs).
+    // effects: side effects run by utils/donationStatus.js after the change.
+    //   Every transition is also written to the activity log.
+    DONATION_STATUS_TRANSITIONS: {
+        pending: {
+            inprogress: {
+                roles: ['admin', 'volunteer', 'system'],
+                requiresDonor: true,
+                effects: ['stopOutreach', 'notifyParties'],
+            },
+            canceled: {
+                roles: ['admin', 'volunteer', 'requester'],
+                effects: ['stopOutreach', 'notifyParties'],
+            },
+            expired: {
+                roles: ['system'],
+                effects: ['stopOutreach', 'notifyParties'],
+            },
+        },
+        inprogress: {
+            pending: {
+                roles: ['admin', 'volunteer', 'system'],
+                effects: ['resumeOutreach', 'notifyParties'],
+            },
+            done: {
+                roles: ['admin', 'volunteer', 'requester', 'system'],
+                effects: ['completePledges', 'notifyParties'],
+            },
+            canceled: {
+                roles: ['admin', 'volunteer', 'requester'],
+                effects: ['notifyParties'],
+            },
+        },
+        // Donations recorded after the date passed can still complete a request
+        expired: {
+            done: {
+                roles: ['system'],
+                effects: ['notifyParties'],
+            },
+        },
+        done: {},
+        canceled: {},
+    },
+    
+    // Allowed moves for a single pledge on a request
+    PLEDGE_STATUS_TRANSITIONS: {
+        pledged: ['confirmed', 'done', 'no_show', 'canceled'],
+        confirmed: ['done', 'no_show', 'canceled'],
+        done: [],
+        no_show: [],
+        canceled: [],
+    },
+    
+    // Allowed moves for a volunteer assignment; only admins cancel
+    ASSIGNMENT_STATUS_TRANSITIONS: {
+        pending: ['inprogress', 'completed', 'cancelled'],
+        inprogress: ['pending', 'completed', 'cancelled'],
+        completed: [],
+        cancelled: [],
+    },
+    
     // Blood groups
     BLOOD_GROUPS: [
         'A+', 'A-', 
@@ -345,4 +409,16 @@ module.exports = {
         INFO: 'info',
         DEBUG: 'debug'
     }
-};
\ No newline at end of file
+};
+
+export const {
+    BLOOD_GROUPS,
+    BLOOD_COMPATIBILITY,
+    DONATION_STATUS,
+    DONATION_STATUS_TRANSITIONS,
+    PLEDGE_STATUS_TRANSITIONS,
+    ASSIGNMENT_STATUS_TRANSITIONS,
+    URGENCY_LEVELS,
+} = constants;
+
+export default constants;
\ No newline at end of file
@@ -0,0 +1,99 @@
+// server/src/utils/conversationSocket.js
+// Socket.IO events for donation request conversations, on the
+// authenticated /conversations namespace: clients send their access token in
+// the handshake (`io(url + '/conversations', { auth: { token } })`) and the
+// connection is refused without a valid one. On connect a socket joins the
+// open conversations its user takes part in; events are only sent to
+// conversation rooms.
+//
+// Client -> server (each takes an optional ack callback):
+//   join-conversation { conversationId }   receive live events of a thread
+//   leave-conversation { conversationId }
+//   send-message { conversationId, text }
+//   mark-conversation-read { conversationId }
+//   typing { conversationId, isTyping }   joined conversations only
+// Server -> client:
+//   conversation-message, conversation-read, conversation-typing,
+//   conversation-closed
+import {
+  findOpenConversationIds,
+  loadConversation,
+  markConversationRead,
+  sendMessage,
+} from './conversations.js';
+import { authenticate } from './realtimeSocket.js';
+import { CONVERSATIONS_NAMESPACE, conversationRoom, userRoom } from './socketServer.js';
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+const initializeConversationSocket = (io) => {
+  const nsp = io.of(CONVERSATIONS_NAMESPACE);
+  nsp.use(authenticate());
+
+  nsp.on('connection', async (socket) => {
+    const { user } = socket.data;
+
+    // Lets participants be added to or removed from rooms while connected
+    socket.join(userRoom(user._id));
+
+    // Run `handler` for a conversation the user may see
+    const withConversation = (handler) => async (data = {}, ack) => {
+      try {
+        const context = await loadConversation({ conversationId: data.conversationId }, user);
+        return await handler(context, data, ack);
+      } catch (error) {
+        return reply(ack, {
+          success: false,
+          message: error.statusCode ? error.message : 'Conversation request failed',
+        });
+      }
+    };
+
+    socket.on('join-conversation', withConversation(async ({ conversation }, data, ack) => {
+      socket.join(conversationRoom(conversation._id));
+      reply(ack, { success: true, conversationId: conversation._id, status: conversation.status });
+    }));
+
+    socket.on('leave-conversation', (data = {}, ack) => {
+      socket.leave(conversationRoom(data.conversationId));
+      reply(ack, { success: true });
+    });
+
+    socket.on('send-message', withConversation(async (context, data, ack) => {
+      const { message } = await sendMessage(context, user, data.text);
+      reply(ack, { success: true, message });
+    }));
+
+    socket.on('mark-conversation-read', withConversation(async ({ conversation }, data, ack) => {
+      const readAt = await markConversationRead(conversation, user);
+      reply(ack, { success: true, readAt });
+    }));
+
+    // Typing is frequent, so it skips the database: only sockets that
+    // joined the room (and so passed the access check) may send it
+    socket.on('typing', (data = {}) => {
+      const room = conversationRoom(data.conversationId);
+      if (!socket.rooms.has(room)) return;
+
+      socket.to(room).emit('conversation-typing', {
+        conversationId: data.conversationId,
+        userId: user._id,
+        name: user.name,
+        isTyping: data.isTyping !== false,
+      });
+    });
+
+    try {
+      const conversationIds = await findOpenConversationIds(user);
+      socket.join(conversationIds.map(conversationRoom));
+    } catch (error) {
+      console.error('Conversation socket join error:', error);
+    }
+  });
+};
+
+export { initializeConversationSocket };
+
+export default initializeConversationSocket;
@@ -0,0 +1,302 @@
+// server/src/utils/conversations.js
+// Conversation threads of donation requests: who may take part, sending
+// messages and read receipts. The REST controller and the socket handlers
+// both go through here, so clients get the same events either way.
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import DonationRequest from '../models/DonationRequest.js';
+import User from '../models/User.js';
+import ErrorResponse from './errorResponse.js';
+import notificationUtils from './notifications.js';
+import {
+  CONVERSATIONS_NAMESPACE,
+  conversationRoom,
+  emitToConversation,
+  getSocketServer,
+  userRoom,
+} from './socketServer.js';
+
+const idOf = (value) => String(value?._id || value);
+
+// Participants added before `active` existed count as active
+const isActiveParticipant = (participant) => participant.active !== false;
+
+// Role of a user in a request's conversation, or null when they may not
+// take part. Staff can join any thread.
+const getConversationRole = (donation, user) => {
+  const userId = idOf(user);
+
+  if (idOf(donation.requester) === userId) return 'requester';
+
+  const isDonor = idOf(donation.donor) === userId
+    || (donation.pledges || []).some((pledge) => idOf(pledge.donor) === userId && pledge.status !== 'canceled');
+  if (isDonor) return 'donor';
+
+  if (user.role === 'admin' || user.role === 'volunteer') return user.role;
+  return null;
+};
+
+// The requester and donors of a request always belong to its thread
+const requestParticipants = (donation) => {
+  const participants = [{ user: idOf(donation.requester), role: 'requester' }];
+  const donorIds = [donation.donor, ...(donation.pledges || [])
+    .filter((pledge) => pledge.status !== 'canceled')
+    .map((pledge) => pledge.donor)]
+    .filter(Boolean)
+    .map(idOf);
+
+  [...new Set(donorIds)].forEach((donorId) => participants.push({ user: donorId, role: 'donor' }));
+  return participants;
+};
+
+// Open sockets of some users in the conversation namespace, or null when
+// no socket server runs
+const socketsOf = (userIds) => getSocketServer()?.of(CONVERSATIONS_NAMESPACE).in(userIds.map(userRoom)) || null;
+
+// Open conversations a user takes part in, for their sockets to join
+const findOpenConversationIds = (user) => Conversation.find({
+  status: 'open',
+  participants: { $elemMatch: { user: user._id, active: { $ne: false } } },
+}).distinct('_id');
+
+// Turn participants on again (a donor who pledged anew) or off (a donor
+// whose pledge was canceled)
+const setParticipantsActive = (conversationId, userIds, active) => Conversation.findOneAndUpdate(
+  { _id: conversationId },
+  {
+    $set: {
+      'participants.$[member].active': active,
+      'participants.$[member].leftAt': active ? null : new Date(),
+    },
+  },
+  { arrayFilters: [{ 'member.user': { $in: userIds } }], new: true }
+);
+
+// Add the missing participants to a conversation, and bring back the ones
+// who had left
+const addParticipants = async (conversation, participants) => {
+  const existing = new Map(conversation.participants.map((participant) => [idOf(participant.user), participant]));
+  const seen = new Set();
+  const missing = [];
+  const returning = [];
+
+  participants.forEach((participant) => {
+    const userId = idOf(participant.user);
+    if (seen.has(userId)) return;
+    seen.add(userId);
+
+    const current = existing.get(userId);
+    if (!current) missing.push(participant);
+    else if (!isActiveParticipant(current)) returning.push(current.user);
+  });
+
+  let updated = conversation;
+
+  if (missing.length > 0) {
+    const added = await Conversation.findOneAndUpdate(
+      { _id: conversation._id, 'participants.user': { $nin: missing.map((participant) => participant.user) } },
+      { $push: { participants: { $each: missing } } },
+      { new: true }
+    );
+
+    // Someone else added them meanwhile
+    updated = added || await Conversation.findById(conversation._id);
+  }
+
+  if (returning.length > 0) {
+    updated = await setParticipantsActive(conversation._id, returning, true);
+  }
+
+  // Their open sockets get the thread's events from now on
+  const joining = [...missing.map((participant) => participant.user), ...returning];
+  if (joining.length > 0) {
+    socketsOf(joining)?.socketsJoin(conversationRoom(conversation._id));
+  }
+
+  return updated;
+};
+
+// Take donors who no longer have a pledge out of the thread, including the
+// conversation rooms their open sockets joined
+const removeFormerDonors = async (conversation, participants) => {
+  const donorIds = new Set(participants.filter((participant) => participant.role === 'donor').map((participant) => idOf(participant.user)));
+  const leaving = conversation.participants
+    .filter((participant) => participant.role === 'donor' && isActiveParticipant(participant) && !donorIds.has(idOf(participant.user)))
+    .map((participant) => participant.user);
+
+  if (leaving.length === 0) return conversation;
+
+  const updated = await setParticipantsActive(conversation._id, leaving, false);
+  socketsOf(leaving)?.socketsLeave(conversationRoom(conversation._id));
+  return updated;
+};
+
+// Match a conversation's donors to the request's current pledges
+const syncParticipants = async (conversation, donation) => {
+  const participants = requestParticipants(donation);
+  const updated = await addParticipants(conversation, participants);
+  return removeFormerDonors(updated, participants);
+};
+
+// The conversation of a request, created on first use. Newly accepted
+// donors are added as they appear; staff only join when they write.
+const getRequestConversation = async (donation) => {
+  let conversation = await Conversation.findOne({ donationRequest: donation._id });
+
+  if (!conversation) {
+    const closed = Conversation.CLOSING_STATUSES.includes(donation.status);
+    try {
+      conversation = await Conversation.create({
+        donationRequest: donation._id,
+        participants: requestParticipants(donation),
+        status: closed ? 'closed' : 'open',
+        closedAt: closed ? new Date() : null,
+        closedReason: closed ? donation.status : null,
+      });
+    } catch (error) {
+      // Created by a parallel request
+      if (error.code !== 11000) throw error;
+      conversation = await Conversation.findOne({ donationRequest: donation._id });
+    }
+  }
+
+  return syncParticipants(conversation, donation);
+};
+
+// Update the thread of a request, if it has one, after its pledges changed
+const syncConversationParticipants = async (donation) => {
+  const conversation = await Conversation.findOne({ donationRequest: donation._id });
+  return conversation ? syncParticipants(conversation, donation) : null;
+};
+
+// Load a conversation (by its id or its request's id) for a user. Throws
+// 404 when it does not exist or the user may not see it.
+const loadConversation = async ({ conversationId, donationRequestId }, user) => {
+  let donation;
+  if (conversationId) {
+    const existing = await Conversation.findById(conversationId).select('donationRequest');
+    if (!existing) throw new ErrorResponse('Conversation not found', 404);
+    donation = await DonationRequest.findById(existing.donationRequest);
+  } else {
+    donation = await DonationRequest.findById(donationRequestId);
+  }
+
+  const role = donation ? getConversationRole(donation, user) : null;
+  if (!role) {
+    throw new ErrorResponse(conversationId ? 'Conversation not found' : 'Donation request not found', 404);
+  }
+
+  const conversation = await getRequestConversation(donation);
+  return { conversation, donation, role };
+};
+
+// Post a message as `user`, deliver it live and notify participants who
+// were up to date
+const sendMessage = async ({ conversation, role }, user, text) => {
+  if (conversation.status !== 'open') {
+    throw new ErrorResponse('This conversation is closed', 400);
+  }
+
+  const body = String(text || '').trim();
+  if (!body) {
+    throw new ErrorResponse('Message text is required', 400);
+  }
+
+  const current = await addParticipants(conversation, [{ user: user._id, role }]);
+  const previousAt = current.lastMessage?.sentAt || null;
+
+  const message = await Message.create({
+    conversation: current._id,
+    sender: user._id,
+    senderName: user.name,
+    senderRole: role,
+    text: body,
+  });
+
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: current._id, 'participants.user': user._id },
+    {
+      $set: {
+        lastMessage: { text: body, sender: user._id, senderName: user.name, sentAt: message.createdAt },
+        'participants.$.lastReadAt': message.createdAt,
+      },
+      $inc: { messageCount: 1 },
+    },
+    { new: true }
+  );
+
+  emitToConversation(updated._id, 'conversation-message', {
+    conversationId: updated._id,
+    donationRequestId: updated.donationRequest,
+    message,
+  });
+
+  const caughtUp = updated.participants.filter((participant) => isActiveParticipant(participant)
+    && idOf(participant.user) !== idOf(user)
+    && (!previousAt || (participant.lastReadAt && participant.lastReadAt >= previousAt)));
+  if (caughtUp.length > 0) {
+    const recipients = await User.find({
+      _id: { $in: caughtUp.map((participant) => participant.user) },
+      status: 'active',
+    }).select('name email');
+    await notificationUtils.sendConversationMessageNotification(updated, message, recipients);
+  }
+
+  return { conversation: updated, message };
+};
+
+// Record that `user` has read the conversation up to now and send the
+// read receipt to the others
+const markConversationRead = async (conversation, user) => {
+  const readAt = new Date();
+  const result = await Conversation.updateOne(
+    { _id: conversation._id, 'participants.user': user._id },
+    { $set: { 'participants.$.lastReadAt': readAt } }
+  );
+
+  // Staff reading a thread they have not joined leave no receipt
+  if (result.matchedCount === 0) return null;
+
+  emitToConversation(conversation._id, 'conversation-read', {
+    conversationId: conversation._id,
+    userId: user._id,
+    readAt,
+  });
+
+  return readAt;
+};
+
+// A conversation as one participant sees it, with their unread count
+const summarizeConversation = async (conversation, user) => {
+  const participant = conversation.getParticipant(user._id);
+  const unreadCount = participant
+    ? await Message.countUnread(conversation._id, user._id, participant.lastReadAt)
+    : 0;
+
+  return {
+    ...conversation.toObject(),
+    unreadCount,
+  };
+};
+
+export {
+  findOpenConversationIds,
+  getConversationRole,
+  getRequestConversation,
+  syncConversationParticipants,
+  loadConversation,
+  sendMessage,
+  markConversationRead,
+  summarizeConversation,
+};
+
+export default {
+  findOpenConversationIds,
+  getConversationRole,
+  getRequestConversation,
+  syncConversationParticipants,
+  loadConversation,
+  sendMessage,
+  markConversationRead,
+  summarizeConversation,
+};
@@ -0,0 +1,70 @@
+// server/src/utils/csvParser.js
+// Minimal RFC 4180 CSV reader for admin bulk imports
+
+// Split CSV text into rows of fields. Handles quoted fields with commas,
+// escaped quotes ("") and line breaks, CRLF line endings and a UTF-8 BOM.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+// Read CSV text with a header row into objects keyed by header name.
+// Returns { headers, records } where each record also carries its `line`
+// (row number, header = 1) for error reporting.
+const parseCsvRecords = (text) => {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map((header) => header.trim());
+
+  const records = rows.map((fields, index) => {
+    const record = { line: index + 2 };
+    headers.forEach((header, column) => {
+      record[header] = (fields[column] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+export { parseCsv, parseCsvRecords };
+
+export default { parseCsv, parseCsvRecords };
@@ -0,0 +1,412 @@
+// server/src/utils/dispatch.js
+// Auto-dispatch: urgent donation requests and emergency contacts are given
+// to one volunteer as a task (Assignment), chosen by the on-call rota,
+// district coverage, declared availability and open workload. A volunteer who does not
+// acknowledge in time is replaced by the next one; after
+// DISPATCH_MAX_ATTEMPTS volunteers, or when nobody is left, the admins are
+// alerted.
+import Assignment from '../models/Assignment.js';
+import Contact from '../models/Contact.js';
+import DonationRequest from '../models/DonationRequest.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { getDispatchConfig } from '../config/dispatch.js';
+import { DISTRICT_ALIASES, normalizeDistrict } from '../config/districts.js';
+import { notifyVolunteer } from './assignments.js';
+import { emitAdminEvent } from './realtime.js';
+import { getOnCallVolunteers } from './onCall.js';
+
+// Shown as the one who assigned dispatched tasks
+const DISPATCH_ACTOR = { name: 'Auto-dispatch' };
+
+const OPEN_CONTACT_STATUSES = ['new', 'read', 'in-progress'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match, since districts are typed in by users
+const exactInsensitive = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+// A canonical district name plus the older spellings that map to it
+const districtSpellings = (district) => [
+  district,
+  ...Object.keys(DISTRICT_ALIASES).filter((alias) => DISTRICT_ALIASES[alias] === district),
+];
+
+// Minutes since midnight of an "H:MM" or "HH:MM" time
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether a weekly slot covers `minutes` on `day`. A slot ending before it
+// starts runs overnight, from its start on its day to its end the next day.
+const slotIncludes = (slot, day, minutes) => {
+  const start = toMinutes(slot.start);
+  const end = toMinutes(slot.end);
+
+  if (start < end) {
+    return slot.day === day && start <= minutes && minutes < end;
+  }
+  return (slot.day === day && minutes >= start) || ((slot.day + 1) % 7 === day && minutes < end);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day of the week (0 = Sunday) and minutes since midnight of `date` on the
+// clocks of `timeZone`, whatever zone the server runs in
+const getLocalClock = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// Whether declared weekly hours include `date`; no hours means any time.
+// Hours are read in the dispatch time zone.
+const isWithinSchedule = (schedule = [], date = new Date()) => {
+  if (schedule.length === 0) return true;
+
+  const { day, minutes } = getLocalClock(date, getDispatchConfig().timeZone);
+  return schedule.some((slot) => slotIncludes(slot, day, minutes));
+};
+
+// Whether a volunteer declared themselves available at `date`. A rota
+// shift counts even outside their weekly hours.
+const isVolunteerAvailable = (volunteer, date = new Date(), { onCall = false } = {}) => {
+  const availability = volunteer.volunteerAvailability || {};
+  if (availability.isAvailable === false) return false;
+  if (availability.unavailableUntil && availability.unavailableUntil > date) return false;
+  return onCall || isWithinSchedule(availability.weeklySchedule, date);
+};
+
+// Active volunteers living in a district, covering it or on call there.
+// Without a district every volunteer qualifies.
+const findCoveringVolunteers = (district, excludeIds = [], onCallIds = []) => {
+  const filter = { role: 'volunteer', status: 'active', _id: { $nin: excludeIds } };
+
+  if (district) {
+    const canonical = normalizeDistrict(district) || district;
+    filter.$or = [
+      { district: { $in: districtSpellings(canonical).map(exactInsensitive) } },
+      { 'volunteerAvailability.coverageDistricts': canonical },
+      { _id: { $in: onCallIds } },
+    ];
+  }
+
+  return User.find(filter).select('name email district volunteerAvailability');
+};
+
+// Open task count and time of the latest task, by volunteer id
+const getWorkloads = async (volunteerIds) => {
+  const rows = await Assignment.aggregate([
+    { $match: { volunteer: { $in: volunteerIds } } },
+    {
+      $group: {
+        _id: '$volunteer',
+        open: { $sum: { $cond: [{ $in: ['$status', ['pending', 'inprogress']] }, 1, 0] } },
+        lastAssignedAt: { $max: '$createdAt' },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row]));
+};
+
+// The volunteer to offer a task to: available now and under their task
+// limit. Primary on-call volunteers come first, then backups, then the
+// rest; within each, fewest open tasks first, then whoever got work least
+// recently. Returns null when nobody qualifies.
+const pickVolunteer = async (district, excludeIds = []) => {
+  const { defaultMaxOpenTasks } = getDispatchConfig();
+  const now = new Date();
+
+  const onCall = district ? await getOnCallVolunteers(district, now) : [];
+  const onCallRanks = new Map(onCall.map(({ volunteer, shift }) => [
+    volunteer._id.toString(),
+    shift.role === 'primary' ? 0 : 1,
+  ]));
+
+  const candidates = (await findCoveringVolunteers(district, excludeIds, onCall.map(({ volunteer }) => volunteer._id)))
+    .filter((volunteer) => isVolunteerAvailable(volunteer, now, { onCall: onCallRanks.has(volunteer._id.toString()) }));
+  if (candidates.length === 0) return null;
+
+  const workloads = await getWorkloads(candidates.map((volunteer) => volunteer._id));
+
+  const [best] = candidates
+    .map((volunteer) => {
+      const workload = workloads.get(volunteer._id.toString());
+      return {
+        volunteer,
+        rank: onCallRanks.get(volunteer._id.toString()) ?? 2,
+        open: workload?.open || 0,
+        lastAssignedAt: workload?.lastAssignedAt?.getTime() || 0,
+      };
+    })
+    .filter(({ volunteer, open }) => open < (volunteer.volunteerAvailability?.maxOpenTasks || defaultMaxOpenTasks))
+    .sort((a, b) => a.rank - b.rank || a.open - b.open || a.lastAssignedAt - b.lastAssignedAt);
+
+  return best?.volunteer || null;
+};
+
+const ackDeadline = () => new Date(Date.now() + getDispatchConfig().ackMinutes * 60 * 1000);
+
+// Offer a dispatched task to `volunteerId`; the caller saves it
+const recordOffer = (assignment, volunteerId) => {
+  const attempts = assignment.dispatch.attempts;
+  const last = attempts[attempts.length - 1];
+  if (last && last.outcome === 'pending') {
+    last.outcome = 'reassigned';
+  }
+
+  attempts.push({ volunteer: volunteerId, offeredAt: new Date() });
+  assignment.dispatch.status = 'awaiting_ack';
+  assignment.dispatch.ackDeadline = ackDeadline();
+};
+
+// Alert every active admin that a task has nobody to take it
+const alertAdmins = async ({ assignment = null, taskType, recordId, title, reason }) => {
+  const admins = await User.find({ role: 'admin', status: 'active' }).select('email');
+
+  if (admins.length > 0) {
+    await Notification.insertMany(admins.map((admin) => ({
+      recipient: admin._id,
+      recipientEmail: admin.email,
+      title: 'Task Needs a Volunteer ⚠️',
+      message: `"${title}" could not be handed to a volunteer: ${reason}. Please assign it manually.`,
+      type: 'alert',
+      category: 'admin',
+      priority: 'high',
+      actionUrl: assignment ? `/dashboard/assignments/${assignment._id}` : '/dashboard/assignments',
+      data: {
+        assignmentId: assignment?._id || null,
+        taskType,
+        recordId,
+        reason,
+      },
+    })));
+  }
+
+  emitAdminEvent('dispatch-escalated', {
+    assignmentId: assignment?._id || null,
+    taskType,
+    recordId,
+    title,
+    reason,
+  });
+};
+
+// Create a dispatched task for a record, or alert the admins when no
+// volunteer can take it. Records that already have an open task are left
+// alone. Returns the task, or null.
+const dispatchTask = async ({ taskType, record, district, title, priority, dueAt = null }) => {
+  const field = taskType === 'contact' ? 'contact' : 'donationRequest';
+  const findOpen = () => Assignment.findOne({
+    [field]: record._id,
+    status: { $in: ['pending', 'inprogress'] },
+  });
+
+  const existing = await findOpen();
+  if (existing) return existing;
+
+  const volunteer = await pickVolunteer(district);
+  if (!volunteer) {
+    await alertAdmins({
+      taskType,
+      recordId: record._id,
+      title,
+      reason: district ? `no available volunteer covers ${district}` : 'no volunteer is available',
+    });
+    return null;
+  }
+
+  let assignment;
+  try {
+    assignment = await Assignment.create({
+      volunteer: volunteer._id,
+      taskType,
+      [field]: record._id,
+      title,
+      priority,
+      dueAt,
+      dispatch: {
+        auto: true,
+        status: 'awaiting_ack',
+        ackDeadline: ackDeadline(),
+        attempts: [{ volunteer: volunteer._id }],
+      },
+    });
+  } catch (error) {
+    // Dispatched by a parallel call meanwhile
+    if (error.code !== 11000) throw error;
+    return findOpen();
+  }
+
+  await notifyVolunteer(assignment, volunteer, 'assigned', DISPATCH_ACTOR);
+  return assignment;
+};
+
+// Dispatch a new donation request when its urgency calls for it
+const dispatchDonationRequest = (donation) => {
+  if (!getDispatchConfig().urgencies.includes(donation.urgency)) {
+    return Promise.resolve(null);
+  }
+
+  return dispatchTask({
+    taskType: 'donation_request',
+    record: donation,
+    district: donation.recipientDistrict,
+    title: `Find ${donation.bloodGroup} donors for ${donation.recipientName} (${donation.urgency})`,
+    priority: 'high',
+    dueAt: donation.donationDeadline || null,
+  });
+};
+
+// Dispatch a new emergency contact
+const dispatchContact = (contact) => {
+  if (contact.category !== 'emergency') {
+    return Promise.resolve(null);
+  }
+
+  return dispatchTask({
+    taskType: 'contact',
+    record: contact,
+    district: contact.location?.district,
+    title: `Respond to emergency contact: ${contact.subject}`,
+    priority: 'high',
+  });
+};
+
+// District a task is handled in, or null once its record needs nobody
+const getOpenTaskDistrict = async (assignment) => {
+  if (assignment.taskType === 'contact') {
+    const contact = await Contact.findById(assignment.contact).select('status location');
+    if (!contact || !OPEN_CONTACT_STATUSES.includes(contact.status)) return null;
+    return { district: contact.location?.district || null };
+  }
+
+  const donation = await DonationRequest.findById(assignment.donationRequest).select('status isActive recipientDistrict');
+  if (!donation || !donation.isActive || donation.status !== 'pending') return null;
+  return { district: donation.recipientDistrict };
+};
+
+// Hand an unacknowledged task to the next volunteer, or escalate it.
+// Returns what happened: 'closed', 'reassigned' or 'escalated'.
+const escalateTask = async (assignment) => {
+  const { maxAttempts } = getDispatchConfig();
+
+  const target = await getOpenTaskDistrict(assignment);
+  if (!target) {
+    await assignment.transitionTo('cancelled', { note: 'No longer needed' });
+    return 'closed';
+  }
+
+  const attempts = assignment.dispatch.attempts;
+  const last = attempts[attempts.length - 1];
+  if (last && last.outcome === 'pending') {
+    last.outcome = 'timed_out';
+  }
+
+  const previous = await User.findById(assignment.volunteer).select('name email');
+  const next = attempts.length < maxAttempts
+    ? await pickVolunteer(target.district, attempts.map((attempt) => attempt.volunteer))
+    : null;
+
+  if (!next) {
+    assignment.dispatch.status = 'escalated';
+    assignment.dispatch.escalatedAt = new Date();
+    assignment.dispatch.ackDeadline = null;
+    await assignment.save();
+
+    await alertAdmins({
+      assignment,
+      taskType: assignment.taskType,
+      recordId: assignment.donationRequest || assignment.contact,
+      title: assignment.title,
+      reason: attempts.length >= maxAttempts
+        ? `${attempts.length} volunteer(s) did not acknowledge it in time`
+        : 'no other volunteer is available',
+    });
+    return 'escalated';
+  }
+
+  recordOffer(assignment, next._id);
+  await assignment.reassignTo(next._id, { reason: 'Not acknowledged in time' });
+
+  await notifyVolunteer(assignment, next, 'assigned', DISPATCH_ACTOR);
+  if (previous) {
+    await notifyVolunteer(assignment, previous, 'unassigned', DISPATCH_ACTOR);
+  }
+  return 'reassigned';
+};
+
+// Move on every dispatched task whose acknowledgement window ran out.
+// Run periodically by the scheduler (jobs/index.js).
+// Returns the number of tasks processed.
+const processDueDispatches = async (limit = 50) => {
+  const due = await Assignment.find({
+    'dispatch.status': 'awaiting_ack',
+    'dispatch.ackDeadline': { $lte: new Date() },
+  })
+    .sort({ 'dispatch.ackDeadline': 1 })
+    .limit(limit);
+
+  for (const assignment of due) {
+    // Claim the task so two server instances cannot both move it
+    const claimed = await Assignment.findOneAndUpdate(
+      { _id: assignment._id, 'dispatch.status': 'awaiting_ack', 'dispatch.ackDeadline': assignment.dispatch.ackDeadline },
+      { $set: { 'dispatch.ackDeadline': null } },
+      { new: true }
+    );
+
+    if (!claimed) continue;
+
+    // One failing task must not stop the rest. Give the deadline back, unless
+    // the task already moved on, so the next run retries it.
+    try {
+      await escalateTask(claimed);
+    } catch (error) {
+      console.error(`Dispatch escalation error for assignment ${assignment._id}:`, error);
+      await Assignment.updateOne(
+        {
+          _id: assignment._id,
+          volunteer: claimed.volunteer,
+          'dispatch.status': 'awaiting_ack',
+          'dispatch.ackDeadline': null,
+        },
+        { $set: { 'dispatch.ackDeadline': assignment.dispatch.ackDeadline } }
+      ).catch((restoreError) => {
+        console.error(`Dispatch deadline restore error for assignment ${assignment._id}:`, restoreError);
+      });
+    }
+  }
+
+  return due.length;
+};
+
+export {
+  toMinutes,
+  isVolunteerAvailable,
+  pickVolunteer,
+  recordOffer,
+  dispatchDonationRequest,
+  dispatchContact,
+  processDueDispatches,
+};
+
+export default {
+  toMinutes,
+  isVolunteerAvailable,
+  pickVolunteer,
+  recordOffer,
+  dispatchDonationRequest,
+  dispatchContact,
+  processDueDispatches,
+};
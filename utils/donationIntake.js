@@ -0,0 +1,125 @@
+// server/src/utils/donationIntake.js
+// What happens to a new donation request however it was made: hospital
+// lookup before it is saved, then the alerts, donor outreach and dispatch
+// after. Used by requesters' own requests and the ones volunteers take
+// for walk-in requesters.
+import Hospital from '../models/Hospital.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import ErrorResponse from './errorResponse.js';
+import { startDonorOutreach } from './donorOutreach.js';
+import { alertSavedSearchesForRequest } from './savedSearchAlerts.js';
+import { dispatchDonationRequest } from './dispatch.js';
+import { notifyOnCallVolunteers } from './onCall.js';
+import { emitDonationEvent } from './realtime.js';
+
+// Fill a request's hospital fields from the directory: the hospital picked
+// by id, or an active one whose name or alias matches the typed name in the
+// recipient district. Requests without a match keep the typed text.
+const resolveHospitalFields = async ({ hospital, hospitalName, recipientDistrict }) => {
+  const record = hospital
+    ? await Hospital.findOne({ _id: hospital, isActive: true })
+    : await Hospital.findByName(hospitalName, recipientDistrict);
+
+  if (hospital && !record) {
+    throw new ErrorResponse('Hospital not found in the directory', 400);
+  }
+
+  if (!record) {
+    return {};
+  }
+
+  return {
+    hospital: record._id,
+    hospitalName: record.name,
+    hospitalAddress: record.address,
+    ...(record.location?.coordinates?.length
+      ? {
+        location: {
+          type: 'Point',
+          coordinates: record.location.coordinates,
+          source: record.location.source,
+        },
+      }
+      : {}),
+  };
+};
+
+// Tell staff, on-call volunteers, matching donors and saved searches about
+// a request that was just saved, and dispatch urgent ones to a volunteer.
+// The request already exists, so failed outreach, search alerts or
+// dispatch are logged instead of thrown.
+const announceDonationRequest = async (donation, actor) => {
+  // Create notification for admins and volunteers about new request
+  const adminsAndVolunteers = await User.find({
+    role: { $in: ['admin', 'volunteer'] },
+    status: 'active',
+  });
+
+  const notifications = adminsAndVolunteers.map((user) => ({
+    recipient: user._id,
+    recipientEmail: user.email,
+    title: 'New Donation Request 🆕',
+    message: `New blood donation request for ${donation.bloodGroup} at ${donation.hospitalName}. Patient: ${donation.recipientName}`,
+    type: 'request',
+    category: 'donation',
+    priority: donation.urgency === 'critical' ? 'high' : 'medium',
+    actionUrl: `/dashboard/all-blood-donation-request/${donation._id}`,
+    data: {
+      donationId: donation._id,
+      bloodGroup: donation.bloodGroup,
+      urgency: donation.urgency,
+    },
+    sender: actor._id,
+    senderName: actor.name,
+    senderRole: actor.role,
+  }));
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+
+  // Volunteers on call in the district get urgent requests as alerts
+  if (['high', 'critical'].includes(donation.urgency)) {
+    await notifyOnCallVolunteers(donation.recipientDistrict, {
+      title: 'Urgent Request in Your On-Call District 🚨',
+      message: `${donation.urgency === 'critical' ? 'Critical' : 'Urgent'} request for ${donation.bloodGroup} blood at ${donation.hospitalName}, ${donation.recipientDistrict}. Patient: ${donation.recipientName}`,
+      category: 'donation',
+      actionUrl: `/dashboard/all-blood-donation-request/${donation._id}`,
+      data: {
+        donationId: donation._id,
+        bloodGroup: donation.bloodGroup,
+        urgency: donation.urgency,
+      },
+    });
+  }
+
+  // Notify matching donors, nearest first; wider waves follow if nobody accepts
+  try {
+    await startDonorOutreach(donation);
+  } catch (error) {
+    console.error('Donor outreach error:', error);
+  }
+
+  try {
+    await alertSavedSearchesForRequest(donation);
+  } catch (error) {
+    console.error('Saved search alert error:', error);
+  }
+
+  // Urgent requests get a volunteer of their own
+  try {
+    await dispatchDonationRequest(donation);
+  } catch (error) {
+    console.error('Volunteer dispatch error:', error);
+  }
+
+  emitDonationEvent(donation, 'created', { actor });
+};
+
+export { resolveHospitalFields, announceDonationRequest };
+
+export default {
+  resolveHospitalFields,
+  announceDonationRequest,
+};
@@ -0,0 +1,352 @@
+// server/src/utils/donationStatus.js
+// Applies donation request status changes through the transition table in
+// utils/constants.js and runs the side effects each transition lists
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import ActivityLog from '../models/ActivityLog.js';
+import ErrorResponse from './errorResponse.js';
+import { DONATION_STATUS_TRANSITIONS } from './constants.js';
+import { stopDonorOutreach, resumeDonorOutreach } from './donorOutreach.js';
+
+const OPEN_PLEDGE_STATUSES = ['pledged', 'confirmed'];
+
+const isSameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+// Parties the user acts as on this request (see DONATION_STATUS_TRANSITIONS)
+const getActorRoles = (donation, user) => {
+  const roles = [];
+
+  if (user.role === 'admin' || user.role === 'volunteer') {
+    roles.push(user.role);
+  }
+
+  if (isSameId(donation.requester, user._id)) {
+    roles.push('requester');
+  }
+
+  return roles;
+};
+
+// Statuses the request can move to from its current status.
+// Pass `system: true` for changes the server makes on its own.
+const getAllowedTransitions = (donation, user, { system = false } = {}) => {
+  const roles = system ? ['system'] : getActorRoles(donation, user);
+  const transitions = DONATION_STATUS_TRANSITIONS[donation.status] || {};
+
+  return Object.keys(transitions).filter((status) =>
+    transitions[status].roles.some((role) => roles.includes(role))
+  );
+};
+
+// Throw a 409 listing the allowed transitions when the move is illegal
+const assertTransition = (donation, toStatus, user, { system = false } = {}) => {
+  const allowedTransitions = getAllowedTransitions(donation, user, { system });
+  const data = { from: donation.status, to: toStatus, allowedTransitions };
+
+  if (!allowedTransitions.includes(toStatus)) {
+    throw new ErrorResponse(
+      `Cannot change status from ${donation.status} to ${toStatus}. ` +
+        `Allowed transitions: ${allowedTransitions.join(', ') || 'none'}`,
+      409,
+      data
+    );
+  }
+
+  const rule = DONATION_STATUS_TRANSITIONS[donation.status][toStatus];
+  const hasDonor =
+    Boolean(donation.donor) ||
+    (donation.pledges || []).some((pledge) => pledge.status !== 'no_show' && pledge.status !== 'canceled');
+
+  if (rule.requiresDonor && !hasDonor) {
+    throw new ErrorResponse(`Cannot mark as ${toStatus} without a donor`, 409, data);
+  }
+
+  return rule;
+};
+
+// Count donated units towards each donor's history and reliability
+const creditDonations = (pledges) => {
+  return Promise.all(
+    pledges.map(async (pledge) => {
+      await User.findByIdAndUpdate(pledge.donor, {
+        lastDonationDate: pledge.completedAt || new Date(),
+        $inc: { totalDonations: pledge.units || 1 },
+      });
+      await User.recordReliabilityEvent(pledge.donor, 'completed');
+    })
+  );
+};
+
+// Donors with a pledge that still counts, or the single donor of requests
+// made before pledges existed
+const getOpenPledgeRecipients = (donation) => {
+  if (!donation.pledges || donation.pledges.length === 0) {
+    return donation.donor
+      ? [{ recipient: donation.donor, recipientEmail: donation.donorEmail }]
+      : [];
+  }
+
+  return donation.pledges
+    .filter((pledge) => OPEN_PLEDGE_STATUSES.includes(pledge.status))
+    .map((pledge) => ({ recipient: pledge.donor, recipientEmail: pledge.donorEmail }));
+};
+
+// Requester and donor messages per new status
+const buildStatusNotifications = (donation, toStatus, { note }) => {
+  const reason = note ? ` Reason: ${note}` : '';
+  const base = {
+    category: 'donation',
+    priority: 'medium',
+    actionUrl: `/donation-requests/${donation._id}`,
+    data: { donationId: donation._id, status: toStatus },
+  };
+
+  switch (toStatus) {
+    case 'inprogress':
+      return {
+        requester: {
+          title: 'All Units Pledged',
+          message: `Donors have pledged every unit needed for ${donation.recipientName}. Please coordinate with them.`,
+          type: 'success',
+        },
+        donors: {
+          title: 'Donation Request In Progress',
+          message: `The donation request for ${donation.recipientName} at ${donation.hospitalName} now has all the donors it needs. Thank you for pledging!`,
+          type: 'info',
+        },
+        base,
+      };
+    case 'pending':
+      return {
+        requester: {
+          title: 'Donation Request Reopened',
+          message: `${donation.remainingUnits} unit(s) for ${donation.recipientName} need a donor again. We are looking for more donors.${reason}`,
+          type: 'warning',
+        },
+        base: { ...base, priority: 'high' },
+      };
+    case 'done':
+      return {
+        requester: {
+          title: 'Donation Completed Successfully! ✅',
+          message: `All ${donation.unitsRequired || 1} unit(s) for ${donation.recipientName} have been donated. Thank you for using our platform!`,
+          type: 'success',
+        },
+        // Pledged donors are thanked as their own pledge is completed
+        donors: donation.pledges?.length
+          ? null
+          : {
+            title: 'Thank You for Your Donation! ❤️',
+            message: `You have successfully donated blood for ${donation.recipientName}. Your contribution saves lives!`,
+            type: 'success',
+          },
+        base,
+      };
+    case 'canceled':
+      return {
+        requester: {
+          title: 'Donation Request Cancelled',
+          message: `The donation request for ${donation.recipientName} has been cancelled.${reason}`,
+          type: 'warning',
+        },
+        donors: {
+          title: 'Donation Request Cancelled',
+          message: `The donation request you pledged to for ${donation.recipientName} has been cancelled.${reason}`,
+          type: 'warning',
+        },
+        base: { ...base, actionUrl: '/dashboard' },
+      };
+    case 'expired':
+      return {
+        requester: {
+          title: 'Donation Request Expired',
+          message: `Your ${donation.bloodGroup} blood request for ${donation.recipientName} at ${donation.hospitalName} expired because no donor was confirmed before ${donation.donationTime} on ${new Date(donation.donationDate).toLocaleDateString()}. You can create a new request if blood is still needed.`,
+          type: 'warning',
+        },
+        donors: {
+          title: 'Donation Request Expired',
+          message: `The donation request for ${donation.recipientName} expired before every unit was pledged.`,
+          type: 'info',
+        },
+        base: { ...base, actionUrl: '/dashboard/create-donation-request' },
+      };
+    default:
+      return null;
+  }
+};
+
+const TRANSITION_EFFECTS = {
+  stopOutreach: ({ donation, toStatus }) =>
+    stopDonorOutreach(donation._id, toStatus === 'inprogress' ? 'completed' : 'stopped'),
+
+  resumeOutreach: ({ donation }) => resumeDonorOutreach(donation._id),
+
+  // Closing a request by hand records every open pledge as donated
+  completePledges: async ({ donation, user }) => {
+    const now = new Date();
+    const completed = (donation.pledges || []).filter((pledge) =>
+      OPEN_PLEDGE_STATUSES.includes(pledge.status)
+    );
+
+    if (completed.length === 0) {
+      return;
+    }
+
+    completed.forEach((pledge) => {
+      pledge.status = 'done';
+      pledge.completedAt = now;
+      pledge.updatedBy = user?._id;
+    });
+    await donation.save();
+    await creditDonations(completed);
+
+    await Notification.insertMany(
+      completed.map((pledge) => ({
+        recipient: pledge.donor,
+        recipientEmail: pledge.donorEmail,
+        title: 'Thank You for Your Donation! ❤️',
+        message: `Your donation for ${donation.recipientName} has been recorded. Your contribution saves lives!`,
+        type: 'success',
+        category: 'donation',
+        priority: 'medium',
+        actionUrl: '/dashboard',
+        data: { donationId: donation._id, pledgeId: pledge._id, lifesaver: true },
+      }))
+    );
+  },
+
+  notifyParties: async ({ donation, toStatus, user, note, donors }) => {
+    const messages = buildStatusNotifications(donation, toStatus, { note });
+    if (!messages) {
+      return;
+    }
+
+    const sender = user ? { sender: user._id, senderName: user.name, senderRole: user.role } : {};
+    const notifications = [];
+
+    // No need to tell the requester about their own change
+    if (messages.requester && !isSameId(donation.requester, user?._id)) {
+      notifications.push({
+        recipient: donation.requester,
+        recipientEmail: donation.requesterEmail,
+        ...messages.base,
+        ...messages.requester,
+        ...sender,
+      });
+    }
+
+    if (messages.donors) {
+      donors
+        .filter(({ recipient }) => !isSameId(recipient, user?._id))
+        .forEach((donor) => {
+          notifications.push({ ...donor, ...messages.base, ...messages.donors, ...sender });
+        });
+    }
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications);
+    }
+  },
+};
+
+// Run the effects of a transition that has already been saved, then log it.
+// Used directly by callers that change the status with an atomic update.
+const runTransitionEffects = async (donation, fromStatus, toStatus, { user = null, note, req } = {}) => {
+  const rule = DONATION_STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+  // Captured first, effects such as completePledges change the pledges
+  const donors = getOpenPledgeRecipients(donation);
+
+  for (const effect of rule?.effects || []) {
+    await TRANSITION_EFFECTS[effect]({ donation, fromStatus, toStatus, user, note, donors });
+  }
+
+  await ActivityLog.logActivity({
+    ...(user
+      ? {
+        user: user._id,
+        userName: user.name,
+        userEmail: user.email,
+        userRole: user.role,
+      }
+      : {}),
+    action: 'Updated Donation Status',
+    actionType: user ? 'update' : 'system',
+    category: 'donation',
+    entityType: 'donation_request',
+    entityId: donation._id,
+    entityName: donation.recipientName,
+    description: `Changed status from ${fromStatus} to ${toStatus} for ${donation.recipientName}`,
+    details: note ? `Reason: ${note}` : undefined,
+    status: 'success',
+    userIp: req?.ip,
+    userAgent: req?.headers['user-agent'],
+  });
+};
+
+// Move a request to a new status. Throws a 409 ErrorResponse when the user
+// (or the server, with `system: true`) may not make the move.
+// Resolves to the saved request.
+const transitionDonationStatus = async (donation, toStatus, { user = null, system = false, note, req } = {}) => {
+  assertTransition(donation, toStatus, user, { system });
+
+  const fromStatus = donation.status;
+  donation.status = toStatus;
+  donation.statusHistory.push({
+    status: toStatus,
+    changedBy: user?._id,
+    changedAt: new Date(),
+    note,
+  });
+  await donation.save();
+
+  await runTransitionEffects(donation, fromStatus, toStatus, { user, note, req });
+
+  return donation;
+};
+
+// Move the request along after its pledges changed: in progress once every
+// unit is pledged, done once every unit is donated, back to pending when a
+// dropped pledge leaves units uncovered.
+// Resolves to the new status, or null when nothing changed.
+const syncStatusWithPledges = async (donation, { user = null, req } = {}) => {
+  let toStatus = null;
+  let note;
+
+  if (donation.fulfilledUnits >= donation.unitsRequired && donation.status !== 'done') {
+    toStatus = 'done';
+    note = `All ${donation.unitsRequired} unit(s) donated`;
+  } else if (donation.status === 'pending' && donation.remainingUnits === 0) {
+    toStatus = 'inprogress';
+    note = `All ${donation.unitsRequired} unit(s) pledged`;
+  } else if (donation.status === 'inprogress' && donation.remainingUnits > 0) {
+    toStatus = 'pending';
+    note = `${donation.remainingUnits} unit(s) need a donor again`;
+  }
+
+  if (!toStatus || !getAllowedTransitions(donation, user, { system: true }).includes(toStatus)) {
+    return null;
+  }
+
+  await transitionDonationStatus(donation, toStatus, { user, system: true, note, req });
+  return toStatus;
+};
+
+export {
+  getAllowedTransitions,
+  assertTransition,
+  creditDonations,
+  getOpenPledgeRecipients,
+  runTransitionEffects,
+  transitionDonationStatus,
+  syncStatusWithPledges,
+};
+
+export default {
+  getAllowedTransitions,
+  assertTransition,
+  creditDonations,
+  getOpenPledgeRecipients,
+  runTransitionEffects,
+  transitionDonationStatus,
+  syncStatusWithPledges,
+};
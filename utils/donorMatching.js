@@ -0,0 +1,230 @@
+// server/src/utils/donorMatching.js
+// Finds and ranks donors who can give blood for a donation request
+import User from '../models/User.js';
+import { BLOOD_COMPATIBILITY } from './constants.js';
+
+// Minimum days between two whole-blood donations
+const DONATION_INTERVAL_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each factor counts, per request urgency. The more urgent the
+// request, the more a nearby compatible donor beats a far-away exact match.
+const RANKING_WEIGHTS = {
+  low: { bloodMatch: 0.35, proximity: 0.35, reliability: 0.3 },
+  medium: { bloodMatch: 0.3, proximity: 0.4, reliability: 0.3 },
+  high: { bloodMatch: 0.2, proximity: 0.5, reliability: 0.3 },
+  critical: { bloodMatch: 0.1, proximity: 0.6, reliability: 0.3 },
+};
+
+const PROXIMITY_SCORES = {
+  upazila: 1,
+  district: 0.6,
+  other: 0,
+};
+
+// Donor blood groups that can give to the recipient's blood group
+const getCompatibleDonorGroups = (recipientGroup) => {
+  return BLOOD_COMPATIBILITY[String(recipientGroup).toUpperCase()] || [];
+};
+
+const isBloodCompatible = (donorGroup, recipientGroup) => {
+  return getCompatibleDonorGroups(recipientGroup).includes(donorGroup);
+};
+
+// Date from which a donor can give blood again (null = never donated)
+const getNextEligibleDate = (donor) => {
+  if (!donor.lastDonationDate) {
+    return null;
+  }
+  return new Date(new Date(donor.lastDonationDate).getTime() + DONATION_INTERVAL_DAYS * DAY_MS);
+};
+
+// Check whether a donor may be matched with a request.
+// Returns { eligible, reasons } where reasons explain every failed rule.
+const checkDonorEligibility = (donor, donation) => {
+  const reasons = [];
+
+  if (donor.role !== 'donor') {
+    reasons.push('User is not a donor');
+  }
+
+  if (donor.status !== 'active') {
+    reasons.push(`Donor account is ${donor.status}`);
+  }
+
+  if (!donor.isAvailable) {
+    reasons.push('Donor is not available for donations');
+  }
+
+  if (!isBloodCompatible(donor.bloodGroup, donation.bloodGroup)) {
+    reasons.push(
+      `Donor blood group (${donor.bloodGroup}) is not compatible with required blood group (${donation.bloodGroup})`
+    );
+  }
+
+  const nextEligibleDate = getNextEligibleDate(donor);
+  if (nextEligibleDate && nextEligibleDate > new Date()) {
+    const daysLeft = Math.ceil((nextEligibleDate - new Date()) / DAY_MS);
+    reasons.push(`Donor can only donate every ${DONATION_INTERVAL_DAYS} days (eligible again in ${daysLeft} days)`);
+  }
+
+  const cooldownUntil = donor.reliability?.cooldownUntil;
+  if (donation.urgency === 'critical' && cooldownUntil && cooldownUntil > new Date()) {
+    reasons.push(
+      `Donor missed recent donations and cannot take critical requests until ${new Date(cooldownUntil).toLocaleDateString()}`
+    );
+  }
+
+  if (donation.requester && donor._id.toString() === donation.requester.toString()) {
+    reasons.push('Donor is the requester of this donation');
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+// Reliability score of each donor (see User.recordReliabilityEvent).
+// Donors without history score 0.5.
+const getReliabilityScores = async (donorIds) => {
+  if (donorIds.length === 0) {
+    return new Map();
+  }
+
+  const donors = await User.find({ _id: { $in: donorIds } }).select('reliability.score');
+
+  return new Map(
+    donors.map((donor) => [donor._id.toString(), donor.reliability?.score ?? 0.5])
+  );
+};
+
+// Score a single eligible donor against a request
+const scoreDonor = (donor, donation, reliability = 0.5) => {
+  const weights = RANKING_WEIGHTS[donation.urgency] || RANKING_WEIGHTS.medium;
+
+  const isExactMatch = donor.bloodGroup === donation.bloodGroup;
+
+  let proximity = 'other';
+  if (donor.district === donation.recipientDistrict) {
+    proximity = donor.upazila === donation.recipientUpazila ? 'upazila' : 'district';
+  }
+
+  const breakdown = {
+    bloodMatch: isExactMatch ? 1 : 0.5,
+    proximity: PROXIMITY_SCORES[proximity],
+    reliability,
+  };
+
+  const score =
+    breakdown.bloodMatch * weights.bloodMatch +
+    breakdown.proximity * weights.proximity +
+    breakdown.reliability * weights.reliability;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    isExactMatch,
+    proximity,
+    breakdown,
+  };
+};
+
+// Mongo filter for every donor who could give to this request right now
+const buildEligibleDonorFilter = (donation, excludeIds = []) => {
+  const exclude = [donation.requester, ...excludeIds].filter(Boolean);
+
+  const filter = {
+    role: 'donor',
+    status: 'active',
+    isAvailable: true,
+    bloodGroup: { $in: getCompatibleDonorGroups(donation.bloodGroup) },
+    _id: { $nin: exclude },
+    $and: [
+      {
+        $or: [
+          { lastDonationDate: null },
+          { lastDonationDate: { $lte: new Date(Date.now() - DONATION_INTERVAL_DAYS * DAY_MS) } },
+        ],
+      },
+    ],
+  };
+
+  // Donors cooling down after repeated no-shows are left out of critical requests
+  if (donation.urgency === 'critical') {
+    filter.$and.push({
+      $or: [
+        { 'reliability.cooldownUntil': null },
+        { 'reliability.cooldownUntil': { $lte: new Date() } },
+      ],
+    });
+  }
+
+  return filter;
+};
+
+// Score candidates and return them best match first
+const rankDonors = async (candidates, donation, limit) => {
+  const reliability = await getReliabilityScores(candidates.map((donor) => donor._id));
+
+  return candidates
+    .map((donor) => ({
+      donor,
+      ...scoreDonor(donor, donation, reliability.get(donor._id.toString()) ?? 0.5),
+    }))
+    .sort((a, b) => b.score - a.score || (b.donor.totalDonations || 0) - (a.donor.totalDonations || 0))
+    .slice(0, limit);
+};
+
+// Find compatible, eligible donors for a request, best match first.
+// Donors in the recipient's district are always considered; other districts
+// only fill the list when the district has fewer than `limit` donors.
+// Returns [{ donor, score, isExactMatch, proximity, breakdown }]
+const findMatchingDonors = async (donation, { limit = 20, excludeIds = [], select = '-password' } = {}) => {
+  const filter = buildEligibleDonorFilter(donation, excludeIds);
+
+  let candidates = await User.find({ ...filter, district: donation.recipientDistrict })
+    .select(select)
+    .limit(limit * 5);
+
+  if (candidates.length < limit) {
+    const others = await User.find({ ...filter, district: { $ne: donation.recipientDistrict } })
+      .select(select)
+      .sort({ totalDonations: -1 })
+      .limit(limit - candidates.length);
+    candidates = candidates.concat(others);
+  }
+
+  return rankDonors(candidates, donation, limit);
+};
+
+// Same as findMatchingDonors, restricted to an area.
+// `area` is any extra User filter, e.g. { district: 'Dhaka', upazila: 'Mirpur' }
+const findMatchingDonorsInArea = async (donation, area, { limit = 20, excludeIds = [], select = '-password' } = {}) => {
+  const candidates = await User.find({ ...buildEligibleDonorFilter(donation, excludeIds), ...area })
+    .select(select)
+    .sort({ totalDonations: -1 })
+    .limit(limit * 5);
+
+  return rankDonors(candidates, donation, limit);
+};
+
+export {
+  DONATION_INTERVAL_DAYS,
+  getCompatibleDonorGroups,
+  isBloodCompatible,
+  getNextEligibleDate,
+  checkDonorEligibility,
+  getReliabilityScores,
+  scoreDonor,
+  findMatchingDonors,
+  findMatchingDonorsInArea,
+};
+
+export default {
+  DONATION_INTERVAL_DAYS,
+  getCompatibleDonorGroups,
+  isBloodCompatible,
+  getNextEligibleDate,
+  checkDonorEligibility,
+  getReliabilityScores,
+  scoreDonor,
+  findMatchingDonors,
+  findMatchingDonorsInArea,
+};
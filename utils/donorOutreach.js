@@ -0,0 +1,209 @@
+// server/src/utils/donorOutreach.js
+// Notifies matching donors about a new request in widening waves:
+// same upazila -> same district -> neighbouring districts
+import DonationRequest from '../models/DonationRequest.js';
+import notificationController from '../controllers/notificationController.js';
+import { findMatchingDonorsInArea } from './donorMatching.js';
+import { getOutreachConfig } from '../config/outreach.js';
+import { DISTRICT_ALIASES, getNeighbouringDistricts } from '../config/districts.js';
+
+const OUTREACH_WAVES = ['upazila', 'district', 'neighbouring_districts'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match, since locations are typed in by users
+const exactInsensitive = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+// A canonical district name plus the older spellings that map to it
+const districtSpellings = (district) => [
+  district,
+  ...Object.keys(DISTRICT_ALIASES).filter((alias) => DISTRICT_ALIASES[alias] === district),
+];
+
+// User filter and district list for a wave of a request
+const getWaveArea = (donation, scope) => {
+  switch (scope) {
+    case 'upazila':
+      return {
+        area: {
+          district: exactInsensitive(donation.recipientDistrict),
+          upazila: exactInsensitive(donation.recipientUpazila),
+        },
+        districts: [donation.recipientDistrict],
+      };
+    case 'district':
+      return {
+        area: { district: exactInsensitive(donation.recipientDistrict) },
+        districts: [donation.recipientDistrict],
+      };
+    default: {
+      const neighbours = getNeighbouringDistricts(donation.recipientDistrict);
+      return {
+        area: {
+          district: { $in: neighbours.flatMap(districtSpellings).map(exactInsensitive) },
+        },
+        districts: neighbours,
+      };
+    }
+  }
+};
+
+// Send one wave and record it on the request. Returns the donors reached.
+const sendOutreachWave = async (donation, waveNumber, contactedIds) => {
+  const scope = OUTREACH_WAVES[waveNumber - 1];
+  const { area, districts } = getWaveArea(donation, scope);
+  const { maxRecipientsPerWave } = getOutreachConfig();
+
+  // Nothing to search when the district is not recognised
+  const matches = districts.length > 0
+    ? await findMatchingDonorsInArea(donation, area, {
+      limit: maxRecipientsPerWave,
+      excludeIds: contactedIds,
+    })
+    : [];
+
+  await notificationController.sendDonationRequestNotification(
+    donation,
+    matches.map(({ donor }) => donor),
+    { wave: waveNumber }
+  );
+
+  const now = new Date();
+
+  await DonationRequest.updateOne(
+    { _id: donation._id },
+    {
+      $set: { 'outreach.currentWave': waveNumber },
+      $push: {
+        'outreach.waves': {
+          number: waveNumber,
+          scope,
+          districts,
+          recipientCount: matches.length,
+          sentAt: now,
+        },
+        'outreach.contactedDonors': {
+          $each: matches.map(({ donor, score }) => ({
+            donor: donor._id,
+            wave: waveNumber,
+            matchScore: score,
+            notifiedAt: now,
+          })),
+        },
+      },
+    }
+  );
+
+  return matches.map(({ donor }) => donor._id);
+};
+
+// Send the next wave(s). Waves that reach nobody are skipped straight away,
+// otherwise the next wave is scheduled after the configured window.
+// Returns { wave, reached, status }
+const continueDonorOutreach = async (donation) => {
+  const contactedIds = [
+    ...(donation.outreach?.contactedDonors || []).map((entry) => entry.donor),
+    ...(donation.pledges || []).map((pledge) => pledge.donor),
+  ];
+  let wave = donation.outreach?.currentWave || 0;
+  let reached = [];
+
+  while (reached.length === 0 && wave < OUTREACH_WAVES.length) {
+    wave += 1;
+    reached = await sendOutreachWave(donation, wave, contactedIds);
+    contactedIds.push(...reached);
+  }
+
+  const hasMoreWaves = wave < OUTREACH_WAVES.length;
+  const { waveWindowMinutes } = getOutreachConfig();
+  const status = hasMoreWaves ? 'active' : 'exhausted';
+
+  await DonationRequest.updateOne(
+    { _id: donation._id },
+    {
+      $set: {
+        'outreach.status': status,
+        'outreach.nextWaveAt': hasMoreWaves
+          ? new Date(Date.now() + waveWindowMinutes * 60 * 1000)
+          : null,
+      },
+    }
+  );
+
+  return { wave, reached: reached.length, status };
+};
+
+// Start outreach for a freshly created request
+const startDonorOutreach = (donation) => continueDonorOutreach(donation);
+
+// Stop scheduling further waves for a request
+const stopDonorOutreach = (donationId, status = 'stopped') => {
+  return DonationRequest.updateOne(
+    { _id: donationId, 'outreach.status': 'active' },
+    { $set: { 'outreach.status': status, 'outreach.nextWaveAt': null } }
+  );
+};
+
+// Pick outreach up again when a dropped pledge reopens a fully pledged request.
+// The next wave goes out on the following worker run.
+const resumeDonorOutreach = (donationId) => {
+  return DonationRequest.updateOne(
+    { _id: donationId, 'outreach.status': 'completed', 'outreach.currentWave': { $lt: OUTREACH_WAVES.length } },
+    { $set: { 'outreach.status': 'active', 'outreach.nextWaveAt': new Date() } }
+  );
+};
+
+// Send the next wave for every request whose window ran out without a donor.
+// Run periodically by the scheduler (jobs/index.js).
+// Returns the number of requests processed.
+const processDueOutreach = async (limit = 50) => {
+  const due = await DonationRequest.find({
+    'outreach.status': 'active',
+    'outreach.nextWaveAt': { $lte: new Date() },
+  })
+    .sort({ 'outreach.nextWaveAt': 1 })
+    .limit(limit);
+
+  for (const donation of due) {
+    if (!donation.isActive || donation.status === 'canceled') {
+      await stopDonorOutreach(donation._id, 'stopped');
+      continue;
+    }
+
+    // Every unit is pledged, no need to widen the search
+    if (donation.status !== 'pending' || donation.remainingUnits === 0) {
+      await stopDonorOutreach(donation._id, 'completed');
+      continue;
+    }
+
+    // Claim the wave so two server instances cannot both send it
+    const claimed = await DonationRequest.findOneAndUpdate(
+      { _id: donation._id, 'outreach.nextWaveAt': donation.outreach.nextWaveAt },
+      { $set: { 'outreach.nextWaveAt': null } }
+    );
+
+    if (claimed) {
+      await continueDonorOutreach(donation);
+    }
+  }
+
+  return due.length;
+};
+
+export {
+  OUTREACH_WAVES,
+  startDonorOutreach,
+  continueDonorOutreach,
+  stopDonorOutreach,
+  resumeDonorOutreach,
+  processDueOutreach,
+};
+
+export default {
+  OUTREACH_WAVES,
+  startDonorOutreach,
+  continueDonorOutreach,
+  stopDonorOutreach,
+  resumeDonorOutreach,
+  processDueOutreach,
+};
@@ -0,0 +1,90 @@
+// server/src/utils/donorPrivacy.js
+// Masks donors in search results. Contact details follow the donor's
+// privacy settings, the viewer's role and any contact request the donor
+// approved for the viewer. Visitors who are not signed in never see them.
+import ContactRequest from '../models/ContactRequest.js';
+
+// Account fields only the donor themself and staff may see
+const PRIVATE_FIELDS = [
+  'password',
+  'location',
+  'privacy',
+  'loginSecurity',
+  'twoFactor',
+  'notificationPreferences',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'passwordChangedAt',
+  'lastLogin',
+  'searchKeys',
+];
+
+const isStaffViewer = (viewer) => viewer?.role === 'admin' || viewer?.role === 'volunteer';
+
+const isSelf = (donor, viewer) => !!viewer && String(viewer._id) === String(donor._id);
+
+// Which contact details of `donor` the viewer may see. `grant` is what the
+// donor revealed to the viewer through an approved contact request.
+const getContactVisibility = (donor, viewer, grant = null) => {
+  if (isSelf(donor, viewer) || isStaffViewer(viewer)) {
+    return { phone: true, email: true };
+  }
+
+  const privacy = donor.privacy || {};
+  if (!viewer || privacy.platformOnly) {
+    return { phone: false, email: false };
+  }
+
+  return {
+    phone: !!privacy.showPhone || !!grant?.phone,
+    email: !!privacy.showEmail || !!grant?.email,
+  };
+};
+
+// Plain copy of a donor with what the viewer may not see removed, plus a
+// `contactAccess` summary for the client
+const maskDonor = (donor, viewer, grant = null) => {
+  const data = typeof donor.toObject === 'function' ? donor.toObject() : { ...donor };
+  const fullAccess = isSelf(data, viewer) || isStaffViewer(viewer);
+  const visible = getContactVisibility(data, viewer, grant);
+  const platformOnly = !!data.privacy?.platformOnly;
+
+  if (!fullAccess) {
+    PRIVATE_FIELDS.forEach((field) => {
+      delete data[field];
+    });
+  }
+  if (!visible.phone) delete data.phone;
+  if (!visible.email) delete data.email;
+
+  data.contactAccess = {
+    phone: visible.phone,
+    email: visible.email,
+    platformOnly,
+    canRequestContact: !!viewer && !fullAccess && !(visible.phone && visible.email),
+  };
+
+  return data;
+};
+
+// Mask a page of donors, looking up the viewer's approved contact requests
+// in one query
+const maskDonors = async (donors, viewer) => {
+  const needsGrants = viewer && !isStaffViewer(viewer) && donors.length > 0;
+  const grants = needsGrants
+    ? await ContactRequest.getGrants(viewer._id, donors.map((donor) => donor._id))
+    : new Map();
+
+  return donors.map((donor) => maskDonor(donor, viewer, grants.get(String(donor._id)) || null));
+};
+
+export { isStaffViewer, getContactVisibility, maskDonor, maskDonors };
+
+export default {
+  isStaffViewer,
+  getContactVisibility,
+  maskDonor,
+  maskDonors,
+};
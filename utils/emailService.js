@@ -1,6 +1,13 @@
 // server/src/utils/emailService.js
 import nodemailer from 'nodemailer';
 
+// Escape user-written text placed into HTML emails
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Create a simple email service without EJS templates initially
 const createTransporter = async () => {
   if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
@@ -118,6 +125,103 @@ const renderTemplate = (templateName, data = {}) => {
       text: `Password reset requested. Click here to reset: ${data.resetLink || '#'}. This link expires in ${data.expiryTime || '10 minutes'}.`
     }),
     
+    'email-verification': (data) => ({
+      subject: 'Verify your email address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Confirm your email</h2>
+          <p>Dear ${data.name || 'User'},</p>
+          <p>Please confirm that this is your email address so you can request blood and accept donation requests:</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${data.verificationLink || '#'}" style="background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Verify Email</a>
+          </p>
+          <p>This link will expire in ${data.expiryTime || '24 hours'}.</p>
+          <p>If you didn't create an account, please ignore this email.</p>
+          <br>
+          <p>Best regards,<br>The Blood Donation App Team</p>
+        </div>
+      `,
+      text: `Please verify your email address: ${data.verificationLink || '#'}. This link expires in ${data.expiryTime || '24 hours'}.`
+    }),
+    
+    'new-sign-in': (data) => ({
+      subject: 'New sign-in to your account',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>New sign-in detected</h2>
+          <p>Dear ${data.name || 'User'},</p>
+          <p>Your account was just used to sign in from a ${data.reason || 'new device'}:</p>
+          <ul>
+            <li><strong>Device:</strong> ${data.device || 'Unknown'}</li>
+            <li><strong>Location:</strong> ${data.country || 'Unknown'}</li>
+            <li><strong>IP address:</strong> ${data.ip || 'Unknown'}</li>
+            <li><strong>Time:</strong> ${data.time || new Date().toUTCString()}</li>
+          </ul>
+          <p>If this was you, you can ignore this email.</p>
+          <p>If it wasn't, <a href="${data.securityLink || '#'}">change your password and sign out of all devices</a> right away.</p>
+          <br>
+          <p>Best regards,<br>The Blood Donation App Team</p>
+        </div>
+      `,
+      text: `New sign-in to your account from ${data.device || 'an unknown device'} (${data.country || 'unknown location'}, IP ${data.ip || 'unknown'}). If this wasn't you, secure your account: ${data.securityLink || '#'}`
+    }),
+    
+    'saved-search-alert': (data) => ({
+      subject: data.subject || `New matches for "${data.searchName || 'your saved search'}"`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>New matches for your saved search</h2>
+          <p>Dear ${data.name || 'User'},</p>
+          <p>${data.message || 'There are new results for your saved search.'}</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${data.searchLink || '#'}" style="background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">View Results</a>
+          </p>
+          <p>You receive these emails because alerts are turned on for "${data.searchName || 'this search'}". You can turn them off from your saved searches.</p>
+          <br>
+          <p>Best regards,<br>The Blood Donation App Team</p>
+        </div>
+      `,
+      text: `${data.message || 'There are new results for your saved search.'} View them: ${data.searchLink || '#'}`
+    }),
+    
+    'contact-request': (data) => ({
+      subject: data.subject || `${data.requesterName || 'Someone'} would like to contact you`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Contact request</h2>
+          <p>Dear ${data.name || 'Donor'},</p>
+          <p>${escapeHtml(data.requesterName || 'A user')} found you in the donor search and asked for your contact details.</p>
+          ${data.message ? `<p style="background: #f8f9fa; padding: 12px; border-radius: 4px;">"${escapeHtml(data.message)}"</p>` : ''}
+          <p>Your phone number and email stay hidden unless you approve the request.</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${data.respondLink || '#'}" style="background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Respond</a>
+          </p>
+          <br>
+          <p>Best regards,<br>The Blood Donation App Team</p>
+        </div>
+      `,
+      text: `${data.requesterName || 'A user'} asked for your contact details. Your details stay hidden unless you approve: ${data.respondLink || '#'}`
+    }),
+    
+    'request-tracking': (data) => ({
+      subject: data.subject || `Blood request for ${data.recipientName || 'your patient'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Your blood request has been posted</h2>
+          <p>Dear ${escapeHtml(data.name || 'Requester')},</p>
+          <p>${escapeHtml(data.volunteerName || 'A volunteer')} posted a request for ${escapeHtml(data.bloodGroup || '')} blood for ${escapeHtml(data.recipientName || 'your patient')} at ${escapeHtml(data.hospitalName || 'the hospital')}.</p>
+          <p>You can follow its status, no account needed:</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${data.trackingLink || '#'}" style="background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Track Request</a>
+          </p>
+          <p>If you sign up with this email address and verify it, the request will be moved to your account.</p>
+          <br>
+          <p>Best regards,<br>The Blood Donation App Team</p>
+        </div>
+      `,
+      text: `Your request for ${data.bloodGroup || ''} blood for ${data.recipientName || 'your patient'} has been posted. Track it here: ${data.trackingLink || '#'}`
+    }),
+    
     'default': (data) => ({
       subject: data.subject || 'Notification',
       html: `<div>${data.message || 'No content'}</div>`,
@@ -219,4 +323,36 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
+export const sendVerificationEmail = async (user, verificationToken) => {
+  const verificationLink = `${process.env.CLIENT_URL}/verify-email/${verificationToken}`;
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    template: 'email-verification',
+    data: {
+      name: user.name,
+      verificationLink,
+      expiryTime: '24 hours'
+    }
+  });
+};
+
+export const sendNewSignInEmail = async (user, { device, country, ip, reason }) => {
+  return sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your account',
+    template: 'new-sign-in',
+    data: {
+      name: user.name,
+      device,
+      country,
+      ip,
+      reason,
+      time: new Date().toUTCString(),
+      securityLink: `${process.env.CLIENT_URL}/dashboard/security`
+    }
+  });
+};
+
 export default sendEmail;
\ No newline at end of file
@@ -0,0 +1,73 @@
+// server/src/utils/geo.js
+// GeoJSON helpers for location-based donor and request search
+import { getDistrictCentroid } from '../config/districts.js';
+
+// Mean earth radius used by MongoDB for spherical queries
+const EARTH_RADIUS_KM = 6378.1;
+
+const isValidCoordinate = (latitude, longitude) => {
+  if ([latitude, longitude].some((value) => value === undefined || value === null || value === '')) {
+    return false;
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+};
+
+// GeoJSON point. Note the [longitude, latitude] order.
+// `source` records how exact the point is: precise, upazila or district.
+const toGeoPoint = (latitude, longitude, source = 'precise') => ({
+  type: 'Point',
+  coordinates: [Number(longitude), Number(latitude)],
+  source,
+});
+
+// Point for an area when no precise location is known (null if unknown)
+const getCentroidPoint = ({ district } = {}) => {
+  const centroid = getDistrictCentroid(district);
+  return centroid ? toGeoPoint(centroid[1], centroid[0], 'district') : null;
+};
+
+// Precise point when coordinates are given, otherwise the area centroid
+const resolveLocation = ({ latitude, longitude, district } = {}) => {
+  if (isValidCoordinate(latitude, longitude)) {
+    return toGeoPoint(latitude, longitude, 'precise');
+  }
+  return getCentroidPoint({ district });
+};
+
+// Whether a stored location can be moved to a new area centroid
+const isApproximateLocation = (location) => !location?.coordinates?.length || location.source !== 'precise';
+
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+// Filter for documents within `radiusKm` of a point. Unlike $near it can be
+// used with countDocuments.
+const withinRadius = (point, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [point.coordinates, kmToRadians(radiusKm)],
+  },
+});
+
+export {
+  EARTH_RADIUS_KM,
+  isValidCoordinate,
+  toGeoPoint,
+  getCentroidPoint,
+  resolveLocation,
+  isApproximateLocation,
+  kmToRadians,
+  withinRadius,
+};
+
+export default {
+  EARTH_RADIUS_KM,
+  isValidCoordinate,
+  toGeoPoint,
+  getCentroidPoint,
+  resolveLocation,
+  isApproximateLocation,
+  kmToRadians,
+  withinRadius,
+};
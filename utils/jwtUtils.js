@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
-const logger = require('./../middleware/loggerMiddleware').logger;
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import loggerMiddleware from '../middleware/loggerMiddleware.js';
+
+const { logger } = loggerMiddleware;
 
 // Generate JWT token
 const generateToken = (userId, role = 'donor', additionalData = {}) => {
@@ -33,11 +35,13 @@ const generateRefreshToken = (userId) => {
     try {
         const refreshToken = crypto.randomBytes(40).toString('hex');
         
-        // In production, you might want to hash this before storing
-        const refreshTokenExpires = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+        // Only the hash is persisted (see models/Session.js)
+        const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+        const refreshTokenExpires = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
         
         return {
             token: refreshToken,
+            hashedToken: hashToken(refreshToken),
             expires: refreshTokenExpires
         };
     } catch (error) {
@@ -46,6 +50,14 @@ const generateRefreshToken = (userId) => {
     }
 };
 
+// Hash an opaque token (refresh tokens, API keys) for storage
+const hashToken = (token) => {
+    return crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
     try {
@@ -218,9 +230,26 @@ const isTokenBlacklisted = (token) => {
     return tokenBlacklist.has(token);
 };
 
-module.exports = {
+export {
+    generateToken,
+    generateRefreshToken,
+    hashToken,
+    verifyToken,
+    decodeToken,
+    generatePasswordResetToken,
+    generateEmailVerificationToken,
+    generateApiKey,
+    isTokenExpired,
+    getTokenExpiration,
+    generateShortLivedToken,
+    blacklistToken,
+    isTokenBlacklisted
+};
+
+export default {
     generateToken,
     generateRefreshToken,
+    hashToken,
     verifyToken,
     decodeToken,
     generatePasswordResetToken,
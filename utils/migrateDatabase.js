@@ -0,0 +1,155 @@
+// server/src/utils/migrateDatabase.js
+// Rewrites the district and upazila names stored on users, donation requests
+// and hospitals to the canonical spellings in config/bangladeshGeo.js, and
+// marks accounts made before email verification existed as verified.
+//
+// Usage: npm run migrate [-- --dry-run]
+// With --dry-run nothing is written; the report shows what would change.
+
+// Loaded before config/db.js reads MONGODB_URI
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+import DonationRequest from '../models/DonationRequest.js';
+import Hospital from '../models/Hospital.js';
+import { normalizeDistrict, normalizeUpazila } from '../config/districts.js';
+
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { Model: User, districtField: 'district', upazilaField: 'upazila' },
+  { Model: DonationRequest, districtField: 'recipientDistrict', upazilaField: 'recipientUpazila' },
+  { Model: Hospital, districtField: 'district', upazilaField: 'upazila' },
+];
+
+// Canonical spellings for one record. Values that cannot be resolved are
+// left as they are and reported.
+const normalizeArea = (district, upazila) => {
+  const canonicalDistrict = district ? normalizeDistrict(district) : null;
+  const canonicalUpazila = upazila && canonicalDistrict ? normalizeUpazila(canonicalDistrict, upazila) : null;
+
+  return {
+    district: canonicalDistrict || district,
+    upazila: canonicalUpazila || upazila,
+    unresolvedDistrict: Boolean(district) && !canonicalDistrict,
+    unresolvedUpazila: Boolean(upazila) && Boolean(canonicalDistrict) && !canonicalUpazila,
+  };
+};
+
+const countValue = (counts, value) => {
+  counts[value] = (counts[value] || 0) + 1;
+};
+
+const migrateModel = async ({ Model, districtField, upazilaField }, { dryRun }) => {
+  const report = {
+    collection: Model.collection.name,
+    scanned: 0,
+    updated: 0,
+    unresolvedDistricts: {},
+    unresolvedUpazilas: {},
+  };
+  let lastId = null;
+
+  for (;;) {
+    const batch = await Model.find(lastId ? { _id: { $gt: lastId } } : {})
+      .select(`${districtField} ${upazilaField}`)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+    report.scanned += batch.length;
+
+    const operations = [];
+
+    batch.forEach((doc) => {
+      const area = normalizeArea(doc[districtField], doc[upazilaField]);
+
+      if (area.unresolvedDistrict) {
+        countValue(report.unresolvedDistricts, doc[districtField]);
+      }
+      if (area.unresolvedUpazila) {
+        countValue(report.unresolvedUpazilas, `${area.district} / ${doc[upazilaField]}`);
+      }
+
+      const changes = {};
+      if (area.district !== doc[districtField]) changes[districtField] = area.district;
+      if (area.upazila !== doc[upazilaField]) changes[upazilaField] = area.upazila;
+
+      if (Object.keys(changes).length > 0) {
+        operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+      }
+    });
+
+    if (dryRun) {
+      report.updated += operations.length;
+    } else if (operations.length > 0) {
+      // Raw collection write so updatedAt is left alone
+      const result = await Model.collection.bulkWrite(operations, { ordered: false });
+      report.updated += result.modifiedCount;
+    }
+
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  return report;
+};
+
+const printReport = (report, dryRun) => {
+  console.log(`\n${report.collection}: scanned ${report.scanned}, ${dryRun ? 'would update' : 'updated'} ${report.updated}`);
+
+  [['Unresolved districts', report.unresolvedDistricts], ['Unresolved upazilas', report.unresolvedUpazilas]]
+    .forEach(([label, counts]) => {
+      const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+      if (entries.length === 0) return;
+
+      console.log(`  ${label}:`);
+      entries.forEach(([value, count]) => console.log(`    ${value} (${count})`));
+    });
+};
+
+// Accounts created before email verification have no isEmailVerified
+// field; without this they could no longer create or accept requests.
+// New accounts always store the field, so they are never touched.
+const verifyExistingAccounts = async ({ dryRun }) => {
+  const filter = { isEmailVerified: { $exists: false } };
+
+  if (dryRun) {
+    return User.collection.countDocuments(filter);
+  }
+
+  // Raw collection write so updatedAt is left alone
+  const result = await User.collection.updateMany(filter, { $set: { isEmailVerified: true } });
+  return result.modifiedCount;
+};
+
+const migrateAreas = async ({ dryRun = false } = {}) => {
+  const reports = [];
+  for (const target of TARGETS) {
+    reports.push(await migrateModel(target, { dryRun }));
+  }
+  return reports;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+  console.log(`Normalising districts and upazilas${dryRun ? ' (dry run)' : ''}`);
+
+  const reports = await migrateAreas({ dryRun });
+  reports.forEach((report) => printReport(report, dryRun));
+
+  const verified = await verifyExistingAccounts({ dryRun });
+  console.log(`\nAccounts from before email verification: ${dryRun ? 'would mark' : 'marked'} ${verified} as verified`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error(`Migration failed: ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -1,7 +1,10 @@
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
 import emailService from './emailService.js';
-import logger from './../middleware/loggerMiddleware.js';
+import loggerMiddleware from './../middleware/loggerMiddleware.js';
+
+// The middleware module exports its winston logger as a property
+const { logger } = loggerMiddleware;
 
 // Notification utility functions
 const notificationUtils = {
@@ -641,6 +644,227 @@ const notificationUtils = {
         }
     },
 
+    // The in-app notification and, when the search asks for it, the email
+    // telling the owner of a saved search about new matches
+    buildSavedSearchAlert: (savedSearch, owner, matches) => {
+        const isRequestSearch = savedSearch.type === 'donation-requests';
+        const count = matches.length;
+        const area = [savedSearch.filters.upazila, savedSearch.filters.district].filter(Boolean).join(', ');
+        const urgent = isRequestSearch && matches.some((request) => request.urgency === 'critical');
+
+        const title = isRequestSearch
+            ? `New request for "${savedSearch.name}"`
+            : `New donors for "${savedSearch.name}"`;
+        const message = isRequestSearch
+            ? count === 1
+                ? `A new ${matches[0].bloodGroup} blood request at ${matches[0].hospitalName} (${matches[0].recipientUpazila}, ${matches[0].recipientDistrict}) matches your saved search.`
+                : `${count} new blood requests${area ? ` in ${area}` : ''} match your saved search.`
+            : `${count} donor${count === 1 ? ' is' : 's are'} now available${area ? ` in ${area}` : ''} for your saved search.`;
+        const actionUrl = isRequestSearch && count === 1
+            ? `/donation-requests/${matches[0]._id}`
+            : `/search/${savedSearch.type}?${savedSearch.queryString}`;
+
+        return {
+            notification: {
+                recipient: owner._id,
+                recipientEmail: owner.email,
+                title,
+                message,
+                type: 'alert',
+                category: isRequestSearch ? 'donation' : 'update',
+                priority: urgent ? 'high' : 'medium',
+                actionUrl,
+                data: {
+                    savedSearchId: savedSearch._id,
+                    searchType: savedSearch.type,
+                    matchCount: count,
+                    matchIds: matches.slice(0, 20).map((match) => match._id)
+                }
+            },
+            email: savedSearch.alerts.email
+                ? {
+                    subject: title,
+                    template: 'saved-search-alert',
+                    data: {
+                        searchName: savedSearch.name,
+                        message,
+                        searchLink: `${process.env.CLIENT_URL}${actionUrl}`
+                    }
+                }
+                : null
+        };
+    },
+
+    // Tell the owner of a saved search about new matches (in-app, plus email
+    // when the search asks for it). `matches` are the new donors or requests.
+    sendSavedSearchAlert: async (savedSearch, owner, matches) => {
+        try {
+            const alert = notificationUtils.buildSavedSearchAlert(savedSearch, owner, matches);
+            const notification = await Notification.createSystemNotification(alert.notification);
+
+            let emailSent = false;
+            if (alert.email) {
+                const emailResult = await notificationUtils.sendEmailNotification(owner._id, alert.email);
+                emailSent = Boolean(emailResult?.success);
+            }
+
+            logger.info(`Saved search alert sent to user ${owner._id}: ${matches.length} new match(es)`);
+
+            return {
+                success: true,
+                notification,
+                emailSent
+            };
+        } catch (error) {
+            logger.error(`Send saved search alert error: ${error.message}`);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Ask a donor to share their contact details with a requester (in-app,
+    // plus email unless the donor turned email notifications off)
+    sendContactRequest: async (contactRequest, requester, donor) => {
+        try {
+            const title = `${requester.name} would like to contact you`;
+            const message = contactRequest.message
+                ? `${requester.name} asked for your contact details: "${contactRequest.message}"`
+                : `${requester.name} asked for your contact details. You decide whether to share your phone number or email.`;
+            const actionUrl = `/dashboard/contact-requests/${contactRequest._id}`;
+
+            const notification = await Notification.createSystemNotification({
+                recipient: donor._id,
+                recipientEmail: donor.email,
+                title,
+                message: message.slice(0, 1000),
+                type: 'request',
+                category: 'user',
+                priority: 'medium',
+                actionUrl,
+                data: {
+                    contactRequestId: contactRequest._id,
+                    requesterId: requester._id,
+                    donationRequestId: contactRequest.donationRequest
+                }
+            });
+
+            let emailSent = false;
+            if (donor.notificationPreferences?.emailNotifications !== false) {
+                const emailResult = await notificationUtils.sendEmailNotification(donor._id, {
+                    subject: title,
+                    template: 'contact-request',
+                    data: {
+                        requesterName: requester.name,
+                        message: contactRequest.message,
+                        respondLink: `${process.env.CLIENT_URL}${actionUrl}`
+                    }
+                });
+                emailSent = Boolean(emailResult?.success);
+            }
+
+            return {
+                success: true,
+                notification,
+                emailSent
+            };
+        } catch (error) {
+            logger.error(`Send contact request error: ${error.message}`);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Tell a requester whether the donor approved their contact request
+    sendContactRequestResponse: async (contactRequest, donor, requester) => {
+        try {
+            const approved = contactRequest.status === 'approved';
+            const shared = [
+                contactRequest.shared.phone ? 'phone number' : null,
+                contactRequest.shared.email ? 'email' : null
+            ].filter(Boolean).join(' and ');
+
+            let message;
+            if (!approved) {
+                message = `${donor.name} is not able to share their contact details right now.`;
+            } else if (shared) {
+                message = `${donor.name} shared their ${shared} with you.`;
+            } else {
+                message = `${donor.name} accepted your request and will contact you through the platform.`;
+            }
+
+            const notification = await Notification.createSystemNotification({
+                recipient: requester._id,
+                recipientEmail: requester.email,
+                title: approved ? 'Contact request accepted' : 'Contact request declined',
+                message,
+                type: approved ? 'success' : 'info',
+                category: 'user',
+                priority: 'medium',
+                actionUrl: `/dashboard/contact-requests/${contactRequest._id}`,
+                data: {
+                    contactRequestId: contactRequest._id,
+                    donorId: donor._id,
+                    status: contactRequest.status
+                }
+            });
+
+            return {
+                success: true,
+                notification
+            };
+        } catch (error) {
+            logger.error(`Send contact request response error: ${error.message}`);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Tell conversation participants about a new message. Only sent to those
+    // who had read everything before it, so a busy thread means one
+    // notification, not one per message.
+    sendConversationMessageNotification: async (conversation, message, recipients) => {
+        try {
+            const preview = message.text.length > 140 ? `${message.text.slice(0, 137)}...` : message.text;
+
+            const notifications = await Promise.all(recipients.map((recipient) => Notification.create({
+                recipient: recipient._id,
+                recipientEmail: recipient.email,
+                sender: message.sender,
+                senderName: message.senderName,
+                senderRole: message.senderRole === 'admin' || message.senderRole === 'volunteer' ? message.senderRole : 'donor',
+                title: `New message from ${message.senderName}`,
+                message: preview.length >= 5 ? preview : `${message.senderName}: ${preview}`,
+                type: 'message',
+                category: 'donation',
+                priority: 'medium',
+                source: 'user',
+                actionUrl: `/dashboard/donation-requests/${conversation.donationRequest}?tab=messages`,
+                data: {
+                    conversationId: conversation._id,
+                    donationRequestId: conversation.donationRequest,
+                    messageId: message._id
+                }
+            })));
+
+            return {
+                success: true,
+                notifications
+            };
+        } catch (error) {
+            logger.error(`Send conversation message notification error: ${error.message}`);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
     // Mark notification as read
     markNotificationAsRead: async (notificationId, userId) => {
         try {
@@ -0,0 +1,58 @@
+// server/src/utils/onCall.js
+// "Who is on call in <district> right now": the volunteers whose rota
+// shifts are running there. Answers the on-call endpoint and lets
+// auto-dispatch and urgent alerts reach the people on duty.
+import Notification from '../models/Notification.js';
+import Shift from '../models/Shift.js';
+import { normalizeDistrict } from '../config/districts.js';
+
+const VOLUNTEER_FIELDS = 'name email phone avatar district status volunteerAvailability';
+
+// On-call volunteers of a district at a moment, primaries first, as
+// [{ volunteer, shift }]. Blocked volunteers are left out.
+const getOnCallVolunteers = async (district, at = new Date()) => {
+  const canonical = normalizeDistrict(district);
+  if (!canonical) return [];
+
+  const shifts = await Shift.findOnCall(canonical, at)
+    .populate('volunteer', VOLUNTEER_FIELDS)
+    .sort({ startsAt: 1 });
+
+  return shifts
+    .filter((shift) => shift.volunteer && shift.volunteer.status === 'active')
+    .sort((a, b) => (a.role === 'primary' ? 0 : 1) - (b.role === 'primary' ? 0 : 1))
+    .map((shift) => ({ volunteer: shift.volunteer, shift }));
+};
+
+// Send a high-priority notification to the volunteers on call in a
+// district, except `excludeIds` (already told some other way).
+// Returns the number notified.
+const notifyOnCallVolunteers = async (district, notification, { excludeIds = [] } = {}) => {
+  const excluded = new Set(excludeIds.map((id) => id.toString()));
+  const onCall = (await getOnCallVolunteers(district))
+    .filter(({ volunteer }) => !excluded.has(volunteer._id.toString()));
+
+  if (onCall.length === 0) return 0;
+
+  await Notification.insertMany(onCall.map(({ volunteer, shift }) => ({
+    recipient: volunteer._id,
+    recipientEmail: volunteer.email,
+    type: 'alert',
+    priority: 'critical',
+    ...notification,
+    data: {
+      ...(notification.data || {}),
+      shiftId: shift._id,
+      onCallDistrict: shift.district,
+    },
+  })));
+
+  return onCall.length;
+};
+
+export { getOnCallVolunteers, notifyOnCallVolunteers };
+
+export default {
+  getOnCallVolunteers,
+  notifyOnCallVolunteers,
+};
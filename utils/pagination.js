@@ -0,0 +1,202 @@
+// server/src/utils/pagination.js
+// Shared pagination for list endpoints. Two modes, chosen per request:
+// - page mode (?page=&limit=): skip/limit, as the endpoints always did
+// - cursor mode (?cursor=&limit=): keyset pagination. Send an empty cursor
+//   for the first page, then the `nextCursor` of each response. Pages stay
+//   stable while documents are added or removed, and deep pages cost no more
+//   than the first. The total is only counted on request (?withTotal=true),
+//   since counting costs as much as a deep page.
+// Both modes return the same envelope (see paginatedResponse).
+import mongoose from 'mongoose';
+import ErrorResponse from './errorResponse.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// { field: 1 | -1 } from a "?sort=field" / "?sort=-field" parameter, or the
+// endpoint's default order
+const parseSort = (value, defaultSort) => {
+  if (!value) return { ...defaultSort };
+
+  const field = value.startsWith('-') ? value.substring(1) : value;
+  return { [field]: value.startsWith('-') ? -1 : 1 };
+};
+
+// The sort with `_id` appended, so every document has a unique position
+const withTiebreak = (sort) => (sort._id ? sort : { ...sort, _id: 1 });
+
+const sortSignature = (sort) => Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+
+// Cursor values whose type JSON would lose
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string') return new mongoose.Types.ObjectId(value.$oid);
+    throw new Error('Unexpected cursor value');
+  }
+  return value;
+};
+
+// Value of a sort field on a document or plain object (populated refs
+// count as their id)
+const sortValue = (doc, field) => {
+  const value = typeof doc.get === 'function'
+    ? doc.get(field)
+    : field.split('.').reduce((current, key) => current?.[key], doc);
+  return value?._id instanceof mongoose.Types.ObjectId ? value._id : value;
+};
+
+// Opaque cursor pointing just after `doc` in `sort` order
+const encodeCursor = (doc, sort) => {
+  const order = withTiebreak(sort);
+  const payload = {
+    s: sortSignature(order),
+    v: Object.keys(order).map((field) => encodeValue(sortValue(doc, field))),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// { sort, values } from a cursor, or null when it is not one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof payload?.s !== 'string' || !Array.isArray(payload.v)) return null;
+    return { sort: payload.s, values: payload.v.map(decodeValue) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition for values after `value` in `direction`. Missing values sort
+// first ascending and last descending, as in MongoDB. Returns null when
+// nothing can come after.
+const afterValue = (value, direction) => {
+  if (direction === 1) return value === null ? { $ne: null } : { $gt: value };
+  return value === null ? null : { $not: { $gte: value } };
+};
+
+// Filter for the documents after the cursor position: equal on the first
+// sort fields and past the cursor on the next one
+const keysetFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = fields
+    .map((field, index) => {
+      const condition = afterValue(values[index], sort[field]);
+      if (!condition) return null;
+
+      const branch = {};
+      fields.slice(0, index).forEach((previous, i) => {
+        branch[previous] = values[i];
+      });
+      branch[field] = condition;
+      return branch;
+    })
+    .filter(Boolean);
+
+  return { $or: branches };
+};
+
+// Page, limit, cursor and whether to count the total of a request. Throws a
+// 400 for a cursor that was not issued by paginate.
+const getPaginationOptions = (req, { defaultLimit = DEFAULT_LIMIT } = {}) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+  const mode = req.query.cursor !== undefined ? 'cursor' : 'page';
+
+  let cursor = null;
+  if (mode === 'cursor' && req.query.cursor !== '') {
+    cursor = req.pagination?.cursor || decodeCursor(req.query.cursor);
+    if (!cursor) {
+      throw new ErrorResponse('Invalid pagination cursor', 400);
+    }
+  }
+
+  const withTotal = mode === 'page' || req.query.withTotal === 'true';
+
+  return { mode, page, limit, skip: (page - 1) * limit, cursor, withTotal };
+};
+
+// Run a paginated find. `query` adds populate/select/lean to the find.
+// Returns { data, total, pagination, nextCursor }; `total` is null when it
+// was not counted.
+const paginate = async (Model, filter, options, { sort, query = (find) => find } = {}) => {
+  const order = withTiebreak(sort);
+  const { mode, page, limit, skip, cursor, withTotal = true } = options;
+
+  let find;
+  if (mode === 'cursor') {
+    if (cursor && cursor.sort !== sortSignature(order)) {
+      throw new ErrorResponse('Pagination cursor does not match the requested sort', 400);
+    }
+    const pageFilter = cursor ? { $and: [filter, keysetFilter(order, cursor.values)] } : filter;
+    find = query(Model.find(pageFilter)).sort(order).limit(limit + 1);
+  } else {
+    find = query(Model.find(filter)).sort(order).skip(skip).limit(limit + 1);
+  }
+
+  const [docs, total] = await Promise.all([
+    find,
+    withTotal ? Model.countDocuments(filter) : null,
+  ]);
+
+  // The extra document only tells whether another page exists
+  const hasNextPage = docs.length > limit;
+  const data = docs.slice(0, limit);
+  const nextCursor = hasNextPage ? encodeCursor(data[data.length - 1], order) : null;
+
+  const pagination = mode === 'cursor'
+    ? { mode, limit, hasMore: hasNextPage, nextCursor }
+    : {
+      mode,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      hasPrevPage: page > 1,
+      nextCursor,
+    };
+
+  return { data, total, pagination, nextCursor };
+};
+
+// Standard list response body. `extra` holds endpoint-specific keys such as
+// statistics.
+const paginatedResponse = (result, extra = {}, data = result.data) => ({
+  success: true,
+  count: data.length,
+  ...(result.total !== null ? { total: result.total } : {}),
+  ...extra,
+  pagination: result.pagination,
+  nextCursor: result.nextCursor,
+  data,
+});
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+};
+
+export default {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  getPaginationOptions,
+  paginate,
+  paginatedResponse,
+};
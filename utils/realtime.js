@@ -0,0 +1,221 @@
+// server/src/utils/realtime.js
+// Live events of the authenticated Socket.IO namespaces (see
+// realtimeSocket.js). Controllers call these after they change data; every
+// helper is a no-op when no socket server runs (scripts, tests, jobs).
+//
+//   /donations   donation-created, donation-updated, donation-removed
+//                for the districts and blood groups a client subscribed to
+//   /volunteer   task-queue-updated for the volunteers of the request's
+//                district (admins get every district), sla-breached
+//   /admin       admin-counters, recounted after changes,
+//                dispatch-escalated when no volunteer took a task and
+//                sla-breached when a request missed an SLA target
+import DonationRequest from '../models/DonationRequest.js';
+import User from '../models/User.js';
+import Contact from '../models/Contact.js';
+import Funding from '../models/Funding.js';
+import { getRealtimeConfig } from '../config/realtime.js';
+import { emitToNamespace, getSocketServer, userRoom } from './socketServer.js';
+
+const DONATIONS_NAMESPACE = '/donations';
+const VOLUNTEER_NAMESPACE = '/volunteer';
+const ADMIN_NAMESPACE = '/admin';
+
+// Feed room of one district and blood group; '*' matches any
+const feedRoom = (district, bloodGroup) => `feed-${district || '*'}-${bloodGroup || '*'}`;
+
+// Task queue room of a district's volunteers, and the one of admins
+const queueRoom = (district) => `queue-${district}`;
+const QUEUE_ALL_ROOM = 'queue-all';
+
+// Rooms that hear about a request: exact match, district only, blood
+// group only and everything
+const feedRooms = ({ recipientDistrict, bloodGroup }) => [
+  feedRoom(recipientDistrict, bloodGroup),
+  feedRoom(recipientDistrict, null),
+  feedRoom(null, bloodGroup),
+  feedRoom(null, null),
+];
+
+// What anyone signed in may see of a request: no requester contact details
+const toFeedItem = (donation) => ({
+  _id: donation._id,
+  recipientName: donation.recipientName,
+  bloodGroup: donation.bloodGroup,
+  recipientDistrict: donation.recipientDistrict,
+  recipientUpazila: donation.recipientUpazila,
+  hospitalName: donation.hospitalName,
+  donationDate: donation.donationDate,
+  donationTime: donation.donationTime,
+  urgency: donation.urgency,
+  status: donation.status,
+  unitsRequired: donation.unitsRequired,
+  remainingUnits: donation.remainingUnits,
+  isActive: donation.isActive,
+  createdAt: donation.createdAt,
+  updatedAt: donation.updatedAt,
+});
+
+let counterTimer = null;
+let lastCounters = null;
+
+// Live counters of the admin dashboard
+const getAdminCounters = async () => {
+  const startOfToday = new Date(new Date().setHours(0, 0, 0, 0));
+
+  const [
+    pendingRequests,
+    urgentRequests,
+    inProgressRequests,
+    requestsToday,
+    totalUsers,
+    usersToday,
+    newContacts,
+    fundingToday,
+  ] = await Promise.all([
+    DonationRequest.countDocuments({ isActive: true, status: 'pending' }),
+    DonationRequest.countDocuments({ isActive: true, status: 'pending', urgency: { $in: ['high', 'critical'] } }),
+    DonationRequest.countDocuments({ isActive: true, status: 'inprogress' }),
+    DonationRequest.countDocuments({ createdAt: { $gte: startOfToday } }),
+    User.countDocuments(),
+    User.countDocuments({ createdAt: { $gte: startOfToday } }),
+    Contact.countDocuments({ status: 'new' }),
+    Funding.aggregate([
+      { $match: { status: 'succeeded', transactionDate: { $gte: startOfToday } } },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  lastCounters = {
+    requests: {
+      pending: pendingRequests,
+      urgent: urgentRequests,
+      inProgress: inProgressRequests,
+      today: requestsToday,
+    },
+    users: {
+      total: totalUsers,
+      today: usersToday,
+    },
+    contacts: {
+      new: newContacts,
+    },
+    funding: {
+      today: fundingToday.length > 0 ? fundingToday[0].total : 0,
+      countToday: fundingToday.length > 0 ? fundingToday[0].count : 0,
+    },
+    timestamp: new Date().toISOString(),
+  };
+
+  return lastCounters;
+};
+
+// Last counters sent, counted now when there are none yet
+const getCurrentAdminCounters = () => (lastCounters ? Promise.resolve(lastCounters) : getAdminCounters());
+
+// Recount the admin counters and push them. Bursts of changes share one
+// recount, sent REALTIME_COUNTER_DEBOUNCE_MS after the first of them.
+const refreshAdminCounters = () => {
+  const io = getSocketServer();
+  if (!io || counterTimer) return;
+
+  counterTimer = setTimeout(async () => {
+    counterTimer = null;
+    try {
+      io.of(ADMIN_NAMESPACE).emit('admin-counters', await getAdminCounters());
+    } catch (error) {
+      console.error('Admin counters error:', error);
+    }
+  }, getRealtimeConfig().counterDebounceMs);
+  counterTimer.unref?.();
+};
+
+// Tell feed subscribers and the district's volunteers that a request was
+// created, updated or removed. Pass `previous` when the district or blood
+// group changed, so the old subscribers learn the request left their feed.
+const emitDonationEvent = (donation, action, { previous, actor } = {}) => {
+  if (!getSocketServer()) return false;
+
+  const item = toFeedItem(donation);
+  const rooms = new Set(feedRooms(donation));
+  if (previous) feedRooms(previous).forEach((room) => rooms.add(room));
+
+  emitToNamespace(DONATIONS_NAMESPACE, [...rooms], `donation-${action}`, { donation: item });
+
+  const districts = new Set([donation.recipientDistrict, previous?.recipientDistrict].filter(Boolean));
+  emitToNamespace(
+    VOLUNTEER_NAMESPACE,
+    [QUEUE_ALL_ROOM, ...[...districts].map(queueRoom)],
+    'task-queue-updated',
+    {
+      type: 'donation',
+      action,
+      donation: item,
+      by: actor ? { _id: actor._id, name: actor.name, role: actor.role } : null,
+    }
+  );
+
+  refreshAdminCounters();
+  return true;
+};
+
+// Send an event to every connected admin
+const emitAdminEvent = (event, payload) => {
+  const io = getSocketServer();
+  if (!io) return false;
+  io.of(ADMIN_NAMESPACE).emit(event, payload);
+  return true;
+};
+
+// Tell the admins and the district's volunteers that a request missed an
+// SLA target
+const emitSlaBreach = (donation, breach) => {
+  if (!getSocketServer()) return false;
+
+  const payload = { donation: toFeedItem(donation), breach };
+  emitAdminEvent('sla-breached', payload);
+  emitToNamespace(
+    VOLUNTEER_NAMESPACE,
+    [QUEUE_ALL_ROOM, queueRoom(donation.recipientDistrict)],
+    'sla-breached',
+    payload
+  );
+  return true;
+};
+
+// Tell one volunteer their own queue changed (a contact assigned to them,
+// a suggestion answered, ...)
+const emitVolunteerTask = (volunteerId, type, action, data = {}) => emitToNamespace(
+  VOLUNTEER_NAMESPACE,
+  [userRoom(volunteerId)],
+  'task-queue-updated',
+  { type, action, ...data }
+);
+
+export {
+  DONATIONS_NAMESPACE,
+  VOLUNTEER_NAMESPACE,
+  ADMIN_NAMESPACE,
+  QUEUE_ALL_ROOM,
+  feedRoom,
+  queueRoom,
+  getAdminCounters,
+  getCurrentAdminCounters,
+  refreshAdminCounters,
+  emitDonationEvent,
+  emitAdminEvent,
+  emitSlaBreach,
+  emitVolunteerTask,
+};
+
+export default {
+  feedRoom,
+  queueRoom,
+  getAdminCounters,
+  getCurrentAdminCounters,
+  refreshAdminCounters,
+  emitDonationEvent,
+  emitAdminEvent,
+  emitSlaBreach,
+  emitVolunteerTask,
+};
@@ -0,0 +1,156 @@
+// server/src/utils/realtimeSocket.js
+// Authenticated Socket.IO namespaces for live feeds and dashboards. Every
+// namespace needs an access token in the handshake
+// (`io(url + '/donations', { auth: { token } })`); the connection is refused
+// otherwise, or when the user's role may not use the namespace.
+//
+// /donations (any role)
+//   subscribe-feed { districts, bloodGroups }   replaces the subscription;
+//                                               empty lists mean "any"
+//   unsubscribe-feed
+// /volunteer (volunteers, admins): joins the user's district queue on connect
+// /admin (admins): sends admin-counters on connect
+//   refresh-counters
+// Events sent to the namespaces are described in realtime.js.
+import { resolveAccessToken } from '../middleware/authMiddleware.js';
+import { BLOOD_GROUPS } from './constants.js';
+import { normalizeDistrict } from '../config/districts.js';
+import {
+  ADMIN_NAMESPACE,
+  DONATIONS_NAMESPACE,
+  QUEUE_ALL_ROOM,
+  VOLUNTEER_NAMESPACE,
+  feedRoom,
+  getAdminCounters,
+  getCurrentAdminCounters,
+  queueRoom,
+} from './realtime.js';
+import { getHandshakeToken, userRoom } from './socketServer.js';
+
+// A client may watch this many district and blood group pairs at once
+const MAX_FEED_ROOMS = 50;
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Namespace middleware: resolve the handshake token and check the role
+const authenticate = (roles) => async (socket, next) => {
+  try {
+    const user = await resolveAccessToken(getHandshakeToken(socket));
+    if (!user) {
+      return next(new Error('Not authorized'));
+    }
+
+    if (roles && !roles.includes(user.role)) {
+      return next(new Error(`User role ${user.role} is not authorized to access this channel`));
+    }
+
+    socket.data.user = user;
+    return next();
+  } catch (error) {
+    return next(new Error('Not authorized'));
+  }
+};
+
+const toList = (value) => [...new Set([].concat(value || []).map((item) => String(item).trim()).filter(Boolean))];
+
+// Feed rooms of a subscription
+const subscriptionRooms = ({ districts, bloodGroups } = {}) => {
+  // Requests are stored with the canonical district name, so rooms use it too
+  const requestedDistricts = toList(districts);
+  const bloodGroupList = toList(bloodGroups).map((group) => group.toUpperCase());
+
+  const unknown = requestedDistricts.filter((district) => !normalizeDistrict(district));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown district: ${unknown.join(', ')}`);
+  }
+  const districtList = [...new Set(requestedDistricts.map(normalizeDistrict))];
+
+  const invalid = bloodGroupList.filter((group) => !BLOOD_GROUPS.includes(group));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid blood group: ${invalid.join(', ')}`);
+  }
+
+  const rooms = [];
+  (districtList.length ? districtList : [null]).forEach((district) => {
+    (bloodGroupList.length ? bloodGroupList : [null]).forEach((bloodGroup) => {
+      rooms.push(feedRoom(district, bloodGroup));
+    });
+  });
+
+  if (rooms.length > MAX_FEED_ROOMS) {
+    throw new Error(`Too many districts and blood groups (at most ${MAX_FEED_ROOMS} combinations)`);
+  }
+
+  return { rooms, districts: districtList, bloodGroups: bloodGroupList };
+};
+
+const leaveFeed = (socket) => {
+  [...socket.rooms].filter((room) => room.startsWith('feed-')).forEach((room) => socket.leave(room));
+};
+
+const initializeDonationFeed = (nsp) => {
+  nsp.use(authenticate());
+
+  nsp.on('connection', (socket) => {
+    socket.on('subscribe-feed', (data = {}, ack) => {
+      try {
+        const { rooms, districts, bloodGroups } = subscriptionRooms(data);
+        leaveFeed(socket);
+        socket.join(rooms);
+        reply(ack, { success: true, districts, bloodGroups });
+      } catch (error) {
+        reply(ack, { success: false, message: error.message });
+      }
+    });
+
+    socket.on('unsubscribe-feed', (data, ack) => {
+      leaveFeed(socket);
+      reply(typeof data === 'function' ? data : ack, { success: true });
+    });
+  });
+};
+
+const initializeVolunteerQueue = (nsp) => {
+  nsp.use(authenticate(['volunteer', 'admin']));
+
+  nsp.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user._id));
+
+    // Volunteers without a district see every request, like admins
+    socket.join(user.role === 'volunteer' && user.district ? queueRoom(user.district) : QUEUE_ALL_ROOM);
+  });
+};
+
+const initializeAdminCounters = (nsp) => {
+  nsp.use(authenticate(['admin']));
+
+  nsp.on('connection', async (socket) => {
+    socket.on('refresh-counters', async (data, ack) => {
+      const respond = typeof data === 'function' ? data : ack;
+      try {
+        reply(respond, { success: true, data: await getAdminCounters() });
+      } catch (error) {
+        reply(respond, { success: false, message: 'Could not load counters' });
+      }
+    });
+
+    try {
+      socket.emit('admin-counters', await getCurrentAdminCounters());
+    } catch (error) {
+      console.error('Admin counters error:', error);
+    }
+  });
+};
+
+const initializeRealtimeSocket = (io) => {
+  initializeDonationFeed(io.of(DONATIONS_NAMESPACE));
+  initializeVolunteerQueue(io.of(VOLUNTEER_NAMESPACE));
+  initializeAdminCounters(io.of(ADMIN_NAMESPACE));
+};
+
+export { authenticate, initializeRealtimeSocket };
+
+export default initializeRealtimeSocket;
@@ -0,0 +1,204 @@
+// server/src/utils/savedSearchAlerts.js
+// Builds the Mongo filter behind a saved search and alerts owners about new
+// matches: new donation requests as soon as they are posted, donors who
+// registered or became eligible again from the scheduled job
+import SavedSearch from '../models/SavedSearch.js';
+import User from '../models/User.js';
+import DonationRequest from '../models/DonationRequest.js';
+import Notification from '../models/Notification.js';
+import notificationUtils from './notifications.js';
+import { DONATION_INTERVAL_DAYS, getCompatibleDonorGroups } from './donorMatching.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most donors looked up per search and alert run
+const MAX_DONOR_MATCHES = 50;
+
+// Mongo filter with the same meaning as the searchDonors /
+// searchDonationRequests query the search was saved from
+const buildSavedSearchFilter = (savedSearch) => {
+  const { bloodGroup, district, upazila } = savedSearch.filters;
+  // The owner may be populated
+  const ownerId = savedSearch.user?._id || savedSearch.user;
+
+  if (savedSearch.type === 'donation-requests') {
+    return {
+      isActive: true,
+      status: 'pending',
+      requester: { $ne: ownerId },
+      ...(bloodGroup ? { bloodGroup } : {}),
+      ...(district ? { recipientDistrict: district } : {}),
+      ...(upazila ? { recipientUpazila: upazila } : {}),
+      ...(savedSearch.filters.urgency ? { urgency: savedSearch.filters.urgency } : {}),
+    };
+  }
+
+  const filter = {
+    role: 'donor',
+    status: 'active',
+    _id: { $ne: ownerId },
+    ...(district ? { district } : {}),
+    ...(upazila ? { upazila } : {}),
+  };
+
+  if (bloodGroup) {
+    filter.bloodGroup = savedSearch.filters.exactMatch
+      ? bloodGroup
+      : { $in: getCompatibleDonorGroups(bloodGroup) };
+  }
+
+  if (savedSearch.filters.availableOnly) {
+    filter.isAvailable = true;
+    filter.$or = [
+      { lastDonationDate: null },
+      { lastDonationDate: { $lt: new Date(Date.now() - DONATION_INTERVAL_DAYS * DAY_MS) } },
+    ];
+  }
+
+  return filter;
+};
+
+// Donors matching the search who joined in (since, until], or whose
+// donation interval ended in that window
+const findNewDonorMatches = (savedSearch, since, until) => {
+  const intervalMs = DONATION_INTERVAL_DAYS * DAY_MS;
+  const newlyMatching = [{ createdAt: { $gt: since, $lte: until } }];
+
+  if (savedSearch.filters.availableOnly) {
+    newlyMatching.push({
+      lastDonationDate: {
+        $gt: new Date(since.getTime() - intervalMs),
+        $lte: new Date(until.getTime() - intervalMs),
+      },
+    });
+  }
+
+  return User.find({
+    $and: [buildSavedSearchFilter(savedSearch), { $or: newlyMatching }],
+  })
+    .select('name bloodGroup district upazila')
+    .limit(MAX_DONOR_MATCHES)
+    .lean();
+};
+
+const recordAlert = (savedSearch, checkedAt, alerted) => {
+  return SavedSearch.updateOne(
+    { _id: savedSearch._id },
+    {
+      $set: {
+        'alerts.lastCheckedAt': checkedAt,
+        ...(alerted ? { 'alerts.lastAlertAt': checkedAt } : {}),
+      },
+      ...(alerted ? { $inc: { 'alerts.alertCount': 1 } } : {}),
+    }
+  );
+};
+
+// Alert the owners of request searches that match a newly posted request.
+// Runs while the request is being created, so the in-app alerts and search
+// updates are written in one batch each and the emails are not waited for.
+// Returns the number of owners alerted.
+const alertSavedSearchesForRequest = async (donation) => {
+  const anyOf = (field, value) => ({ [field]: { $in: [null, value] } });
+
+  const searches = await SavedSearch.find({
+    type: 'donation-requests',
+    'alerts.enabled': true,
+    user: { $ne: donation.requester },
+    $and: [
+      anyOf('filters.bloodGroup', donation.bloodGroup),
+      anyOf('filters.district', donation.recipientDistrict),
+      anyOf('filters.upazila', donation.recipientUpazila),
+      anyOf('filters.urgency', donation.urgency),
+    ],
+  }).populate('user', 'name email status');
+
+  const alerts = searches
+    .filter((savedSearch) => savedSearch.user?.status === 'active')
+    .map((savedSearch) => ({
+      savedSearch,
+      ...notificationUtils.buildSavedSearchAlert(savedSearch, savedSearch.user, [donation]),
+    }));
+
+  if (alerts.length === 0) {
+    return 0;
+  }
+
+  await Notification.createSystemNotifications(alerts.map((alert) => alert.notification));
+
+  const alertedAt = new Date();
+  await SavedSearch.bulkWrite(alerts.map(({ savedSearch }) => ({
+    updateOne: {
+      filter: { _id: savedSearch._id },
+      update: {
+        $set: { 'alerts.lastCheckedAt': alertedAt, 'alerts.lastAlertAt': alertedAt },
+        $inc: { 'alerts.alertCount': 1 },
+      },
+    },
+  })));
+
+  // sendEmailNotification reports failures instead of throwing
+  alerts
+    .filter((alert) => alert.email)
+    .forEach((alert) => notificationUtils.sendEmailNotification(alert.savedSearch.user._id, alert.email));
+
+  return alerts.length;
+};
+
+// Scheduled job: alert the owners of donor searches about donors who
+// started matching since the last run
+const processSavedSearchAlerts = async () => {
+  const summary = { checked: 0, alerted: 0 };
+
+  const cursor = SavedSearch.find({ type: 'donors', 'alerts.enabled': true })
+    .populate('user', 'name email status')
+    .cursor();
+
+  for await (const savedSearch of cursor) {
+    const checkedAt = new Date();
+    summary.checked += 1;
+
+    if (savedSearch.user?.status !== 'active') {
+      await recordAlert(savedSearch, checkedAt, false);
+      continue;
+    }
+
+    const matches = await findNewDonorMatches(savedSearch, savedSearch.alerts.lastCheckedAt, checkedAt);
+    let alerted = false;
+
+    if (matches.length > 0) {
+      const result = await notificationUtils.sendSavedSearchAlert(savedSearch, savedSearch.user, matches);
+      alerted = result.success;
+      if (alerted) summary.alerted += 1;
+    }
+
+    // Keep the window open so a failed alert is retried on the next run
+    if (matches.length > 0 && !alerted) continue;
+
+    await recordAlert(savedSearch, checkedAt, alerted);
+  }
+
+  return summary;
+};
+
+// Current results of a saved search, for the "matches" count in the list
+const countSavedSearchMatches = (savedSearch) => {
+  const Model = savedSearch.type === 'donation-requests' ? DonationRequest : User;
+  return Model.countDocuments(buildSavedSearchFilter(savedSearch));
+};
+
+export {
+  buildSavedSearchFilter,
+  findNewDonorMatches,
+  alertSavedSearchesForRequest,
+  processSavedSearchAlerts,
+  countSavedSearchMatches,
+};
+
+export default {
+  buildSavedSearchFilter,
+  findNewDonorMatches,
+  alertSavedSearchesForRequest,
+  processSavedSearchAlerts,
+  countSavedSearchMatches,
+};
@@ -0,0 +1,360 @@
+// server/src/utils/sla.js
+// SLA tracking of donation requests. Every request carries clocks for the
+// time to first donor contact, to acceptance and to completion, with
+// targets per urgency (config/sla.js). The SLA job settles them from the
+// request's statusHistory, outreach and pledges; a missed target is logged,
+// pushed live and sent to the request's volunteers and the admins.
+import ActivityLog from '../models/ActivityLog.js';
+import Assignment from '../models/Assignment.js';
+import DonationRequest from '../models/DonationRequest.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { SLA_METRICS, getSlaConfig } from '../config/sla.js';
+import { notifyOnCallVolunteers } from './onCall.js';
+import { emitSlaBreach } from './realtime.js';
+
+const CLOSED_STATUSES = ['canceled', 'expired'];
+
+const METRIC_LABELS = {
+  firstContact: 'first donor contact',
+  acceptance: 'acceptance',
+  completion: 'completion',
+};
+
+const URGENCIES = ['critical', 'high', 'medium', 'low'];
+
+// "45 minutes", "6 hours", "1 day 12 hours"
+const formatMinutes = (minutes) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (minutes < 60) return plural(minutes, 'minute');
+
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  if (days === 0) return plural(hours, 'hour');
+  return hours > 0 ? `${plural(days, 'day')} ${plural(hours, 'hour')}` : plural(days, 'day');
+};
+
+// When a canceled or expired request was closed, or null
+const getClosedAt = (donation) => {
+  if (!CLOSED_STATUSES.includes(donation.status)) return null;
+  const entry = [...(donation.statusHistory || [])].reverse().find((item) => item.status === donation.status);
+  return entry ? entry.changedAt : donation.updatedAt;
+};
+
+// What the clocks of a request should become at `now`, without saving.
+// Returns [{ metric, from, status, metAt, breachedAt }] for the clocks
+// that change.
+const evaluateSlaClocks = (donation, now = new Date()) => {
+  const milestones = donation.getSlaMilestones();
+  const closedAt = getClosedAt(donation);
+  const changes = [];
+
+  for (const clock of donation.sla?.clocks || []) {
+    const reachedAt = milestones[clock.metric];
+
+    if (clock.status === 'pending') {
+      if (reachedAt && reachedAt <= clock.dueAt) {
+        changes.push({ metric: clock.metric, from: 'pending', status: 'met', metAt: reachedAt });
+      } else if (!reachedAt && closedAt && closedAt < clock.dueAt) {
+        changes.push({ metric: clock.metric, from: 'pending', status: 'waived' });
+      } else if (reachedAt || clock.dueAt <= now) {
+        changes.push({
+          metric: clock.metric,
+          from: 'pending',
+          status: 'breached',
+          metAt: reachedAt || null,
+          breachedAt: now,
+        });
+      }
+    } else if (clock.status === 'breached' && !clock.metAt && reachedAt) {
+      // Reached late; recorded so the report can show by how much
+      changes.push({ metric: clock.metric, from: 'breached', status: 'breached', metAt: reachedAt });
+    }
+  }
+
+  return changes;
+};
+
+// Tell the request's volunteers, the district's on-call volunteers and the
+// admins about a missed target, and log it
+const reportSlaBreach = async (donation, clock) => {
+  const label = METRIC_LABELS[clock.metric];
+  const title = 'SLA Target Missed ⏱️';
+  const message = `The ${formatMinutes(clock.targetMinutes)} ${label} target of the ${donation.urgency} `
+    + `${donation.bloodGroup} request for ${donation.recipientName} in ${donation.recipientDistrict} was missed.`;
+  const priority = donation.urgency === 'critical' ? 'critical' : 'high';
+  const data = {
+    donationRequestId: donation._id,
+    metric: clock.metric,
+    urgency: donation.urgency,
+    targetMinutes: clock.targetMinutes,
+    dueAt: clock.dueAt,
+  };
+  const notification = {
+    title,
+    message,
+    type: 'alert',
+    category: 'donation',
+    priority,
+    actionUrl: `/dashboard/donation-requests/${donation._id}`,
+    data,
+  };
+
+  const assignments = await Assignment.find({
+    donationRequest: donation._id,
+    status: { $in: ['pending', 'inprogress'] },
+  }).populate('volunteer', 'name email');
+  const assigned = assignments.map((assignment) => assignment.volunteer).filter(Boolean);
+
+  if (assigned.length > 0) {
+    await Notification.insertMany(assigned.map((volunteer) => ({
+      ...notification,
+      recipient: volunteer._id,
+      recipientEmail: volunteer.email,
+    })));
+  }
+
+  const onCallCount = await notifyOnCallVolunteers(donation.recipientDistrict, notification, {
+    excludeIds: assigned.map((volunteer) => volunteer._id),
+  });
+
+  const admins = await User.find({ role: 'admin', status: 'active' }).select('email');
+  if (admins.length > 0) {
+    await Notification.insertMany(admins.map((admin) => ({
+      ...notification,
+      category: 'admin',
+      recipient: admin._id,
+      recipientEmail: admin.email,
+    })));
+  }
+
+  await ActivityLog.logActivity({
+    action: 'SLA Breached',
+    actionType: 'system',
+    category: 'donation',
+    severity: donation.urgency === 'critical' ? 'critical' : 'warning',
+    entityType: 'donation_request',
+    entityId: donation._id,
+    entityName: donation.recipientName,
+    description: `Missed the ${formatMinutes(clock.targetMinutes)} ${label} target of a ${donation.urgency} request`,
+    metadata: {
+      ...data,
+      breachedAt: clock.breachedAt,
+      notified: {
+        volunteers: assigned.length + onCallCount,
+        admins: admins.length,
+      },
+    },
+  });
+
+  emitSlaBreach(donation, {
+    metric: clock.metric,
+    targetMinutes: clock.targetMinutes,
+    dueAt: clock.dueAt,
+    breachedAt: clock.breachedAt,
+  });
+};
+
+// Settle the clocks of one request and report new breaches. Each clock
+// change is a conditional update, so two server instances cannot both
+// report the same breach. Returns the number of breaches reported.
+const settleSlaClocks = async (donation, now = new Date()) => {
+  if (donation.sla.urgency !== donation.urgency) {
+    const previousUrgency = donation.sla.urgency;
+    donation.setSlaClocks();
+    const { modifiedCount } = await DonationRequest.updateOne(
+      { _id: donation._id, 'sla.urgency': previousUrgency },
+      { $set: { sla: donation.toObject().sla } }
+    );
+    if (modifiedCount === 0) return 0;
+  }
+
+  let breaches = 0;
+  for (const change of evaluateSlaClocks(donation, now)) {
+    const { modifiedCount } = await DonationRequest.updateOne(
+      {
+        _id: donation._id,
+        'sla.clocks': {
+          $elemMatch: {
+            metric: change.metric,
+            status: change.from,
+            ...(change.from === 'breached' ? { metAt: null } : {}),
+          },
+        },
+      },
+      {
+        $set: {
+          'sla.clocks.$.status': change.status,
+          ...(change.metAt ? { 'sla.clocks.$.metAt': change.metAt } : {}),
+          ...(change.breachedAt ? { 'sla.clocks.$.breachedAt': change.breachedAt } : {}),
+        },
+      }
+    );
+    if (modifiedCount === 0) continue;
+
+    const clock = donation.sla.clocks.find((item) => item.metric === change.metric);
+    clock.status = change.status;
+    if (change.metAt) clock.metAt = change.metAt;
+    if (change.breachedAt) clock.breachedAt = change.breachedAt;
+
+    // Nobody can act on a closed request any more
+    if (change.from === 'pending' && change.status === 'breached' && !CLOSED_STATUSES.includes(donation.status)) {
+      breaches += 1;
+      await reportSlaBreach(donation, clock);
+    }
+  }
+
+  const active = !CLOSED_STATUSES.includes(donation.status) && donation.sla.clocks.some(
+    (clock) => clock.status === 'pending' || (clock.status === 'breached' && !clock.metAt)
+  );
+  await DonationRequest.updateOne(
+    { _id: donation._id },
+    { $set: { 'sla.active': active, 'sla.checkedAt': now } }
+  );
+
+  return breaches;
+};
+
+// Settle the SLA clocks of open requests, least recently checked first.
+// Run periodically by the scheduler (jobs/index.js).
+// Returns the number of requests checked.
+const processSlaClocks = async (limit = 200) => {
+  const requests = await DonationRequest.find({ 'sla.active': true })
+    .sort({ 'sla.checkedAt': 1 })
+    .limit(limit);
+
+  for (const donation of requests) {
+    try {
+      await settleSlaClocks(donation);
+    } catch (error) {
+      console.error(`SLA check of request ${donation._id} failed:`, error);
+    }
+  }
+
+  return requests.length;
+};
+
+const toRate = (met, breached) => (met + breached > 0 ? (met / (met + breached)) * 100 : null);
+
+// SLA compliance of the requests matching `match`, per urgency and metric.
+// The rate counts settled clocks only: pending and waived ones are left out.
+const getSlaCompliance = async (match = {}) => {
+  const rows = await DonationRequest.aggregate([
+    { $match: { ...match, 'sla.clocks.0': { $exists: true } } },
+    { $unwind: '$sla.clocks' },
+    {
+      $group: {
+        _id: { urgency: '$sla.urgency', metric: '$sla.clocks.metric' },
+        total: { $sum: 1 },
+        met: { $sum: { $cond: [{ $eq: ['$sla.clocks.status', 'met'] }, 1, 0] } },
+        breached: { $sum: { $cond: [{ $eq: ['$sla.clocks.status', 'breached'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$sla.clocks.status', 'pending'] }, 1, 0] } },
+        waived: { $sum: { $cond: [{ $eq: ['$sla.clocks.status', 'waived'] }, 1, 0] } },
+        // Milestones reached, on time or late, and the minutes they took
+        reached: { $sum: { $cond: [{ $gt: ['$sla.clocks.metAt', null] }, 1, 0] } },
+        reachedMinutes: {
+          $sum: {
+            $cond: [
+              { $gt: ['$sla.clocks.metAt', null] },
+              { $divide: [{ $subtract: ['$sla.clocks.metAt', '$createdAt'] }, 60 * 1000] },
+              0,
+            ],
+          },
+        },
+        // Breaches reached late and the minutes they were late by
+        lateReached: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$sla.clocks.status', 'breached'] }, { $gt: ['$sla.clocks.metAt', null] }] },
+              1,
+              0,
+            ],
+          },
+        },
+        lateMinutes: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$sla.clocks.status', 'breached'] }, { $gt: ['$sla.clocks.metAt', null] }] },
+              { $divide: [{ $subtract: ['$sla.clocks.metAt', '$sla.clocks.dueAt'] }, 60 * 1000] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const { targets } = getSlaConfig();
+  const average = (total, count) => (count > 0 ? Math.round(total / count) : null);
+
+  const toMetric = (metric, urgencyRows) => {
+    const counts = urgencyRows.filter((row) => row._id.metric === metric);
+    const sum = (field) => counts.reduce((total, row) => total + row[field], 0);
+    const met = sum('met');
+    const breached = sum('breached');
+
+    return {
+      metric,
+      total: sum('total'),
+      met,
+      breached,
+      pending: sum('pending'),
+      waived: sum('waived'),
+      // Breached and still not reached
+      unresolved: breached - sum('lateReached'),
+      complianceRate: toRate(met, breached),
+      avgMinutes: average(sum('reachedMinutes'), sum('reached')),
+      avgLateMinutes: average(sum('lateMinutes'), sum('lateReached')),
+    };
+  };
+
+  const byUrgency = URGENCIES
+    .map((urgency) => {
+      const urgencyRows = rows.filter((row) => row._id.urgency === urgency);
+      const metrics = SLA_METRICS.map((metric) => ({
+        ...toMetric(metric, urgencyRows),
+        targetMinutes: targets[urgency][metric] || null,
+      }));
+      const met = metrics.reduce((total, item) => total + item.met, 0);
+      const breached = metrics.reduce((total, item) => total + item.breached, 0);
+      return {
+        urgency,
+        requests: metrics.reduce((max, item) => Math.max(max, item.total), 0),
+        complianceRate: toRate(met, breached),
+        metrics,
+      };
+    })
+    .filter((entry) => entry.requests > 0);
+
+  const byMetric = SLA_METRICS.map((metric) => toMetric(metric, rows));
+  const met = byMetric.reduce((total, item) => total + item.met, 0);
+  const breached = byMetric.reduce((total, item) => total + item.breached, 0);
+
+  return {
+    targets,
+    overall: {
+      met,
+      breached,
+      pending: byMetric.reduce((total, item) => total + item.pending, 0),
+      complianceRate: toRate(met, breached),
+    },
+    byMetric,
+    byUrgency,
+  };
+};
+
+export {
+  formatMinutes,
+  evaluateSlaClocks,
+  settleSlaClocks,
+  processSlaClocks,
+  getSlaCompliance,
+};
+
+export default {
+  formatMinutes,
+  evaluateSlaClocks,
+  settleSlaClocks,
+  processSlaClocks,
+  getSlaCompliance,
+};
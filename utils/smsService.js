@@ -0,0 +1,47 @@
+// server/src/utils/smsService.js
+// Text messages through an HTTP SMS gateway. The gateway gets a JSON POST
+// of { to, message, sender } with SMS_API_KEY as a bearer token. Without
+// SMS_GATEWAY_URL the message is only logged, so development needs no
+// gateway account.
+
+// Main sendSms function
+export const sendSms = async ({ to, message }) => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    console.log(`No SMS gateway configured. SMS to ${to}: ${message}`);
+    return {
+      success: false,
+      error: 'SMS gateway is not configured',
+    };
+  }
+
+  try {
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {}),
+      },
+      body: JSON.stringify({
+        to,
+        message,
+        sender: process.env.SMS_SENDER_ID || undefined,
+      }),
+      signal: AbortSignal.timeout(10 * 1000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gateway responded with ${response.status}`);
+    }
+
+    console.log(`SMS sent to ${to}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`SMS sending error to ${to}:`, error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+export default sendSms;
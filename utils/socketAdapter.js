@@ -0,0 +1,31 @@
+// server/src/utils/socketAdapter.js
+// Redis adapter for Socket.IO: with SOCKET_REDIS_ADAPTER=true, events sent
+// by one API instance also reach the clients connected to the others.
+import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { getRealtimeConfig } from '../config/realtime.js';
+
+// Attach the adapter when enabled. Returns the Redis clients so they can be
+// closed on shutdown, or null when events stay on this instance.
+const attachRedisAdapter = (io) => {
+  const { redisAdapter, redisUrl } = getRealtimeConfig();
+  if (!redisAdapter) return null;
+
+  const pubClient = new Redis(redisUrl);
+  const subClient = pubClient.duplicate();
+
+  [pubClient, subClient].forEach((client) => {
+    client.on('error', (error) => {
+      console.error('Socket.IO Redis adapter error:', error.message);
+    });
+  });
+
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log('🔁 Socket.IO events are shared through Redis');
+
+  return { pubClient, subClient };
+};
+
+export { attachRedisAdapter };
+
+export default attachRedisAdapter;
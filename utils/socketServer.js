@@ -0,0 +1,76 @@
+// server/src/utils/socketServer.js
+// Holds the Socket.IO server created in server.js, so controllers, models
+// and jobs can push events without it being passed around. Emitting is a
+// no-op until the server is set (scripts, jobs run outside the API).
+
+let socketServer = null;
+
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+const getSocketServer = () => socketServer;
+
+// Room every socket of a user joins
+const userRoom = (userId) => `user-${userId}`;
+
+// Authenticated namespace of conversation events (see conversationSocket.js)
+const CONVERSATIONS_NAMESPACE = '/conversations';
+
+// Room of the sockets viewing a conversation
+const conversationRoom = (conversationId) => `conversation-${conversationId}`;
+
+// Access token sent in the handshake: `io(url, { auth: { token } })`, or a
+// Bearer header for clients that cannot set `auth`
+const getHandshakeToken = (socket) => {
+  const header = socket.handshake.headers?.authorization || '';
+  return socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+};
+
+// Emit to several rooms at once; a socket in more than one of them gets the
+// event only once
+const emitToRooms = (rooms, event, payload) => {
+  if (!socketServer || rooms.length === 0) return false;
+  socketServer.to(rooms).emit(event, payload);
+  return true;
+};
+
+// Same as emitToRooms, inside a namespace such as '/admin'
+const emitToNamespace = (namespace, rooms, event, payload) => {
+  if (!socketServer || rooms.length === 0) return false;
+  socketServer.of(namespace).to(rooms).emit(event, payload);
+  return true;
+};
+
+// Conversation events only reach sockets that passed the access check of
+// the conversation namespace, never the default namespace's user rooms
+const emitToConversation = (conversationId, event, payload) => emitToNamespace(
+  CONVERSATIONS_NAMESPACE,
+  [conversationRoom(conversationId)],
+  event,
+  payload
+);
+
+export {
+  setSocketServer,
+  getSocketServer,
+  CONVERSATIONS_NAMESPACE,
+  userRoom,
+  conversationRoom,
+  getHandshakeToken,
+  emitToRooms,
+  emitToNamespace,
+  emitToConversation,
+};
+
+export default {
+  setSocketServer,
+  getSocketServer,
+  CONVERSATIONS_NAMESPACE,
+  userRoom,
+  conversationRoom,
+  getHandshakeToken,
+  emitToRooms,
+  emitToNamespace,
+  emitToConversation,
+};
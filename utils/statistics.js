@@ -925,8 +925,7 @@ const statisticsUtils = {
                         $match: {
                             assignedTo: volunteer._id,
                             assignedAt: { $exists: true },
-                            updatedAt: { $exists: true },
-                            updatedAt: { $gte: dateFilter }
+                            updatedAt: { $exists: true, $gte: dateFilter }
                         }
                     },
                     {
@@ -0,0 +1,217 @@
+// server/src/utils/textSearch.js
+// Typo-tolerant search over names and titles. Each searchable model stores
+// the trigrams of its weighted fields in `searchKeys` (see searchKeysPlugin).
+// Candidates sharing the most trigrams with the query are loaded, then
+// ranked here by exact, prefix and edit-distance matches per field.
+
+// Trigrams kept per document, so long texts do not bloat the index
+const MAX_KEYS = 400;
+
+// Candidates loaded from the database before ranking
+const CANDIDATE_LIMIT = 300;
+
+// Lowest score (0-1) still returned as a match
+const MIN_SCORE = 0.55;
+
+// Lower-case, drop accents and punctuation. Bangla letters are kept.
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\u0980-\u09ff]+/g, ' ')
+  .trim();
+
+const tokenize = (value) => normalizeText(value).split(' ').filter(Boolean);
+
+// "dhaka" -> ["_dh", "dha", "hak", "aka", "ka_"]. The markers make word
+// starts count, which is what prefix autocomplete needs.
+const wordTrigrams = (word) => {
+  const padded = `_${word}_`;
+  const grams = [];
+  for (let i = 0; i <= padded.length - 3; i += 1) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+const textTrigrams = (value) => [...new Set(tokenize(value).flatMap(wordTrigrams))];
+
+// Trigrams of several field values, highest-weighted fields first so the
+// cap drops the least important text
+const buildSearchKeys = (values) => {
+  const keys = new Set();
+  for (const value of values.flat()) {
+    for (const gram of textTrigrams(value)) {
+      if (keys.size >= MAX_KEYS) return [...keys];
+      keys.add(gram);
+    }
+  }
+  return [...keys];
+};
+
+// Edit distance, giving up once it exceeds `max`
+const levenshtein = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How well one query word matches one word of the text (0-1)
+const wordScore = (queryWord, word, { prefix }) => {
+  if (queryWord === word) return 1;
+  if (prefix && word.startsWith(queryWord)) return 0.9;
+  if (queryWord.length < 3) return 0;
+
+  // One typo in short words, two in longer ones
+  const allowed = queryWord.length <= 5 ? 1 : 2;
+  const compared = prefix && word.length > queryWord.length + allowed
+    ? word.slice(0, queryWord.length)
+    : word;
+  const distance = levenshtein(queryWord, compared, allowed);
+  if (distance > allowed) return 0;
+  return 0.85 * (1 - distance / Math.max(queryWord.length, compared.length));
+};
+
+// Average best match of every query word in a text (0-1). With `prefix`
+// the last query word may be the start of a word, as typed so far.
+const scoreText = (query, text) => {
+  const queryWords = tokenize(query);
+  const words = tokenize(text);
+  if (queryWords.length === 0 || words.length === 0) return 0;
+
+  const total = queryWords.reduce((sum, queryWord, index) => {
+    const prefix = index === queryWords.length - 1;
+    const best = words.reduce((max, word) => Math.max(max, wordScore(queryWord, word, { prefix })), 0);
+    return sum + best;
+  }, 0);
+
+  return total / queryWords.length;
+};
+
+// Score of a document: its best field, weighted relative to the heaviest
+// field so a name match beats an address match
+const scoreDocument = (query, doc, weights) => {
+  const maxWeight = Math.max(...Object.values(weights));
+  return Object.entries(weights).reduce((best, [field, weight]) => {
+    const values = [].concat(doc[field] ?? []);
+    const fieldScore = values.reduce((max, value) => Math.max(max, scoreText(query, value)), 0);
+    return Math.max(best, fieldScore * (0.7 + 0.3 * (weight / maxWeight)));
+  }, 0);
+};
+
+// Search a model that uses searchKeysPlugin. Returns plain documents, best
+// first, each with a `_score`. `filter` limits what the caller may see and
+// `project` lists the fields to return (the weighted fields are always
+// loaded for ranking).
+const searchDocuments = async (Model, query, { filter = {}, project = {}, limit = 20 } = {}) => {
+  const grams = textTrigrams(query);
+  if (grams.length === 0) return [];
+
+  const weights = Model.searchWeights;
+  const fields = { ...project };
+  Object.keys(weights).forEach((field) => {
+    fields[field] = 1;
+  });
+
+  const candidates = await Model.aggregate([
+    { $match: { ...filter, searchKeys: { $in: grams } } },
+    { $addFields: { _overlap: { $size: { $setIntersection: ['$searchKeys', grams] } } } },
+    { $sort: { _overlap: -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $project: fields },
+  ]);
+
+  return candidates
+    .map((doc) => ({ ...doc, _score: Math.round(scoreDocument(query, doc, weights) * 1000) / 1000 }))
+    .filter((doc) => doc._score >= MIN_SCORE)
+    .sort((a, b) => b._score - a._score)
+    .slice(0, limit);
+};
+
+// Rank plain in-memory entries, e.g. the districts and upazilas
+const searchList = (entries, query, weights, limit = 10) => entries
+  .map((entry) => ({ ...entry, _score: Math.round(scoreDocument(query, entry, weights) * 1000) / 1000 }))
+  .filter((entry) => entry._score >= MIN_SCORE)
+  .sort((a, b) => b._score - a._score)
+  .slice(0, limit);
+
+// Mongoose plugin: keeps `searchKeys` up to date from the weighted fields,
+// e.g. schema.plugin(searchKeysPlugin, { fields: { name: 10, address: 2 } })
+const searchKeysPlugin = (schema, { fields }) => {
+  const ordered = Object.keys(fields).sort((a, b) => fields[b] - fields[a]);
+
+  schema.add({
+    searchKeys: {
+      type: [String],
+      select: false,
+    },
+  });
+  schema.index({ searchKeys: 1 });
+  schema.statics.searchWeights = fields;
+
+  schema.pre('save', function(next) {
+    if (this.isNew || ordered.some((field) => this.isModified(field))) {
+      this.searchKeys = buildSearchKeys(ordered.map((field) => this.get(field)));
+    }
+    next();
+  });
+
+  // Updates may change only some of the fields, so rebuild from the stored
+  // document afterwards
+  schema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {};
+    const changes = { ...update, ...(update.$set || {}) };
+    this._searchKeysChanged = ordered.some((field) => changes[field] !== undefined);
+    next();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    if (!this._searchKeysChanged) return;
+
+    const doc = await this.model.findOne(this.getQuery()).select(ordered.join(' ')).lean();
+    if (doc) {
+      await this.model.collection.updateOne(
+        { _id: doc._id },
+        { $set: { searchKeys: buildSearchKeys(ordered.map((field) => doc[field])) } }
+      );
+    }
+  });
+};
+
+export {
+  normalizeText,
+  tokenize,
+  textTrigrams,
+  buildSearchKeys,
+  levenshtein,
+  scoreText,
+  scoreDocument,
+  searchDocuments,
+  searchList,
+  searchKeysPlugin,
+};
+
+export default {
+  normalizeText,
+  tokenize,
+  textTrigrams,
+  buildSearchKeys,
+  levenshtein,
+  scoreText,
+  scoreDocument,
+  searchDocuments,
+  searchList,
+  searchKeysPlugin,
+};
@@ -0,0 +1,245 @@
+// server/src/utils/walkInRequests.js
+// Requests volunteers create for people without an account (walk-in
+// families at hospitals). The requester is reached by phone, gets a
+// tracking link by SMS and email, and takes the request over once they
+// sign up and verify the same email address, or by opening the tracking
+// link while signed in. Requesters who already have a verified account get
+// the request right away.
+import crypto from 'crypto';
+import DonationRequest from '../models/DonationRequest.js';
+import Notification from '../models/Notification.js';
+import ActivityLog from '../models/ActivityLog.js';
+import User from '../models/User.js';
+import { hashToken } from './jwtUtils.js';
+import { sendEmail } from './emailService.js';
+import { sendSms } from './smsService.js';
+
+// Give the request a new tracking token; older links stop working.
+// Returns the token, which is only stored hashed.
+const issueTrackingToken = (donation) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  donation.walkIn.trackingTokenHash = hashToken(token);
+  return token;
+};
+
+const getTrackingLink = (token) => `${process.env.CLIENT_URL}/track-request/${token}`;
+
+// Send the tracking link to the requester's phone and email.
+// Returns { link, sms, email } with the outcome of each channel.
+const sendTrackingLinks = async (donation, token, volunteer) => {
+  const link = getTrackingLink(token);
+  const { phone, email, name } = donation.walkIn;
+
+  const sms = phone
+    ? await sendSms({
+      to: phone,
+      message: `Blood request for ${donation.recipientName} (${donation.bloodGroup}) at ${donation.hospitalName} is posted. Track it: ${link}`,
+    })
+    : null;
+
+  const emailResult = email
+    ? await sendEmail({
+      to: email,
+      template: 'request-tracking',
+      data: {
+        name,
+        volunteerName: volunteer?.name,
+        recipientName: donation.recipientName,
+        bloodGroup: donation.bloodGroup,
+        hospitalName: donation.hospitalName,
+        trackingLink: link,
+      },
+    })
+    : null;
+
+  const outcome = (result) => (result ? { sent: result.success, error: result.error || null } : null);
+  return { link, sms: outcome(sms), email: outcome(emailResult) };
+};
+
+// The request a tracking link points to, or null
+const findByTrackingToken = (token) => DonationRequest.findOne({
+  'walkIn.trackingTokenHash': hashToken(String(token)),
+  isActive: true,
+});
+
+// What a tracking link shows: the request's progress, without the
+// contact details of anyone involved
+const toTrackingView = (donation) => ({
+  _id: donation._id,
+  recipientName: donation.recipientName,
+  bloodGroup: donation.bloodGroup,
+  hospitalName: donation.hospitalName,
+  hospitalAddress: donation.hospitalAddress,
+  recipientDistrict: donation.recipientDistrict,
+  recipientUpazila: donation.recipientUpazila,
+  donationDate: donation.donationDate,
+  donationTime: donation.donationTime,
+  urgency: donation.urgency,
+  status: donation.status,
+  unitsRequired: donation.unitsRequired,
+  fulfilledUnits: donation.fulfilledUnits,
+  remainingUnits: donation.remainingUnits,
+  donorsPledged: (donation.pledges || []).filter((pledge) => pledge.status !== 'canceled').length,
+  statusHistory: (donation.statusHistory || []).map((entry) => ({
+    status: entry.status,
+    changedAt: entry.changedAt,
+  })),
+  createdAt: donation.createdAt,
+  updatedAt: donation.updatedAt,
+});
+
+// Ways a requester proves a walk-in request is theirs, as the volunteer
+// who made it is told
+const CLAIM_REASONS = {
+  'verified-email': 'signed up and verified their email',
+  'tracking-link': 'signed in and opened the tracking link',
+};
+
+// Local form of a Bangladeshi mobile number and the ways it is written
+// with the country code, or [] when it is not one
+const phoneVariants = (phone) => {
+  const local = String(phone || '').replace(/\D/g, '').match(/^(?:88)?(01[3-9]\d{8})$/)?.[1];
+  return local ? [local, `88${local}`, `+88${local}`] : [];
+};
+
+// The verified account a walk-in requester already has, found by the email
+// or phone the volunteer wrote down, or null. A phone shared by several
+// accounts matches none of them.
+const findWalkInAccount = async ({ email, phone }) => {
+  const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+  const phones = phoneVariants(phone);
+
+  const match = [];
+  if (normalizedEmail) match.push({ email: normalizedEmail });
+  if (phones.length > 0) match.push({ phone: { $in: phones } });
+  if (match.length === 0) return null;
+
+  const accounts = await User.find({ $or: match, isEmailVerified: true, status: 'active' })
+    .select('name email phone role')
+    .limit(3);
+
+  const byEmail = accounts.find((account) => account.email === normalizedEmail);
+  if (byEmail) return byEmail;
+
+  const byPhone = accounts.filter((account) => phones.includes(account.phone));
+  return byPhone.length === 1 ? byPhone[0] : null;
+};
+
+// Move one unclaimed walk-in request to `user`'s account and tell the
+// volunteer who made it. `how` is one of CLAIM_REASONS. Returns the updated
+// request, or null when it is not an unclaimed walk-in request.
+const claimWalkInRequest = async (donation, user, how) => {
+  // Claimed only once, even if the request is claimed twice in parallel
+  const claimed = await DonationRequest.findOneAndUpdate(
+    { _id: donation._id, 'walkIn.createdBy': { $ne: null }, 'walkIn.claimedAt': null },
+    {
+      $set: {
+        requester: user._id,
+        requesterName: user.name,
+        requesterEmail: user.email,
+        'walkIn.claimedBy': user._id,
+        'walkIn.claimedAt': new Date(),
+      },
+    },
+    { new: true }
+  ).populate('walkIn.createdBy', 'name email');
+  if (!claimed) return null;
+
+  const volunteer = claimed.walkIn.createdBy;
+  if (volunteer) {
+    await Notification.createSystemNotification({
+      recipient: volunteer._id,
+      recipientEmail: volunteer.email,
+      title: 'Walk-in Request Claimed',
+      message: `${user.name} ${CLAIM_REASONS[how]}, and now manages the request for ${claimed.recipientName}.`,
+      type: 'info',
+      category: 'donation',
+      priority: 'low',
+      actionUrl: `/dashboard/all-blood-donation-request/${claimed._id}`,
+      data: {
+        donationId: claimed._id,
+        claimedBy: user._id,
+      },
+    });
+  }
+
+  await ActivityLog.logActivity({
+    user: user._id,
+    userName: user.name,
+    userEmail: user.email,
+    userRole: user.role,
+    action: 'Claimed Walk-in Request',
+    actionType: 'update',
+    category: 'donation',
+    entityType: 'donation_request',
+    entityId: claimed._id,
+    entityName: claimed.recipientName,
+    description: `Took over the request for ${claimed.recipientName} created by ${volunteer?.name || 'a volunteer'}`,
+    details: `Claimed by: ${how}`,
+    status: 'success',
+  });
+
+  return claimed;
+};
+
+// Move the unclaimed walk-in requests made with a user's email to their
+// account. Only a verified email proves the requester is who the volunteer
+// wrote down, so unverified users claim nothing; requesters known only by
+// phone claim through their tracking link instead. Returns the number of
+// requests moved.
+const claimWalkInRequests = async (user) => {
+  if (!user.isEmailVerified) {
+    return 0;
+  }
+
+  const requests = await DonationRequest.find({
+    'walkIn.createdBy': { $ne: null },
+    'walkIn.claimedAt': null,
+    'walkIn.email': String(user.email).toLowerCase(),
+  }).select('_id');
+
+  let moved = 0;
+  for (const donation of requests) {
+    if (await claimWalkInRequest(donation, user, 'verified-email')) moved += 1;
+  }
+
+  return moved;
+};
+
+// Tell an existing account that a volunteer posted a request for them
+const notifyWalkInAccount = (donation, account, volunteer) => Notification.createSystemNotification({
+  recipient: account._id,
+  recipientEmail: account.email,
+  title: 'Request Posted for You',
+  message: `${volunteer.name} posted a blood request for ${donation.recipientName} on your behalf. You can follow and manage it from your dashboard.`,
+  type: 'request',
+  category: 'donation',
+  priority: donation.urgency === 'critical' ? 'high' : 'medium',
+  actionUrl: `/dashboard/donation-requests/${donation._id}`,
+  data: {
+    donationId: donation._id,
+    createdBy: volunteer._id,
+  },
+});
+
+export {
+  issueTrackingToken,
+  sendTrackingLinks,
+  findByTrackingToken,
+  toTrackingView,
+  findWalkInAccount,
+  claimWalkInRequest,
+  claimWalkInRequests,
+  notifyWalkInAccount,
+};
+
+export default {
+  issueTrackingToken,
+  sendTrackingLinks,
+  findByTrackingToken,
+  toTrackingView,
+  findWalkInAccount,
+  claimWalkInRequest,
+  claimWalkInRequests,
+  notifyWalkInAccount,
+};
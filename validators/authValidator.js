@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { validateAreaPair } from './geoValidator.js';
 
 const passwordPattern = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
 
@@ -63,7 +64,7 @@ export const registerValidator = Joi.object({
       'any.only': 'Passwords do not match',
       'any.required': 'Confirm password is required'
     })
-});
+}).custom(validateAreaPair('district', 'upazila'));
 
 export const loginValidator = Joi.object({
   email: Joi.string()
@@ -140,7 +141,7 @@ export const profileUpdateValidator = Joi.object({
     .messages({
       'string.empty': 'Upazila cannot be empty'
     })
-});
+}).custom(validateAreaPair('district', 'upazila'));
 
 export const refreshTokenValidator = Joi.object({
   refreshToken: Joi.string()
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { validateAreaPair } from './geoValidator.js';
 
 const datePattern = /^\d{4}-\d{2}-\d{2}$/;
 const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
@@ -79,7 +80,7 @@ export const createDonationRequestValidator = Joi.object({
       'string.min': 'Request message must be at least 10 characters',
       'string.max': 'Request message cannot exceed 1000 characters'
     })
-});
+}).custom(validateAreaPair('recipientDistrict', 'recipientUpazila'));
 
 export const updateDonationRequestValidator = Joi.object({
   recipientName: Joi.string()
@@ -150,7 +151,7 @@ export const updateDonationRequestValidator = Joi.object({
       'string.min': 'Request message must be at least 10 characters',
       'string.max': 'Request message cannot exceed 1000 characters'
     })
-});
+}).custom(validateAreaPair('recipientDistrict', 'recipientUpazila'));
 
 export const updateDonationStatusValidator = Joi.object({
   status: Joi.string()
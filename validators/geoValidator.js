@@ -0,0 +1,19 @@
+import { body } from 'express-validator';
+import { checkDistrictUpazila } from '../config/districts.js';
+
+// Joi object rule: the district must exist and the upazila must belong to it.
+// Usage: Joi.object({ ... }).custom(validateAreaPair('district', 'upazila'))
+export const validateAreaPair = (districtKey, upazilaKey) => (value, helpers) => {
+  const error = checkDistrictUpazila(value[districtKey], value[upazilaKey]);
+  return error ? helpers.message(error) : value;
+};
+
+// Same check for express-validator route chains
+export const areaPairCheck = (districtKey, upazilaKey) => body(upazilaKey)
+  .custom((value, { req }) => {
+    const error = checkDistrictUpazila(req.body[districtKey], value);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  });
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { validateAreaPair } from './geoValidator.js';
 
 export const updateUserStatusValidator = Joi.object({
   status: Joi.string()
@@ -130,7 +131,7 @@ export const searchDonorsValidator = Joi.object({
       'number.min': 'Limit must be at least 1',
       'number.max': 'Limit cannot exceed 50'
     })
-});
+}).custom(validateAreaPair('district', 'upazila'));
 
 export const updateUserProfileValidator = Joi.object({
   name: Joi.string()
@@ -181,7 +182,7 @@ export const updateUserProfileValidator = Joi.object({
     .messages({
       'any.only': 'Role must be either "donor", "volunteer", or "admin"'
     })
-});
+}).custom(validateAreaPair('district', 'upazila'));
 
 export const userActivityQueryValidator = Joi.object({
   days: Joi.number()